@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Writes a generated map (see src/game/ScenarioGenerator.js) as JSON.
+ * Default: the parameters of SCENARIO_PARAMS into src/data/tourSetup.json,
+ * which replaces the bundled map.
+ *
+ * Run: npm run build:tour -- [--seed=42] [--addressCount=18] [--midCount=50]
+ *      [--blockedCount=4] [--width=960] [--height=640] [--out=path/to/file.json]
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { generateScenario, resolveScenarioParams } from '../src/game/ScenarioGenerator.js'
+
+const args = Object.fromEntries(process.argv.slice(2)
+  .filter(arg => arg.startsWith('--') && arg.includes('='))
+  .map(arg => arg.slice(2).split('=')))
+
+const params = resolveScenarioParams(args)
+const tourSetup = generateScenario(params)
+
+const outPath = path.resolve(process.cwd(), args.out || path.join('src', 'data', 'tourSetup.json'))
+fs.mkdirSync(path.dirname(outPath), { recursive: true })
+fs.writeFileSync(outPath, JSON.stringify(tourSetup, null, 2), 'utf-8')
+
+const count = (type) => tourSetup.nodes.filter(n => n.type === type).length
+console.log(`[OK] geschrieben: ${outPath}`)
+console.log(`Parameter: ${JSON.stringify(params)}`)
+console.log(`Nodes: ${tourSetup.nodes.length} (depot=${count('depot')}, address=${count('address')}, junction=${count('junction')}, mid=${count('mid')})`)
+console.log(`Edges: ${tourSetup.edges.length} (blocked=${tourSetup.edges.filter(e => e.blocked).length})`)
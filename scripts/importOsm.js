@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Builds a scenario file from an OpenStreetMap extract (see
+ * src/game/OsmImport.js). Works offline on a downloaded .osm or .osm.pbf
+ * file, e.g. an extract of Augsburg from download.geofabrik.de.
+ *
+ * The customers file is JSON:
+ *   { "depot": { "lat": 48.37, "lon": 10.89 },
+ *     "customers": [{ "lat": 48.36, "lon": 10.9, "label": "Bäckerei",
+ *                     "timeWindow": { "start": "07:30", "end": "08:30" }, "boxes": 20 }] }
+ *
+ * Run: npm run import:osm -- --osm=augsburg.osm.pbf --bbox=minLon,minLat,maxLon,maxLat
+ *      --customers=kunden.json [--width=960] [--height=640] [--snap=150] [--out=szenario-osm.json]
+ */
+
+import fs from 'fs'
+import path from 'path'
+import zlib from 'zlib'
+import { parseOsmXml, buildScenarioFromOsm } from '../src/game/OsmImport.js'
+import { parseOsmPbf } from '../src/game/OsmPbf.js'
+import { serializeScenario } from '../src/game/ScenarioFile.js'
+
+const args = Object.fromEntries(process.argv.slice(2)
+  .filter(arg => arg.startsWith('--') && arg.includes('='))
+  .map(arg => arg.slice(2).split('=')))
+
+function exitWith(messages) {
+  messages.forEach(message => console.error(`[FEHLER] ${message}`))
+  process.exit(1)
+}
+
+if (!args.osm || !args.bbox || !args.customers) {
+  exitWith(['Aufruf: npm run import:osm -- --osm=datei.osm(.pbf) --bbox=minLon,minLat,maxLon,maxLat --customers=kunden.json'])
+}
+
+const [minLon, minLat, maxLon, maxLat] = args.bbox.split(',').map(Number)
+const bbox = { minLon, minLat, maxLon, maxLat }
+const inBox = (p) => p.lat >= minLat && p.lat <= maxLat && p.lon >= minLon && p.lon <= maxLon
+
+const { depot, customers } = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), args.customers), 'utf-8'))
+const osmPath = path.resolve(process.cwd(), args.osm)
+const osm = osmPath.endsWith('.pbf')
+  ? parseOsmPbf(new Uint8Array(fs.readFileSync(osmPath)), zlib.inflateSync, inBox)
+  : parseOsmXml(fs.readFileSync(osmPath, 'utf-8'), inBox)
+
+const options = { bbox, depot, customers }
+if (args.width) options.width = Number(args.width)
+if (args.height) options.height = Number(args.height)
+if (args.snap) options.maxSnapMeters = Number(args.snap)
+const { tourData, errors, stats } = buildScenarioFromOsm(osm, options)
+if (errors.length > 0) exitWith(errors)
+
+const outPath = path.resolve(process.cwd(), args.out || 'szenario-osm.json')
+fs.mkdirSync(path.dirname(outPath), { recursive: true })
+fs.writeFileSync(outPath, serializeScenario(tourData), 'utf-8')
+
+console.log(`[OK] geschrieben: ${outPath}`)
+console.log(`OSM: ${osm.nodes.size} Punkte und ${osm.ways.length} Wege im Ausschnitt, ${stats.roads} Straßenstücke`)
+console.log(`Karte: ${tourData.canvas.width} × ${tourData.canvas.height} px, ${tourData.canvas.scalePxPerKm} px/km`)
+console.log(`Nodes: ${stats.nodes}, Edges: ${stats.edges} (Hauptstraßen=${stats.mainRoads}, Einbahnstraßen=${stats.oneways})`)
+if (stats.droppedNodes > 0) console.log(`Nicht mit dem Depot verbunden und weggelassen: ${stats.droppedNodes} Knoten`)
@@ -21,29 +21,73 @@ function buildEdgeChainFromNodeSequence(nodeSequence, edgeList) {
   }
   return chain;
 }
-import React, { useState, useMemo, useEffect, useCallback } from 'react'
-// Map data: nodes, edges, distances (generated by buildTourSetup.cjs)
-import tourSetup from './data/tourSetup.json'
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react'
+// Bundled map: nodes, edges, distances (generated by scripts/buildTourSetup.js)
+import bundledTourSetup from './data/tourSetup.json'
 // Baseline metrics for Level 3 to compare against
 import baselineMetrics from './data/baselineMetrics.json'
 import { vehicles } from './data/vehicles.js'
 import MapView from './map/MapView.jsx'
-import { simulateRoute } from './game/GameManager.js'
-import { clarkeWrightSavings } from './algorithms/clarkeWright.js'
-import { findDetour } from './algorithms/pathfinding.js'
+import { simulateRoute, simulateFleet } from './game/GameManager.js'
+import { buildRouteEdges } from './game/AutoRoutePlanner.js'
+import { getPlaybackState } from './game/Playback.js'
+import { checkDrivingRules } from './game/ManualRouteHandler.js'
+import { generateDisruptions, withUrgentCustomers } from './game/Disruptions.js'
+import { applyEquipment } from './game/Equipment.js'
+import { startRouteOptimization, startOptimalityBenchmark, startAlgorithmComparison, startMonteCarlo } from './workers/routeOptimizerClient.js'
+import { ALGORITHMS, createRoutingProblem, isAlgorithmAvailable } from './algorithms/registry.js'
+import { optimalityGap } from './algorithms/heldKarp.js'
+import { OBJECTIVES, createObjective } from './algorithms/objectives.js'
+import { calculateSequenceLoad, fitsCapacity, splitIntoTrips, joinTrips } from './game/LoadPlanner.js'
+import { getCustomerWindow, formatTimeWindow } from './game/TimeWindows.js'
 import { calculateDistance } from './algorithms/distance.js'
+import { getRoadNetwork } from './algorithms/roadNetwork.js'
+import { FLEET_SIZE, VEHICLE_ROUTE_COLORS, EQUIPMENT, EQUIPMENT_BUDGET } from './data/constants.js'
 import VehicleSelector from './components/VehicleSelector.jsx'
 import ModeSelector from './components/ModeSelector.jsx'
+import EquipmentShop from './components/EquipmentShop.jsx'
+import FleetSelector from './components/FleetSelector.jsx'
 import ESGDashboard from './components/ESGDashboard.jsx'
+import LoadChart from './components/LoadChart.jsx'
+import ConvergenceChart from './components/ConvergenceChart.jsx'
+import SimulationPlayback from './components/SimulationPlayback.jsx'
+import EventTimeline from './components/EventTimeline.jsx'
+import MonteCarloPanel from './components/MonteCarloPanel.jsx'
+import SessionSeedPanel from './components/SessionSeedPanel.jsx'
+import ScenarioGenerator from './components/ScenarioGenerator.jsx'
+import ScenarioEditor from './components/ScenarioEditor.jsx'
+import ScenarioFilePanel from './components/ScenarioFilePanel.jsx'
+import DisruptionPanel from './components/DisruptionPanel.jsx'
+import { readSessionSeed, createSessionSeed, sessionUrl } from './game/SessionSeed.js'
+import AlgorithmComparison from './components/AlgorithmComparison.jsx'
 import TrafficTimeSlider from './components/TrafficTimeSlider.jsx'
 import { generateTrafficModel, getTrafficIntensity, getTrafficCategory, calculateTravelTime } from './algorithms/trafficModel.js'
 import { euclideanDistance, minutesToHoursAndMinutes } from './utils/mathHelpers.js'
+import { createSeededRandom } from './utils/trafficUtils.js'
+
+// Progress phases reported by the optimizer worker
+const OPTIMIZER_PHASE_LABELS = {
+  assign: 'Kunden auf Fahrzeuge verteilen',
+  optimize: 'Touren optimieren',
+  refine: 'Feinschliff mit Zeitfenstern und Verkehr'
+}
+
+// Share of the search done: the vehicles before this one and its optimized candidates
+function optimizerProgress({ vehicleIndex = 0, vehicleCount = 1, candidatesDone = 0, candidatesTotal }) {
+  if (!candidatesTotal) return vehicleIndex / vehicleCount
+  return (vehicleIndex + Math.min(1, candidatesDone / candidatesTotal)) / vehicleCount
+}
 
 export default function App() {
+  // Everything random in this session follows this seed (?seed= in the URL)
+  const [sessionSeed] = useState(() => readSessionSeed(window.location.search) ?? createSessionSeed())
   const [phase, setPhase] = useState('intro')
+  const [tourSetup, setTourSetup] = useState(bundledTourSetup) // Map of this game (bundled, generated or loaded)
+  const [baseline, setBaseline] = useState(baselineMetrics.level3) // Reference metrics for comparison (a scenario file may bring its own)
   
   const [vehicleId, setVehicleId] = useState(null)
   const [mode, setMode] = useState(null)  // 'manual' or 'auto'
+  const [fleetCounts, setFleetCounts] = useState({}) // Vehicles per type for auto planning
   
   // Manual planning state
   const [manualEdges, setManualEdges] = useState([])
@@ -58,6 +102,31 @@ export default function App() {
   const [autoGenerating, setAutoGenerating] = useState(false)
   const [autoRouteEdges, setAutoRouteEdges] = useState([])
   const [autoRouteError, setAutoRouteError] = useState(null)
+  const [fleetRoutes, setFleetRoutes] = useState([]) // One planned route per vehicle
+  const [autoProgress, setAutoProgress] = useState(null) // Latest progress message of the optimizer worker
+  const optimizationRef = useRef(null) // Running optimization, to cancel it
+  const [timeBudgetSec, setTimeBudgetSec] = useState(5) // Search time of the anytime optimizer
+  const [liveRoutes, setLiveRoutes] = useState([]) // Best route so far per vehicle while searching
+  const [convergence, setConvergence] = useState([]) // Improvements: { vehicleIndex, iteration, distanceKm }
+  
+  const [comparisonIds, setComparisonIds] = useState(ALGORITHMS.map(a => a.id)) // Algorithms to compare
+  const [algorithmParams, setAlgorithmParams] = useState({}) // { algorithmId: { paramId: value } }, defaults otherwise
+  const [algorithmSeed, setAlgorithmSeed] = useState(sessionSeed) // Same seed, same tours of the metaheuristics
+  const [comparison, setComparison] = useState({ running: false, rows: [], error: null })
+  const comparisonRef = useRef(null) // Running comparison, to cancel it
+  const [monteCarloRuns, setMonteCarloRuns] = useState(200) // Simulation runs of the robustness check
+  const [monteCarloSeed, setMonteCarloSeed] = useState(sessionSeed) // Same seed, same traffic in every run
+  const [monteCarlo, setMonteCarlo] = useState({ running: false, progress: null, summary: null, error: null })
+  const monteCarloRef = useRef(null) // Running robustness check, to cancel it
+  
+  // Don't leave a worker running when the game is closed
+  useEffect(() => () => {
+    optimizationRef.current?.cancel()
+    comparisonRef.current?.cancel()
+    monteCarloRef.current?.cancel()
+  }, [])
+  const [timeWindowMode, setTimeWindowMode] = useState('soft') // Customer windows: 'soft' or 'hard'
+  const [objective, setObjective] = useState('distance') // What the optimizer minimizes (see objectives.js)
   
   // Adjustment mode: tweak the auto-generated route
   const [adjustingRoute, setAdjustingRoute] = useState(false)
@@ -68,20 +137,105 @@ export default function App() {
   // Traffic simulation
   const [trafficModel, setTrafficModel] = useState(null)
   const [currentTime, setCurrentTime] = useState(0) // Minutes from 7:00 AM (range: 0-180)
+
+  // Equipment bought in the shop before planning (IDs of EQUIPMENT)
+  const [equipmentIds, setEquipmentIds] = useState([])
+  const autoAvailable = equipmentIds.includes(EQUIPMENT.ROUTE_SOFTWARE.id)
+  const gpsTracker = equipmentIds.includes(EQUIPMENT.GPS_TRACKER.id) // re-plans at every disruption
+
+  // Disruptions during the tour (closures, accidents, cancelled and urgent orders)
+  const [disruptionsEnabled, setDisruptionsEnabled] = useState(false)
   
   // Final results after simulation
   const [report, setReport] = useState(null)
+  const [simulationPlan, setSimulationPlan] = useState(null) // Routes behind the report, for repeated runs
+  const [optimality, setOptimality] = useState(null) // { status, benchmark } proven optimum for the report
+  const [timelineSelection, setTimelineSelection] = useState({ runIndex: 0, eventIndex: 0 }) // Event shown on the report map
   
+  // Keep the seed in the address bar, so the link replays this session
+  useEffect(() => {
+    window.history.replaceState(null, '', sessionUrl(window.location.href, sessionSeed))
+  }, [sessionSeed])
+
+  // Another scenario: start over with the new seed
+  function changeSessionSeed(seed) {
+    window.location.assign(sessionUrl(window.location.href, seed))
+  }
+
+  // Play a generated or loaded map instead of the bundled one
+  function playScenario(tourData, scenarioBaseline = null) {
+    setTourSetup(tourData)
+    setBaseline(scenarioBaseline ?? baselineMetrics.level3)
+    setTrafficModel(null)
+    setPhase('shop')
+  }
+
+  // Without the route planning software there is only manual planning
+  function changeEquipment(ids) {
+    setEquipmentIds(ids)
+    if (!ids.includes(EQUIPMENT.ROUTE_SOFTWARE.id) && mode === 'auto') setMode(null)
+  }
+
   // Initialize traffic model when planning phase starts
   useEffect(() => {
     if (phase === 'plan' && !trafficModel) {
-      const model = generateTrafficModel(tourSetup.edges)
+      const model = generateTrafficModel(tourSetup.edges, sessionSeed)
       setTrafficModel(model)
     }
-  }, [phase, trafficModel])
+  }, [phase, trafficModel, sessionSeed, tourSetup])
+
+  // Proven optimum for the report: only one tour can be compared with the classic TSP
+  useEffect(() => {
+    if (phase !== 'report' || !report || report.vehicles) return undefined
+    setOptimality({ status: 'running', benchmark: null })
+    const benchmark = startOptimalityBenchmark(tourSetup, { seed: sessionSeed })
+    benchmark.result.then(({ benchmark: result, error, cancelled }) => {
+      if (cancelled) return
+      if (error) setOptimality({ status: 'error', benchmark: null })
+      else setOptimality({ status: result ? 'done' : 'unavailable', benchmark: result })
+    })
+    return () => benchmark.cancel()
+  }, [phase, report, sessionSeed, tourSetup])
 
-  // Reference metrics for comparison
-  const baseline = baselineMetrics.level3
+  
+  // Algorithms that can solve the current map (exact ones only for few addresses)
+  const availableAlgorithms = useMemo(() => {
+    const problem = createRoutingProblem(tourSetup)
+    return ALGORITHMS.filter(a => isAlgorithmAvailable(a, problem))
+  }, [tourSetup])
+  
+  // Fleet for automatic planning: one entry per vehicle, falls back to the selected vehicle
+  const fleet = useMemo(() => {
+    const selected = vehicles.flatMap(v => Array(fleetCounts[v.id] || 0).fill(v))
+    if (selected.length > 0) return selected
+    const vehicle = vehicles.find(v => v.id === vehicleId)
+    return vehicle ? [vehicle] : []
+  }, [fleetCounts, vehicleId])
+  
+  // Route colors on the map when several vehicles drive
+  const vehicleRoutes = useMemo(() => {
+    if (fleetRoutes.length <= 1) return null
+    return fleetRoutes.map((route, idx) => ({
+      edgeIds: route.edges.map(e => e.id),
+      color: VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length]
+    }))
+  }, [fleetRoutes])
+  
+  // While the optimizer searches, the map shows its best routes so far
+  const liveEdgeIds = useMemo(() => liveRoutes.flatMap(r => (r ? r.edges.map(e => e.id) : [])), [liveRoutes])
+  const liveVehicleRoutes = useMemo(() => {
+    if (fleet.length <= 1) return null
+    return liveRoutes.map((route, idx) => ({
+      edgeIds: route ? route.edges.map(e => e.id) : [],
+      color: VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length]
+    }))
+  }, [liveRoutes, fleet])
+  
+  // Fleet defaults to the chosen vehicle until the player adds more
+  function handleVehicleChange(id) {
+    setVehicleId(id)
+    if (fleet.length <= 1) setFleetCounts({ [id]: 1 })
+  }
   
   // Node lookup map for fast access
   const nodesById = useMemo(() => {
@@ -90,7 +244,53 @@ export default function App() {
       lookup[node.id] = node
     })
     return lookup
-  }, [])
+  }, [tourSetup])
+
+  // Same seed, same disruptions on the same map
+  const disruptions = useMemo(() => generateDisruptions(tourSetup, createSeededRandom(sessionSeed)), [tourSetup, sessionSeed])
+
+  // Node lookup for playing the tour back: urgent orders bring customers of their own
+  const playbackNodesById = useMemo(() => withUrgentCustomers(nodesById, report?.disruptions || []), [nodesById, report])
+
+  // Event logs of the simulated tour, one per vehicle (playback and report timeline)
+  const simulationRuns = useMemo(() => {
+    if (!report) return []
+    if (report.vehicles) {
+      return report.vehicles.map((v, idx) => ({
+        label: `Fahrzeug ${idx + 1}: ${v.vehicle.name}`,
+        color: VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length],
+        events: v.events
+      }))
+    }
+    return [{
+      label: (fleetRoutes[0]?.vehicle ?? vehicles.find(v => v.id === vehicleId)).name,
+      color: '#3b82f6',
+      events: report.events
+    }]
+  }, [report, fleetRoutes, vehicleId])
+
+  // Van position and road of the event selected in the report timeline
+  const timelineEvent = simulationRuns[timelineSelection.runIndex]?.events[timelineSelection.eventIndex] ?? null
+  const timelineMarkers = useMemo(() => {
+    const run = simulationRuns[timelineSelection.runIndex]
+    if (!run || !timelineEvent) return null
+    const state = getPlaybackState(run.events, (timelineEvent.timeMin + timelineEvent.endMin) / 2, playbackNodesById)
+    return [{ x: state.x, y: state.y, color: run.color, label: null, stopped: timelineEvent.type !== 'edge' }]
+  }, [simulationRuns, timelineSelection, timelineEvent, playbackNodesById])
+
+  function selectTimelineEvent(runIndex, eventIndex) {
+    const count = simulationRuns[runIndex]?.events.length ?? 0
+    setTimelineSelection({ runIndex, eventIndex: Math.max(0, Math.min(count - 1, eventIndex)) })
+  }
+
+  // Customers on the map (18 on the bundled one, any number on a generated one)
+  const addressCount = useMemo(() => tourSetup.nodes.filter(n => n.type === 'address').length, [tourSetup])
+
+  // Crates ordered by all customers together (decides if the van needs to reload)
+  const totalDemand = useMemo(() => {
+    const addressIds = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+    return calculateSequenceLoad(addressIds, nodesById)
+  }, [tourSetup, nodesById])
 
   /**
    * Handles overlapping nodes on the map
@@ -120,7 +320,7 @@ export default function App() {
     })
     
     return map
-  }, [])
+  }, [tourSetup])
 
   const depotNode = tourSetup.nodes.find(n => n.type === 'depot')
   const depotId = depotNode?.id
@@ -171,6 +371,11 @@ export default function App() {
 
       const startId = startAnchorIds.includes(edge.a) ? edge.a : edge.b
       const targetId = edge.a === startId ? edge.b : edge.a
+      const ruleMessage = checkDrivingRules(edge, startId, null, nodesById)
+      if (ruleMessage) {
+        setSelectionMessage(ruleMessage)
+        return
+      }
 
       // Check if addresses are on this edge (including overlapping nodes)
       const newVisited = new Set(visitedAddresses)
@@ -216,6 +421,12 @@ export default function App() {
         ? (currentCluster.includes(edge.a) ? edge.a : edge.b)
         : (startAnchorIds.includes(edge.a) ? edge.a : edge.b)
       const newEndNode = anchorId === edge.a ? edge.b : edge.a
+      // One-way streets and forbidden turns
+      const ruleMessage = checkDrivingRules(edge, anchorId, manualEdges[manualEdges.length - 1], nodesById)
+      if (ruleMessage) {
+        setSelectionMessage(ruleMessage)
+        return
+      }
       
       // Check if new addresses are visited
       const newVisited = new Set(visitedAddresses)
@@ -385,21 +596,15 @@ export default function App() {
    * arrival times accounting for travel time and traffic. Returns info needed
    * for displaying stop numbers and time windows on the map.
    * 
-   * Returns: [{ nodeId, stopNumber, arrivalMin, timeWindow }, ...]
+   * Time windows are the customers' own windows; arriving early means waiting.
+   * 
+   * Returns: [{ nodeId, stopNumber, arrivalMin, timeWindow, lateMin }, ...]
    */
   function calculateDeliveryTimes(sequence, edges, isManualPlanning = false) {
     const deliveryTimes = []
     const STOP_TIME_MIN = 7 // Time spent at each delivery
     const CONSTRUCTION_DELAY_MIN = 30 // Penalty for each construction zone passage
     
-    // Map arrival time (minutes from 7:00 AM) to delivery time window
-    // Windows: 7-8, 8-9, 9-10
-    function getTimeWindow(minutes) {
-      if (minutes <= 60) return '7-8'
-      if (minutes <= 120) return '8-9'
-      return '9-10'
-    }
-    
     if (!sequence || sequence.length === 0) {
       return deliveryTimes
     }
@@ -472,17 +677,19 @@ export default function App() {
           
           const stopNumber = nextAddressIndex + 1
           const arrivalMin = Math.round(currentTime)
-          const timeWindow = getTimeWindow(arrivalMin)
+          // Every customer has an own delivery window, early arrivals wait
+          const window = getCustomerWindow(nodesById[addressId])
           
           deliveryTimes.push({
             nodeId: addressId,
             stopNumber,
             arrivalMin,
-            timeWindow
+            timeWindow: formatTimeWindow(window),
+            lateMin: Math.max(0, arrivalMin - window.end)
           })
           
-          // Add stop time after recording arrival
-          currentTime += STOP_TIME_MIN
+          // Add waiting and stop time after recording arrival
+          currentTime = Math.max(currentTime, window.start) + STOP_TIME_MIN
           nextAddressIndex++
         } else {
           // This address is not at this edge, stop looking
@@ -524,585 +731,205 @@ export default function App() {
     }
   }
 
-  // Swap two delivery stops and recalculate the entire route
+  // Swap two delivery stops and recalculate the affected routes.
+  // Both stops may belong to different vehicles - then they trade customers.
   async function swapNodesAndRecalculate(nodeA, nodeB) {
-    const indexA = addressSequence.indexOf(nodeA)
-    const indexB = addressSequence.indexOf(nodeB)
+    const locate = (nodeId) => {
+      for (let r = 0; r < fleetRoutes.length; r++) {
+        const trips = fleetRoutes[r].trips || [fleetRoutes[r].sequence]
+        for (let t = 0; t < trips.length; t++) {
+          const pos = trips[t].indexOf(nodeId)
+          if (pos !== -1) return { r, t, pos }
+        }
+      }
+      return null
+    }
+    const locA = locate(nodeA)
+    const locB = locate(nodeB)
     
-    if (indexA === -1 || indexB === -1) {
+    if (!locA || !locB) {
       setSelectedNodesForSwap([])
       return
     }
     
-    // Swap the two addresses in the delivery sequence
-    const newSequence = [...addressSequence]
-    newSequence[indexA] = nodeB
-    newSequence[indexB] = nodeA
-    
-    // Recalculate route with new sequence
-    // Use same pathfinding logic as generateAutoRoute Phase 3
     setAutoGenerating(true)
     setSelectedNodesForSwap([])
     
-    // Use same logic as generateAutoRoute Phase 3
-    const edgesForRoute = []
-    let currentPos = depotId
-    
-    // First: depot to first address
-    const depotCluster = getCluster(depotId)
-    const firstAddrCluster = getCluster(newSequence[0])
-    
-    let firstEdge = null
-    for (const depotNode of depotCluster) {
-      for (const targetNode of firstAddrCluster) {
-        firstEdge = tourSetup.edges.find(ed =>
-          (ed.a === depotNode && ed.b === targetNode) ||
-          (ed.b === depotNode && ed.a === targetNode)
-        )
-        if (firstEdge) break
-      }
-      if (firstEdge) break
-    }
-    
-    if (firstEdge) {
-      edgesForRoute.push(firstEdge)
-      currentPos = newSequence[0]
-    } else {
-      // No direct edge - use pathfinding to find detour
-      const fromJunction = depotCluster.find(id => nodesById[id]?.type === 'junction') || depotCluster[0]
-      const toJunction = firstAddrCluster.find(id => nodesById[id]?.type === 'junction') || firstAddrCluster[0]
-      const path = findDetour(fromJunction, toJunction, new Set())
-      if (path && path.length > 0) {
-        edgesForRoute.push(...path)
-        currentPos = newSequence[0]
-      }
-    }
-    
-    // Collect blocked edges (construction zones) to avoid in routing
-    const blockedEdgeIds = new Set()
-    tourSetup.edges.forEach(e => {
-      if (e.blocked) {
-        blockedEdgeIds.add(e.id)
-      }
-    })
+    // Swap the two addresses in the delivery trips
+    const newRoutes = fleetRoutes.map(route => ({
+      ...route,
+      trips: (route.trips || [route.sequence]).map(trip => [...trip])
+    }))
+    newRoutes[locA.r].trips[locA.t][locA.pos] = nodeB
+    newRoutes[locB.r].trips[locB.t][locB.pos] = nodeA
     
-    // Route between consecutive addresses in the sequence
-    for (let i = 1; i < newSequence.length; i++) {
-      const from = currentPos
-      const to = newSequence[i]
-      const fromCluster = getCluster(from)
-      const toCluster = getCluster(to)
-      
-      let directEdge = null
-      for (const fromNode of fromCluster) {
-        for (const toNode of toCluster) {
-          directEdge = tourSetup.edges.find(ed =>
-            ((ed.a === fromNode && ed.b === toNode) ||
-            (ed.b === fromNode && ed.a === toNode)) &&
-            !ed.blocked
-          )
-          if (directEdge) break
-        }
-        if (directEdge) break
+    // Rebuild the edge chains of the changed routes
+    for (const r of new Set([locA.r, locB.r])) {
+      const route = newRoutes[r]
+      route.sequence = route.trips.flat()
+      // Swapped in a bigger order: split the tour again where the van runs empty
+      const overloaded = route.trips.some(trip => !fitsCapacity(calculateSequenceLoad(trip, nodesById), route.vehicle))
+      if (overloaded) {
+        route.trips = splitIntoTrips(route.sequence, nodesById, route.vehicle)
       }
       
-      if (directEdge) {
-        edgesForRoute.push(directEdge)
-        currentPos = to
-      } else {
-        const fromJunction = fromCluster.find(id => nodesById[id]?.type === 'junction') || fromCluster[0]
-        const toJunction = toCluster.find(id => nodesById[id]?.type === 'junction') || toCluster[0]
-        const path = findDetour(fromJunction, toJunction, blockedEdgeIds)
-        if (path && path.length > 0) {
-          edgesForRoute.push(...path)
-          currentPos = to
-        }
-      }
-    }
-    
-    // Final leg: return to depot from last delivery
-    const lastCluster = getCluster(currentPos)
-    const depotReturnCluster = getCluster(depotId)
-    
-    let returnEdge = null
-    for (const fromNode of lastCluster) {
-      for (const depotNode of depotReturnCluster) {
-        returnEdge = tourSetup.edges.find(ed =>
-          ((ed.a === fromNode && ed.b === depotNode) ||
-          (ed.b === fromNode && ed.a === depotNode)) &&
-          !ed.blocked
-        )
-        if (returnEdge) break
-      }
-      if (returnEdge) break
-    }
-    
-    if (returnEdge) {
-      edgesForRoute.push(returnEdge)
-    } else {
-      const fromJunction = lastCluster.find(id => nodesById[id]?.type === 'junction') || lastCluster[0]
-      const depotJunction = depotReturnCluster.find(id => nodesById[id]?.type === 'junction') || depotReturnCluster[0]
-      const path = findDetour(fromJunction, depotJunction, blockedEdgeIds)
-      if (path && path.length > 0) {
-        edgesForRoute.push(...path)
+      // Same routing as the planner: fastest ways for time-dependent objectives
+      const routing = objective !== 'distance' && trafficModel ? { trafficModel } : {}
+      const { edges, error } = buildRouteEdges(joinTrips(route.trips, depotId), tourSetup, routing)
+      if (error) {
+        setAutoRouteError(error)
+        setAutoGenerating(false)
+        return
       }
+      newRoutes[r].edges = edges
+      newRoutes[r].metrics = createObjective(objective, { network: getRoadNetwork(tourSetup), trafficModel, vehicle: route.vehicle })
+        .evaluate(joinTrips(route.trips, depotId), depotId, { nodesById })
     }
     
-    // Keep all edges including duplicates (route can use same edge multiple times)
-    const routeEdges = edgesForRoute
-    
-    // Calculate total distance for the new route
-    // Calculate metrics
-    const visited = new Set(newSequence)
-    let totalKm = 0
-    routeEdges.forEach(edge => {
-      const a = nodesById[edge.a]
-      const b = nodesById[edge.b]
-      if (a && b) {
-        const lengthKm = edge.lengthKm || (euclideanDistance(a.x, a.y, b.x, b.y) * 0.01)
-        totalKm += lengthKm
-      }
-    })
+    applyFleetRoutes(newRoutes)
+    setAutoGenerating(false)
+  }
+
+  // Store the planned routes and derive the combined map state from them
+  function applyFleetRoutes(routes) {
+    const routeEdges = routes.flatMap(r => r.edges)
     
-    // Update all route-related state with the recalculated values
-    const edgeIds = routeEdges.map(e => e.id)
+    setFleetRoutes(routes)
     setAutoRouteEdges(routeEdges)
-    setSelectedEdgeIds(edgeIds)
-    setAddressSequence(newSequence)
+    setSelectedEdgeIds(routeEdges.map(e => e.id))
+    setAddressSequence(routes.flatMap(r => r.sequence)) // Save the sequence for manual adjustment
     
-    // Recalculate delivery times for new sequence
-    const deliveryInfo = calculateDeliveryTimes(newSequence, routeEdges, false)
+    // Arrival times and time windows for map display, stop numbers per vehicle
+    const deliveryInfo = routes.flatMap((route, idx) => {
+      const times = calculateDeliveryTimes(route.sequence, route.edges, false)
+      if (routes.length <= 1) return times
+      const color = VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length]
+      return times.map(d => ({ ...d, color }))
+    })
     setDeliveryTimes(deliveryInfo)
-    
-    setAutoGenerating(false)
   }
 
   /**
-   * Generate optimized route automatically using multiple strategies
+   * Generate optimized routes automatically for the selected fleet
    * 
-   * Phase 1: Generate candidate routes using Clarke-Wright, Nearest Neighbor, and random sampling
-   * Phase 2: Optimize each candidate with Lin-Kernighan-Helsgaun algorithm
-   * Phase 3: Map best route to actual edges, handling coincident nodes and blocked edges
-   * Phase 4: Calculate metrics and update state
+   * Clarke-Wright assigns the addresses to the vehicles, then every tour is
+   * optimized with Lin-Kernighan-Helsgaun on top of Nearest Neighbor and
+   * random candidates and mapped to actual edges (see AutoRoutePlanner).
+   * The work runs in a Web Worker, so the map stays usable meanwhile.
    */
   async function generateAutoRoute() {
     setAutoGenerating(true)
     setAutoRouteError(null)
+    setAutoProgress(null)
+    setLiveRoutes([])
+    setConvergence([])
     
     try {
-      // Phase 1: Build initial route candidates
-      const startTime1 = performance.now()
-      
-      const candidates = []
-      
-      const allAddresses = tourSetup.nodes
-        .filter(n => n.type === 'address')
-        .map(n => n.id)
-      
-      // Import network distance calculator for route evaluation
-      // Uses actual road network instead of straight-line distance
-      const { calculateNetworkDistance } = await import('./algorithms/networkDistance.js')
-      const nodesById = {}
-      tourSetup.nodes.forEach(n => { nodesById[n.id] = n })
-      const depotId = tourSetup.nodes.find(n => n.type === 'depot').id
-      
-      // Collect blocked edges to avoid them in route planning
-      const blockedEdgeIds = new Set()
-      tourSetup.edges.forEach(e => {
-        if (e.blocked) {
-          blockedEdgeIds.add(e.id)
+      const optimization = startRouteOptimization(tourSetup, fleet, {
+        timeWindows: timeWindowMode,
+        objective,
+        trafficModel,
+        timeBudgetMs: timeBudgetSec * 1000,
+        seed: sessionSeed
+      }, {
+        onProgress: setAutoProgress,
+        onImprovement: ({ vehicleIndex, edges, distanceKm, iteration }) => {
+          setLiveRoutes(prev => {
+            const next = [...prev]
+            next[vehicleIndex] = { edges, distanceKm }
+            return next
+          })
+          setConvergence(prev => [...prev, { vehicleIndex, iteration, distanceKm }])
         }
       })
+      optimizationRef.current = optimization
+      const { routes, error, cancelled } = await optimization.result
+      optimizationRef.current = null
       
-      // Strategy 1: Clarke-Wright savings heuristic (classic TSP approach)
-      const cwSequence = clarkeWrightSavings(tourSetup)
-      candidates.push(cwSequence)
-      
-      // Strategy 2: Nearest neighbor from each possible starting address
-      // Greedy approach that can find different local optima
-      for (const startAddr of allAddresses) {
-        const route = []
-        const remaining = allAddresses.filter(a => a !== startAddr)
-        route.push(startAddr)
-        
-        let current = startAddr
-        while (remaining.length > 0) {
-          // Find nearest unvisited address
-          let nearestDist = Infinity
-          let nearestAddr = null
-          for (const addr of remaining) {
-            const dist = calculateNetworkDistance(current, addr)
-            if (dist < nearestDist) {
-              nearestDist = dist
-              nearestAddr = addr
-            }
-          }
-          route.push(nearestAddr)
-          remaining.splice(remaining.indexOf(nearestAddr), 1)
-          current = nearestAddr
-        }
-        candidates.push(route)
-      }
-      
-      // Strategy 3: Random sampling for diversity (helps escape local optima)
-      for (let i = 0; i < 2000; i++) {
-        const shuffled = [...allAddresses]
-        for (let j = shuffled.length - 1; j > 0; j--) {
-          const k = Math.floor(Math.random() * (j + 1))
-          ;[shuffled[j], shuffled[k]] = [shuffled[k], shuffled[j]]
-        }
-        candidates.push(shuffled)
-      }
-      
-      const time1 = performance.now() - startTime1
-      
-      // Phase 2: Optimize candidates with Lin-Kernighan-Helsgaun
-      // LKH is a variable-depth k-opt algorithm with candidate sets
-      const startTime2 = performance.now()
-      
-      const optimizedCandidates = []
-      
-      // Helper: Calculate total network distance for a complete route
-      // Includes depot → first address → ... → last address → depot
-      const calculateRouteDistance = (route) => {
-        let total = calculateNetworkDistance(depotId, route[0])
-        for (let i = 0; i < route.length - 1; i++) {
-          total += calculateNetworkDistance(route[i], route[i + 1])
-        }
-        total += calculateNetworkDistance(route[route.length - 1], depotId)
-        return total
-      }
-      
-      
-      // Import LKH optimization algorithm
-      const { linKernighanHelsgaun } = await import('./algorithms/linKernighanHelsgaun.js')
-      
-      // Track all optimized routes to find global best
-      const allRoutes = []
-      
-      for (let i = 0; i < candidates.length; i++) {
-        if (i % 200 === 0 || i === candidates.length - 1) {
-        }
-        
-        let sequence = candidates[i]
-        
-        // Apply Lin-Kernighan-Helsgaun algorithm
-        // This is a variable-depth k-opt with candidate sets and don't-look bits
-        sequence = linKernighanHelsgaun(sequence, depotId)
-        
-        const dist = calculateRouteDistance(sequence)
-        allRoutes.push({ sequence: [...sequence], dist })
-        
-        // Also optimize reversed tour (different topology may lead to different optimum)
-        const reversedSequence = [...candidates[i]].reverse()
-        const optimizedReversed = linKernighanHelsgaun(reversedSequence, depotId)
-        const distReversed = calculateRouteDistance(optimizedReversed)
-        allRoutes.push({ sequence: [...optimizedReversed], dist: distReversed })
-      }
-      
-      // Select the route with minimum total distance
-      allRoutes.sort((a, b) => a.dist - b.dist)
-      const absoluteBest = allRoutes[0]
-      
-      
-      const optimizedSequence = absoluteBest.sequence
-      const time2 = performance.now() - startTime2
-      
-      // Phase 3: Map optimized sequence to actual graph edges
-      // Handle coincident nodes and find paths around blocked edges
-      const edgesForRoute = []
-      let currentPos = depotId
-      
-      // Route from depot to first address
-      // Must check all coincident nodes for possible direct connections
-      const depotCluster = getCluster(depotId)
-      const firstAddrCluster = getCluster(optimizedSequence[0])
-      
-      // Try to find direct edge (also via coincident nodes)
-      let firstEdge = null
-      for (const depotNode of depotCluster) {
-        for (const targetNode of firstAddrCluster) {
-          firstEdge = tourSetup.edges.find(ed =>
-            (ed.a === depotNode && ed.b === targetNode) ||
-            (ed.b === depotNode && ed.a === targetNode)
-          )
-          if (firstEdge) break
-        }
-        if (firstEdge) break
-      }
-      
-      if (firstEdge) {
-        edgesForRoute.push(firstEdge)
-        // Update current position by following the edge to the target cluster
-        if (firstAddrCluster.includes(firstEdge.a)) {
-          currentPos = firstEdge.a
-        } else if (firstAddrCluster.includes(firstEdge.b)) {
-          currentPos = firstEdge.b
-        } else {
-          currentPos = firstAddrCluster[0]
-        }
-      } else {
-        // No direct edge found - search for shortest detour
-        // Try all combinations between depot and first address clusters
-        let bestPath = null
-        let bestStartNode = null
-        
-        for (const depotNode of depotCluster) {
-          for (const targetNode of firstAddrCluster) {
-            const path = findDetour(depotNode, targetNode, new Set())
-            if (path && path.length > 0) {
-              if (!bestPath || path.length < bestPath.length) {
-                bestPath = path
-                bestStartNode = depotNode
-              }
-            }
-          }
-        }
-        
-        if (bestPath && bestPath.length > 0) {
-          edgesForRoute.push(...bestPath)
-          // Follow the edge chain
-          let trackingPos = bestStartNode
-          for (const edge of bestPath) {
-            if (edge.a === trackingPos) {
-              trackingPos = edge.b
-            } else if (edge.b === trackingPos) {
-              trackingPos = edge.a
-            }
-          }
-          currentPos = trackingPos
-        } else {
-          // Should never happen if graph is connected
-          setAutoRouteError(`Keine Route vom Depot zur ersten Adresse ${optimizedSequence[0]}`)
-          setAutoGenerating(false)
-          return
-        }
-      }
-      
-      // Route between all consecutive addresses in sequence
-      for (let i = 1; i < optimizedSequence.length; i++) {
-        const from = optimizedSequence[i - 1]
-        const to = optimizedSequence[i]
-        
-        // Use actual current position cluster (may differ from 'from' due to coincident nodes)
-        const currentPosCluster = getCluster(currentPos)
-        const toCluster = getCluster(to)
-        
-        // Try to find direct unblocked edge between clusters
-        let directEdge = null
-        
-        for (const fromNode of currentPosCluster) {
-          for (const toNode of toCluster) {
-            directEdge = tourSetup.edges.find(ed =>
-              ((ed.a === fromNode && ed.b === toNode) ||
-              (ed.b === fromNode && ed.a === toNode)) &&
-              !ed.blocked  // Skip blocked edges
-            )
-            if (directEdge) {
-              break
-            }
-          }
-          if (directEdge) break
-        }
-        
-        if (directEdge) {
-          edgesForRoute.push(directEdge)
-          // Update position by identifying which endpoint is in the target cluster
-          if (toCluster.includes(directEdge.a)) {
-            currentPos = directEdge.a
-          } else if (toCluster.includes(directEdge.b)) {
-            currentPos = directEdge.b
-          } else {
-            // Fallback: try to find any node in toCluster that connects
-            currentPos = toCluster[0]
-          }
-        } else {
-          // No direct edge - find shortest detour path avoiding blocked edges
-          let bestPath = null
-          let bestStartNode = null
-          let bestEndNode = null
-          
-          for (const fromNode of currentPosCluster) {
-            for (const toNode of toCluster) {
-              const path = findDetour(fromNode, toNode, blockedEdgeIds)
-              if (path && path.length > 0) {
-                if (!bestPath || path.length < bestPath.length) {
-                  bestPath = path
-                  bestStartNode = fromNode
-                  bestEndNode = toNode
-                }
-              }
-            }
-          }
-          
-          if (bestPath && bestPath.length > 0) {
-            edgesForRoute.push(...bestPath)
-            // Track position through the detour by following edges
-            let trackingPos = bestStartNode
-            for (const edge of bestPath) {
-              if (edge.a === trackingPos) {
-                trackingPos = edge.b
-              } else if (edge.b === trackingPos) {
-                trackingPos = edge.a
-              } else {
-              }
-            }
-            currentPos = trackingPos
-          } else {
-            // Graph may be disconnected or all paths blocked
-            setAutoRouteError(`Keine Route gefunden zwischen ${from} und ${to}`)
-            setAutoGenerating(false)
-            return
-          }
-        }
-      }
-      
-      // Final leg: route from last delivery back to depot
-      const lastCluster = getCluster(currentPos)
-      const depotReturnCluster = getCluster(depotId)
-      // Search for direct unblocked edge back to depot
-      let returnEdge = null
-      for (const fromNode of lastCluster) {
-        for (const depotNode of depotReturnCluster) {
-          returnEdge = tourSetup.edges.find(ed =>
-            ((ed.a === fromNode && ed.b === depotNode) ||
-            (ed.b === fromNode && ed.a === depotNode)) &&
-            !ed.blocked  // Skip blocked edges
-          )
-          if (returnEdge) break
-        }
-        if (returnEdge) break
-      }
-      
-      if (returnEdge) {
-        edgesForRoute.push(returnEdge)
-      } else {
-        // Find detour back to depot if no direct edge available
-        let bestPath = null
-        let bestStartNode = null
-        let bestEndNode = null
-        
-        for (const fromNode of lastCluster) {
-          for (const depotNode of depotReturnCluster) {
-            const path = findDetour(fromNode, depotNode, blockedEdgeIds)
-            if (path && path.length > 0) {
-              if (!bestPath || path.length < bestPath.length) {
-                bestPath = path
-                bestStartNode = fromNode
-                bestEndNode = depotNode
-              }
-            }
-          }
-        }
-        
-        if (bestPath && bestPath.length > 0) {
-          edgesForRoute.push(...bestPath)
-          const totalDist = bestPath.reduce((sum, e) => sum + (e.lengthKm || 0), 0)
-        } else {
-          // Should not happen in connected graph
-          setAutoRouteError(`Keine Rückroute zum Depot gefunden`)
-          setAutoGenerating(false)
-          return
-        }
+      if (cancelled) {
+        setAutoGenerating(false)
+        return
       }
       
-      // Phase 4: Calculate route metrics (distance, time, visited addresses)
-      const visited = new Set(optimizedSequence)
-      
-      // Preserve all edges including duplicates (realistic routing)
-      // Same road segment can be traversed multiple times
-      const routeEdges = edgesForRoute
-      
-      
-      let totalKm = 0
-      let driveTimeMin = 0
-      let currentTime = 0 // Start at 7:00
-      
-      // Track addresses visited to add stop times
-      const visitedInOrder = []
-      
-      routeEdges.forEach(edge => {
-        const a = nodesById[edge.a]
-        const b = nodesById[edge.b]
-        if (a && b) {
-          const lengthKm = edge.lengthKm || (euclideanDistance(a.x, a.y, b.x, b.y) * 0.01)
-          totalKm += lengthKm
-          
-          // Calculate drive time using traffic model (planning mode - deterministic)
-          // Real simulation will use stochastic traffic
-          if (trafficModel && trafficModel.edges[edge.id]) {
-            const travelTime = calculateTravelTime(edge, trafficModel, currentTime, false) // Planning mode
-            driveTimeMin += travelTime
-            currentTime += travelTime
-          } else {
-            // Fallback: 30 km/h
-            const travelTime = (lengthKm / 30) * 60
-            driveTimeMin += travelTime
-            currentTime += travelTime
-          }
-          
-          // Add stop time when visiting addresses (7 minutes per delivery)
-          if (a.type === 'address' && optimizedSequence.includes(a.id) && !visitedInOrder.includes(a.id)) {
-            visitedInOrder.push(a.id)
-            currentTime += 7 // Add 7 min stop time
-          }
-          if (b.type === 'address' && optimizedSequence.includes(b.id) && !visitedInOrder.includes(b.id)) {
-            visitedInOrder.push(b.id)
-            currentTime += 7 // Add 7 min stop time
-          }
-        }
-      })
-      
-      const stopTimeMin = visited.size * 7
-      const totalTimeMin = stopTimeMin + driveTimeMin
-      
-      const baselineKm = 27.00
-      const targetKm = 25.00
-      
-      
-      const improvement = baselineKm - totalKm
-      const improvementPct = (improvement / baselineKm * 100)
-      
-      if (totalKm <= targetKm) {
-      } else {
+      if (error) {
+        setAutoRouteError(error)
+        setAutoGenerating(false)
+        return
       }
       
-      // Update all state with the generated route
-      const edgeIds = routeEdges.map(e => e.id)
+      const visited = new Set(routes.flatMap(r => r.sequence))
       
-      setAutoRouteEdges(routeEdges)
-      setSelectedEdgeIds(edgeIds)
+      applyFleetRoutes(routes)
       setVisitedAddresses(visited)
       setCurrentEndNode(depotId)
       setAutoRouteGenerated(true)
       setAutoGenerating(false)
-      setAddressSequence([...optimizedSequence]) // Save the sequence for manual adjustment
-      
-      // Calculate detailed delivery info (arrival times, time windows) for map display
-      const deliveryInfo = calculateDeliveryTimes(optimizedSequence, routeEdges, false)
-      setDeliveryTimes(deliveryInfo)
       
       // Warn if not all addresses were reached
-      if (visited.size < 18) {
-        const missing = 18 - visited.size
+      const totalAddresses = tourSetup.nodes.filter(n => n.type === 'address').length
+      if (visited.size < totalAddresses) {
+        const missing = totalAddresses - visited.size
         setAutoRouteError(`Achtung: ${missing} Adresse(n) nicht erreichbar.`)
       }
       
-      
     } catch (error) {
       setAutoRouteError(`Fehler: ${error.message}`)
       setAutoGenerating(false)
     }
   }
 
+  // Stop the running optimization, nothing is applied
+  function cancelAutoRoute() {
+    optimizationRef.current?.cancel()
+  }
+
+  // Run the chosen algorithms on the map and simulate each result
+  async function compareSelectedAlgorithms() {
+    const ids = availableAlgorithms.map(a => a.id).filter(id => comparisonIds.includes(id))
+    setComparison({ running: true, rows: [], error: null })
+    const params = Object.fromEntries(ids.map(id => [id, { ...algorithmParams[id], seed: algorithmSeed }]))
+    const run = startAlgorithmComparison(tourSetup, ids, { vehicle: fleet[0], trafficModel, baseline, params }, {
+      onResult: (row) => setComparison(prev => ({ ...prev, rows: [...prev.rows, row] }))
+    })
+    comparisonRef.current = run
+    const { rows, error, cancelled } = await run.result
+    comparisonRef.current = null
+    setComparison(prev => ({ running: false, rows: cancelled ? prev.rows : rows, error }))
+  }
+
+  // Drive the simulated plan many times through varying traffic
+  async function runMonteCarlo() {
+    const runs = Math.min(1000, Math.max(10, Math.round(Number(monteCarloRuns) || 200)))
+    setMonteCarloRuns(runs)
+    setMonteCarlo({ running: true, progress: null, summary: null, error: null })
+    const run = startMonteCarlo(simulationPlan, tourSetup, baseline, trafficModel, { runs, seed: monteCarloSeed }, {
+      onProgress: (progress) => setMonteCarlo(prev => ({ ...prev, progress }))
+    })
+    monteCarloRef.current = run
+    const { summary, error, cancelled } = await run.result
+    monteCarloRef.current = null
+    setMonteCarlo({ running: false, progress: null, summary: cancelled ? null : summary, error })
+  }
+
+  function toggleComparisonAlgorithm(id) {
+    setComparisonIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]))
+  }
+
+  function changeAlgorithmParam(algorithmId, paramId, value) {
+    setAlgorithmParams(prev => ({ ...prev, [algorithmId]: { ...prev[algorithmId], [paramId]: value } }))
+  }
+
   // Clear auto-generated route and return to initial planning state
   function resetAutoRoute() {
     setAutoRouteGenerated(false)
     setAutoRouteEdges([])
+    setFleetRoutes([])
     setSelectedEdgeIds([])
     setVisitedAddresses(new Set())
     setCurrentEndNode(null)
     setAutoRouteError(null)
+    setLiveRoutes([])
+    setConvergence([])
   }
 
   /**
@@ -1137,10 +964,61 @@ export default function App() {
     const isAutoRoute = mode === 'auto'
     const plannedDeliveryTimes = mode === 'manual' ? deliveryTimes : null
     
-    const res = simulateRoute(edgesForSim, vehicle, tourSetup, baseline, trafficModel, isAutoRoute, plannedDeliveryTimes)
+    // Disruptions: the GPS tracker re-plans at every one, otherwise the player decides in the playback
+    const disruptionOptions = disruptionsEnabled ? { disruptions, replan: gpsTracker ? true : [] } : null
+    
+    // Several vehicles: simulate each tour and aggregate fleet totals
+    const plan = isAutoRoute && fleetRoutes.length > 1
+      ? { routes: fleetRoutes, disruptions: disruptionOptions, equipment: equipmentIds }
+      : {
+          edges: edgesForSim,
+          vehicle: isAutoRoute ? fleetRoutes[0]?.vehicle ?? vehicle : vehicle,
+          isAutoRoute,
+          plannedDeliveryTimes,
+          stopOrder: isAutoRoute ? fleetRoutes[0]?.sequence ?? null : null,
+          disruptions: disruptionOptions,
+          equipment: equipmentIds
+        }
+    const res = simulatePlan(plan)
+    monteCarloRef.current?.cancel()
+    setMonteCarlo({ running: false, progress: null, summary: null, error: null })
+    setSimulationPlan(plan)
     setPlannedRoute(edgesForSim)
     setReport(res)
-    setPhase('report')
+    setTimelineSelection({ runIndex: 0, eventIndex: 0 })
+    setPhase('simulate')
+  }
+
+  // One run of a plan with the planning traffic (plan as for simulateMonteCarlo)
+  function simulatePlan(plan) {
+    const result = plan.routes
+      ? simulateFleet(plan.routes, tourSetup, baseline, trafficModel, null, plan.disruptions)
+      : simulateRoute(plan.edges, plan.vehicle, tourSetup, baseline, trafficModel,
+        plan.isAutoRoute, plan.plannedDeliveryTimes, plan.stopOrder, null, plan.disruptions)
+    return applyEquipment(result, plan.equipment ?? [], baseline)
+  }
+
+  // The plan with the player re-planning at one more disruption
+  function withReplanAt(plan, disruptionId) {
+    return { ...plan, disruptions: { ...plan.disruptions, replan: [...plan.disruptions.replan, disruptionId] } }
+  }
+
+  /**
+   * The player re-plans the rest of the tour at a disruption of the playback.
+   * The simulation is deterministic, so running it again with that decision
+   * changes nothing before the disruption and the playback just goes on.
+   */
+  function replanAtDisruption(disruptionId) {
+    if (!simulationPlan?.disruptions || simulationPlan.disruptions.replan === true) return
+    const plan = withReplanAt(simulationPlan, disruptionId)
+    setSimulationPlan(plan)
+    setReport(simulatePlan(plan))
+  }
+
+  // Sticking to the plan vs. re-planning at a disruption, both for the whole tour
+  function compareReplan(disruptionId) {
+    if (!simulationPlan?.disruptions || simulationPlan.disruptions.replan === true) return null
+    return { kept: report, replanned: simulatePlan(withReplanAt(simulationPlan, disruptionId)) }
   }
 
   return (
@@ -1159,7 +1037,7 @@ export default function App() {
               Hindernisse automatisch berücksichtigt.
             </p>
             <p>
-              <strong>Ihre Aufgabe:</strong> Planen Sie eine Tour für 18 Kunden im Zustellfenster von 07:00 bis 10:00 Uhr. 
+              <strong>Ihre Aufgabe:</strong> Planen Sie eine Tour für {addressCount} Kunden im Zustellfenster von 07:00 bis 10:00 Uhr. 
               Nutzen Sie die Software oder planen Sie weiterhin manuell.
             </p>
             <div className="baseline-box">
@@ -1172,16 +1050,57 @@ export default function App() {
               </ul>
             </div>
           </div>
-          <button className="button primary" onClick={() => setPhase('select')}>Lernstufe starten</button>
+          <SessionSeedPanel seed={sessionSeed} shareUrl={sessionUrl(window.location.href, sessionSeed)} onChange={changeSessionSeed} />
+          <ScenarioFilePanel tourData={tourSetup} baseline={baseline} onLoad={playScenario} />
+          <button className="button primary" onClick={() => setPhase('shop')}>Lernstufe starten</button>
+          <button className="button secondary" onClick={() => setPhase('scenario')}>Neues Szenario</button>
+          <button className="button secondary" onClick={() => setPhase('editor')}>Karte bearbeiten</button>
+        </div>
+      )}
+
+      {phase === 'scenario' && (
+        <div className="panel">
+          <h2>Neues Szenario</h2>
+          <ScenarioGenerator seed={sessionSeed} baseline={baseline} onPlay={playScenario} onCancel={() => setPhase('intro')} />
+        </div>
+      )}
+
+      {phase === 'editor' && (
+        <div className="panel">
+          <h2>Karte bearbeiten</h2>
+          <ScenarioEditor tourData={tourSetup} baseline={baseline} onPlay={playScenario} onCancel={() => setPhase('intro')} />
+        </div>
+      )}
+
+      {phase === 'shop' && (
+        <div className="panel">
+          <h2>Ausstattung kaufen</h2>
+          <p>
+            Bevor Sie planen, können Sie Ihren Betrieb ausstatten. Das Budget reicht nicht für alles – überlegen Sie,
+            was Ihnen bei Baustellen, Störungen und der CO₂-Bilanz am meisten hilft.
+          </p>
+          <EquipmentShop value={equipmentIds} onChange={changeEquipment} budget={EQUIPMENT_BUDGET} />
+          <button className="button primary" onClick={() => setPhase('select')}>Weiter zur Fahrzeugwahl</button>
         </div>
       )}
 
       {phase === 'select' && (
         <div className="panel">
           <h2>Fahrzeug wählen</h2>
-          <VehicleSelector vehicles={vehicles} value={vehicleId} onChange={setVehicleId} />
+          <VehicleSelector vehicles={vehicles} value={vehicleId} onChange={handleVehicleChange} />
           <h2>Planungsmodus</h2>
-          <ModeSelector value={mode} onChange={setMode} />
+          <ModeSelector value={mode} onChange={setMode} autoAvailable={autoAvailable} />
+          {mode === 'auto' && vehicleId && (
+            <>
+              <h2>Fuhrpark</h2>
+              <FleetSelector
+                vehicles={vehicles}
+                counts={fleetCounts}
+                maxVehicles={FLEET_SIZE}
+                onChange={setFleetCounts}
+              />
+            </>
+          )}
           <button
             className="button"
             onClick={() => setPhase('plan')}
@@ -1193,7 +1112,7 @@ export default function App() {
       )}
 
       {phase === 'plan' && mode === 'manual' && (() => {
-        const allAddressesVisited = visitedAddresses.size === 18
+        const allAddressesVisited = visitedAddresses.size === addressCount
         const isBackAtDepot = currentEndNode
           ? getCluster(currentEndNode).some(id => startAnchorIds.includes(id))
           : false
@@ -1215,10 +1134,10 @@ export default function App() {
                 }}>
                   <strong>Fortschritt:</strong>
                   <div style={{ marginTop: '8px' }}>
-                    Besuchte Adressen: <strong>{visitedAddresses.size}/18</strong>
-                    {visitedAddresses.size < 18 && ' (noch nicht alle Adressen besucht)'}
+                    Besuchte Adressen: <strong>{visitedAddresses.size}/{addressCount}</strong>
+                    {visitedAddresses.size < addressCount && ' (noch nicht alle Adressen besucht)'}
                   </div>
-                  {visitedAddresses.size === 18 && currentEndNode !== depotId && (
+                  {visitedAddresses.size === addressCount && currentEndNode !== depotId && (
                     <div style={{ marginTop: '4px', color: '#d97706' }}>
                       Fahren Sie zurück zum Depot
                     </div>
@@ -1228,6 +1147,15 @@ export default function App() {
                       Route vollständig - bereit für Simulation
                     </div>
                   )}
+                  {(() => {
+                    const vehicle = vehicles.find(v => v.id === vehicleId)
+                    if (!vehicle || fitsCapacity(totalDemand, vehicle)) return null
+                    return (
+                      <div style={{ marginTop: '4px', color: '#d97706' }}>
+                        Ladung: {totalDemand.boxes} Kisten, Ihr Fahrzeug fasst nur {vehicle.maxBoxes}. Fahren Sie zwischendurch zum Nachladen ins Depot.
+                      </div>
+                    )
+                  })()}
                 </div>
                 
                 {(() => {
@@ -1331,12 +1259,18 @@ export default function App() {
                 {selectionMessage}
               </div>
             )}
+            <DisruptionPanel
+              enabled={disruptionsEnabled}
+              onEnabledChange={setDisruptionsEnabled}
+              gpsTracker={gpsTracker}
+              disruptions={disruptions}
+            />
             <div style={{ display: 'flex', gap: '10px', marginTop: '16px' }}>
               <button
                 className="button primary"
                 onClick={runSimulation}
                 disabled={!canStartSimulation}
-                title={!canStartSimulation ? 'Besuchen Sie alle 18 Adressen und kehren Sie zum Depot zurück' : ''}
+                title={!canStartSimulation ? `Besuchen Sie alle ${addressCount} Adressen und kehren Sie zum Depot zurück` : ''}
               >
                 Simulation starten
               </button>
@@ -1369,13 +1303,75 @@ export default function App() {
             <p>Klicken Sie auf "Route generieren", um die optimale Route mit der Routenplanungssoftware zu berechnen.</p>
             
             {!autoRouteGenerated && !autoGenerating && (
-              <button 
-                className="button primary"
-                onClick={generateAutoRoute}
-                style={{ marginBottom: '16px' }}
-              >
-                Route generieren
-              </button>
+              <>
+                <div style={{ marginBottom: '12px', fontSize: '13px' }}>
+                  <strong>Zeitfenster der Kunden:</strong>
+                  <label style={{ marginLeft: '12px' }}>
+                    <input
+                      type="radio"
+                      checked={timeWindowMode === 'soft'}
+                      onChange={() => setTimeWindowMode('soft')}
+                    /> weich (Verspätungen werden gegen Umwege abgewogen)
+                  </label>
+                  <label style={{ marginLeft: '12px' }}>
+                    <input
+                      type="radio"
+                      checked={timeWindowMode === 'hard'}
+                      onChange={() => setTimeWindowMode('hard')}
+                    /> streng (Pünktlichkeit geht immer vor)
+                  </label>
+                </div>
+                <div style={{ marginBottom: '12px', fontSize: '13px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                  <strong>Rechenzeit:</strong>
+                  <input
+                    type="range"
+                    min="1"
+                    max="30"
+                    value={timeBudgetSec}
+                    onChange={(e) => setTimeBudgetSec(Number(e.target.value))}
+                  />
+                  <span>{timeBudgetSec} s</span>
+                </div>
+                <div style={{ marginBottom: '12px', fontSize: '13px' }}>
+                  <strong>Optimierungsziel:</strong>
+                  {OBJECTIVES.map(o => (
+                    <label key={o.id} style={{ marginLeft: '12px' }}>
+                      <input
+                        type="radio"
+                        checked={objective === o.id}
+                        onChange={() => setObjective(o.id)}
+                      /> {o.label}
+                    </label>
+                  ))}
+                  <div style={{ marginTop: '4px', color: '#64748b' }}>
+                    Fahrzeit, Kosten und CO₂ berücksichtigen den Berufsverkehr: Hauptstraßen sind um 8:00 Uhr am langsamsten.
+                  </div>
+                </div>
+                <button 
+                  className="button primary"
+                  onClick={generateAutoRoute}
+                  style={{ marginBottom: '16px' }}
+                >
+                  Route generieren
+                </button>
+              </>
+            )}
+            
+            {!autoGenerating && (
+              <AlgorithmComparison
+                algorithms={availableAlgorithms}
+                selectedIds={comparisonIds}
+                onToggle={toggleComparisonAlgorithm}
+                params={algorithmParams}
+                onParamChange={changeAlgorithmParam}
+                seed={algorithmSeed}
+                onSeedChange={setAlgorithmSeed}
+                onRun={compareSelectedAlgorithms}
+                onCancel={() => comparisonRef.current?.cancel()}
+                running={comparison.running}
+                rows={comparison.rows}
+                error={comparison.error}
+              />
             )}
             
             {autoGenerating && (
@@ -1390,6 +1386,46 @@ export default function App() {
                 <div style={{ fontSize: '16px', fontWeight: 'bold', color: '#1e40af', marginBottom: '8px' }}>
                   Berechne die Route...
                 </div>
+                {autoProgress && (
+                  <div style={{ fontSize: '13px', color: '#1e40af', marginBottom: '8px' }}>
+                    {autoProgress.vehicleCount > 1 && `Fahrzeug ${autoProgress.vehicleIndex + 1}/${autoProgress.vehicleCount} · `}
+                    {OPTIMIZER_PHASE_LABELS[autoProgress.phase]}
+                    {autoProgress.iteration > 0 && ` · ${autoProgress.iteration} Iterationen`}
+                    {liveRoutes.some(Boolean) && ` · beste Route bisher ${liveRoutes.reduce((sum, r) => sum + (r ? r.distanceKm : 0), 0).toFixed(2)} km`}
+                    <div style={{ height: '6px', background: '#bfdbfe', borderRadius: '3px', marginTop: '6px' }}>
+                      <div style={{
+                        height: '100%',
+                        width: `${Math.min(100, optimizerProgress(autoProgress) * 100)}%`,
+                        background: '#3b82f6',
+                        borderRadius: '3px'
+                      }}></div>
+                    </div>
+                  </div>
+                )}
+                <button className="button" onClick={cancelAutoRoute}>
+                  Abbrechen
+                </button>
+              </div>
+            )}
+            
+            {convergence.length > 0 && (
+              <div style={{
+                padding: '12px',
+                marginBottom: '16px',
+                background: '#f8fafc',
+                border: '2px solid #cbd5e1',
+                borderRadius: '8px',
+                fontSize: '13px'
+              }}>
+                <strong>Konvergenz: beste Tour über die Iterationen</strong>
+                <ConvergenceChart
+                  series={fleet.map((vehicle, idx) => ({
+                    label: `Fahrzeug ${idx + 1}: ${vehicle.name}`,
+                    color: VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length],
+                    points: convergence.filter(p => p.vehicleIndex === idx)
+                  }))}
+                  iterations={autoProgress?.iteration ?? 0}
+                />
               </div>
             )}
             
@@ -1410,15 +1446,15 @@ export default function App() {
               <div style={{
                 padding: '12px',
                 marginBottom: '16px',
-                background: visitedAddresses.size === 18 ? '#d1fae5' : '#fef3c7',
-                border: `2px solid ${visitedAddresses.size === 18 ? '#10b981' : '#f59e0b'}`,
+                background: visitedAddresses.size === addressCount ? '#d1fae5' : '#fef3c7',
+                border: `2px solid ${visitedAddresses.size === addressCount ? '#10b981' : '#f59e0b'}`,
                 borderRadius: '8px'
               }}>
                 <strong>Fortschritt:</strong>
                 <div style={{ marginTop: '8px' }}>
-                  Besuchte Adressen: <strong>{visitedAddresses.size}/18</strong>
+                  Besuchte Adressen: <strong>{visitedAddresses.size}/{addressCount}</strong>
                 </div>
-                {visitedAddresses.size === 18 && (
+                {visitedAddresses.size === addressCount && (
                   <div style={{ marginTop: '4px', color: '#059669' }}>
                     Route vollständig - bereit für Simulation
                   </div>
@@ -1432,7 +1468,7 @@ export default function App() {
                 const a = nodesById[edge.a]
                 const b = nodesById[edge.b]
                 if (a && b) {
-                  const lengthKm = edge.lengthKm ?? calculateDistance(a, b)
+                  const lengthKm = edge.lengthKm ?? calculateDistance(a, b, tourSetup.canvas.scalePxPerKm)
                   totalKm += lengthKm
                 }
               })
@@ -1476,6 +1512,96 @@ export default function App() {
               )
             })()}
             
+            {autoRouteGenerated && (fleetRoutes.length > 1 || fleetRoutes.some(r => r.trips?.length > 1)) && (
+              <div style={{
+                padding: '12px',
+                marginBottom: '16px',
+                background: '#f8fafc',
+                border: '2px solid #cbd5e1',
+                borderRadius: '8px',
+                fontSize: '13px'
+              }}>
+                <strong>Touren je Fahrzeug:</strong>
+                {fleetRoutes.map((route, idx) => (
+                  <div key={idx} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px' }}>
+                    <div style={{ width: '20px', height: '4px', background: VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length] }}></div>
+                    <span style={{ flex: 1 }}>Fahrzeug {idx + 1}: {route.vehicle.name}</span>
+                    <span>
+                      {route.sequence.length > 0
+                        ? `${route.sequence.length} Stopps · ${calculateSequenceLoad(route.sequence, nodesById).boxes}/${route.vehicle.maxBoxes} Kisten`
+                          + (route.trips?.length > 1 ? ` · ${route.trips.length} Fahrten` : '')
+                          + ` · ${route.distanceKm.toFixed(2)} km`
+                        : 'bleibt im Depot'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            
+            {autoRouteGenerated && objective !== 'distance' && fleetRoutes.some(r => r.metrics && r.shortestMetrics) && (() => {
+              // Sum over all vehicles: shortest tours vs. tours for the chosen objective
+              const sum = (key, field) => fleetRoutes.reduce((total, r) => total + (r[key]?.[field] || 0), 0)
+              const rows = [
+                { label: 'Strecke', field: 'distance', format: v => `${v.toFixed(2)} km` },
+                { label: 'Fahrzeit', field: 'timeMin', format: v => `${Math.round(v)} min` },
+                { label: 'Kosten', field: 'cost', format: v => `${v.toFixed(2)} €` },
+                { label: 'CO₂', field: 'co2', format: v => `${v.toFixed(2)} kg` },
+                { label: 'Verspätung', field: 'lateMin', format: v => `${Math.round(v)} min` }
+              ]
+              const chosenLabel = OBJECTIVES.find(o => o.id === objective)?.label
+              
+              return (
+                <div style={{
+                  padding: '12px',
+                  marginBottom: '16px',
+                  background: '#f8fafc',
+                  border: '2px solid #cbd5e1',
+                  borderRadius: '8px',
+                  fontSize: '13px'
+                }}>
+                  <strong>Wirkung des Optimierungsziels:</strong>
+                  <table style={{ width: '100%', marginTop: '8px', borderCollapse: 'collapse' }}>
+                    <thead>
+                      <tr style={{ textAlign: 'right', color: '#64748b' }}>
+                        <th style={{ textAlign: 'left' }}></th>
+                        <th>Kürzeste Route</th>
+                        <th>Ziel: {chosenLabel}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map(row => {
+                        const shortest = sum('shortestMetrics', row.field)
+                        const chosen = sum('metrics', row.field)
+                        return (
+                          <tr key={row.field} style={{ textAlign: 'right' }}>
+                            <td style={{ textAlign: 'left' }}>{row.label}</td>
+                            <td>{row.format(shortest)}</td>
+                            <td style={{ fontWeight: 'bold', color: chosen < shortest - 1e-6 ? '#059669' : chosen > shortest + 1e-6 ? '#dc2626' : 'inherit' }}>
+                              {row.format(chosen)}
+                            </td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )
+            })()}
+            
+            {autoRouteGenerated && deliveryTimes.some(d => d.lateMin > 0) && (
+              <div style={{
+                padding: '12px',
+                marginBottom: '16px',
+                background: '#fef2f2',
+                border: '2px solid #dc2626',
+                borderRadius: '8px',
+                fontSize: '13px',
+                color: '#991b1b'
+              }}>
+                Voraussichtlich verspätet: <strong>{deliveryTimes.filter(d => d.lateMin > 0).length} Kunden</strong> erreichen Sie erst nach dem Ende ihres Zeitfensters.
+              </div>
+            )}
+            
             {autoRouteGenerated && !adjustingRoute && (
               <div style={{
                 padding: '12px',
@@ -1510,7 +1636,7 @@ export default function App() {
             <MapView
               tourData={tourSetup}
               mode={adjustingRoute ? 'adjust' : 'auto'}
-              selectedEdgeIds={selectedEdgeIds}
+              selectedEdgeIds={autoGenerating && !autoRouteGenerated ? liveEdgeIds : selectedEdgeIds}
               visitedAddresses={new Set()}
               currentNode={null}
               onSelectEdge={() => {}}
@@ -1520,6 +1646,7 @@ export default function App() {
               deliveryTimes={deliveryTimes}
               trafficModel={trafficModel}
               currentTime={currentTime}
+              vehicleRoutes={autoGenerating && !autoRouteGenerated ? liveVehicleRoutes : vehicleRoutes}
             />
             
             {/* Traffic slider - below map in auto mode */}
@@ -1533,6 +1660,12 @@ export default function App() {
               </div>
             )}
             
+            <DisruptionPanel
+              enabled={disruptionsEnabled}
+              onEnabledChange={setDisruptionsEnabled}
+              gpsTracker={gpsTracker}
+              disruptions={disruptions}
+            />
             <div style={{ display: 'flex', gap: '10px', marginTop: '16px' }}>
               {autoRouteGenerated && !adjustingRoute && (
                 <button
@@ -1579,10 +1712,130 @@ export default function App() {
         )
       })()}
 
+      {phase === 'simulate' && report && (
+        <SimulationPlayback
+          tourData={tourSetup}
+          runs={simulationRuns}
+          trafficModel={trafficModel}
+          selectedEdgeIds={selectedEdgeIds}
+          vehicleRoutes={mode === 'auto' ? vehicleRoutes : null}
+          detours={report.detours || []}
+          replan={simulationPlan?.disruptions?.replan ?? null}
+          onReplan={replanAtDisruption}
+          compareReplan={compareReplan}
+          onFinish={() => setPhase('report')}
+        />
+      )}
+
       {phase === 'report' && report && (
         <div className="panel">
+          <SessionSeedPanel seed={sessionSeed} shareUrl={sessionUrl(window.location.href, sessionSeed)} />
           <ESGDashboard baseline={baseline} results={report} />
           
+          {optimality && !report.vehicles && (
+            <div className="report-section" style={{ marginTop: '24px' }}>
+              <h4>Abstand zum Optimum</h4>
+              {optimality.status === 'running' && (
+                <p style={{ fontSize: '13px', color: '#64748b' }}>Berechne die beweisbar kürzeste Tour …</p>
+              )}
+              {optimality.status === 'unavailable' && (
+                <p style={{ fontSize: '13px', color: '#64748b' }}>Zu viele Adressen für die exakte Berechnung.</p>
+              )}
+              {optimality.status === 'error' && (
+                <p style={{ fontSize: '13px', color: '#dc2626' }}>Das Optimum konnte nicht berechnet werden.</p>
+              )}
+              {optimality.status === 'done' && (() => {
+                const { optimum, heuristic } = optimality.benchmark
+                const rows = [
+                  { label: mode === 'auto' ? 'Geplante Route (gefahren)' : 'Ihre Route (gefahren)', km: report.totalKm },
+                  { label: 'LKH-Heuristik (nur Distanz)', km: heuristic.distance },
+                  { label: 'Beweisbares Optimum (Held-Karp)', km: optimum.distance }
+                ]
+                return (
+                  <>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                      <thead>
+                        <tr style={{ textAlign: 'right', color: '#64748b' }}>
+                          <th style={{ textAlign: 'left' }}></th>
+                          <th>Strecke</th>
+                          <th>Abstand zum Optimum</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map(row => {
+                          const gap = optimalityGap(row.km, optimum.distance)
+                          return (
+                            <tr key={row.label} style={{ textAlign: 'right' }}>
+                              <td style={{ textAlign: 'left' }}>{row.label}</td>
+                              <td>{row.km.toFixed(2)} km</td>
+                              <td style={{ fontWeight: 'bold', color: gap < 0.05 ? '#059669' : gap <= 5 ? '#d97706' : '#dc2626' }}>
+                                {gap < 0.05 ? 'optimal' : `+${gap.toFixed(1)} %`}
+                              </td>
+                            </tr>
+                          )
+                        })}
+                      </tbody>
+                    </table>
+                    <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+                      Das Optimum gilt für eine einzige Tour über alle {optimality.benchmark.addressCount} Adressen
+                      ohne Nachladen und ohne Zeitfenster. Routen, die nachladen oder auf Kunden warten
+                      müssen, können es nicht ganz erreichen.
+                    </p>
+                  </>
+                )
+              })()}
+            </div>
+          )}
+
+          <div className="report-section" style={{ marginTop: '24px' }}>
+            <h4>Beladung im Tourverlauf</h4>
+            <LoadChart
+              series={report.vehicles
+                ? report.vehicles.map((v, idx) => ({
+                    label: `Fahrzeug ${idx + 1}: ${v.vehicle.name}`,
+                    color: VEHICLE_ROUTE_COLORS[idx % VEHICLE_ROUTE_COLORS.length],
+                    loadProfile: v.loadProfile,
+                    maxBoxes: v.vehicle.maxBoxes,
+                    durationMin: v.durationMin
+                  }))
+                : [{
+                    label: (fleetRoutes[0]?.vehicle ?? vehicles.find(v => v.id === vehicleId)).name,
+                    color: '#3b82f6',
+                    loadProfile: report.loadProfile,
+                    maxBoxes: (fleetRoutes[0]?.vehicle ?? vehicles.find(v => v.id === vehicleId)).maxBoxes,
+                    durationMin: report.durationMin
+                  }]}
+            />
+          </div>
+          
+          {trafficModel && simulationPlan && (
+            <div className="report-section" style={{ marginTop: '24px' }}>
+              <h4>Robustheit bei schwankendem Verkehr</h4>
+              <MonteCarloPanel
+                runs={monteCarloRuns}
+                onRunsChange={setMonteCarloRuns}
+                seed={monteCarloSeed}
+                onSeedChange={setMonteCarloSeed}
+                onRun={runMonteCarlo}
+                onCancel={() => monteCarloRef.current?.cancel()}
+                progress={monteCarlo.progress}
+                running={monteCarlo.running}
+                summary={monteCarlo.summary}
+                error={monteCarlo.error}
+              />
+            </div>
+          )}
+
+          <div className="report-section" style={{ marginTop: '24px' }}>
+            <h4>Ablauf der Tour</h4>
+            <EventTimeline
+              runs={simulationRuns}
+              runIndex={timelineSelection.runIndex}
+              eventIndex={timelineSelection.eventIndex}
+              onSelect={selectTimelineEvent}
+            />
+          </div>
+
           <div className="report-section" style={{ marginTop: '24px' }}>
             <h4>Ihre geplante Route</h4>
             <div style={{ 
@@ -1621,6 +1874,9 @@ export default function App() {
               trafficModel={trafficModel}
               currentTime={currentTime}
               actualDeliveryTimes={report.actualDeliveryTimes || null}
+              vehicleRoutes={mode === 'auto' ? vehicleRoutes : null}
+              vehicleMarkers={timelineMarkers}
+              highlightEdgeId={['edge', 'construction'].includes(timelineEvent?.type) ? timelineEvent.edgeId : timelineEvent?.disruption?.edgeId ?? null}
             />
           </div>
           
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { clarkeWrightSavings, clarkeWrightRoutes } from '../clarkeWright.js'
+
+describe('clarkeWright', () => {
+  const addressIds = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+
+  describe('clarkeWrightSavings', () => {
+    it('should return one tour visiting every address once', () => {
+      const sequence = clarkeWrightSavings(tourSetup)
+
+      expect(sequence).toHaveLength(addressIds.length)
+      expect(new Set(sequence)).toEqual(new Set(addressIds))
+    })
+  })
+
+  describe('clarkeWrightRoutes', () => {
+    it('should split the addresses into the requested number of routes', () => {
+      const routes = clarkeWrightRoutes(tourSetup, { maxRoutes: 3 })
+
+      expect(routes).toHaveLength(3)
+      routes.forEach(route => expect(route.length).toBeGreaterThan(0))
+    })
+
+    it('should assign every address to exactly one route', () => {
+      const routes = clarkeWrightRoutes(tourSetup, { maxRoutes: 4 })
+      const assigned = routes.flat()
+
+      expect(assigned).toHaveLength(addressIds.length)
+      expect(new Set(assigned)).toEqual(new Set(addressIds))
+    })
+
+    it('should not create more routes than addresses', () => {
+      const tinyTour = {
+        nodes: tourSetup.nodes.filter(n => n.type !== 'address' || ['A01', 'A02'].includes(n.id)),
+        edges: tourSetup.edges
+      }
+
+      const routes = clarkeWrightRoutes(tinyTour, { maxRoutes: 5 })
+
+      expect(routes).toHaveLength(2)
+    })
+
+    it('should only merge routes that fit into the vehicle', () => {
+      const nodesById = Object.fromEntries(tourSetup.nodes.map(n => [n.id, n]))
+      const hybrid = { maxBoxes: 185, capacityM3: 7 }
+
+      const routes = clarkeWrightRoutes(tourSetup, { capacity: hybrid })
+
+      expect(routes.length).toBeGreaterThan(1)
+      expect(routes.flat()).toHaveLength(addressIds.length)
+      routes.forEach(route => {
+        const boxes = route.reduce((sum, id) => sum + nodesById[id].demand.boxes, 0)
+        expect(boxes).toBeLessThanOrEqual(hybrid.maxBoxes)
+      })
+    })
+
+    it('should only plan the given addresses', () => {
+      const routes = clarkeWrightRoutes(tourSetup, { addresses: ['A01', 'A05', 'A09'] })
+
+      expect(routes).toHaveLength(1)
+      expect(new Set(routes[0])).toEqual(new Set(['A01', 'A05', 'A09']))
+    })
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { solveExactTsp, optimalityGap, MAX_EXACT_ADDRESSES } from '../heldKarp.js'
+
+describe('heldKarp', () => {
+  // Points in the plane, straight-line distances
+  const points = {
+    D: [0, 0], P1: [4, 1], P2: [1, 5], P3: [6, 6], P4: [2, 2], P5: [7, 2], P6: [3, 8]
+  }
+  const distance = (a, b) => Math.hypot(points[a][0] - points[b][0], points[a][1] - points[b][1])
+  const tourLength = (sequence) => {
+    const stops = ['D', ...sequence, 'D']
+    return stops.slice(1).reduce((sum, id, idx) => sum + distance(stops[idx], id), 0)
+  }
+
+  function permutations(items) {
+    if (items.length <= 1) return [items]
+    return items.flatMap((item, idx) =>
+      permutations([...items.slice(0, idx), ...items.slice(idx + 1)]).map(rest => [item, ...rest]))
+  }
+
+  describe('solveExactTsp', () => {
+    it('should find the same length as trying every order', () => {
+      const addresses = ['P1', 'P2', 'P3', 'P4', 'P5', 'P6']
+      const bruteForce = Math.min(...permutations(addresses).map(tourLength))
+      const { sequence, distance: length } = solveExactTsp(addresses, 'D', distance)
+
+      expect(length).toBeCloseTo(bruteForce, 9)
+      expect([...sequence].sort()).toEqual(addresses)
+      expect(tourLength(sequence)).toBeCloseTo(length, 9)
+    })
+
+    it('should handle tiny instances', () => {
+      expect(solveExactTsp([], 'D', distance)).toEqual({ sequence: [], distance: 0 })
+      expect(solveExactTsp(['P3'], 'D', distance).distance).toBeCloseTo(2 * distance('D', 'P3'), 9)
+    })
+
+    it('should refuse instances that are too large', () => {
+      const addresses = Array.from({ length: MAX_EXACT_ADDRESSES + 1 }, (_, i) => `X${i}`)
+      expect(solveExactTsp(addresses, 'D', () => 1)).toBe(null)
+    })
+  })
+
+  describe('optimalityGap', () => {
+    it('should return the detour over the optimum in percent', () => {
+      expect(optimalityGap(26.4, 24)).toBeCloseTo(10, 9)
+      expect(optimalityGap(24, 24)).toBe(0)
+      expect(optimalityGap(5, 0)).toBe(0)
+    })
+  })
+})
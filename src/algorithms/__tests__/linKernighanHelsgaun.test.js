@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { createRoadNetwork } from '../roadNetwork.js'
+import { linKernighanHelsgaun } from '../linKernighanHelsgaun.js'
+import { tourDistance, shuffleTour } from '../tourMoves.js'
+import { createSeededRandom } from '../../utils/trafficUtils.js'
+
+describe('linKernighanHelsgaun', () => {
+  const depotId = tourSetup.nodes.find(n => n.type === 'depot').id
+  const addresses = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+
+  it('should never lengthen the tour on one-way streets', () => {
+    // Every third road one-way: driving a segment backwards costs something else
+    const map = { ...tourSetup, edges: tourSetup.edges.map((edge, idx) => idx % 3 === 0 ? { ...edge, oneway: true } : edge) }
+    const network = createRoadNetwork(map)
+    const random = createSeededRandom(1)
+
+    expect(network.isDirected).toBe(true)
+    for (let run = 0; run < 30; run++) {
+      const tour = shuffleTour(addresses, random)
+      const optimized = linKernighanHelsgaun(tour, depotId, { distance: network.distance, directed: network.isDirected })
+
+      expect([...optimized].sort()).toEqual([...addresses].sort())
+      expect(tourDistance(optimized, depotId, network.distance))
+        .toBeLessThanOrEqual(tourDistance(tour, depotId, network.distance) + 1e-9)
+    }
+  })
+})
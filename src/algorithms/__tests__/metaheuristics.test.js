@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { createRoutingProblem } from '../registry.js'
+import { nearestNeighborTour } from '../nearestNeighbor.js'
+import { simulatedAnnealing } from '../simulatedAnnealing.js'
+import { tabuSearch } from '../tabuSearch.js'
+import { geneticAlgorithm, orderCrossover } from '../geneticAlgorithm.js'
+import { twoOpt } from '../twoOpt.js'
+import { tourDistance, reverseSegment, reversalDelta, shuffleTour, createRandom } from '../tourMoves.js'
+
+describe('metaheuristics', () => {
+  const { depotId, addresses, distance } = createRoutingProblem(tourSetup)
+  const greedy = tourDistance(nearestNeighborTour(depotId, addresses, distance), depotId, distance)
+
+  const solvers = [
+    ['simulatedAnnealing', (seed) => simulatedAnnealing(addresses, depotId, { distance, seed })],
+    ['tabuSearch', (seed) => tabuSearch(addresses, depotId, { distance, seed })],
+    ['geneticAlgorithm', (seed) => geneticAlgorithm(addresses, depotId, { distance, seed })]
+  ]
+
+  solvers.forEach(([name, solve]) => {
+    describe(name, () => {
+      it('should return a complete tour with its exact length', () => {
+        const { tour, distance: length } = solve(7)
+
+        expect([...tour].sort()).toEqual([...addresses].sort())
+        expect(length).toBeCloseTo(tourDistance(tour, depotId, distance), 9)
+      })
+
+      it('should find the same tour for the same seed', () => {
+        expect(solve(42).tour).toEqual(solve(42).tour)
+      })
+
+      it('should beat the greedy tour', () => {
+        expect(solve(3).distance).toBeLessThan(greedy)
+      })
+    })
+  })
+
+  it('should accept detours only while annealing is hot', () => {
+    const hot = simulatedAnnealing(addresses, depotId, { distance, seed: 5, initialTemperature: 5, coolingRate: 0.9999 })
+    const cold = simulatedAnnealing(addresses, depotId, { distance, seed: 5, initialTemperature: 0.001 })
+
+    expect(hot.stats.uphillAccepted).toBeGreaterThan(cold.stats.uphillAccepted)
+  })
+
+  describe('on one-way streets', () => {
+    // Every other road one-way: a reversed segment costs something else backwards
+    const oneway = createRoutingProblem({
+      ...tourSetup,
+      edges: tourSetup.edges.map((edge, idx) => idx % 2 === 0 ? { ...edge, oneway: true } : edge)
+    })
+    const length = (tour) => tourDistance(tour, oneway.depotId, oneway.distance)
+    // No single reversal makes the tour shorter, measured on the whole tour
+    const isLocalOptimum = (tour) => tour.every((_, i) => tour.slice(i + 1).every((_, offset) => {
+      const reversed = [...tour]
+      reverseSegment(reversed, i, i + 1 + offset)
+      return length(reversed) >= length(tour) - 1e-9
+    }))
+
+    it('should price a reversed segment with every road in it', () => {
+      const tour = nearestNeighborTour(oneway.depotId, oneway.addresses, oneway.distance)
+
+      expect(oneway.directed).toBe(true)
+      expect(createRoutingProblem(tourSetup).directed).toBe(false)
+      for (let i = 0; i < tour.length - 1; i++) {
+        for (let j = i + 1; j < tour.length; j++) {
+          const reversed = [...tour]
+          reverseSegment(reversed, i, j)
+          expect(reversalDelta(tour, oneway.depotId, oneway.distance, i, j, true)).toBeCloseTo(length(reversed) - length(tour), 9)
+        }
+      }
+    })
+
+    it('should end 2-opt and tabu search in a real local optimum', () => {
+      for (let seed = 1; seed <= 5; seed++) {
+        const start = shuffleTour(oneway.addresses, createRandom(seed))
+        const { tour } = twoOpt(start, oneway.depotId, oneway.distance, true)
+        const tabu = tabuSearch(oneway.addresses, oneway.depotId, { distance: oneway.distance, directed: true, seed })
+
+        expect(isLocalOptimum(tour)).toBe(true)
+        expect(isLocalOptimum(tabu.tour)).toBe(true)
+        expect(tabu.distance).toBeCloseTo(length(tabu.tour), 9)
+      }
+    })
+
+    it('should never come back worse than it started with simulated annealing', () => {
+      const start = twoOpt(oneway.addresses, oneway.depotId, oneway.distance, true).tour
+      for (let seed = 0; seed < 10; seed++) {
+        const annealed = simulatedAnnealing(oneway.addresses, oneway.depotId, { distance: oneway.distance, directed: true, initialTour: start, seed })
+
+        expect(annealed.distance).toBeCloseTo(length(annealed.tour), 9)
+        expect(annealed.distance).toBeLessThanOrEqual(length(start) + 1e-9)
+      }
+    })
+  })
+
+  describe('orderCrossover', () => {
+    it('should keep a piece of the first parent and the order of the second', () => {
+      // Piece from index 2 to 3
+      const draws = [0.5, 0.7]
+      const child = orderCrossover(['A', 'B', 'C', 'D', 'E'], ['E', 'D', 'C', 'B', 'A'], () => draws.shift())
+
+      expect(child).toEqual(['E', 'B', 'C', 'D', 'A'])
+    })
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { vehicles } from '../../data/vehicles.js'
+import { createObjective } from '../objectives.js'
+import { consumptionFactor } from '../../game/EnergyModel.js'
+import { generateTrafficModel } from '../trafficModel.js'
+import { getRoadNetwork } from '../roadNetwork.js'
+
+describe('objectives', () => {
+  const network = getRoadNetwork(tourSetup)
+  const depotId = network.depotId
+  const tour = ['A01', 'A02', 'A03']
+
+  it('should raise consumption in slow traffic', () => {
+    const diesel = vehicles.find(v => v.id === 'diesel')
+
+    expect(consumptionFactor(diesel, { speedKmh: 20, intensity: 0.7 })).toBeGreaterThan(consumptionFactor(diesel, { speedKmh: 30, intensity: 0.5 }))
+    expect(consumptionFactor(diesel, { speedKmh: 40, intensity: 0.2 })).toBeCloseTo(1, 9)
+  })
+
+  it('should follow the road network between two stops', () => {
+    const path = network.path(depotId, 'A05')
+    const length = path.reduce((sum, edge) => sum + edge.lengthKm, 0)
+
+    expect(path.length).toBeGreaterThan(0)
+    expect(path.some(edge => edge.blocked)).toBe(false)
+    expect(length).toBeCloseTo(network.distance(depotId, 'A05'), 5)
+  })
+
+  it('should measure the same kilometers for every objective', () => {
+    const distance = createObjective('distance', { network }).evaluate(tour, depotId)
+    const time = createObjective('time', { network }).evaluate(tour, depotId)
+
+    expect(time.distance).toBeCloseTo(distance.distance, 6)
+    expect(distance.value).toBe(distance.distance)
+    expect(time.value).toBe(time.timeMin)
+  })
+
+  it('should depend on the departure time with traffic', () => {
+    const objective = createObjective('time', { network, trafficModel: generateTrafficModel(tourSetup.edges, 42) })
+    const atPeak = objective.evaluate(tour, depotId, { startMin: 45 })
+    const afterPeak = objective.evaluate(tour, depotId, { startMin: 150 })
+
+    expect(atPeak.timeMin).toBeGreaterThan(afterPeak.timeMin)
+  })
+
+  it('should start the rest of a tour where the van is', () => {
+    const rest = createObjective('distance', { network }).evaluate(tour, depotId, { startId: 'A10' })
+    const legs = [['A10', 'A01'], ['A01', 'A02'], ['A02', 'A03'], ['A03', depotId]]
+
+    expect(rest.distance).toBeCloseTo(legs.reduce((sum, [from, to]) => sum + network.distance(from, to), 0), 6)
+    expect(createObjective('distance', { network }).evaluate([], depotId, { startId: 'A10' }).distance)
+      .toBeCloseTo(network.distance('A10', depotId), 6)
+  })
+
+  it('should use the vehicle for cost and CO₂', () => {
+    const diesel = createObjective('co2', { network, vehicle: vehicles.find(v => v.id === 'diesel') })
+    const electric = createObjective('co2', { network, vehicle: vehicles.find(v => v.id === 'electric') })
+
+    expect(diesel.evaluate(tour, depotId).value).toBeGreaterThan(0)
+    expect(electric.evaluate(tour, depotId).value).toBe(0)
+  })
+})
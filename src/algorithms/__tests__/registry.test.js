@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { ALGORITHMS, createRoutingProblem, runAlgorithm, sequenceDistance, getAlgorithm, resolveParams } from '../registry.js'
+import { twoOpt } from '../twoOpt.js'
+import { nearestNeighborTour } from '../nearestNeighbor.js'
+
+describe('algorithm registry', () => {
+  const problem = createRoutingProblem(tourSetup)
+
+  it('should give every algorithm the same interface', () => {
+    for (const algorithm of ALGORITHMS) {
+      const result = runAlgorithm(algorithm.id, problem, { randomSamples: 0 })
+
+      expect([...result.sequence].sort()).toEqual([...problem.addresses].sort())
+      expect(result.distance).toBeCloseTo(sequenceDistance(result.sequence, problem), 9)
+      expect(result.runtimeMs).toBeGreaterThanOrEqual(0)
+      expect(result.stats).toBeTypeOf('object')
+    }
+  })
+
+  it('should never beat the exact solver', () => {
+    const optimum = runAlgorithm('held-karp', problem).distance
+    ALGORITHMS.forEach(a => {
+      expect(runAlgorithm(a.id, problem, { randomSamples: 0 }).distance).toBeGreaterThanOrEqual(optimum - 1e-9)
+    })
+  })
+
+  it('should fall back to defaults and clamp parameters', () => {
+    const annealing = getAlgorithm('simulated-annealing')
+    const params = resolveParams(annealing, { iterations: 10, coolingRate: '', seed: 3 })
+
+    expect(params.iterations).toBe(1000)
+    expect(params.coolingRate).toBe(0.9995)
+    expect(params.initialTemperature).toBe(1)
+    expect(params.seed).toBe(3)
+  })
+
+  it('should return null for unknown algorithms', () => {
+    expect(runAlgorithm('magic', problem)).toBe(null)
+  })
+
+  describe('twoOpt', () => {
+    it('should untangle a crossing tour', () => {
+      // Square with the depot in a corner, visited crosswise
+      const points = { D: [0, 0], B: [1, 0], C: [1, 1], E: [0, 1] }
+      const distance = (a, b) => Math.hypot(points[a][0] - points[b][0], points[a][1] - points[b][1])
+      const { tour, moves } = twoOpt(['C', 'B', 'E'], 'D', distance)
+
+      expect(moves).toBeGreaterThan(0)
+      expect(sequenceDistance(tour, { depotId: 'D', distance })).toBeCloseTo(4, 9)
+    })
+
+    it('should not make the nearest neighbor tour longer', () => {
+      const start = nearestNeighborTour(problem.depotId, problem.addresses, problem.distance)
+      const { tour } = twoOpt(start, problem.depotId, problem.distance)
+
+      expect(sequenceDistance(tour, problem)).toBeLessThanOrEqual(sequenceDistance(start, problem))
+    })
+  })
+})
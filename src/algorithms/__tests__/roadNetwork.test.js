@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { generateTrafficModel, calculatePlanningRouteTime } from '../trafficModel.js'
+import { getRoadNetwork, createRoadNetwork } from '../roadNetwork.js'
+import { replaceBlockedEdges } from '../pathfinding.js'
+import { generateScenario } from '../../game/ScenarioGenerator.js'
+
+describe('roadNetwork', () => {
+  const network = getRoadNetwork(tourSetup)
+  const depotId = network.depotId
+  const pathLength = (path) => path.reduce((sum, edge) => sum + edge.lengthKm, 0)
+
+  // Free side streets everywhere, the given edges are jammed
+  function jam(edgeIds) {
+    const edges = {}
+    tourSetup.edges.forEach(edge => {
+      edges[edge.id] = { isMainRoad: false, baseTraffic: edgeIds.includes(edge.id) ? 1 : 0 }
+    })
+    return { edges, junctions: {} }
+  }
+
+  // Depot and customer A01 with the same IDs as on the bundled map, 2 km apart
+  const tinyMap = () => ({
+    canvas: { width: 400, height: 200, scalePxPerKm: 100 },
+    nodes: [
+      { id: 'N00', type: 'depot', x: 0, y: 0 },
+      { id: 'K1', type: 'junction', x: 0, y: 0 },
+      { id: 'K2', type: 'junction', x: 200, y: 0 },
+      { id: 'A01', type: 'address', x: 200, y: 0 }
+    ],
+    edges: [{ id: 'E1', a: 'K1', b: 'K2', lengthKm: 2 }]
+  })
+
+  describe('distance', () => {
+    it('should be zero between an address and its junction', () => {
+      const address = network.nodesById.A01
+      const junction = tourSetup.nodes.find(n => n.type === 'junction' && n.x === address.x && n.y === address.y)
+
+      expect(network.distance('A01', 'A01')).toBe(0)
+      expect(network.distance('A01', junction.id)).toBe(0)
+    })
+  })
+
+  describe('several maps', () => {
+    it('should keep one network per map', () => {
+      expect(getRoadNetwork(tourSetup)).toBe(network)
+      expect(createRoadNetwork(tourSetup)).not.toBe(network)
+    })
+
+    it('should answer the same IDs from the map it was built for', () => {
+      const tiny = getRoadNetwork(tinyMap())
+      const bundledKm = network.distance('N00', 'A01')
+
+      expect(tiny.distance('N00', 'A01')).toBe(2)
+      expect(tiny.path('N00', 'A01').map(e => e.id)).toEqual(['E1'])
+      expect(network.distance('N00', 'A01')).toBe(bundledKm)
+      expect(createRoadNetwork(tourSetup).distance('N00', 'A01')).toBe(bundledKm)
+    })
+
+    it('should not change the bundled distances by using a generated map', () => {
+      const fresh = createRoadNetwork(tourSetup)
+      const before = ['A01', 'A05', 'A09', 'A14'].map(id => fresh.distance(depotId, id))
+
+      const generated = getRoadNetwork(generateScenario({ seed: 3 }))
+      const generatedAddresses = generated.nodes.filter(n => n.type === 'address')
+      generatedAddresses.forEach(n => expect(generated.distance(generated.depotId, n.id)).toBeLessThan(Infinity))
+
+      expect(['A01', 'A05', 'A09', 'A14'].map(id => network.distance(depotId, id))).toEqual(before)
+    })
+
+    it('should measure straight-line fallbacks at the map scale', () => {
+      const map = tinyMap()
+      map.nodes.push({ id: 'K3', type: 'junction', x: 0, y: 150 })
+
+      expect(getRoadNetwork(map).distance('N00', 'K3')).toBeCloseTo(1.5, 9)
+    })
+  })
+
+  describe('timeDependentPath', () => {
+    it('should never be slower than the shortest path', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+      for (const target of ['A04', 'A09', 'A14']) {
+        const fastest = network.timeDependentPath(depotId, target, 60, trafficModel)
+        const shortest = network.path(depotId, target)
+
+        expect(fastest.timeMin).toBeLessThanOrEqual(calculatePlanningRouteTime(shortest, trafficModel, 60) + 1e-9)
+        expect(fastest.distanceKm).toBeGreaterThanOrEqual(network.distance(depotId, target) - 1e-9)
+      }
+    })
+
+    it('should drive around jammed roads', () => {
+      const shortest = network.path(depotId, 'A04')
+      const trafficModel = jam(shortest.map(e => e.id))
+      const fastest = network.timeDependentPath(depotId, 'A04', 60, trafficModel)
+
+      expect(fastest.path.some(e => shortest.includes(e))).toBe(false)
+      expect(fastest.distanceKm).toBeGreaterThanOrEqual(pathLength(shortest))
+      expect(fastest.timeMin).toBeLessThan(calculatePlanningRouteTime(shortest, trafficModel, 60))
+    })
+
+    it('should avoid construction zones', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 7)
+      const { path } = network.timeDependentPath(depotId, 'A14', 0, trafficModel)
+
+      expect(path.length).toBeGreaterThan(0)
+      expect(path.some(e => e.blocked)).toBe(false)
+    })
+
+    it('should share the path within a time bucket but time the exact departure', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+      const at60 = network.timeDependentPath(depotId, 'A09', 60, trafficModel)
+      const at70 = network.timeDependentPath(depotId, 'A09', 70, trafficModel)
+
+      expect(at70.path).toBe(at60.path)
+      expect(at70.timeMin).toBeCloseTo(calculatePlanningRouteTime(at70.path, trafficModel, 70), 9)
+    })
+  })
+
+  describe('driving rules', () => {
+    // Square of 1 km roads with the depot as a corner and a loop below:
+    //   N00 -E1- K2
+    //    |        |
+    //   E4       E2
+    //    |        |
+    //   K4 -E3- K3
+    //    |        |
+    //   E5       E6
+    //    |        |
+    //   K5 ------+
+    const square = (changes = {}) => ({
+      canvas: { width: 300, height: 300, scalePxPerKm: 100 },
+      nodes: [
+        { id: 'N00', type: 'depot', x: 0, y: 0 },
+        { id: 'K2', type: 'junction', x: 100, y: 0 },
+        { id: 'K3', type: 'junction', x: 100, y: 100 },
+        { id: 'K4', type: 'junction', x: 0, y: 100, ...changes.K4 },
+        { id: 'K5', type: 'junction', x: 0, y: 200 },
+        { id: 'A01', type: 'address', x: 100, y: 0 }
+      ],
+      edges: [
+        { id: 'E1', a: 'N00', b: 'K2', lengthKm: 1, ...changes.E1 },
+        { id: 'E2', a: 'K2', b: 'K3', lengthKm: 1 },
+        { id: 'E3', a: 'K3', b: 'K4', lengthKm: 1 },
+        { id: 'E4', a: 'N00', b: 'K4', lengthKm: 1 },
+        { id: 'E5', a: 'K4', b: 'K5', lengthKm: 1 },
+        { id: 'E6', a: 'K5', b: 'K3', lengthKm: 1 }
+      ]
+    })
+    const ids = (path) => path.map(e => e.id)
+
+    it('should drive one-way streets only from a to b', () => {
+      const oneway = createRoadNetwork(square({ E1: { a: 'K2', b: 'N00', oneway: true } }))
+
+      // The way back is asked first: it must not be reused for the way there
+      expect(oneway.distance('A01', 'N00')).toBe(1)
+      expect(oneway.distance('N00', 'A01')).toBe(3)
+      expect(ids(oneway.path('N00', 'A01'))).toEqual(['E4', 'E3', 'E2'])
+      expect(oneway.isDirected).toBe(true)
+      expect(createRoadNetwork(square()).isDirected).toBe(false)
+    })
+
+    it('should never take a forbidden turn', () => {
+      const turns = createRoadNetwork(square({
+        E1: { blocked: true },
+        K4: { turnRestrictions: [{ from: 'E4', to: 'E3' }] }
+      }))
+
+      // Instead of turning left at K4 the van goes round the loop
+      expect(ids(turns.path('N00', 'A01'))).toEqual(['E4', 'E5', 'E6', 'E2'])
+      expect(turns.distance('N00', 'A01')).toBe(4)
+      expect(ids(turns.path('A01', 'N00'))).toEqual(['E2', 'E3', 'E4'])
+      // Coming from E5 the turn onto E3 is allowed
+      expect(ids(turns.findDetour('K4', 'K3', new Set(), 'E5'))).toEqual(['E3'])
+      expect(ids(turns.findDetour('K4', 'K3', new Set(), 'E4'))).toEqual(['E5', 'E6'])
+    })
+
+    it('should send a route that enters a one-way street from the wrong end around it', () => {
+      const oneway = createRoadNetwork(square({ E1: { a: 'K2', b: 'N00', oneway: true } }))
+      const { edges, detours } = replaceBlockedEdges([oneway.edges[0]], oneway)
+
+      expect(ids(edges)).toEqual(['E4', 'E3', 'E2'])
+      expect(edges.every(e => e.isDetour)).toBe(true)
+      expect(detours[0]).toMatchObject({ startNode: 'N00', endNode: 'K2' })
+    })
+  })
+})
@@ -3,6 +3,7 @@ import {
   getTrafficIntensity, 
   getTrafficCategory, 
   getActualSpeed,
+  getJunctionDelay,
   generateTrafficModel
 } from '../trafficModel.js'
 
@@ -80,6 +81,23 @@ describe('trafficModel', () => {
     })
   })
 
+  describe('getJunctionDelay', () => {
+    const model = { edges: { e1: { isMainRoad: true, baseTraffic: 0.5 }, e2: { isMainRoad: false, baseTraffic: 0.3 } } }
+
+    it('should only delay where roads meet', () => {
+      expect(getJunctionDelay('K1', ['e1'], model, 60)).toBe(0)
+      expect(getJunctionDelay('K1', ['x', 'y'], model, 60)).toBe(0)
+    })
+
+    it('should draw the variation from the given random function', () => {
+      const middle = getJunctionDelay('K1', ['e1', 'e2'], model, 60, () => 0.5)
+
+      expect(middle).toBeGreaterThan(0)
+      expect(getJunctionDelay('K1', ['e1', 'e2'], model, 60, () => 0)).toBeCloseTo(middle * 0.8, 9)
+      expect(getJunctionDelay('K1', ['e1', 'e2'], model, 60, () => 1)).toBeCloseTo(middle * 1.2, 9)
+    })
+  })
+
   describe('generateTrafficModel', () => {
     const mockEdges = [
       { id: 'e1', lengthKm: 0.8 },
@@ -112,6 +130,17 @@ describe('trafficModel', () => {
       })
     })
 
+    it('should keep the main roads a map names and draw the rest', () => {
+      const named = [{ id: 'e1', lengthKm: 0.8, isMainRoad: false }, { id: 'e2', lengthKm: 0.3, isMainRoad: true }, mockEdges[2]]
+      const model = generateTrafficModel(named, 7)
+      const drawn = generateTrafficModel(mockEdges, 7)
+
+      expect(model.edges['e1'].isMainRoad).toBe(false)
+      expect(model.edges['e2'].isMainRoad).toBe(true)
+      // Same random stream: the unnamed road comes out as without names
+      expect(model.edges['e3']).toEqual(drawn.edges['e3'])
+    })
+
     it('should use seed for consistent generation', () => {
       const model1 = generateTrafficModel(mockEdges, 12345)
       const model2 = generateTrafficModel(mockEdges, 12345)
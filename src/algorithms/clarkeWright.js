@@ -1,5 +1,6 @@
-import tourSetup from '../data/tourSetup.json'
-import { calculateNetworkDistance } from './networkDistance.js'
+import { getRoadNetwork } from './roadNetwork.js'
+import { getDemand, addLoads, fitsCapacity } from '../game/LoadPlanner.js'
+import { scheduleSequence } from '../game/TimeWindows.js'
 
 /**
  * clarkeWright.js
@@ -12,20 +13,46 @@ import { calculateNetworkDistance } from './networkDistance.js'
  * 
  * We sort all pairs by savings and greedily combine routes. Works well
  * as a starting point for more sophisticated algorithms.
+ *
+ * Clarke-Wright is a multi-route algorithm by nature: stopping the merging
+ * once only `maxRoutes` routes are left gives one route per vehicle.
+ * With a capacity, two routes are only merged if their combined demand
+ * still fits into the vehicle - the remaining routes become depot trips.
+ * With hard time windows, merges that make customers late are postponed;
+ * they only happen if the vehicles cannot be served any other way.
  */
 
-export function clarkeWrightSavings(tourData) {
+// Single tour through all addresses (one vehicle)
+export function clarkeWrightSavings(tourData, { timeWindows = null, distance = getRoadNetwork(tourData).distance } = {}) {
+  const routes = clarkeWrightRoutes(tourData, { maxRoutes: 1, timeWindows, distance })
+  return routes[0] || []
+}
+
+/**
+ * Splits the addresses into depot tours.
+ *
+ * @param {Object} tourData - Tour data with depot and address nodes
+ * @param {Object} options - { maxRoutes, capacity, addresses, timeWindows, distance }
+ *   maxRoutes: stop merging at this many routes (number of vehicles)
+ *   capacity: { maxBoxes, capacityM3 } limit per route, null = unlimited
+ *   addresses: only plan these address IDs (default: all addresses)
+ *   timeWindows: 'hard' avoids merges that make customers late
+ *   distance: (fromId, toId) → km, the map's road network distance by default
+ * @returns {string[][]} One address sequence per route. Without capacity
+ *   never more than maxRoutes; with capacity there can be more.
+ */
+export function clarkeWrightRoutes(tourData, { maxRoutes = 1, capacity = null, addresses: addressIds = null, timeWindows = null, distance = getRoadNetwork(tourData).distance } = {}) {
   const depotId = tourData.nodes.find(n => n.type === 'depot').id
   
   const nodesById = {}
   tourData.nodes.forEach(n => { nodesById[n.id] = n })
   
-  const addresses = tourData.nodes
+  const addresses = addressIds ? [...addressIds] : tourData.nodes
     .filter(n => n.type === 'address')
     .map(n => n.id)
   
   if (addresses.length === 0) return []
-  if (addresses.length === 1) return addresses
+  if (addresses.length === 1) return [addresses]
   
   // Calculate how much distance we save by combining each pair
   const savings = []
@@ -36,9 +63,9 @@ export function clarkeWrightSavings(tourData) {
       const addrJ = addresses[j]
       
       // Use actual road network distances (not straight-line)
-      const distDepotI = calculateNetworkDistance(depotId, addrI)
-      const distDepotJ = calculateNetworkDistance(depotId, addrJ)
-      const distIJ = calculateNetworkDistance(addrI, addrJ)
+      const distDepotI = distance(depotId, addrI)
+      const distDepotJ = distance(depotId, addrJ)
+      const distIJ = distance(addrI, addrJ)
       
       const saving = distDepotI + distDepotJ - distIJ
       
@@ -55,6 +82,8 @@ export function clarkeWrightSavings(tourData) {
   // Start with each address in its own route
   const routes = addresses.map(addr => [addr])
   
+  const routeLoads = addresses.map(addr => getDemand(nodesById[addr]))
+  
   const addressToRoute = {}
   addresses.forEach((addr, idx) => {
     addressToRoute[addr] = idx
@@ -66,12 +95,18 @@ export function clarkeWrightSavings(tourData) {
     return route[0] === addr || route[route.length - 1] === addr
   }
   
-  const mergeRoutes = (addr1, addr2) => {
+  const lateness = (route) => scheduleSequence(route, depotId, nodesById, { distance }).totalLateMin
+  
+  const mergeRoutes = (addr1, addr2, respectWindows) => {
     const route1Idx = addressToRoute[addr1]
     const route2Idx = addressToRoute[addr2]
     
     if (route1Idx === route2Idx) return false // Already in same route
     
+    // Vehicle would be overloaded by the merged route
+    const mergedLoad = addLoads(routeLoads[route1Idx], routeLoads[route2Idx])
+    if (capacity && !fitsCapacity(mergedLoad, capacity)) return false
+    
     const route1 = routes[route1Idx]
     const route2 = routes[route2Idx]
     
@@ -82,16 +117,20 @@ export function clarkeWrightSavings(tourData) {
     } else if (route1[0] === addr1 && route2[route2.length - 1] === addr2) {
       newRoute = [...route2, ...route1]
     } else if (route1[route1.length - 1] === addr1 && route2[route2.length - 1] === addr2) {
-      newRoute = [...route1, ...route2.reverse()]
+      newRoute = [...route1, ...[...route2].reverse()]
     } else if (route1[0] === addr1 && route2[0] === addr2) {
-      newRoute = [...route1.reverse(), ...route2]
+      newRoute = [...[...route1].reverse(), ...route2]
     } else {
       return false
     }
     
+    // Merged tour makes customers late that were on time before
+    if (respectWindows && lateness(newRoute) > lateness(route1) + lateness(route2)) return false
+    
     // Update route array
     routes[route1Idx] = newRoute
     routes[route2Idx] = []
+    routeLoads[route1Idx] = mergedLoad
     
     // Update address-to-route mapping
     newRoute.forEach(addr => {
@@ -101,15 +140,23 @@ export function clarkeWrightSavings(tourData) {
     return true
   }
   
-  for (const saving of savings) {
-    const { i, j } = saving
-    
-    if (isRouteEnd(i) && isRouteEnd(j) && addressToRoute[i] !== addressToRoute[j]) {
-      mergeRoutes(i, j)
+  let routeCount = routes.length
+  
+  // Second pass without time windows: every vehicle still gets one route
+  const passes = timeWindows === 'hard' ? [true, false] : [false]
+  
+  for (const respectWindows of passes) {
+    for (const saving of savings) {
+      // Enough merges - every vehicle has exactly one route left
+      if (routeCount <= maxRoutes) break
+      
+      const { i, j } = saving
+      
+      if (isRouteEnd(i) && isRouteEnd(j) && addressToRoute[i] !== addressToRoute[j]) {
+        if (mergeRoutes(i, j, respectWindows)) routeCount--
+      }
     }
   }
   
-  const finalRoute = routes.find(r => r.length > 0)
-  
-  return finalRoute || addresses
+  return routes.filter(r => r.length > 0)
 }
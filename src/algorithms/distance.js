@@ -3,11 +3,12 @@
  * Simple distance calculations using the canvas scale factor.
  */
 
-import tourSetup from '../data/tourSetup.json'
 import { euclideanDistance } from '../utils/mathHelpers.js'
+import { SCALE_PX_PER_KM } from '../data/constants.js'
 
-export function calculateDistance(nodeA, nodeB) {
+// Straight line in km; pass the map's canvas.scalePxPerKm for maps with another scale
+export function calculateDistance(nodeA, nodeB, scalePxPerKm = SCALE_PX_PER_KM) {
   const pixelDistance = euclideanDistance(nodeA.x, nodeA.y, nodeB.x, nodeB.y)
   
-  return pixelDistance / tourSetup.canvas.scalePxPerKm
+  return pixelDistance / scalePxPerKm
 }
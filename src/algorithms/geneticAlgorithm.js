@@ -0,0 +1,90 @@
+import { tourDistance, reverseSegment, createRandom, shuffleTour } from './tourMoves.js'
+
+/**
+ * geneticAlgorithm.js
+ *
+ * Evolution instead of improvement step by step: a population of tours
+ * competes, the shorter ones get to be parents more often. Children take
+ * a piece of one parent's tour and fill in the remaining addresses in the
+ * order of the other parent (order crossover, OX). Occasional mutations
+ * (a reversed piece of the tour) keep the population diverse. The best
+ * tours always survive into the next generation (elitism).
+ */
+
+/**
+ * @param {string[]} addresses - Address IDs to visit
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} options - { distance, seed, populationSize, generations, mutationRate, tournamentSize, eliteCount }
+ * @returns {Object} { tour, distance, stats: { generations, evaluations } }
+ */
+export function geneticAlgorithm(addresses, depotId, options = {}) {
+  const {
+    distance,
+    seed = null,
+    populationSize = 60,
+    generations = 300,
+    mutationRate = 0.2,
+    tournamentSize = 3,
+    eliteCount = 2
+  } = options
+  const random = createRandom(seed)
+  const stats = { generations: 0, evaluations: 0 }
+
+  const individual = (tour) => {
+    stats.evaluations++
+    return { tour, distance: tourDistance(tour, depotId, distance) }
+  }
+  const byDistance = (a, b) => a.distance - b.distance
+
+  let population = Array.from({ length: Math.max(2, populationSize) }, () => individual(shuffleTour(addresses, random)))
+  population.sort(byDistance)
+  if (addresses.length < 3) return { ...population[0], stats }
+
+  // Best of a few random individuals
+  const select = () => {
+    let winner = population[Math.floor(random() * population.length)]
+    for (let k = 1; k < tournamentSize; k++) {
+      const rival = population[Math.floor(random() * population.length)]
+      if (rival.distance < winner.distance) winner = rival
+    }
+    return winner
+  }
+
+  for (let gen = 0; gen < generations; gen++) {
+    const next = population.slice(0, eliteCount)
+    while (next.length < population.length) {
+      const child = orderCrossover(select().tour, select().tour, random)
+      if (random() < mutationRate) {
+        const a = Math.floor(random() * child.length)
+        const b = Math.floor(random() * child.length)
+        reverseSegment(child, Math.min(a, b), Math.max(a, b))
+      }
+      next.push(individual(child))
+    }
+    population = next.sort(byDistance)
+    stats.generations = gen + 1
+  }
+
+  return { ...population[0], stats }
+}
+
+/**
+ * Order crossover (OX): the child keeps parent1[from..to] in place and
+ * takes all other addresses in the order they appear in parent2.
+ *
+ * @example
+ * // parent1 A B C D E, piece C D; parent2 E D C B A
+ * // → E B C D A
+ */
+export function orderCrossover(parent1, parent2, random = Math.random) {
+  const n = parent1.length
+  const a = Math.floor(random() * n)
+  const b = Math.floor(random() * n)
+  const from = Math.min(a, b)
+  const to = Math.max(a, b)
+
+  const piece = parent1.slice(from, to + 1)
+  const taken = new Set(piece)
+  const rest = parent2.filter(id => !taken.has(id))
+  return [...rest.slice(0, from), ...piece, ...rest.slice(from)]
+}
@@ -0,0 +1,110 @@
+/**
+ * heldKarp.js
+ *
+ * Exact TSP solver by dynamic programming (Held & Karp, 1962). For every
+ * subset of addresses and every last address it remembers the shortest
+ * way from the depot through exactly that subset. The optimal tour is the
+ * best subset of all addresses plus the way back.
+ *
+ * Runtime and memory grow with 2^n · n, so this only works for small
+ * instances: 18 addresses take about a second and 20 MB, every further
+ * address doubles both. That is enough to prove how close the heuristics
+ * get on our map.
+ */
+
+export const MAX_EXACT_ADDRESSES = 20
+
+/**
+ * Finds the shortest tour depot → all addresses → depot.
+ *
+ * @param {string[]} addresses - Address IDs
+ * @param {string} depotId - Start and end of the tour
+ * @param {Function} distance - (fromId, toId) → km, e.g. the road network's distance
+ * @returns {Object|null} { sequence, distance } or null if there are too many addresses
+ */
+export function solveExactTsp(addresses, depotId, distance) {
+  const n = addresses.length
+  if (n > MAX_EXACT_ADDRESSES) return null
+  if (n === 0) return { sequence: [], distance: 0 }
+
+  // Distance matrix: index n is the depot
+  const ids = [...addresses, depotId]
+  const dist = ids.map(from => ids.map(to => distance(from, to)))
+
+  // best[subset * n + last]: shortest way depot → subset (ending at last)
+  // Float32 halves the memory, a few meters of rounding don't matter here
+  const subsets = 1 << n
+  const best = new Float32Array(subsets * n).fill(Infinity)
+  for (let i = 0; i < n; i++) {
+    best[(1 << i) * n + i] = dist[n][i]
+  }
+
+  for (let subset = 1; subset < subsets; subset++) {
+    for (let last = 0; last < n; last++) {
+      const current = best[subset * n + last]
+      if (current === Infinity || !(subset & (1 << last))) continue
+
+      for (let next = 0; next < n; next++) {
+        if (subset & (1 << next)) continue
+        const extended = subset | (1 << next)
+        const candidate = current + dist[last][next]
+        if (candidate < best[extended * n + next]) {
+          best[extended * n + next] = candidate
+        }
+      }
+    }
+  }
+
+  // Close the tour: best last address before returning to the depot
+  const all = subsets - 1
+  let bestLast = 0
+  let bestDistance = Infinity
+  for (let last = 0; last < n; last++) {
+    const total = best[all * n + last] + dist[last][n]
+    if (total < bestDistance) {
+      bestDistance = total
+      bestLast = last
+    }
+  }
+
+  // Walk back: which predecessor explains the stored value?
+  const sequence = []
+  let subset = all
+  let last = bestLast
+  while (last !== -1) {
+    sequence.unshift(addresses[last])
+    const previousSubset = subset & ~(1 << last)
+    let previous = -1
+    let closest = Infinity
+    for (let candidate = 0; candidate < n && previousSubset; candidate++) {
+      if (!(previousSubset & (1 << candidate))) continue
+      const error = Math.abs(best[previousSubset * n + candidate] + dist[candidate][last] - best[subset * n + last])
+      if (error < closest) {
+        closest = error
+        previous = candidate
+      }
+    }
+    subset = previousSubset
+    last = previous
+  }
+
+  // Report the exact length of the found tour (no Float32 rounding)
+  let exact = dist[n][ids.indexOf(sequence[0])]
+  for (let i = 1; i < sequence.length; i++) {
+    exact += dist[ids.indexOf(sequence[i - 1])][ids.indexOf(sequence[i])]
+  }
+  exact += dist[ids.indexOf(sequence[sequence.length - 1])][n]
+
+  return { sequence, distance: exact }
+}
+
+/**
+ * How much longer a tour is than the optimum, in percent.
+ *
+ * @example
+ * optimalityGap(26.4, 24.0) // 10
+ */
+export function optimalityGap(distance, optimum) {
+  if (!(optimum > 0)) return 0
+  return ((distance - optimum) / optimum) * 100
+}
@@ -1,4 +1,4 @@
-import { calculateNetworkDistance } from './networkDistance.js'
+import { tourDistance } from './tourMoves.js'
 
 /**
  * linKernighanHelsgaun.js
@@ -10,10 +10,31 @@ import { calculateNetworkDistance } from './networkDistance.js'
  * 
  * For our 18-address problem, it consistently finds the optimal or very
  * close to optimal route.
+ *
+ * Other objectives (travel time, cost, CO₂ under rush hour traffic, see
+ * objectives.js) depend on when a road is used, so edge gains can't be
+ * added up. For those, the distance-optimal tour is refined with the same
+ * candidate moves, each one judged by driving the complete tour.
+ *
+ * On maps with one-way streets distance(a, b) and distance(b, a) differ:
+ * a move that reverses a segment changes the cost of every road in it,
+ * which the edge gains don't see. There, every move is checked against
+ * the length of the complete tour before it is taken.
  */
 
-export function linKernighanHelsgaun(initialTour, depotId) {
-  const candidateSets = buildCandidateSets(initialTour, depotId, 10)
+/**
+ * @param {string[]} initialTour - Address IDs
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} options - { distance, directed, objective, score }
+ *   distance: (fromId, toId) → km, e.g. the road network's distance
+ *   directed: distances depend on the direction (the road network's isDirected)
+ *   objective: from createObjective(), distance if omitted
+ *   score: tour → number to minimize (default: objective value)
+ * @returns {string[]} Improved tour
+ */
+export function linKernighanHelsgaun(initialTour, depotId, options = {}) {
+  const { distance, directed = false, objective = null } = options
+  const candidateSets = buildCandidateSets(initialTour, depotId, distance, 10)
   
   let tour = [...initialTour]
   let improved = true
@@ -35,7 +56,7 @@ export function linKernighanHelsgaun(initialTour, depotId) {
       if (dontLook.has(t1)) continue
       
       // Try Lin-Kernighan move starting from t1
-      const result = linKernighanMove(tour, i, candidateSets, depotId)
+      const result = linKernighanMove(tour, i, candidateSets, depotId, distance, directed)
       
       if (result.improved) {
         tour = result.tour
@@ -48,12 +69,72 @@ export function linKernighanHelsgaun(initialTour, depotId) {
     }
   }
   
+  if (objective?.isTimeDependent || options.score) {
+    const score = options.score || ((t) => calculateTourCost(t, depotId, distance, objective))
+    // The distance optimum may be worse than the start (e.g. late customers)
+    const start = score(initialTour) < score(tour) ? initialTour : tour
+    return refineTour(start, candidateSets, score)
+  }
+  
+  return tour
+}
+
+/**
+ * First-improvement local search with full tour evaluation:
+ * 2-opt on candidate neighbors and moving single stops (or-opt).
+ */
+function refineTour(initialTour, candidateSets, score) {
+  let tour = [...initialTour]
+  let best = score(tour)
+  let improved = true
+  let iteration = 0
+  const maxIterations = 100
+  
+  const tryTour = (candidate) => {
+    const value = score(candidate)
+    if (value < best - 1e-9) {
+      tour = candidate
+      best = value
+      return true
+    }
+    return false
+  }
+  
+  while (improved && iteration < maxIterations) {
+    improved = false
+    iteration++
+    
+    for (let i = 0; i < tour.length && !improved; i++) {
+      for (const t3 of candidateSets[tour[i]] || []) {
+        const t3Idx = tour.indexOf(t3)
+        if (t3Idx === -1 || Math.abs(t3Idx - i) < 2) continue
+        if (tryTour(apply2OptMove(tour, i, t3Idx))) {
+          improved = true
+          break
+        }
+      }
+    }
+    
+    for (let from = 0; from < tour.length && !improved; from++) {
+      for (let to = 0; to < tour.length; to++) {
+        if (to === from) continue
+        const moved = [...tour]
+        const [stop] = moved.splice(from, 1)
+        moved.splice(to, 0, stop)
+        if (tryTour(moved)) {
+          improved = true
+          break
+        }
+      }
+    }
+  }
+  
   return tour
 }
 
 // Build candidate sets: for each node, find its k nearest neighbors.
 // This way we only try swaps that might actually help.
-function buildCandidateSets(tour, depotId, k = 10) {
+function buildCandidateSets(tour, depotId, distance, k = 10) {
   const allNodes = [depotId, ...tour]
   const candidateSets = {}
   
@@ -61,7 +142,7 @@ function buildCandidateSets(tour, depotId, k = 10) {
     const distances = []
     for (const other of allNodes) {
       if (node !== other) {
-        const dist = calculateNetworkDistance(node, other)
+        const dist = distance(node, other)
         distances.push({ node: other, dist })
       }
     }
@@ -75,19 +156,22 @@ function buildCandidateSets(tour, depotId, k = 10) {
 
 // Try swapping edges starting from a given position.
 // Start with 2-opt and extend if we find an improvement.
-function linKernighanMove(tour, startIdx, candidateSets, depotId) {
+function linKernighanMove(tour, startIdx, candidateSets, depotId, distance, directed) {
   const n = tour.length
+  // Reversed segments cost something else on one-way maps, only the whole tour tells
+  const length = directed ? tourDistance(tour, depotId, distance) : 0
+  const shorter = (newTour) => !directed || tourDistance(newTour, depotId, distance) < length - 0.001
   
   const t1 = tour[startIdx]
   const t2 = tour[(startIdx + 1) % n]
   
   const t1Prev = startIdx === 0 ? depotId : tour[startIdx - 1]
-  const currentEdgeBreak = calculateNetworkDistance(t1, t2)
+  const currentEdgeBreak = distance(t1, t2)
   
   for (const t3 of candidateSets[t1]) {
     if (t3 === t2 || t3 === t1Prev) continue
     
-    const newEdgeAdd = calculateNetworkDistance(t1, t3)
+    const newEdgeAdd = distance(t1, t3)
     const gain = currentEdgeBreak - newEdgeAdd
     
     if (gain <= 0) continue // No improvement from simple 2-opt
@@ -97,20 +181,20 @@ function linKernighanMove(tour, startIdx, candidateSets, depotId) {
     if (t3Idx === -1) continue // t3 is depot, skip
     
     const t4 = tour[(t3Idx + 1) % n]
-    const t3t4Edge = calculateNetworkDistance(t3, t4)
+    const t3t4Edge = distance(t3, t4)
     
     // Try 2-opt move
-    const gain2opt = gain - t3t4Edge + calculateNetworkDistance(t2, t4)
+    const gain2opt = gain - t3t4Edge + distance(t2, t4)
     
     if (gain2opt > 0.001) { // Small epsilon for numerical stability
       // Apply 2-opt: reverse segment between
       const newTour = apply2OptMove(tour, startIdx, t3Idx)
-      return { improved: true, tour: newTour }
+      if (shorter(newTour)) return { improved: true, tour: newTour }
     }
     
     // Try extending to 3-opt, 4-opt, 5-opt
     // This is where LKH goes beyond basic 2-opt
-    const extendedResult = tryExtendedMove(tour, startIdx, t3Idx, gain, candidateSets, depotId)
+    const extendedResult = tryExtendedMove(tour, startIdx, t3Idx, gain, candidateSets, distance, shorter)
     if (extendedResult.improved) {
       return extendedResult
     }
@@ -123,7 +207,7 @@ function linKernighanMove(tour, startIdx, candidateSets, depotId) {
  * See if we can do better than 2-opt by trying more complex moves.
  * Sometimes breaking and reconnecting 3+ edges finds shortcuts that 2-opt misses.
  */
-function tryExtendedMove(tour, idx1, idx3, currentGain, candidateSets, depotId) {
+function tryExtendedMove(tour, idx1, idx3, currentGain, candidateSets, distance, shorter) {
   const n = tour.length
   
   // For 3-opt: try to break one more edge and reconnect
@@ -137,14 +221,14 @@ function tryExtendedMove(tour, idx1, idx3, currentGain, candidateSets, depotId)
     const t6 = tour[(t5Idx + 1) % n]
     
     // Calculate gain from 3-opt
-    const breakEdge = calculateNetworkDistance(t5, t6)
-    const addEdge = calculateNetworkDistance(t4, t5)
+    const breakEdge = distance(t5, t6)
+    const addEdge = distance(t4, t5)
     const gain3opt = currentGain + breakEdge - addEdge
     
     if (gain3opt > 0.001) {
       // Apply 3-opt move (there are multiple reconnection patterns)
       const newTour = apply3OptMove(tour, idx1, idx3, t5Idx)
-      if (newTour) {
+      if (newTour && shorter(newTour)) {
         return { improved: true, tour: newTour }
       }
     }
@@ -204,16 +288,9 @@ function apply3OptMove(tour, idx1, idx2, idx3) {
 }
 
 /**
- * Calculate full tour distance including depot
+ * Tour value under an objective (distance without one), including depot legs
  */
-function calculateTourDistance(tour, depotId) {
-  let dist = calculateNetworkDistance(depotId, tour[0])
-  
-  for (let i = 0; i < tour.length - 1; i++) {
-    dist += calculateNetworkDistance(tour[i], tour[i + 1])
-  }
-  
-  dist += calculateNetworkDistance(tour[tour.length - 1], depotId)
-  
-  return dist
+export function calculateTourCost(tour, depotId, distance, objective = null) {
+  if (!objective || objective.type === 'distance') return tourDistance(tour, depotId, distance)
+  return objective.evaluate(tour, depotId).value
 }
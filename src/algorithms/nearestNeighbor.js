@@ -0,0 +1,36 @@
+/**
+ * nearestNeighbor.js
+ *
+ * Greedy tour: always drive to the closest address not visited yet. Fast
+ * and easy to follow, but the last stops are whatever is left over - often
+ * far apart from each other. A good start for the optimizers, rarely a
+ * good result on its own.
+ */
+
+/**
+ * @param {string} startId - Where the tour starts: an address (first stop) or the depot
+ * @param {string[]} addresses - Address IDs to visit
+ * @param {Function} distance - (fromId, toId) → km, e.g. the road network's distance
+ * @returns {string[]} Address IDs in visiting order
+ */
+export function nearestNeighborTour(startId, addresses, distance) {
+  const route = addresses.includes(startId) ? [startId] : []
+  const remaining = addresses.filter(a => a !== startId)
+
+  let current = startId
+  while (remaining.length > 0) {
+    let nearestDist = Infinity
+    let nearestIdx = 0
+    remaining.forEach((addr, idx) => {
+      const dist = distance(current, addr)
+      if (dist < nearestDist) {
+        nearestDist = dist
+        nearestIdx = idx
+      }
+    })
+    current = remaining.splice(nearestIdx, 1)[0]
+    route.push(current)
+  }
+
+  return route
+}
@@ -0,0 +1,154 @@
+import { edgeTravelTime } from './pathfinding.js'
+import { getTrafficIntensity } from './trafficModel.js'
+import { getCustomerWindow } from '../game/TimeWindows.js'
+import { energyCostPerKm } from '../game/CostModel.js'
+import { consumptionFactor } from '../game/EnergyModel.js'
+import {
+  FIXED_COST_PER_KM,
+  CITY_SPEED_KMH,
+  STOP_TIME_MINUTES,
+  RELOAD_TIME_MINUTES
+} from '../data/constants.js'
+
+/**
+ * objectives.js
+ *
+ * What "best tour" means. The shortest tour is not always the fastest:
+ * a main road at the 8:00 peak crawls at 20 km/h, so serving those
+ * customers half an hour later can save time even with a longer way.
+ *
+ * Every objective drives the tour leg by leg with the deterministic
+ * planning traffic (no random variation), so the result depends on when
+ * each road is used - not just on which roads. Between two stops the
+ * distance objective takes the shortest way, all others the fastest way
+ * at that time of day.
+ *
+ * - distance: kilometers
+ * - time: minutes until back at the depot (driving, waiting, stops)
+ * - cost: overhead + energy per km (the vehicle's fixed costs are the same
+ *   for every tour, see CostModel.js)
+ * - co2: kg CO₂
+ * Energy and CO₂ follow the energy model (EnergyModel.js): slow roads and
+ * stop-and-go in dense traffic burn more. The planner drives empty and
+ * leaves out the delivery stops, which are the same for every order.
+ */
+
+export const OBJECTIVES = [
+  { id: 'distance', label: 'Distanz', unit: 'km' },
+  { id: 'time', label: 'Fahrzeit', unit: 'min' },
+  { id: 'cost', label: 'Kosten', unit: '€' },
+  { id: 'co2', label: 'CO₂', unit: 'kg' }
+]
+
+/**
+ * Creates the objective used by the optimizer.
+ *
+ * @param {string} type - 'distance' | 'time' | 'cost' | 'co2'
+ * @param {Object} options - { network, trafficModel, vehicle }
+ *   network: road network of the map (from getRoadNetwork)
+ *   trafficModel, vehicle: optional
+ * @returns {Object} { type, unitsPerKm, isTimeDependent, evaluate(tour, depotId, options), legTime(from, to, departMin) }
+ */
+export function createObjective(type = 'distance', { network, trafficModel = null, vehicle = null } = {}) {
+  const variableCostPerKm = energyCostPerKm(vehicle)
+  const co2PerKm = vehicle?.co2PerKm ?? 0
+  const fastestPaths = Boolean(trafficModel) && type !== 'distance'
+
+  // Drive from one stop to the next, leaving at departMin (minutes after 7:00)
+  function driveLeg(fromId, toId, departMin) {
+    const leg = { km: 0, timeMin: 0, cost: 0, co2: 0 }
+    const path = fastestPaths
+      ? network.timeDependentPath(fromId, toId, departMin, trafficModel).path
+      : network.path(fromId, toId)
+
+    const addRoad = (lengthKm, timeMin, intensity = 0) => {
+      const speedKmh = timeMin > 0 ? lengthKm / (timeMin / 60) : CITY_SPEED_KMH
+      const factor = consumptionFactor(vehicle, { lengthKm, speedKmh, intensity })
+      leg.km += lengthKm
+      leg.timeMin += timeMin
+      leg.cost += lengthKm * (FIXED_COST_PER_KM + variableCostPerKm * factor)
+      leg.co2 += lengthKm * co2PerKm * factor
+    }
+
+    if (!path) {
+      // Unreachable by road: straight-line fallback at city speed
+      const km = network.distance(fromId, toId)
+      addRoad(km, (km / CITY_SPEED_KMH) * 60)
+      return leg
+    }
+
+    for (const edge of path) {
+      const lengthKm = edge.lengthKm || 0
+      const enterMin = departMin + leg.timeMin
+      const edgeTraffic = trafficModel?.edges[edge.id]
+      addRoad(lengthKm, edgeTravelTime(edge, trafficModel, enterMin), edgeTraffic ? getTrafficIntensity(enterMin, edgeTraffic) : 0)
+    }
+    return leg
+  }
+
+  /**
+   * Drives a whole tour: depot → stops → depot. A depot ID inside the tour
+   * is a reload stop. With nodesById, customers' time windows apply
+   * (waiting when early, lateness when late). With startId the tour starts
+   * there instead (the rest of a tour, from where the van is).
+   *
+   * @returns {Object} { distance, timeMin, cost, co2, lateMin, value }
+   */
+  function evaluate(tour, depotId, { nodesById = null, startMin = 0, serviceMin = STOP_TIME_MINUTES, startId = depotId } = {}) {
+    const totals = { distance: 0, time: 0, cost: 0, co2: 0 }
+    let timeMin = startMin
+    let lateMin = 0
+    let position = startId
+
+    const drive = (toId) => {
+      const leg = driveLeg(position, toId, timeMin)
+      totals.distance += leg.km
+      totals.cost += leg.cost
+      totals.co2 += leg.co2
+      timeMin += leg.timeMin
+      position = toId
+    }
+
+    for (const stopId of tour) {
+      drive(stopId)
+      if (stopId === depotId) {
+        timeMin += RELOAD_TIME_MINUTES
+        continue
+      }
+      if (nodesById) {
+        const window = getCustomerWindow(nodesById[stopId])
+        lateMin += Math.max(0, timeMin - window.end)
+        timeMin = Math.max(timeMin, window.start)
+      }
+      timeMin += serviceMin
+    }
+    if (tour.length > 0 || position !== depotId) drive(depotId)
+
+    totals.time = timeMin - startMin
+    return {
+      distance: totals.distance,
+      timeMin: totals.time,
+      cost: totals.cost,
+      co2: totals.co2,
+      lateMin,
+      value: totals[type]
+    }
+  }
+
+  // How much one kilometer is worth in this objective's unit (for penalties)
+  const unitsPerKm = {
+    distance: 1,
+    time: 60 / CITY_SPEED_KMH,
+    cost: FIXED_COST_PER_KM + variableCostPerKm,
+    co2: co2PerKm
+  }[type]
+
+  return {
+    type,
+    unitsPerKm,
+    // Distance alone is the same at every hour of the day
+    isTimeDependent: type !== 'distance',
+    evaluate,
+    legTime: (fromId, toId, departMin) => driveLeg(fromId, toId, departMin).timeMin
+  }
+}
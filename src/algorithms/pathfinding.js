@@ -1,4 +1,5 @@
-import tourSetup from '../data/tourSetup.json'
+import { calculateTravelTime } from './trafficModel.js'
+import { CITY_SPEED_KMH, STOP_TIME_MINUTES } from '../data/constants.js'
 
 /**
  * pathfinding.js
@@ -6,81 +7,147 @@ import tourSetup from '../data/tourSetup.json'
  * Finds detours around construction zones using Dijkstra's algorithm.
  * When the player's route hits a blocked road, we calculate an alternate
  * path that avoids all blocked edges.
+ *
+ * Every search follows the driving rules of the map: one-way streets only
+ * from a to b, no forbidden turns. At a node with turn restrictions the
+ * search keeps one state per incoming road, because where the van may go
+ * next depends on where it came from.
+ *
+ * The searches run on a road network (see roadNetwork.js), usually called
+ * through its findDetour / findFastestPath.
  */
 
-export function findDetour(startNodeId, endNodeId, blockedEdgeIds = new Set()) {
-  const graph = new Map()
-  const edgeMap = new Map()
-  
-  tourSetup.edges.forEach(edge => {
-    if (blockedEdgeIds.has(edge.id)) return
-    if (edge.blocked) return
-    
-    if (!graph.has(edge.a)) graph.set(edge.a, [])
-    if (!graph.has(edge.b)) graph.set(edge.b, [])
-    
-    graph.get(edge.a).push({ nodeId: edge.b, edge, distance: edge.lengthKm })
-    graph.get(edge.b).push({ nodeId: edge.a, edge, distance: edge.lengthKm })
-    
-    edgeMap.set(`${edge.a}-${edge.b}`, edge)
-    edgeMap.set(`${edge.b}-${edge.a}`, edge)
-  })
-  
-  const distances = new Map()
-  const previous = new Map()
-  const unvisited = new Set()
-  
-  tourSetup.nodes.forEach(node => {
-    distances.set(node.id, Infinity)
-    unvisited.add(node.id)
+// Roads a van may take at nodeId after arriving over the edge arrivedVia (null at the start):
+// open, not against a one-way street and no forbidden turn
+function drivableRoads(network, nodeId, arrivedVia, blockedEdgeIds) {
+  return (network.edgesByNode.get(nodeId) || [])
+    .filter(edge => !edge.blocked && !blockedEdgeIds.has(edge.id) && network.canDrive(edge, nodeId) &&
+      (arrivedVia === null || network.isTurnAllowed(nodeId, arrivedVia, edge.id)))
+    .map(edge => ({ nodeId: edge.a === nodeId ? edge.b : edge.a, edge }))
+}
+
+// Search state: the node, and at nodes with turn restrictions also the road it was reached by
+function stateKey(network, nodeId, edgeId) {
+  return edgeId !== null && network.hasTurnRestrictions(nodeId) ? `${nodeId}|${edgeId}` : nodeId
+}
+
+/**
+ * Dijkstra over the drivable roads. The value (km or clock minutes) grows
+ * along a path by cost(edge, valueBefore).
+ *
+ * @returns {Object|null} { path, startNodeId, value } or null if no target is reachable
+ */
+function searchPath(network, startNodeIds, targetIds, startValue, cost, blockedEdgeIds, arrivedVia) {
+  const best = new Map() // state → value
+  const states = new Map() // state → { nodeId, edgeId }
+  const previous = new Map() // state → { from, edge }
+  const open = new Set()
+  const done = new Set()
+  startNodeIds.forEach(nodeId => {
+    const key = stateKey(network, nodeId, arrivedVia)
+    best.set(key, startValue)
+    states.set(key, { nodeId, edgeId: arrivedVia })
+    open.add(key)
   })
-  distances.set(startNodeId, 0)
-  
-  while (unvisited.size > 0) {
+
+  let reached = null
+  while (open.size > 0) {
     let current = null
-    let minDist = Infinity
-    for (const nodeId of unvisited) {
-      const dist = distances.get(nodeId)
-      if (dist < minDist) {
-        minDist = dist
-        current = nodeId
+    let minValue = Infinity
+    for (const key of open) {
+      if (best.get(key) < minValue) {
+        minValue = best.get(key)
+        current = key
       }
     }
-    
-    // No more reachable nodes, or we reached the destination
-    if (current === null || minDist === Infinity) break
-    if (current === endNodeId) break
-    
-    unvisited.delete(current)
-    
-    // Update distances to all neighbors
-    const neighbors = graph.get(current) || []
-    for (const { nodeId, edge, distance } of neighbors) {
-      if (!unvisited.has(nodeId)) continue
-      
-      const newDist = distances.get(current) + distance
-      if (newDist < distances.get(nodeId)) {
-        distances.set(nodeId, newDist)
-        previous.set(nodeId, { from: current, edge })
+    if (current === null) break
+
+    const { nodeId, edgeId } = states.get(current)
+    if (targetIds.has(nodeId)) {
+      reached = current
+      break
+    }
+    open.delete(current)
+    done.add(current)
+
+    for (const { nodeId: next, edge } of drivableRoads(network, nodeId, edgeId, blockedEdgeIds)) {
+      const key = stateKey(network, next, edge.id)
+      if (done.has(key)) continue
+      const value = cost(edge, minValue)
+      if (value < (best.get(key) ?? Infinity)) {
+        best.set(key, value)
+        states.set(key, { nodeId: next, edgeId: edge.id })
+        previous.set(key, { from: current, edge })
+        open.add(key)
       }
     }
   }
-  
+
+  if (reached === null) return null
+
   // Build the path by backtracking from destination to start
-  if (!previous.has(endNodeId)) {
-    return null // No route exists
-  }
-  
   const path = []
-  let current = endNodeId
-  
+  let current = reached
   while (previous.has(current)) {
     const { from, edge } = previous.get(current)
     path.unshift(edge)
     current = from
   }
-  
-  return path
+  return { path, startNodeId: states.get(current).nodeId, value: best.get(reached) }
+}
+
+/**
+ * Shortest path by length, around all blocked edges.
+ *
+ * One-way streets are only driven from a to b, forbidden turns are never
+ * taken (see roadNetwork.js).
+ *
+ * @param {Object} network - Road network of the map
+ * @param {string} startNodeId - Start node
+ * @param {string} endNodeId - Target node
+ * @param {Set} blockedEdgeIds - Additional edges to avoid
+ * @param {string|null} arrivedVia - Edge the van came in on (for turn restrictions at the start)
+ * @returns {Array|null} Edges in driving order, null if unreachable
+ */
+export function findDetour(network, startNodeId, endNodeId, blockedEdgeIds = new Set(), arrivedVia = null) {
+  const result = searchPath(network, [startNodeId], new Set([endNodeId]), 0,
+    (edge, km) => km + edge.lengthKm, blockedEdgeIds, arrivedVia)
+  // Start and end at the same node is no detour
+  return result && result.path.length > 0 ? result.path : null
+}
+
+// Minutes to drive an edge when leaving at timeMin, city speed for roads without traffic data.
+// With random the traffic varies like in the simulation, otherwise the planning forecast is used.
+export function edgeTravelTime(edge, trafficModel, timeMin, random = null) {
+  if (trafficModel && trafficModel.edges[edge.id]) {
+    return random
+      ? calculateTravelTime(edge, trafficModel, timeMin, true, random)
+      : calculateTravelTime(edge, trafficModel, timeMin, false)
+  }
+  return ((edge.lengthKm || 0) / CITY_SPEED_KMH) * 60
+}
+
+/**
+ * Time-dependent Dijkstra: the fastest way when leaving at departMin.
+ * 
+ * Every edge is priced with the planning traffic at the moment the van
+ * would enter it, so a main road that is red at 8:00 can lose against two
+ * side streets. Traffic only slows down (it never lets a later van overtake
+ * an earlier one), so the usual Dijkstra argument still holds.
+ * 
+ * @param {Object} network - Road network of the map
+ * @param {string|string[]} startNodeIds - Start node (or nodes sharing the start position)
+ * @param {string|string[]} endNodeIds - Target node (or nodes sharing the target position)
+ * @param {number} departMin - Departure in minutes after 7:00
+ * @param {Object} trafficModel - Traffic model (city speed everywhere if null)
+ * @param {Set} blockedEdgeIds - Additional edges to avoid
+ * @param {string|null} arrivedVia - Edge the van came in on (for turn restrictions at the start)
+ * @returns {Object|null} { path, startNodeId, arrivalMin } or null if unreachable
+ */
+export function findFastestPath(network, startNodeIds, endNodeIds, departMin, trafficModel, blockedEdgeIds = new Set(), arrivedVia = null) {
+  const result = searchPath(network, [].concat(startNodeIds), new Set([].concat(endNodeIds)), departMin,
+    (edge, timeMin) => timeMin + edgeTravelTime(edge, trafficModel, timeMin), blockedEdgeIds, arrivedVia)
+  return result && { path: result.path, startNodeId: result.startNodeId, arrivalMin: result.value }
 }
 
 /**
@@ -94,15 +161,33 @@ export function findDetour(startNodeId, endNodeId, blockedEdgeIds = new Set()) {
  * a blocked edge, it uses pathfinding to find the shortest detour around it.
  * All detour edges are marked so they can be visualized differently on the map.
  * 
+ * With a traffic model the detour is the fastest one at the time the van
+ * gets there instead. That time is estimated while walking the route:
+ * driving time with planning traffic plus the stop time at every address.
+ * 
  * @param {Array<Object>} edges - The originally planned route edges
- * @param {Object} tourData - Complete tour data including all nodes
+ * @param {Object} network - Road network of the map (see roadNetwork.js)
+ * @param {Object} options - { trafficModel, startMin } both optional
  * @returns {Object} Contains 'edges' (actual route with detours) and 'detours' (info about each detour)
  */
-export function replaceBlockedEdges(edges, tourData) {
-  const nodesById = {}
-  tourData.nodes.forEach(n => { nodesById[n.id] = n })
+export function replaceBlockedEdges(edges, network, options = {}) {
+  const { trafficModel = null, startMin = 0 } = options
+  const { nodesById } = network
+  
+  // Estimated clock for time-dependent detours
+  let timeMin = startMin
+  const servedAddresses = new Set()
+  const drive = (driven) => {
+    driven.forEach(e => { timeMin += edgeTravelTime(e, trafficModel, timeMin) })
+  }
+  const arriveAt = (nodeId) => {
+    if (nodesById[nodeId]?.type === 'address' && !servedAddresses.has(nodeId)) {
+      servedAddresses.add(nodeId)
+      timeMin += STOP_TIME_MINUTES
+    }
+  }
   
-  const depotId = tourData.nodes.find(n => n.type === 'depot').id
+  const depotId = network.depotId
   const resultEdges = []
   const detours = []
   
@@ -140,8 +225,8 @@ export function replaceBlockedEdges(edges, tourData) {
       }
       
       // Try to find a path from currentNode to either edge.a or edge.b
-      const pathToA = findDetour(currentNode, edge.a, new Set())
-      const pathToB = findDetour(currentNode, edge.b, new Set())
+      const pathToA = findDetour(network, currentNode, edge.a)
+      const pathToB = findDetour(network, currentNode, edge.b)
       
       // Use whichever path is shorter (or exists)
       let bridgePath = null
@@ -168,19 +253,25 @@ export function replaceBlockedEdges(edges, tourData) {
         bridgePath.forEach(bridgeEdge => {
           resultEdges.push({ ...bridgeEdge, isDetour: false })
         })
+        drive(bridgePath)
         currentNode = nextNode === edge.b ? edge.a : edge.b
       }
     }
     
-    if (edge.blocked) {
+    // A one-way street against its direction is as closed as a construction zone
+    if (edge.blocked || !network.canDrive(edge, currentNode)) {
       // Can't use this road - find a way around it
-      const detourPath = findDetour(currentNode, nextNode, new Set([edge.id]))
+      const arrivedVia = resultEdges.length > 0 ? resultEdges[resultEdges.length - 1].id : null
+      const detourPath = trafficModel
+        ? findFastestPath(network, currentNode, nextNode, timeMin, trafficModel, new Set([edge.id]), arrivedVia)?.path
+        : findDetour(network, currentNode, nextNode, new Set([edge.id]), arrivedVia)
       
       if (detourPath && detourPath.length > 0) {
         // Found a detour - add all its edges to the route
         detourPath.forEach(detourEdge => {
           resultEdges.push({ ...detourEdge, isDetour: true })
         })
+        drive(detourPath)
         
         // Remember this detour for visualization and metrics
         detours.push({
@@ -196,9 +287,11 @@ export function replaceBlockedEdges(edges, tourData) {
     } else {
       // Normal road - just use it
       resultEdges.push({ ...edge, isDetour: false })
+      drive([edge])
     }
     
     currentNode = nextNode
+    arriveAt(currentNode)
   }
   
   return { edges: resultEdges, detours }
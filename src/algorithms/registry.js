@@ -0,0 +1,210 @@
+import { getRoadNetwork } from './roadNetwork.js'
+import { nearestNeighborTour } from './nearestNeighbor.js'
+import { twoOpt } from './twoOpt.js'
+import { clarkeWrightSavings } from './clarkeWright.js'
+import { solveExactTsp, MAX_EXACT_ADDRESSES } from './heldKarp.js'
+import { tourDistance, createRandom } from './tourMoves.js'
+import { simulatedAnnealing } from './simulatedAnnealing.js'
+import { tabuSearch } from './tabuSearch.js'
+import { geneticAlgorithm } from './geneticAlgorithm.js'
+import { optimizeSequence } from '../game/AutoRoutePlanner.js'
+
+/**
+ * registry.js
+ *
+ * All tour heuristics behind one interface, so they can be run on the same
+ * problem and compared. Every algorithm gets a routing problem (depot,
+ * addresses and their distance matrix) and returns the visiting order of
+ * the addresses plus a few statistics of its own:
+ *
+ *   solve(problem, params) → { sequence, stats }
+ *
+ * New algorithms only need an entry in ALGORITHMS. The LKH pipeline works
+ * on the network distances directly; they are the same numbers the matrix
+ * holds.
+ *
+ * Tunable parameters are listed in `params` (with range and default) so
+ * the planning panel can offer them. Algorithms with `seeded: true` draw
+ * their random numbers from params.seed: the same seed gives the same tour.
+ */
+
+/**
+ * Precomputes the distances between depot and all addresses.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Function} distance - (fromId, toId) → km, the map's road network distance by default
+ * @returns {Object} { tourData, network, depotId, addresses, matrix, directed, distance(fromId, toId) }
+ *   directed: some distance differs between the two directions (one-way streets)
+ */
+export function createRoutingProblem(tourData, distance = getRoadNetwork(tourData).distance) {
+  const depotId = tourData.nodes.find(n => n.type === 'depot')?.id
+  const addresses = tourData.nodes.filter(n => n.type === 'address').map(n => n.id)
+  const ids = [depotId, ...addresses]
+
+  const matrix = {}
+  for (const from of ids) {
+    matrix[from] = {}
+    for (const to of ids) matrix[from][to] = from === to ? 0 : distance(from, to)
+  }
+
+  const directed = ids.some(from => ids.some(to => matrix[from][to] !== matrix[to][from]))
+
+  return { tourData, network: getRoadNetwork(tourData), depotId, addresses, matrix, directed, distance: (fromId, toId) => matrix[fromId][toId] }
+}
+
+export const ALGORITHMS = [
+  {
+    id: 'nearest-neighbor',
+    label: 'Nearest Neighbor',
+    paradigm: 'Greedy',
+    description: 'Fährt vom Depot aus immer zum nächstgelegenen offenen Kunden.',
+    solve: ({ depotId, addresses, distance }) => ({
+      sequence: nearestNeighborTour(depotId, addresses, distance),
+      stats: {}
+    })
+  },
+  {
+    id: 'clarke-wright',
+    label: 'Clarke-Wright Savings',
+    paradigm: 'Greedy',
+    description: 'Legt Einzelfahrten zusammen, die größte Ersparnis zuerst.',
+    solve: ({ tourData, distance }) => ({
+      sequence: clarkeWrightSavings(tourData, { distance }),
+      stats: {}
+    })
+  },
+  {
+    id: 'two-opt',
+    label: 'Nearest Neighbor + 2-Opt',
+    paradigm: 'Lokale Suche',
+    description: 'Verbessert die Greedy-Tour, bis kein Kantentausch mehr kürzer ist.',
+    solve: ({ depotId, addresses, distance, directed }) => {
+      const { tour, moves } = twoOpt(nearestNeighborTour(depotId, addresses, distance), depotId, distance, directed)
+      return { sequence: tour, stats: { moves } }
+    }
+  },
+  {
+    id: 'lkh',
+    label: 'Lin-Kernighan-Helsgaun',
+    paradigm: 'Lokale Suche',
+    description: 'k-opt-Moves aus vielen Startlösungen, die beste gewinnt (wie die automatische Planung).',
+    seeded: true,
+    params: [
+      { id: 'randomSamples', label: 'Zufällige Startlösungen', min: 0, max: 2000, step: 50, default: 200 }
+    ],
+    solve: ({ tourData, network, depotId, addresses, distance }, { randomSamples, seed }) => {
+      const { sequence } = optimizeSequence(addresses, depotId, {
+        network,
+        initialSequence: clarkeWrightSavings(tourData, { distance }),
+        randomSamples,
+        random: createRandom(seed)
+      })
+      return { sequence, stats: { startTours: addresses.length + randomSamples + 1 } }
+    }
+  },
+  {
+    id: 'simulated-annealing',
+    label: 'Simulated Annealing',
+    paradigm: 'Metaheuristik',
+    description: 'Nimmt anfangs auch Verschlechterungen in Kauf, mit sinkender Temperatur immer seltener.',
+    seeded: true,
+    params: [
+      { id: 'initialTemperature', label: 'Starttemperatur (km)', min: 0.1, max: 5, step: 0.1, default: 1 },
+      { id: 'coolingRate', label: 'Abkühlrate', min: 0.99, max: 0.9999, step: 0.0001, default: 0.9995 },
+      { id: 'iterations', label: 'Iterationen', min: 1000, max: 100000, step: 1000, default: 20000 }
+    ],
+    solve: ({ depotId, addresses, distance, directed }, params) => {
+      const { tour, stats } = simulatedAnnealing(addresses, depotId, { ...params, distance, directed })
+      return { sequence: tour, stats }
+    }
+  },
+  {
+    id: 'tabu-search',
+    label: 'Tabu-Suche',
+    paradigm: 'Metaheuristik',
+    description: 'Nimmt immer den besten Nachbarn, gerade entfernte Straßen sind eine Weile tabu.',
+    seeded: true,
+    params: [
+      { id: 'iterations', label: 'Iterationen', min: 10, max: 2000, step: 10, default: 300 },
+      { id: 'tenure', label: 'Tabu-Dauer', min: 1, max: 30, step: 1, default: 8 }
+    ],
+    solve: ({ depotId, addresses, distance, directed }, params) => {
+      const { tour, stats } = tabuSearch(addresses, depotId, { ...params, distance, directed })
+      return { sequence: tour, stats }
+    }
+  },
+  {
+    id: 'genetic',
+    label: 'Genetischer Algorithmus',
+    paradigm: 'Evolutionär',
+    description: 'Kreuzt gute Touren (Order Crossover) und mutiert sie über viele Generationen.',
+    seeded: true,
+    params: [
+      { id: 'populationSize', label: 'Populationsgröße', min: 10, max: 200, step: 10, default: 60 },
+      { id: 'generations', label: 'Generationen', min: 10, max: 2000, step: 10, default: 300 },
+      { id: 'mutationRate', label: 'Mutationsrate', min: 0, max: 1, step: 0.05, default: 0.2 }
+    ],
+    solve: ({ depotId, addresses, distance }, params) => {
+      const { tour, stats } = geneticAlgorithm(addresses, depotId, { ...params, distance })
+      return { sequence: tour, stats }
+    }
+  },
+  {
+    id: 'held-karp',
+    label: 'Held-Karp (exakt)',
+    paradigm: 'Exakt',
+    description: `Beweisbar kürzeste Tour, nur bis ${MAX_EXACT_ADDRESSES} Adressen.`,
+    isAvailable: ({ addresses }) => addresses.length <= MAX_EXACT_ADDRESSES,
+    solve: ({ depotId, addresses, distance }) => ({
+      sequence: solveExactTsp(addresses, depotId, distance).sequence,
+      stats: {}
+    })
+  }
+]
+
+export function getAlgorithm(id) {
+  return ALGORITHMS.find(a => a.id === id) || null
+}
+
+/**
+ * Parameters ready for solve(): missing or invalid values fall back to the
+ * default, numbers outside the range are clamped. Other keys (seed) pass.
+ */
+export function resolveParams(algorithm, params = {}) {
+  const resolved = { ...params }
+  for (const param of algorithm.params || []) {
+    const value = params[param.id] === '' ? NaN : Number(params[param.id] ?? param.default)
+    resolved[param.id] = Number.isNaN(value) ? param.default : Math.min(param.max, Math.max(param.min, value))
+  }
+  return resolved
+}
+
+// Exact solvers only work up to a certain size
+export function isAlgorithmAvailable(algorithm, problem) {
+  return !algorithm.isAvailable || algorithm.isAvailable(problem)
+}
+
+// Tour length depot → sequence → depot from the problem's matrix
+export function sequenceDistance(sequence, { depotId, distance }) {
+  return tourDistance(sequence, depotId, distance)
+}
+
+/**
+ * Runs one algorithm and times it.
+ *
+ * @param {string} id - Algorithm ID from ALGORITHMS
+ * @param {Object} problem - From createRoutingProblem
+ * @param {Object} params - Algorithm parameters and seed, defaults for missing ones
+ * @returns {Object|null} { algorithmId, sequence, distance, runtimeMs, stats }
+ *   or null if the algorithm is unknown or can't solve this problem
+ */
+export function runAlgorithm(id, problem, params = {}) {
+  const algorithm = getAlgorithm(id)
+  if (!algorithm || !isAlgorithmAvailable(algorithm, problem)) return null
+
+  const startedAt = performance.now()
+  const { sequence, stats } = algorithm.solve(problem, resolveParams(algorithm, params))
+  const runtimeMs = performance.now() - startedAt
+
+  return { algorithmId: id, sequence, distance: sequenceDistance(sequence, problem), runtimeMs, stats }
+}
@@ -0,0 +1,224 @@
+import { findDetour, findFastestPath, edgeTravelTime } from './pathfinding.js'
+import { buildNodeLookup, buildCoincidentNodesMap, getCoincidentNodes } from '../utils/nodeHelpers.js'
+import { euclideanDistance } from '../utils/mathHelpers.js'
+
+/**
+ * roadNetwork.js
+ *
+ * The road network of one map: node lookup, roads per node, nodes sharing
+ * a position (an address at a junction, the depot next to one), and the
+ * driving distances and paths through the network with their caches.
+ *
+ * Every algorithm gets the network (or its distance function) of the map
+ * it works on, so several maps can be used side by side - the bundled
+ * one, a generated or a loaded scenario - without mixing their data.
+ *
+ * Distances are the same at every hour. Travel times are not: the fastest
+ * way at 8:00 avoids the red main roads, at 9:30 it may take them again.
+ * timeDependentPath answers that per departure time.
+ *
+ * Driving rules: a road with oneway is only driven from a to b, and a node
+ * may forbid turns from one of its roads onto another
+ * (turnRestrictions: [{ from, to }] with edge IDs). On such maps the way
+ * back can be longer than the way there, so distance(a, b) and
+ * distance(b, a) are searched separately. Turn restrictions sit on plain
+ * road nodes only (see ScenarioFile.js), so a tour may leave a customer or
+ * the depot in any direction.
+ */
+
+// Departures within the same quarter hour share one fastest path
+export const TIME_BUCKET_MINUTES = 15
+
+// One network per tour data object, so its caches are shared by all callers
+const networks = new WeakMap()
+
+/**
+ * The network of a map, built on first use.
+ *
+ * @param {Object} tourData - { canvas, nodes, edges }
+ * @returns {Object} Network from createRoadNetwork
+ */
+export function getRoadNetwork(tourData) {
+  if (!networks.has(tourData)) networks.set(tourData, createRoadNetwork(tourData))
+  return networks.get(tourData)
+}
+
+/**
+ * Builds the network of a map with empty caches.
+ *
+ * @param {Object} tourData - { canvas, nodes, edges }
+ * @returns {Object} { tourData, nodes, edges, nodesById, edgesByNode, depotId, isDirected, getCluster(nodeId),
+ *   canDrive(edge, fromNodeId), hasTurnRestrictions(nodeId), isTurnAllowed(nodeId, fromEdgeId, toEdgeId),
+ *   straightDistance(nodeA, nodeB), distance(fromId, toId), path(fromId, toId),
+ *   timeDependentPath(fromId, toId, departMin, trafficModel), findDetour(startId, endId, blockedEdgeIds, arrivedVia),
+ *   findFastestPath(startIds, endIds, departMin, trafficModel, blockedEdgeIds, arrivedVia), clearCache() }
+ */
+export function createRoadNetwork(tourData) {
+  const nodesById = buildNodeLookup(tourData.nodes)
+  const coincidentNodeIds = buildCoincidentNodesMap(tourData.nodes)
+  const edgesByNode = new Map()
+  tourData.edges.forEach(edge => {
+    if (!edgesByNode.has(edge.a)) edgesByNode.set(edge.a, [])
+    if (!edgesByNode.has(edge.b)) edgesByNode.set(edge.b, [])
+    edgesByNode.get(edge.a).push(edge)
+    edgesByNode.get(edge.b).push(edge)
+  })
+
+  // Forbidden turns per node: Set('fromEdgeId>toEdgeId')
+  const forbiddenTurns = new Map()
+  tourData.nodes.forEach(node => {
+    if (node.turnRestrictions?.length) {
+      forbiddenTurns.set(node.id, new Set(node.turnRestrictions.map(turn => `${turn.from}>${turn.to}`)))
+    }
+  })
+  // Without one-way streets and turn restrictions every way can be driven backwards
+  const isDirected = tourData.edges.some(edge => edge.oneway) || forbiddenTurns.size > 0
+
+  const canDrive = (edge, fromNodeId) => !edge.oneway || edge.a === fromNodeId
+  const hasTurnRestrictions = (nodeId) => forbiddenTurns.has(nodeId)
+  const isTurnAllowed = (nodeId, fromEdgeId, toEdgeId) => !forbiddenTurns.get(nodeId)?.has(`${fromEdgeId}>${toEdgeId}`)
+
+  const distanceCache = new Map()
+  const pathCache = new Map()
+  // One cache per traffic model: trafficModel → Map('from-to@bucket' → path)
+  let timeDependentCache = new WeakMap()
+
+  // All nodes at the position of nodeId (including itself)
+  const getCluster = (nodeId) => getCoincidentNodes(nodeId, coincidentNodeIds)
+
+  // Node of a cluster that roads start from (addresses and the depot have none of their own)
+  const roadNode = (cluster) => cluster.find(id => edgesByNode.has(id)) || cluster[0]
+
+  // Straight line in km at the map's scale
+  function straightDistance(nodeA, nodeB) {
+    return euclideanDistance(nodeA.x, nodeA.y, nodeB.x, nodeB.y) / tourData.canvas.scalePxPerKm
+  }
+
+  /**
+   * The road edges of the shortest way, in driving order.
+   *
+   * A direct unblocked road between the two positions (in its driving
+   * direction) wins, otherwise Dijkstra around all construction zones.
+   *
+   * @returns {Array|null} Edges from → to ([] if both share a position), null if unreachable
+   */
+  function path(fromId, toId) {
+    const cacheKey = `${fromId}-${toId}`
+    if (pathCache.has(cacheKey)) return pathCache.get(cacheKey)
+    const reverseKey = `${toId}-${fromId}`
+    if (!isDirected && pathCache.has(reverseKey)) {
+      const reversePath = pathCache.get(reverseKey)
+      return reversePath && [...reversePath].reverse()
+    }
+
+    const fromCluster = getCluster(fromId)
+    const toCluster = getCluster(toId)
+    let result = null
+
+    if (fromCluster.includes(toId)) {
+      result = []
+    } else {
+      for (const fromNode of fromCluster) {
+        const directEdge = (edgesByNode.get(fromNode) || []).find(e =>
+          !e.blocked && canDrive(e, fromNode) && toCluster.includes(e.a === fromNode ? e.b : e.a)
+        )
+        if (directEdge) {
+          result = [directEdge]
+          break
+        }
+      }
+      if (!result) result = findDetour(network, roadNode(fromCluster), roadNode(toCluster))
+    }
+
+    pathCache.set(cacheKey, result)
+    return result
+  }
+
+  // Driving distance in km; straight line if no road connects the two
+  function distance(fromId, toId) {
+    const cacheKey = `${fromId}-${toId}`
+    if (distanceCache.has(cacheKey)) return distanceCache.get(cacheKey)
+
+    const roads = path(fromId, toId)
+    let km = Infinity
+    if (roads) {
+      km = roads.reduce((sum, edge) => sum + (edge.lengthKm || 0), 0)
+    } else if (nodesById[fromId] && nodesById[toId]) {
+      km = straightDistance(nodesById[fromId], nodesById[toId])
+    }
+
+    distanceCache.set(cacheKey, km)
+    if (!isDirected) distanceCache.set(`${toId}-${fromId}`, km)
+    return km
+  }
+
+  /**
+   * Fastest path and travel time for a departure at departMin.
+   *
+   * The path is searched once per TIME_BUCKET_MINUTES (at the start of the
+   * bucket) and cached; the returned time is driven along that path from the
+   * exact departure minute. Blocked edges are avoided like everywhere else.
+   *
+   * @param {string} fromId - Start node
+   * @param {string} toId - Target node
+   * @param {number} departMin - Departure in minutes after 7:00
+   * @param {Object} trafficModel - Traffic model (planning traffic, no random variation)
+   * @returns {Object} { path, distanceKm, timeMin } - path is null if unreachable
+   */
+  function timeDependentPath(fromId, toId, departMin, trafficModel) {
+    if (!timeDependentCache.has(trafficModel)) timeDependentCache.set(trafficModel, new Map())
+    const cache = timeDependentCache.get(trafficModel)
+
+    const bucket = Math.floor(departMin / TIME_BUCKET_MINUTES)
+    const cacheKey = `${fromId}-${toId}@${bucket}`
+    if (!cache.has(cacheKey)) {
+      const fromCluster = getCluster(fromId)
+      const toCluster = getCluster(toId)
+      const result = fromCluster.includes(toId)
+        ? { path: [] }
+        : findFastestPath(network, fromCluster, toCluster, bucket * TIME_BUCKET_MINUTES, trafficModel)
+      cache.set(cacheKey, result ? result.path : null)
+    }
+
+    const fastest = cache.get(cacheKey)
+    if (!fastest) return { path: null, distanceKm: Infinity, timeMin: Infinity }
+
+    let distanceKm = 0
+    let timeMin = 0
+    for (const edge of fastest) {
+      distanceKm += edge.lengthKm || 0
+      timeMin += edgeTravelTime(edge, trafficModel, departMin + timeMin)
+    }
+    return { path: fastest, distanceKm, timeMin }
+  }
+
+  function clearCache() {
+    distanceCache.clear()
+    pathCache.clear()
+    timeDependentCache = new WeakMap()
+  }
+
+  const network = {
+    tourData,
+    nodes: tourData.nodes,
+    edges: tourData.edges,
+    nodesById,
+    edgesByNode,
+    depotId: tourData.nodes.find(n => n.type === 'depot')?.id ?? null,
+    isDirected,
+    getCluster,
+    canDrive,
+    hasTurnRestrictions,
+    isTurnAllowed,
+    straightDistance,
+    distance,
+    path,
+    timeDependentPath,
+    findDetour: (startNodeId, endNodeId, blockedEdgeIds, arrivedVia) =>
+      findDetour(network, startNodeId, endNodeId, blockedEdgeIds, arrivedVia),
+    findFastestPath: (startNodeIds, endNodeIds, departMin, trafficModel, blockedEdgeIds, arrivedVia) =>
+      findFastestPath(network, startNodeIds, endNodeIds, departMin, trafficModel, blockedEdgeIds, arrivedVia),
+    clearCache
+  }
+  return network
+}
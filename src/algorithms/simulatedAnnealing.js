@@ -0,0 +1,66 @@
+import { tourDistance, reverseSegment, reversalDelta, createRandom, shuffleTour } from './tourMoves.js'
+
+/**
+ * simulatedAnnealing.js
+ *
+ * Borrowed from metallurgy: hot metal atoms move freely, while cooling
+ * they settle into a low-energy structure. Here every step reverses a
+ * random piece of the tour. Shorter tours are always kept, longer ones
+ * only with probability e^(-Δ/T). At high temperature T the search jumps
+ * out of local optima easily, the colder it gets the more it behaves like
+ * plain 2-opt.
+ */
+
+/**
+ * @param {string[]} addresses - Address IDs to visit
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} options - { distance, directed, seed, initialTemperature, coolingRate, iterations, initialTour }
+ *   directed: distances depend on the direction (one-way streets)
+ *   initialTemperature: in km - a detour of that size is accepted with probability 1/e at the start
+ *   coolingRate: temperature factor per iteration
+ *   initialTour: start here instead of a random tour
+ * @returns {Object} { tour, distance, stats: { iterations, accepted, uphillAccepted } }
+ */
+export function simulatedAnnealing(addresses, depotId, options = {}) {
+  const {
+    distance,
+    directed = false,
+    seed = null,
+    initialTemperature = 1,
+    coolingRate = 0.9995,
+    iterations = 20000,
+    initialTour = null
+  } = options
+  const random = createRandom(seed)
+  const n = addresses.length
+
+  const tour = initialTour ? [...initialTour] : shuffleTour(addresses, random)
+  let length = tourDistance(tour, depotId, distance)
+  let best = { tour: [...tour], distance: length }
+  const stats = { iterations: 0, accepted: 0, uphillAccepted: 0 }
+  if (n < 2) return { ...best, stats }
+
+  let temperature = initialTemperature
+  for (let it = 0; it < iterations; it++) {
+    const a = Math.floor(random() * n)
+    const b = Math.floor(random() * n)
+    if (a === b) continue
+    const i = Math.min(a, b)
+    const j = Math.max(a, b)
+
+    const delta = reversalDelta(tour, depotId, distance, i, j, directed)
+    const uphill = delta > 1e-9
+    if (!uphill || random() < Math.exp(-delta / temperature)) {
+      reverseSegment(tour, i, j)
+      length += delta
+      stats.accepted++
+      if (uphill) stats.uphillAccepted++
+      if (length < best.distance - 1e-9) best = { tour: [...tour], distance: length }
+    }
+    temperature *= coolingRate
+    stats.iterations = it + 1
+  }
+
+  // Summing up deltas drifts a little, report the exact length
+  return { tour: best.tour, distance: tourDistance(best.tour, depotId, distance), stats }
+}
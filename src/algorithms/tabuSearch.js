@@ -0,0 +1,78 @@
+import { tourDistance, reverseSegment, reversalDelta, createRandom, shuffleTour } from './tourMoves.js'
+
+/**
+ * tabuSearch.js
+ *
+ * Local search with a memory. Every step takes the best 2-opt move of
+ * the whole neighborhood - even if it makes the tour longer. To not fall
+ * straight back into the optimum it just left, roads removed by a move
+ * are tabu for the next few steps. A tabu move is only allowed if it
+ * leads to a new best tour (aspiration).
+ */
+
+/**
+ * @param {string[]} addresses - Address IDs to visit
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} options - { distance, directed, seed, iterations, tenure, initialTour }
+ *   directed: distances depend on the direction (one-way streets)
+ *   tenure: how many steps a removed road stays tabu
+ *   seed: for the random start tour and ties between equally good moves
+ * @returns {Object} { tour, distance, stats: { iterations, tabuSkipped, aspirations } }
+ */
+export function tabuSearch(addresses, depotId, options = {}) {
+  const {
+    distance,
+    directed = false,
+    seed = null,
+    iterations = 300,
+    tenure = 8,
+    initialTour = null
+  } = options
+  const random = createRandom(seed)
+  const n = addresses.length
+
+  const tour = initialTour ? [...initialTour] : shuffleTour(addresses, random)
+  let length = tourDistance(tour, depotId, distance)
+  let best = { tour: [...tour], distance: length }
+  const stats = { iterations: 0, tabuSkipped: 0, aspirations: 0 }
+  if (n < 2) return { ...best, stats }
+
+  const tabuUntil = new Map() // road key → first iteration it is allowed again
+  const road = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`)
+  const stop = (idx) => (idx < 0 || idx >= n ? depotId : tour[idx])
+  const isTabu = (key, it) => (tabuUntil.get(key) ?? 0) > it
+
+  for (let it = 0; it < iterations; it++) {
+    let move = null
+    let ties = 0
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const delta = reversalDelta(tour, depotId, distance, i, j, directed)
+        const tabu = isTabu(road(stop(i - 1), tour[j]), it) || isTabu(road(tour[i], stop(j + 1)), it)
+        const aspiration = length + delta < best.distance - 1e-9
+        if (tabu && !aspiration) {
+          stats.tabuSkipped++
+          continue
+        }
+        if (!move || delta < move.delta - 1e-9) {
+          move = { i, j, delta, aspiration: tabu }
+          ties = 1
+        } else if (Math.abs(delta - move.delta) <= 1e-9 && random() < 1 / ++ties) {
+          move = { i, j, delta, aspiration: tabu }
+        }
+      }
+    }
+    if (!move) break
+
+    const { i, j } = move
+    tabuUntil.set(road(stop(i - 1), tour[i]), it + tenure)
+    tabuUntil.set(road(tour[j], stop(j + 1)), it + tenure)
+    reverseSegment(tour, i, j)
+    length += move.delta
+    if (move.aspiration) stats.aspirations++
+    if (length < best.distance - 1e-9) best = { tour: [...tour], distance: length }
+    stats.iterations = it + 1
+  }
+
+  return { tour: best.tour, distance: tourDistance(best.tour, depotId, distance), stats }
+}
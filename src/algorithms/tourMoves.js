@@ -0,0 +1,63 @@
+import { createSeededRandom } from '../utils/trafficUtils.js'
+
+/**
+ * tourMoves.js
+ *
+ * Building blocks shared by the local search and metaheuristics. A tour
+ * is the list of address IDs; the depot is implied at both ends.
+ */
+
+// Length depot → tour → depot
+export function tourDistance(tour, depotId, distance) {
+  if (tour.length === 0) return 0
+  let total = distance(depotId, tour[0])
+  for (let i = 1; i < tour.length; i++) total += distance(tour[i - 1], tour[i])
+  return total + distance(tour[tour.length - 1], depotId)
+}
+
+// Reverses tour[from..to] in place
+export function reverseSegment(tour, from, to) {
+  while (from < to) {
+    ;[tour[from], tour[to]] = [tour[to], tour[from]]
+    from++
+    to--
+  }
+}
+
+/**
+ * Change in length when the roads inside tour[i..j] are driven the other
+ * way round. Always 0 when distances don't depend on the direction.
+ */
+export function segmentReversalDelta(tour, distance, i, j) {
+  let delta = 0
+  for (let k = i; k < j; k++) delta += distance(tour[k + 1], tour[k]) - distance(tour[k], tour[k + 1])
+  return delta
+}
+
+/**
+ * Change in length when tour[i..j] is driven backwards (2-opt move).
+ * The two roads at the ends of the segment change; with directed
+ * distances (one-way streets) so does every road inside it.
+ */
+export function reversalDelta(tour, depotId, distance, i, j, directed = false) {
+  const before = i === 0 ? depotId : tour[i - 1]
+  const after = j === tour.length - 1 ? depotId : tour[j + 1]
+  const ends = distance(before, tour[j]) + distance(tour[i], after)
+    - distance(before, tour[i]) - distance(tour[j], after)
+  return directed ? ends + segmentReversalDelta(tour, distance, i, j) : ends
+}
+
+// Repeatable random numbers for a seed, Math.random without one
+export function createRandom(seed = null) {
+  return seed === null || seed === undefined ? Math.random : createSeededRandom(seed)
+}
+
+// Random order of the given addresses (Fisher-Yates)
+export function shuffleTour(addresses, random) {
+  const tour = [...addresses]
+  for (let i = tour.length - 1; i > 0; i--) {
+    const k = Math.floor(random() * (i + 1))
+    ;[tour[i], tour[k]] = [tour[k], tour[i]]
+  }
+  return tour
+}
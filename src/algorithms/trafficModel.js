@@ -9,7 +9,8 @@ import { createSeededRandom, generateBaseTraffic, randomIntensityVariation } fro
  * - Planning: deterministic (same every time, for fair comparison)
  * - Simulation: adds random variation (more realistic)
  * 
- * Main roads get heavier traffic than side streets.
+ * Main roads get heavier traffic than side streets. Which roads are main
+ * roads is drawn at random unless the map says so (edge.isMainRoad).
  */
 
 export function generateTrafficModel(edges, seed = null) {
@@ -23,7 +24,9 @@ export function generateTrafficModel(edges, seed = null) {
   
   edges.forEach(edge => {
     const lengthKm = edge.lengthKm || 1.0
-    const isMainRoad = lengthKm > 0.5 ? seededRandom() > 0.4 : seededRandom() > 0.7
+    const drawnMainRoad = lengthKm > 0.5 ? seededRandom() > 0.4 : seededRandom() > 0.7
+    // Imported maps know their main roads (e.g. OSM road class)
+    const isMainRoad = typeof edge.isMainRoad === 'boolean' ? edge.isMainRoad : drawnMainRoad
     
     const baseTraffic = generateBaseTraffic(isMainRoad, seededRandom)
     
@@ -72,9 +75,10 @@ function getPlanningTrafficCurve(timeMinutes) {
  * @param {number} timeMinutes - Minutes from 7 AM
  * @param {Object} edgeTrafficData - This road's traffic properties
  * @param {boolean} isSimulation - Add random variation if true
+ * @param {Function} randomFn - Source of the variation (seeded for repeatable runs)
  * @returns {number} Traffic level from 0 (none) to 1 (gridlock)
  */
-export function getTrafficIntensity(timeMinutes, edgeTrafficData, isSimulation = false) {
+export function getTrafficIntensity(timeMinutes, edgeTrafficData, isSimulation = false, randomFn = Math.random) {
   const rushHourFactor = getPlanningTrafficCurve(timeMinutes)
   const baseTraffic = edgeTrafficData.baseTraffic
   
@@ -83,7 +87,7 @@ export function getTrafficIntensity(timeMinutes, edgeTrafficData, isSimulation =
   
   // In simulation, add ±10% randomness for realism
   if (isSimulation) {
-    const variation = randomIntensityVariation()
+    const variation = randomIntensityVariation(randomFn)
     intensity = intensity * variation
   }
   
@@ -120,8 +124,9 @@ export function getActualSpeed(intensity) {
 /**
  * Calculate junction delay in minutes
  * Depends on traffic intensity of connecting roads
+ * @param {Function} randomFn - Source of the ±20% variation (seeded for repeatable runs)
  */
-export function getJunctionDelay(junctionNodeId, connectedEdges, trafficModel, timeMinutes) {
+export function getJunctionDelay(junctionNodeId, connectedEdges, trafficModel, timeMinutes, randomFn = Math.random) {
   if (!connectedEdges || connectedEdges.length < 2) return 0
   
   // Calculate average traffic intensity of connected roads
@@ -147,7 +152,7 @@ export function getJunctionDelay(junctionNodeId, connectedEdges, trafficModel, t
   const baseDelay = avgIntensity * 4 * roadFactor
   
   // Add some randomness (±20%)
-  const randomFactor = 0.8 + Math.random() * 0.4
+  const randomFactor = 0.8 + randomFn() * 0.4
   
   return baseDelay * randomFactor
 }
@@ -158,14 +163,15 @@ export function getJunctionDelay(junctionNodeId, connectedEdges, trafficModel, t
  * @param {Object} trafficModel - Traffic model with edge data
  * @param {number} timeMinutes - Time from 7:00 AM (0-180)
  * @param {boolean} isSimulation - If true, use simulation traffic (with variation)
+ * @param {Function} randomFn - Source of the variation (seeded for repeatable runs)
  * @returns {number} Travel time in minutes
  */
-export function calculateTravelTime(edge, trafficModel, timeMinutes, isSimulation = false) {
+export function calculateTravelTime(edge, trafficModel, timeMinutes, isSimulation = false, randomFn = Math.random) {
   const edgeData = trafficModel.edges[edge.id]
   if (!edgeData) return 0
   
   const lengthKm = edge.lengthKm || 1.0
-  const intensity = getTrafficIntensity(timeMinutes, edgeData, isSimulation)
+  const intensity = getTrafficIntensity(timeMinutes, edgeData, isSimulation, randomFn)
   const speed = getActualSpeed(intensity)
   
   return (lengthKm / speed) * 60 // Convert to minutes
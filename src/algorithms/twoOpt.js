@@ -0,0 +1,43 @@
+import { reverseSegment, segmentReversalDelta } from './tourMoves.js'
+
+/**
+ * twoOpt.js
+ *
+ * Classic local search: remove two roads of the tour and reconnect the
+ * ends the other way round (the stops in between are driven backwards).
+ * Whenever that is shorter, keep it. Removes every crossing, but stops in
+ * the first local optimum - it never accepts a worse tour to get out.
+ */
+
+/**
+ * @param {string[]} initialTour - Address IDs (depot not included)
+ * @param {string} depotId - Start and end of the tour
+ * @param {Function} distance - (fromId, toId) → km, e.g. the road network's distance
+ * @param {boolean} directed - Distances depend on the direction (one-way streets)
+ * @returns {Object} { tour, moves } - moves: number of improving swaps
+ */
+export function twoOpt(initialTour, depotId, distance, directed = false) {
+  // Depot at both ends, so the first and last road can be swapped too
+  const route = [depotId, ...initialTour, depotId]
+  let moves = 0
+  let improved = true
+
+  while (improved) {
+    improved = false
+    for (let i = 0; i < route.length - 3; i++) {
+      for (let j = i + 2; j < route.length - 1; j++) {
+        const before = distance(route[i], route[i + 1]) + distance(route[j], route[j + 1])
+        let after = distance(route[i], route[j]) + distance(route[i + 1], route[j + 1])
+        // On one-way streets the stops in between cost something else backwards
+        if (directed) after += segmentReversalDelta(route, distance, i + 1, j)
+        if (after < before - 1e-9) {
+          reverseSegment(route, i + 1, j)
+          moves++
+          improved = true
+        }
+      }
+    }
+  }
+
+  return { tour: route.slice(1, -1), moves }
+}
@@ -0,0 +1,153 @@
+/**
+ * AlgorithmComparison.jsx
+ * Lets the player pick tour algorithms, runs them on the same map and
+ * lists what each one achieves. The best value of every column is
+ * highlighted, so the trade-off between computing time and result is
+ * visible at a glance.
+ */
+
+import React from 'react'
+
+const COLUMNS = [
+  { key: 'distanceKm', label: 'Strecke', format: (v) => `${v.toFixed(2)} km`, better: 'lower' },
+  { key: 'runtimeMs', label: 'Rechenzeit', format: (v) => (v < 1 ? '< 1 ms' : `${Math.round(v)} ms`), better: 'lower' },
+  { key: 'deliveryRate', label: 'Pünktlichkeit', format: (v) => `${v.toFixed(0)} %`, better: 'higher', simulated: true },
+  { key: 'esgScore', label: 'ESG-Score', format: (v) => v.toFixed(1), better: 'higher', simulated: true }
+]
+const SIMULATED_COLUMNS = COLUMNS.filter(col => col.simulated).length
+
+/**
+ * @param {Object[]} algorithms - Registry entries that can run on this map
+ * @param {string[]} selectedIds - Algorithms to run
+ * @param {Function} onToggle - (algorithmId) → void
+ * @param {Object} params - { algorithmId: { paramId: value } } as typed, checked when running
+ * @param {Function} onParamChange - (algorithmId, paramId, value) → void
+ * @param {number} seed - Start value for the random numbers of seeded algorithms
+ * @param {Function} onSeedChange - (seed) → void
+ * @param {Function} onRun - Start the comparison
+ * @param {Function} onCancel - Stop the running comparison
+ * @param {boolean} running - Comparison in progress
+ * @param {Object[]} rows - Results from compareAlgorithms (may grow while running), a row with
+ *   error could not be simulated
+ * @param {string|null} error - Message if the comparison failed
+ */
+export default function AlgorithmComparison({
+  algorithms, selectedIds, onToggle, params, onParamChange, seed, onSeedChange, onRun, onCancel, running, rows, error
+}) {
+  const tunable = algorithms.filter(a => a.params && selectedIds.includes(a.id))
+  const best = {}
+  COLUMNS.forEach(col => {
+    const values = rows.filter(r => !r.error).map(r => r[col.key])
+    if (values.length > 0) best[col.key] = col.better === 'lower' ? Math.min(...values) : Math.max(...values)
+  })
+
+  return (
+    <div style={{
+      padding: '12px 16px',
+      background: '#f8fafc',
+      border: '2px solid #cbd5e1',
+      borderRadius: '8px',
+      marginBottom: '16px',
+      fontSize: '13px',
+      color: '#1e293b'
+    }}>
+      <strong>Algorithmen vergleichen</strong>
+      <div style={{ color: '#64748b', margin: '4px 0 10px' }}>
+        Alle gewählten Verfahren planen eine Tour mit demselben Fahrzeug über dieselben Kunden. Danach wird jede Tour im Verkehr simuliert.
+      </div>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '10px' }}>
+        {algorithms.map(a => (
+          <label key={a.id} title={a.description}>
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(a.id)}
+              disabled={running}
+              onChange={() => onToggle(a.id)}
+            /> {a.label}
+          </label>
+        ))}
+      </div>
+      {tunable.length > 0 && (
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '10px' }}>
+          {tunable.map(a => (
+            <fieldset key={a.id} disabled={running} style={{ border: '1px solid #cbd5e1', borderRadius: '6px', padding: '6px 10px' }}>
+              <legend>{a.label}</legend>
+              {a.params.map(p => (
+                <label key={p.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', marginBottom: '4px' }}>
+                  {p.label}
+                  <input
+                    type="number"
+                    min={p.min}
+                    max={p.max}
+                    step={p.step}
+                    value={params[a.id]?.[p.id] ?? p.default}
+                    onChange={(e) => onParamChange(a.id, p.id, e.target.value)}
+                    style={{ width: '90px' }}
+                  />
+                </label>
+              ))}
+            </fieldset>
+          ))}
+        </div>
+      )}
+      {algorithms.some(a => a.seeded && selectedIds.includes(a.id)) && (
+        <label style={{ display: 'block', marginBottom: '10px' }}>
+          Zufallsstartwert (Seed):{' '}
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={seed}
+            disabled={running}
+            onChange={(e) => onSeedChange(Math.max(1, Math.round(Number(e.target.value) || 1)))}
+            style={{ width: '90px' }}
+          />
+          <span style={{ color: '#64748b' }}> gleicher Seed, gleiche Tour</span>
+        </label>
+      )}
+      {running ? (
+        <button className="button" onClick={onCancel}>Abbrechen</button>
+      ) : (
+        <button className="button" onClick={onRun} disabled={selectedIds.length === 0}>Vergleich starten</button>
+      )}
+
+      {error && <div style={{ marginTop: '8px', color: '#dc2626' }}>{error}</div>}
+
+      {rows.length > 0 && (
+        <table style={{ width: '100%', marginTop: '12px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'right', color: '#64748b' }}>
+              <th style={{ textAlign: 'left' }}>Algorithmus</th>
+              {COLUMNS.map(col => <th key={col.key}>{col.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.algorithmId} style={{ textAlign: 'right' }}>
+                <td style={{ textAlign: 'left' }}>
+                  {row.label} <span style={{ color: '#64748b' }}>({row.paradigm})</span>
+                </td>
+                {COLUMNS.filter(col => !row.error || !col.simulated).map(col => (
+                  <td
+                    key={col.key}
+                    style={{ fontWeight: row[col.key] === best[col.key] ? 'bold' : 'normal', color: row[col.key] === best[col.key] ? '#059669' : 'inherit' }}
+                  >
+                    {col.format(row[col.key])}
+                  </td>
+                ))}
+                {row.error && (
+                  <td colSpan={SIMULATED_COLUMNS} style={{ color: '#dc2626' }}>Nicht fahrbar: {row.error}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {running && (
+        <div style={{ marginTop: '8px', color: '#64748b' }}>
+          Berechne … {rows.length} / {selectedIds.length} fertig
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+/**
+ * ConvergenceChart.jsx
+ * Distance of the best tour found so far over the optimizer iterations
+ * (optimized candidates). Big steps early, then ever smaller ones: most of
+ * the gain comes from the first few candidates, the rest is fine-tuning.
+ */
+
+import React from 'react'
+
+const WIDTH = 560
+const HEIGHT = 160
+const PADDING = { top: 12, right: 12, bottom: 28, left: 44 }
+
+// Best distance holds until the next improvement, up to the last iteration
+function toStepPoints(points, lastIteration) {
+  const steps = []
+  points.forEach((point, idx) => {
+    if (idx > 0) steps.push({ iteration: point.iteration, distanceKm: points[idx - 1].distanceKm })
+    steps.push(point)
+  })
+  if (points.length > 0) {
+    steps.push({ iteration: lastIteration, distanceKm: points[points.length - 1].distanceKm })
+  }
+  return steps
+}
+
+/**
+ * @param {Array<Object>} series - [{ label, color, points: [{ iteration, distanceKm }] }]
+ * @param {number} iterations - Iterations done so far (end of the x axis)
+ */
+export default function ConvergenceChart({ series, iterations }) {
+  const visible = series.filter(s => s.points.length > 0)
+  if (visible.length === 0) return null
+
+  const allPoints = visible.flatMap(s => s.points)
+  const maxIteration = Math.max(1, iterations, ...allPoints.map(p => p.iteration))
+  const maxKm = Math.max(...allPoints.map(p => p.distanceKm))
+  const minKm = Math.min(...allPoints.map(p => p.distanceKm))
+  // Some headroom so a flat line doesn't stick to the border
+  const low = Math.max(0, minKm - (maxKm - minKm) * 0.1 - 0.1)
+  const high = maxKm + (maxKm - minKm) * 0.1 + 0.1
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+
+  const x = (iteration) => PADDING.left + (iteration / maxIteration) * plotWidth
+  const y = (km) => PADDING.top + plotHeight - ((km - low) / (high - low)) * plotHeight
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }}>
+        <line x1={PADDING.left} y1={y(low)} x2={WIDTH - PADDING.right} y2={y(low)} stroke="#94a3b8" />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={y(low)} stroke="#94a3b8" />
+        <text x={PADDING.left - 6} y={y(maxKm) + 4} fontSize="10" textAnchor="end" fill="#64748b">{maxKm.toFixed(1)}</text>
+        <text x={PADDING.left - 6} y={y(minKm) + 4} fontSize="10" textAnchor="end" fill="#64748b">{minKm.toFixed(1)}</text>
+        <text x={PADDING.left} y={HEIGHT - 10} fontSize="10" textAnchor="start" fill="#64748b">0</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 10} fontSize="10" textAnchor="end" fill="#64748b">
+          {maxIteration} Iterationen
+        </text>
+
+        {visible.map((s, idx) => (
+          <g key={idx}>
+            <polyline
+              points={toStepPoints(s.points, maxIteration).map(p => `${x(p.iteration)},${y(p.distanceKm)}`).join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+            />
+            {s.points.map((p, i) => (
+              <circle key={i} cx={x(p.iteration)} cy={y(p.distanceKm)} r="3" fill={s.color} />
+            ))}
+          </g>
+        ))}
+      </svg>
+      {visible.length > 1 && (
+        <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '12px', color: '#64748b' }}>
+          {visible.map((s, idx) => (
+            <div key={idx} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <div style={{ width: '20px', height: '3px', background: s.color }}></div>
+              <span>{s.label}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
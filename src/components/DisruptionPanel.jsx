@@ -0,0 +1,44 @@
+/**
+ * DisruptionPanel.jsx
+ * Switches disruptions during the simulated tour on or off: road closures,
+ * accidents, cancelled and urgent orders (drawn from the session seed, see
+ * Disruptions.js). With a GPS tracker from the shop the route is re-planned
+ * at every disruption; without it the player decides during the playback.
+ */
+
+import React from 'react'
+import { DISRUPTION_LABELS } from '../game/Disruptions.js'
+
+/**
+ * @param {boolean} enabled - Disruptions happen during the tour
+ * @param {Function} onEnabledChange - (enabled) → void
+ * @param {boolean} gpsTracker - A GPS tracker was bought, it re-plans automatically
+ * @param {Array<Object>} disruptions - Disruptions of this session
+ */
+export default function DisruptionPanel({ enabled, onEnabledChange, gpsTracker, disruptions }) {
+  const kinds = [...new Set(disruptions.map(d => DISRUPTION_LABELS[d.type]))]
+
+  return (
+    <div style={{
+      marginTop: '16px',
+      padding: '8px 12px',
+      background: '#fff7ed',
+      border: '2px solid #fdba74',
+      borderRadius: '8px',
+      fontSize: '13px'
+    }}>
+      <label style={{ display: 'block' }}>
+        <input type="checkbox" checked={enabled} onChange={(e) => onEnabledChange(e.target.checked)} />{' '}
+        <strong>Störungen während der Fahrt</strong> ({disruptions.length}: {kinds.join(', ')})
+      </label>
+      {enabled && (
+        <p style={{ margin: '6px 0 0', color: '#9a3412' }}>
+          {gpsTracker
+            ? 'GPS-Tracker an Bord: Die Route wird bei jeder Störung automatisch neu geplant.'
+            : 'Ohne GPS-Tracker entscheiden Sie während der Simulation selbst, ob Sie die restliche Tour ab der ' +
+              'aktuellen Position neu planen oder beim ursprünglichen Plan bleiben.'}
+        </p>
+      )}
+    </div>
+  )
+}
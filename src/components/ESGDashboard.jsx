@@ -1,11 +1,34 @@
 /**
  * ESGDashboard.jsx
  * Shows the results after simulation: costs, emissions, delivery performance.
- * Compares against baseline and calculates ESG score.
+ * Compares against baseline and calculates ESG score. With a fleet, the
+ * totals are fleet totals and a table lists every vehicle's share.
+ * The cost of the tour is broken down into overhead, the vehicle's fixed
+ * costs and energy, and projected to a year of the whole fleet (see
+ * CostModel.js). Equipment from the shop shows up as its share of the
+ * cost, and with the CO₂ software the emissions are measured road by road.
  */
 
 import React from 'react'
 import { minutesToHoursAndMinutes } from '../utils/mathHelpers.js'
+import { co2ByRoad } from '../game/Equipment.js'
+import { annualProjection } from '../game/CostModel.js'
+import { fleetBaseline } from '../game/GameManager.js'
+import { FREE_FLOW_KMH } from '../game/EnergyModel.js'
+import { FIXED_COST_PER_KM, FLEET_SIZE } from '../data/constants.js'
+
+// Roads listed in the CO₂ measurement
+const TOP_CO2_ROADS = 5
+
+const VEHICLE_COST_LABELS = [['depreciation', 'Abschreibung'], ['insurance', 'Versicherung'], ['tax', 'Kfz-Steuer']]
+
+// "9,20 l Kraftstoff + 12,00 kWh Strom" for a tour or a year
+function describeEnergy({ fuelLitres, electricKWh }) {
+  const parts = []
+  if (fuelLitres > 0) parts.push(`${fuelLitres.toLocaleString('de-DE', { maximumFractionDigits: 2 })} l Kraftstoff`)
+  if (electricKWh > 0) parts.push(`${electricKWh.toLocaleString('de-DE', { maximumFractionDigits: 2 })} kWh Strom`)
+  return parts.length > 0 ? parts.join(' + ') : 'keine'
+}
 
 const f = (n, d=2) => n.toFixed(d)
 
@@ -25,6 +48,8 @@ function DeltaIndicator({ value, isImprovement }) {
 export default function ESGDashboard({ baseline, results }) {
   // Calculate baseline percentage for display
   const baselinePct = baseline.deliveryRate * 100
+  // Several vehicles are scored against the fixed costs of as many vans
+  const vehicleCount = results.vehicles?.length ?? 1
   
   return (
     <div className="report">
@@ -43,12 +68,45 @@ export default function ESGDashboard({ baseline, results }) {
       <div className="report-section">
         <h4>Ökologie (40% Gewichtung)</h4>
         <div className="report-row">
-          <span>CO₂-Emissionen</span>
+          <span>CO₂-Emissionen ({results.co2Measured ? 'gemessen je Straße' : 'berechnet'})</span>
           <span>
             {f(results.co2Kg, 3)} kg
             <DeltaIndicator value={results.co2Delta} isImprovement={results.co2Delta > 0} />
           </span>
         </div>
+        {results.co2Measured && (
+          <>
+            <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
+              <span>Nach Normverbrauch je km</span>
+              <span>{f(results.co2EstimatedKg, 3)} kg</span>
+            </div>
+            <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
+              <span>Dieselbe Strecke bei freier Fahrt ({FREE_FLOW_KMH} km/h, ohne Stau)</span>
+              <span>{f(results.co2FreeFlowKg, 3)} kg</span>
+            </div>
+            <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
+              <span>Mehr durch Verkehr und Stop-and-go</span>
+              <span>+{f(results.co2Kg - results.co2FreeFlowKg, 3)} kg</span>
+            </div>
+            <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.85em', color: '#94a3b8' }}>
+              <span>CO₂-Messung je Straße (Tempo, Verkehr, Stopps und Beladung eingerechnet):</span>
+            </div>
+            {co2ByRoad(results).slice(0, TOP_CO2_ROADS).map(road => (
+              <div key={road.edgeId} className="report-row" style={{ paddingLeft: '20px', fontSize: '0.85em', color: '#94a3b8' }}>
+                <span>→ Straße {road.edgeId} ({f(road.km, 2)} km, {Math.round(road.minutes)} min)</span>
+                <span>
+                  {f(road.co2Kg, 3)} kg
+                  {road.co2FreeFlowKg > 0 && ` (+${Math.round((road.co2Kg / road.co2FreeFlowKg - 1) * 100)} % ggü. freier Fahrt)`}
+                </span>
+              </div>
+            ))}
+          </>
+        )}
+        {!results.co2Measured && (
+          <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.85em', color: '#94a3b8' }}>
+            <span>Tipp: Die CO₂-Software zeigt je Straße, wie viel Stau, Stopps und Beladung zusätzlich ausstoßen.</span>
+          </div>
+        )}
         <div className="report-row">
           <span>Baseline CO₂</span>
           <span>{f(baseline.co2Emissions, 3)} kg</span>
@@ -64,15 +122,15 @@ export default function ESGDashboard({ baseline, results }) {
       <div className="report-section">
         <h4>Ökonomie (35% Gewichtung)</h4>
         <div className="report-row">
-          <span>Kosten pro km (Basis)</span>
-          <span>{f(results.costPerKmBasis, 2)} €/km</span>
+          <span>Kosten pro km</span>
+          <span>{f(results.costPerKm, 2)} €/km</span>
         </div>
         <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.85em', color: '#94a3b8' }}>
-          <span>→ Fixkosten (Miete + Gehälter)</span>
+          <span>→ Fixkosten (Gemeinkosten + Fahrzeug)</span>
           <span>{f(results.fixedCostPerKm, 2)} €/km</span>
         </div>
         <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.85em', color: '#94a3b8' }}>
-          <span>→ Variable Kosten (Fahrzeug)</span>
+          <span>→ Variable Kosten (Energie)</span>
           <span>{f(results.variableCostPerKm, 2)} €/km</span>
         </div>
         
@@ -84,16 +142,32 @@ export default function ESGDashboard({ baseline, results }) {
           </span>
         </div>
         <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
-          <span>Fixkosten (kFix = {f(results.fixedCostPerKm, 2)} × {f(results.totalKm, 2)} km)</span>
+          <span>Gemeinkosten (kFix = {f(FIXED_COST_PER_KM, 2)} × {f(results.totalKm, 2)} km, Miete + Gehälter)</span>
           <span>{f(results.kFix, 2)} €</span>
         </div>
         <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
-          <span>Variable Kosten (kVar = {f(results.variableCostPerKm, 2)} × {f(results.totalKm, 2)} km)</span>
+          <span>Fahrzeug-Fixkosten (kFz, Anteil der Tour)</span>
+          <span>{f(results.kVehicle, 2)} €</span>
+        </div>
+        {VEHICLE_COST_LABELS.map(([key, label]) => (
+          <div key={key} className="report-row" style={{ paddingLeft: '40px', fontSize: '0.85em', color: '#94a3b8' }}>
+            <span>→ {label}</span>
+            <span>{f(results.vehicleCosts[key], 2)} €</span>
+          </div>
+        ))}
+        <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
+          <span>Energie (kVar = {describeEnergy(results)})</span>
           <span>{f(results.kVar, 2)} €</span>
         </div>
+        {results.equipmentCost > 0 && (
+          <div className="report-row" style={{ paddingLeft: '20px', fontSize: '0.9em', color: '#64748b' }}>
+            <span>Ausstattung (anteilig je Tour)</span>
+            <span>{f(results.equipmentCost, 2)} €</span>
+          </div>
+        )}
         <div className="report-row">
-          <span>Baseline Kosten</span>
-          <span>{f(baseline.totalCost, 2)} €</span>
+          <span>Baseline Kosten{vehicleCount > 1 ? ` (${vehicleCount} Fahrzeuge)` : ''}</span>
+          <span>{f(fleetBaseline(baseline, vehicleCount).totalCost, 2)} €</span>
         </div>
         <div className="report-row">
           <span>Distanz</span>
@@ -115,6 +189,41 @@ export default function ESGDashboard({ baseline, results }) {
         </div>
       </div>
 
+      {(() => {
+        const year = annualProjection(results)
+        const eur = (n) => `${Math.round(n).toLocaleString('de-DE')} €`
+        return (
+          <div className="report-section">
+            <h4>Hochrechnung aufs Jahr ({FLEET_SIZE} Fahrzeuge, {year.tours.toLocaleString('de-DE')} Touren)</h4>
+            <div className="report-row">
+              <span>Gemeinkosten</span>
+              <span>{eur(year.overhead)}</span>
+            </div>
+            <div className="report-row">
+              <span>Fahrzeug-Fixkosten (Abschreibung, Versicherung, Steuer)</span>
+              <span>{eur(year.vehicle)}</span>
+            </div>
+            <div className="report-row">
+              <span>Energie ({describeEnergy(year)})</span>
+              <span>{eur(year.energy)}</span>
+            </div>
+            {year.equipment > 0 && (
+              <div className="report-row">
+                <span>Ausstattung (Abschreibung)</span>
+                <span>{eur(year.equipment)}</span>
+              </div>
+            )}
+            <div className="report-row" style={{ fontWeight: 'bold' }}>
+              <span>Gesamtkosten pro Jahr</span>
+              <span>{eur(year.total)}</span>
+            </div>
+            <div className="report-row" style={{ fontSize: '0.85em', color: '#94a3b8' }}>
+              <span>{Math.round(year.km).toLocaleString('de-DE')} km und {f(year.co2Kg / 1000, 1)} t CO₂ im Jahr</span>
+            </div>
+          </div>
+        )
+      })()}
+
       <div className="report-section">
         <h4>Soziales (25% Gewichtung)</h4>
         <div className="report-row">
@@ -143,12 +252,33 @@ export default function ESGDashboard({ baseline, results }) {
             return `${hours}h ${minutes}min`
           })()}</span>
         </div>
-        {results.constructionDelays > 0 && (
+        {results.capacityViolations > 0 && (
+          <p className="tip">
+            Hinweis: {results.capacityViolations} Kunden konnten nicht beliefert werden, weil die Ware nicht mehr im Fahrzeug war. Planen Sie einen Zwischenstopp im Depot zum Nachladen ein.
+          </p>
+        )}
+        {results.unreachedStops > 0 && (
+          <p className="tip">
+            Hinweis: {results.unreachedStops} Kunden waren nach den Störungen nicht mehr erreichbar und wurden nicht beliefert.
+          </p>
+        )}
+        {results.reloads > 0 && (
+          <p className="tip">
+            Das Fahrzeug wurde {results.reloads}× im Depot nachgeladen.
+          </p>
+        )}
+                {results.constructionDelays > 0 && (
           <div className="report-row warning">
             <span>Baustellen durchfahren</span>
             <span>{results.constructionDelays}</span>
           </div>
         )}
+        {results.disruptions?.length > 0 && (
+          <div className="report-row warning">
+            <span>Störungen während der Fahrt</span>
+            <span>{results.disruptions.length}{results.replans > 0 ? ` (${results.replans}× neu geplant)` : ''}</span>
+          </div>
+        )}
         <div className="report-row points">
           <span>Sozial-Punkte</span>
           <span className={results.deliveryPts >= 0 ? 'positive' : 'negative'}>
@@ -157,6 +287,56 @@ export default function ESGDashboard({ baseline, results }) {
         </div>
       </div>
 
+      {results.vehicles && results.vehicles.length > 1 && (
+        <div className="report-section">
+          <h4>Fuhrpark ({results.vehicles.length} Fahrzeuge)</h4>
+          <table style={{ width: '100%', fontSize: '0.9em', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'right', color: '#64748b' }}>
+                <th style={{ textAlign: 'left' }}>Fahrzeug</th>
+                <th>Stopps</th>
+                <th>Distanz</th>
+                <th>Dauer</th>
+                <th>Kosten</th>
+                <th>CO₂</th>
+                <th>Pünktlich</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.vehicles.map((v, idx) => {
+                const { hours, minutes } = minutesToHoursAndMinutes(v.durationMin)
+                return (
+                  <tr key={idx} style={{ textAlign: 'right' }}>
+                    <td style={{ textAlign: 'left' }}>{idx + 1}. {v.vehicle.name}</td>
+                    <td>{v.numberOfStops}</td>
+                    <td>{f(v.totalKm, 2)} km</td>
+                    <td>{hours}h {minutes}min</td>
+                    <td>{f(v.totalCost, 2)} €</td>
+                    <td>{f(v.co2Kg, 3)} kg</td>
+                    <td>{v.onTimeDeliveries} / {v.numberOfStops}</td>
+                  </tr>
+                )
+              })}
+              <tr style={{ textAlign: 'right', fontWeight: 'bold', borderTop: '1px solid #cbd5e1' }}>
+                <td style={{ textAlign: 'left' }}>Flotte gesamt</td>
+                <td>{results.numberOfStops}</td>
+                <td>{f(results.totalKm, 2)} km</td>
+                <td>{(() => {
+                  const { hours, minutes } = minutesToHoursAndMinutes(results.durationMin)
+                  return `${hours}h ${minutes}min`
+                })()}</td>
+                <td>{f(results.totalCost, 2)} €</td>
+                <td>{f(results.co2Kg, 3)} kg</td>
+                <td>{results.onTimeDeliveries} / {results.numberOfStops}</td>
+              </tr>
+            </tbody>
+          </table>
+          <div className="report-row" style={{ fontSize: '0.85em', color: '#94a3b8' }}>
+            <span>Die Fahrzeuge fahren parallel: Gesamtzeit = längste Tour</span>
+          </div>
+        </div>
+      )}
+
       <div className="report-total">
         <div className="report-row">
           <span><strong>Gesamt ESG-Score</strong></span>
@@ -177,6 +357,11 @@ export default function ESGDashboard({ baseline, results }) {
             Hinweis: Mit der Routenplanungssoftware können Baustellen automatisch umfahren werden.
           </p>
         )}
+        {results.disruptions?.length > 0 && results.replans === 0 && (
+          <p className="tip">
+            Hinweis: Bei Störungen lohnt es sich oft, die restliche Tour neu zu planen – mit dem GPS-Tracker geschieht das automatisch.
+          </p>
+        )}
       </div>
     </div>
   )
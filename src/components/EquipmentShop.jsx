@@ -0,0 +1,72 @@
+/**
+ * EquipmentShop.jsx
+ * Equipment purchase before planning: route planning software, GPS tracker
+ * and CO₂ software from a budget that does not cover all of them. What each
+ * item changes in the game is described in game/Equipment.js.
+ */
+
+import React, { useState } from 'react'
+import { EQUIPMENT_ITEMS, equipmentCost, toggleEquipment, amortizedCostPerTour } from '../game/Equipment.js'
+import { EQUIPMENT_AMORTIZATION_YEARS } from '../data/constants.js'
+
+/**
+ * @param {string[]} value - IDs of the items bought
+ * @param {Function} onChange - (equipmentIds) → void
+ * @param {number} budget - Money for equipment in €
+ */
+export default function EquipmentShop({ value, onChange, budget }) {
+  const [error, setError] = useState(null)
+  const left = budget - equipmentCost(value)
+
+  function toggle(itemId) {
+    const result = toggleEquipment(value, itemId, budget)
+    setError(result.error)
+    if (!result.error) onChange(result.equipmentIds)
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+        {EQUIPMENT_ITEMS.map(item => {
+          const bought = value.includes(item.id)
+          return (
+            <button
+              key={item.id}
+              className="button"
+              style={{
+                backgroundColor: bought ? '#7dd3fc' : '#f1f5f9',
+                border: bought ? '2px solid #0284c7' : '2px solid #cbd5e1',
+                padding: '12px 16px',
+                borderRadius: '8px',
+                textAlign: 'left',
+                cursor: 'pointer',
+                flex: '1 1 240px',
+                minWidth: '240px',
+                color: '#1e293b',
+                opacity: !bought && item.cost > left ? 0.6 : 1
+              }}
+              onClick={() => toggle(item.id)}
+            >
+              <div style={{ fontWeight: 'bold', fontSize: '16px', color: '#0f172a', marginBottom: '8px' }}>
+                {item.name}
+              </div>
+              <div style={{ fontSize: '13px', lineHeight: '1.6', color: '#64748b', marginBottom: '8px' }}>
+                {item.description}
+              </div>
+              <div style={{ fontSize: '14px' }}>
+                <strong>{item.cost.toLocaleString('de-DE')} €</strong>
+                <span style={{ marginLeft: '8px', color: '#0284c7' }}>{bought ? '✓ gekauft' : 'kaufen'}</span>
+              </div>
+            </button>
+          )
+        })}
+      </div>
+      <p style={{ fontSize: '14px' }}>
+        Budget: <strong>{budget.toLocaleString('de-DE')} €</strong>, übrig: <strong>{left.toLocaleString('de-DE')} €</strong>.
+        {' '}Die Anschaffung wird über {EQUIPMENT_AMORTIZATION_YEARS} Jahre abgeschrieben, jede Tour trägt
+        {' '}{amortizedCostPerTour(value).toFixed(2)} € davon.
+      </p>
+      {error && <p style={{ color: '#dc2626', fontSize: '14px' }}>{error}</p>}
+    </div>
+  )
+}
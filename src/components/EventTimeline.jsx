@@ -0,0 +1,149 @@
+/**
+ * EventTimeline.jsx
+ * Step-by-step log of the simulated tour: departure, every road with its
+ * speed and traffic, construction zones, detours, disruptions, re-planning,
+ * arrivals (early, on time or late) and the return. The player scrubs through the events; the
+ * selected one is highlighted on the report map.
+ */
+
+import React from 'react'
+import { minutesToClock } from '../game/TimeWindows.js'
+import { describeDisruption } from '../game/Disruptions.js'
+
+const TRAFFIC_LABELS = { low: 'frei', medium: 'mittel', high: 'dicht' }
+
+const TYPE_COLORS = {
+  depart: '#3b82f6',
+  edge: '#64748b',
+  construction: '#dc2626',
+  'detour-start': '#f59e0b',
+  'detour-end': '#f59e0b',
+  delay: '#f59e0b',
+  arrive: '#059669',
+  reload: '#8b5cf6',
+  return: '#3b82f6',
+  disruption: '#ea580c',
+  replan: '#0ea5e9'
+}
+
+function describeArrival(event) {
+  if (event.status === 'missing') return `Ankunft ${event.nodeId}: keine Kisten mehr an Bord`
+  if (event.status === 'late') return `Ankunft ${event.nodeId}: ${event.lateMin} min zu spät`
+  if (event.status === 'early') return `Ankunft ${event.nodeId}: ${event.waitMin} min zu früh, wartet`
+  return `Ankunft ${event.nodeId}: pünktlich`
+}
+
+// One line of German text per event
+export function describeEvent(event) {
+  switch (event.type) {
+    case 'depart':
+      return 'Abfahrt am Depot'
+    case 'edge': {
+      const road = event.edgeId ? `Straße ${event.edgeId}` : 'Direktweg'
+      const speed = event.speedKmh ? ` mit ${Math.round(event.speedKmh)} km/h` : ''
+      const traffic = event.traffic ? ` (Verkehr ${TRAFFIC_LABELS[event.traffic]})` : ''
+      return `${road} ${event.fromId} → ${event.toId}${speed}${traffic}${event.isDetour ? ', Umleitung' : ''}${event.accident ? ', Unfall' : ''}`
+    }
+    case 'construction':
+      return `Baustelle auf Straße ${event.edgeId}`
+    case 'detour-start':
+      return `Umleitung von ${event.fromId} nach ${event.toId}`
+    case 'detour-end':
+      return `Umleitung endet bei ${event.nodeId}`
+    case 'delay':
+      return 'Zeitverlust durch Umweg (15 min)'
+    case 'arrive':
+      return describeArrival(event)
+    case 'reload':
+      return 'Nachladen am Depot'
+    case 'return':
+      return 'Zurück am Depot'
+    case 'disruption':
+      return describeDisruption(event.disruption)
+    case 'replan': {
+      const stops = event.stopIds.join(' → ') || 'keine offenen Stopps'
+      const forecast = event.expected
+        ? ` (zurück ca. ${minutesToClock(Math.round(event.expected.returnMin))} statt ${minutesToClock(Math.round(event.planned.returnMin))})`
+        : ''
+      return `Route neu geplant: ${stops}${forecast}`
+    }
+    default:
+      return event.type
+  }
+}
+
+/**
+ * @param {Array<Object>} runs - [{ label, color, events }] one entry per vehicle
+ * @param {number} runIndex - Vehicle whose events are shown
+ * @param {number} eventIndex - Selected event of that vehicle
+ * @param {Function} onSelect - (runIndex, eventIndex) → void
+ */
+export default function EventTimeline({ runs, runIndex, eventIndex, onSelect }) {
+  const events = runs[runIndex]?.events || []
+  if (events.length === 0) return null
+  const selected = events[eventIndex]
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      {runs.length > 1 && (
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '8px' }}>
+          {runs.map((run, idx) => (
+            <button
+              key={idx}
+              className={idx === runIndex ? 'button primary' : 'button'}
+              onClick={() => onSelect(idx, 0)}
+              style={{ borderLeft: `6px solid ${run.color}` }}
+            >
+              {run.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+        <button className="button" onClick={() => onSelect(runIndex, eventIndex - 1)} disabled={eventIndex === 0}>◀</button>
+        <input
+          type="range"
+          min="0"
+          max={events.length - 1}
+          value={eventIndex}
+          onChange={(e) => onSelect(runIndex, Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <button className="button" onClick={() => onSelect(runIndex, eventIndex + 1)} disabled={eventIndex === events.length - 1}>▶</button>
+        <span style={{ minWidth: '90px', textAlign: 'right' }}>{eventIndex + 1} / {events.length}</span>
+      </div>
+
+      <div style={{
+        padding: '8px 12px',
+        marginBottom: '8px',
+        background: '#f8fafc',
+        border: `2px solid ${TYPE_COLORS[selected.type] || '#cbd5e1'}`,
+        borderRadius: '6px'
+      }}>
+        <strong>{minutesToClock(Math.round(selected.timeMin))}</strong> {describeEvent(selected)}
+      </div>
+
+      <div style={{ maxHeight: '220px', overflowY: 'auto', border: '1px solid #e2e8f0', borderRadius: '6px' }}>
+        {events.map((event, idx) => (
+          <div
+            key={idx}
+            onClick={() => onSelect(runIndex, idx)}
+            style={{
+              display: 'flex',
+              gap: '8px',
+              padding: '3px 8px',
+              cursor: 'pointer',
+              background: idx === eventIndex ? '#dbeafe' : 'transparent',
+              color: event.type === 'arrive' && event.status !== 'on-time' && event.status !== 'early' ? '#dc2626' : '#1e293b'
+            }}
+          >
+            <span style={{ width: '8px', height: '8px', marginTop: '5px', borderRadius: '50%', background: TYPE_COLORS[event.type] || '#cbd5e1', flexShrink: 0 }}></span>
+            <span style={{ minWidth: '44px', color: '#64748b' }}>{minutesToClock(Math.round(event.timeMin))}</span>
+            <span>{describeEvent(event)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+/**
+ * FleetSelector.jsx
+ * Lets the player put together the fleet for automatic planning
+ * (how many diesel, hybrid and electric vans drive the tour).
+ */
+
+import React from 'react'
+
+export default function FleetSelector({ vehicles, counts, maxVehicles, onChange }) {
+  const total = Object.values(counts).reduce((sum, c) => sum + c, 0)
+
+  // Change the count of one vehicle type, keeping at least one vehicle in the fleet
+  const update = (vehicleId, delta) => {
+    const next = Math.max(0, (counts[vehicleId] || 0) + delta)
+    const newTotal = total - (counts[vehicleId] || 0) + next
+    if (newTotal < 1 || newTotal > maxVehicles) return
+    onChange({ ...counts, [vehicleId]: next })
+  }
+
+  return (
+    <div style={{
+      padding: '12px 16px',
+      background: '#f8fafc',
+      border: '2px solid #cbd5e1',
+      borderRadius: '8px',
+      marginBottom: '16px',
+      color: '#1e293b'
+    }}>
+      <div style={{ fontSize: '13px', color: '#64748b', marginBottom: '10px' }}>
+        Die Software verteilt die Kunden auf bis zu {maxVehicles} Fahrzeuge. Jedes Fahrzeug startet und endet am Depot.
+      </div>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap' }}>
+        {vehicles.map(v => (
+          <div key={v.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', flex: '1 1 200px' }}>
+            <span style={{ flex: 1, fontWeight: 'bold' }}>{v.name}</span>
+            <button className="button" onClick={() => update(v.id, -1)} disabled={!counts[v.id] || total <= 1}>−</button>
+            <strong style={{ minWidth: '20px', textAlign: 'center' }}>{counts[v.id] || 0}</strong>
+            <button className="button" onClick={() => update(v.id, 1)} disabled={total >= maxVehicles}>+</button>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: '10px', fontSize: '13px' }}>
+        Fahrzeuge im Einsatz: <strong>{total}</strong> / {maxVehicles}
+      </div>
+    </div>
+  )
+}
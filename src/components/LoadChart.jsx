@@ -0,0 +1,89 @@
+/**
+ * LoadChart.jsx
+ * Step chart of the crates in the van over the tour time. Every delivery
+ * lowers the line, a reload at the depot lifts it again. The dashed line
+ * is the vehicle capacity (max. Kisten).
+ */
+
+import React from 'react'
+
+const WIDTH = 560
+const HEIGHT = 180
+const PADDING = { top: 12, right: 12, bottom: 28, left: 44 }
+
+// Turns load events into the points of a step line (value holds until the next event)
+function toStepPoints(loadProfile, endMin) {
+  const points = []
+  loadProfile.forEach((entry, idx) => {
+    if (idx > 0) points.push({ timeMin: entry.timeMin, boxes: loadProfile[idx - 1].boxes })
+    points.push({ timeMin: entry.timeMin, boxes: entry.boxes })
+  })
+  if (loadProfile.length > 0) {
+    points.push({ timeMin: endMin, boxes: loadProfile[loadProfile.length - 1].boxes })
+  }
+  return points
+}
+
+/**
+ * @param {Array<Object>} series - [{ label, color, loadProfile, maxBoxes, durationMin }]
+ */
+export default function LoadChart({ series }) {
+  const visible = series.filter(s => s.loadProfile && s.loadProfile.length > 0)
+  if (visible.length === 0) return null
+
+  const maxTime = Math.max(1, ...visible.map(s => s.durationMin))
+  const maxBoxes = Math.max(1, ...visible.map(s => s.maxBoxes))
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+
+  const x = (timeMin) => PADDING.left + (timeMin / maxTime) * plotWidth
+  const y = (boxes) => PADDING.top + plotHeight - (boxes / maxBoxes) * plotHeight
+
+  // Hour marks from 7:00
+  const ticks = []
+  for (let t = 0; t <= maxTime; t += 60) ticks.push(t)
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: 'auto' }}>
+        <line x1={PADDING.left} y1={y(0)} x2={WIDTH - PADDING.right} y2={y(0)} stroke="#94a3b8" />
+        <line x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={y(0)} stroke="#94a3b8" />
+        <text x={PADDING.left - 6} y={y(maxBoxes) + 4} fontSize="10" textAnchor="end" fill="#64748b">{maxBoxes}</text>
+        <text x={PADDING.left - 6} y={y(0) + 4} fontSize="10" textAnchor="end" fill="#64748b">0</text>
+        {ticks.map(t => (
+          <text key={t} x={x(t)} y={HEIGHT - 10} fontSize="10" textAnchor="middle" fill="#64748b">
+            {7 + t / 60}:00
+          </text>
+        ))}
+
+        {visible.map((s, idx) => (
+          <g key={idx}>
+            <line
+              x1={PADDING.left} y1={y(s.maxBoxes)}
+              x2={WIDTH - PADDING.right} y2={y(s.maxBoxes)}
+              stroke={s.color} strokeDasharray="4 4" strokeOpacity="0.6"
+            />
+            <polyline
+              points={toStepPoints(s.loadProfile, s.durationMin).map(p => `${x(p.timeMin)},${y(p.boxes)}`).join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+            />
+            {s.loadProfile.filter(p => p.event === 'reload').map((p, i) => (
+              <circle key={i} cx={x(p.timeMin)} cy={y(p.boxes)} r="4" fill={s.color} />
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '12px', color: '#64748b' }}>
+        {visible.map((s, idx) => (
+          <div key={idx} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <div style={{ width: '20px', height: '3px', background: s.color }}></div>
+            <span>{s.label} (max. {s.maxBoxes} Kisten)</span>
+          </div>
+        ))}
+        <span>● Nachladen im Depot</span>
+      </div>
+    </div>
+  )
+}
@@ -1,11 +1,12 @@
 /**
  * ModeSelector.jsx
  * Lets the player choose between manual and automatic route planning.
+ * The automatic planning needs the route planning software from the shop.
  */
 
 import React from 'react'
 
-export default function ModeSelector({ value, onChange }) {
+export default function ModeSelector({ value, onChange, autoAvailable = true }) {
   // Define available planning modes with their descriptions
   const modes = [
     {
@@ -16,7 +17,9 @@ export default function ModeSelector({ value, onChange }) {
     {
       id: 'auto',
       title: 'Automatische Planung',
-      description: 'Algorithmus berechnet die optimale Route unter Berücksichtigung von Echtzeit-Verkehrsdaten, Baustellen und Staus. Software-Kosten: 5.000 €'
+      description: 'Algorithmus berechnet die optimale Route unter Berücksichtigung von Echtzeit-Verkehrsdaten, Baustellen und Staus.' +
+        (autoAvailable ? '' : ' Nur mit der Routenplanungssoftware aus dem Ausstattungs-Shop.'),
+      disabled: !autoAvailable
     }
   ]
 
@@ -33,11 +36,13 @@ export default function ModeSelector({ value, onChange }) {
             padding: '16px 20px',
             borderRadius: '8px',
             textAlign: 'left',
-            cursor: 'pointer',
+            cursor: mode.disabled ? 'not-allowed' : 'pointer',
             flex: '1 1 280px',
             minWidth: '280px',
-            color: '#1e293b'
+            color: '#1e293b',
+            opacity: mode.disabled ? 0.6 : 1
           }}
+          disabled={mode.disabled}
           onClick={() => onChange(mode.id)}
         >
           <div style={{ fontWeight: 'bold', fontSize: '16px', color: '#0f172a', marginBottom: '8px' }}>
@@ -0,0 +1,107 @@
+/**
+ * MonteCarloPanel.jsx
+ * Robustness check in the report: the plan is driven many times through
+ * slightly different traffic. Mean and the P10/P90 range show how much
+ * duration, punctuality and ESG score depend on luck with the traffic.
+ */
+
+import React from 'react'
+import { formatTime } from '../utils/formatTime.js'
+
+const ROWS = [
+  { key: 'durationMin', label: 'Tourdauer', format: (v) => formatTime(v) },
+  { key: 'deliveryRate', label: 'Pünktlichkeit', format: (v) => `${v.toFixed(0)} %` },
+  { key: 'esgScore', label: 'ESG-Score', format: (v) => v.toFixed(1) }
+]
+
+/**
+ * @param {number|string} runs - Number of simulation runs as typed, checked when starting
+ * @param {Function} onRunsChange - (runs) → void
+ * @param {number} seed - Start value of the random traffic
+ * @param {Function} onSeedChange - (seed) → void
+ * @param {Function} onRun - Start the simulation runs
+ * @param {Function} onCancel - Stop them
+ * @param {Object|null} progress - { runsDone, runsTotal } while running
+ * @param {boolean} running - Runs in progress
+ * @param {Object|null} summary - Result of simulateMonteCarlo
+ * @param {string|null} error - Message if the runs failed
+ */
+export default function MonteCarloPanel({ runs, onRunsChange, seed, onSeedChange, onRun, onCancel, progress, running, summary, error }) {
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <p style={{ color: '#64748b', marginTop: 0 }}>
+        Die Simulation oben zeigt einen möglichen Vormittag. Hier wird dieselbe Planung mehrfach
+        mit leicht schwankendem Verkehr (±10 % je Straße) gefahren.
+      </p>
+      <div style={{ display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+        <label>
+          Durchläufe:{' '}
+          <input
+            type="number"
+            min="10"
+            max="1000"
+            step="10"
+            value={runs}
+            disabled={running}
+            onChange={(e) => onRunsChange(e.target.value)}
+            style={{ width: '80px' }}
+          />
+        </label>
+        <label>
+          Seed:{' '}
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={seed}
+            disabled={running}
+            onChange={(e) => onSeedChange(Math.max(1, Math.round(Number(e.target.value) || 1)))}
+            style={{ width: '80px' }}
+          />
+        </label>
+        {running ? (
+          <button className="button" onClick={onCancel}>Abbrechen</button>
+        ) : (
+          <button className="button" onClick={onRun}>Robustheit prüfen</button>
+        )}
+        {running && progress && <span style={{ color: '#64748b' }}>{progress.runsDone} / {progress.runsTotal}</span>}
+      </div>
+
+      {error && <div style={{ color: '#dc2626' }}>{error}</div>}
+
+      {summary && (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ textAlign: 'right', color: '#64748b' }}>
+                <th style={{ textAlign: 'left' }}></th>
+                <th>Mittelwert</th>
+                <th>P10</th>
+                <th>P90</th>
+                <th>Spanne</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ROWS.map(row => {
+                const stats = summary[row.key]
+                return (
+                  <tr key={row.key} style={{ textAlign: 'right' }}>
+                    <td style={{ textAlign: 'left' }}>{row.label}</td>
+                    <td style={{ fontWeight: 'bold' }}>{row.format(stats.mean)}</td>
+                    <td>{row.format(stats.p10)}</td>
+                    <td>{row.format(stats.p90)}</td>
+                    <td style={{ color: '#64748b' }}>{row.format(stats.min)} – {row.format(stats.max)}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '12px', color: '#64748b', marginTop: '8px' }}>
+            {summary.runs} Durchläufe, Seed {summary.seed}. In 80 % der Läufe liegt der Wert zwischen P10 und P90.
+            Die Baseline wird in {summary.passRate.toFixed(0)} % der Läufe geschlagen.
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
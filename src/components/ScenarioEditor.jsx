@@ -0,0 +1,268 @@
+/**
+ * ScenarioEditor.jsx
+ * Map editor for trainers: nodes, roads, construction zones and customers
+ * are drawn directly on the map. Every step can be undone; the finished
+ * map is saved as a scenario file or played right away.
+ */
+
+import React, { useEffect, useState } from 'react'
+import MapView from '../map/MapView.jsx'
+import ScenarioFilePanel from './ScenarioFilePanel.jsx'
+import { pickNodeAt, pickEdgeAt } from '../map/MapInteraction.js'
+import { validateScenario } from '../game/ScenarioFile.js'
+import {
+  createHistory, commitHistory, undoHistory, redoHistory,
+  addRoadNode, splitEdge, moveNode, deleteNode, addEdge, deleteEdge, toggleBlocked, setOneway, toggleTurnRestriction,
+  placeCustomer, updateCustomer
+} from '../game/ScenarioEditor.js'
+
+const MAX_LISTED_ERRORS = 10
+// Road nodes only: roads and customers are attached to them
+const ROAD_NODE_TYPES = ['depot', 'junction', 'mid']
+
+const TOOLS = [
+  { id: 'select', label: 'Verschieben', hint: 'Knoten anklicken und mit gedrückter Maustaste verschieben.' },
+  { id: 'junction', label: 'Kreuzung', hint: 'Auf eine freie Stelle oder eine Straße klicken.' },
+  { id: 'mid', label: 'Zwischenpunkt', hint: 'Auf eine freie Stelle oder eine Straße klicken.' },
+  { id: 'edge', label: 'Straße', hint: 'Knoten nacheinander anklicken, ein Klick ins Leere beendet die Straße.' },
+  { id: 'block', label: 'Baustelle', hint: 'Straße anklicken, um sie zu sperren oder wieder freizugeben.' },
+  { id: 'oneway', label: 'Einbahnstraße', hint: 'Straße nahe dem Ende anklicken, zu dem sie führen soll; ein zweiter Klick dort hebt die Einbahnstraße auf.' },
+  { id: 'turn', label: 'Abbiegeverbot', hint: 'Knoten anklicken, dann die Straße, aus der man kommt, und die, in die nicht abgebogen werden darf. Nochmal: Verbot aufheben.' },
+  { id: 'customer', label: 'Kunde', hint: 'Kreuzung oder Zwischenpunkt anklicken; einen Kunden anklicken, um ihn zu bearbeiten.' },
+  { id: 'delete', label: 'Löschen', hint: 'Knoten oder Straße anklicken.' }
+]
+
+/**
+ * @param {Object} tourData - Map to start from
+ * @param {Object} baseline - Reference values saved and played with the map
+ * @param {Function} onPlay - (tourData, baseline) → void plays the edited map
+ * @param {Function} onCancel - Back without playing
+ */
+export default function ScenarioEditor({ tourData, baseline, onPlay, onCancel }) {
+  const [history, setHistory] = useState(() => createHistory(tourData))
+  const [tool, setTool] = useState('select')
+  const [selectedId, setSelectedId] = useState(null)
+  const [drag, setDrag] = useState(null) // { nodeId, preview } while a node is moved
+  const [message, setMessage] = useState(null)
+  const [customerDraft, setCustomerDraft] = useState(null)
+  const [turnFrom, setTurnFrom] = useState(null) // Road the forbidden turn comes from
+
+  const map = drag?.preview ?? history.present
+  const errors = validateScenario(history.present)
+  const selectedNode = map.nodes.find(n => n.id === selectedId) || null
+
+  const apply = (result) => {
+    setMessage(result.error)
+    if (!result.error) setHistory(h => commitHistory(h, result.tourData))
+    return result
+  }
+
+  const select = (node) => {
+    setSelectedId(node ? node.id : null)
+    setTurnFrom(null)
+    setCustomerDraft(node && node.type === 'address'
+      ? { start: node.timeWindow?.start ?? '', end: node.timeWindow?.end ?? '', boxes: String(node.demand?.boxes ?? '') }
+      : null)
+  }
+
+  const step = (move) => {
+    setHistory(move)
+    select(null)
+    setMessage(null)
+  }
+
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z)
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.target.tagName === 'INPUT') return
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) step(undoHistory)
+      else if (key === 'y' || (key === 'z' && event.shiftKey)) step(redoHistory)
+      else return
+      event.preventDefault()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  function handlePointer(phase, x, y) {
+    if (phase === 'move') {
+      if (drag) setDrag({ ...drag, preview: moveNode(history.present, drag.nodeId, x, y).tourData })
+      return
+    }
+    if (phase === 'up') {
+      if (drag?.preview) apply({ tourData: drag.preview, error: null })
+      setDrag(null)
+      return
+    }
+
+    const present = history.present
+    const node = pickNodeAt(x, y, present)
+    const roadNode = pickNodeAt(x, y, present, { types: ROAD_NODE_TYPES })
+    const edge = node ? null : pickEdgeAt(x, y, present)
+
+    switch (tool) {
+      case 'select':
+        select(node)
+        if (node) setDrag({ nodeId: node.id, preview: null })
+        break
+      case 'junction':
+      case 'mid': {
+        if (node) {
+          select(node)
+          break
+        }
+        const result = apply(edge ? splitEdge(present, edge.id, tool, x, y) : addRoadNode(present, tool, x, y))
+        if (!result.error) select(result.tourData.nodes.find(n => n.id === result.nodeId))
+        break
+      }
+      case 'edge':
+        if (!roadNode) {
+          select(null)
+        } else if (selectedNode && selectedNode.type !== 'address' && selectedNode.id !== roadNode.id) {
+          if (!apply(addEdge(present, selectedNode.id, roadNode.id)).error) select(roadNode)
+        } else {
+          select(roadNode)
+        }
+        break
+      case 'block':
+        if (edge) apply(toggleBlocked(present, edge.id))
+        break
+      case 'oneway': {
+        if (!edge) break
+        const a = present.nodes.find(n => n.id === edge.a)
+        const b = present.nodes.find(n => n.id === edge.b)
+        const toward = Math.hypot(x - a.x, y - a.y) < Math.hypot(x - b.x, y - b.y) ? a : b
+        apply(setOneway(present, edge.id, toward.id))
+        break
+      }
+      case 'turn':
+        if (roadNode) {
+          select(roadNode)
+        } else if (edge && selectedNode && !turnFrom) {
+          setTurnFrom(edge.id)
+        } else if (edge && selectedNode) {
+          apply(toggleTurnRestriction(present, selectedNode.id, turnFrom, edge.id))
+          setTurnFrom(null)
+        }
+        break
+      case 'customer': {
+        if (node?.type === 'address' || !roadNode) {
+          select(node)
+          break
+        }
+        const result = apply(placeCustomer(present, roadNode.id))
+        if (!result.error) select(result.tourData.nodes.find(n => n.id === result.nodeId))
+        break
+      }
+      case 'delete':
+        if (node) apply(deleteNode(present, node.id))
+        else if (edge) apply(deleteEdge(present, edge.id))
+        select(null)
+        break
+      default:
+        break
+    }
+  }
+
+  const saveCustomer = () => {
+    const boxes = Number(customerDraft.boxes)
+    apply(updateCustomer(history.present, selectedId, {
+      timeWindow: { start: customerDraft.start, end: customerDraft.end },
+      boxes
+    }))
+  }
+
+  const activeTool = TOOLS.find(t => t.id === tool)
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '8px' }}>
+        {TOOLS.map(t => (
+          <button
+            key={t.id}
+            className={`button${t.id === tool ? ' primary' : ' secondary'}`}
+            onClick={() => {
+              setTool(t.id)
+              select(null)
+            }}
+          >
+            {t.label}
+          </button>
+        ))}
+        <button className="button" onClick={() => step(undoHistory)} disabled={history.past.length === 0}>Rückgängig</button>
+        <button className="button" onClick={() => step(redoHistory)} disabled={history.future.length === 0}>Wiederholen</button>
+      </div>
+      <div style={{ color: '#64748b', marginBottom: '8px' }}>{activeTool.hint}</div>
+      {message && <div style={{ color: '#dc2626', marginBottom: '8px' }}>{message}</div>}
+
+      <MapView
+        tourData={map}
+        mode="edit"
+        selectedEdgeIds={turnFrom ? [turnFrom] : []}
+        selectedNodes={selectedId ? [selectedId] : []}
+        onEditPointer={handlePointer}
+      />
+
+      {selectedNode && (
+        <div style={{ margin: '8px 0' }}>
+          <strong>{selectedNode.id}</strong> ({selectedNode.type}, x {selectedNode.x}, y {selectedNode.y})
+          {selectedNode.turnRestrictions?.length > 0 && (
+            <span style={{ marginLeft: '12px' }}>
+              Abbiegeverbote: {selectedNode.turnRestrictions.map(turn => `${turn.from} → ${turn.to}`).join(', ')}
+            </span>
+          )}
+          {tool === 'turn' && (
+            <span style={{ marginLeft: '12px', color: '#64748b' }}>
+              {turnFrom ? `Von ${turnFrom} – jetzt die verbotene Straße anklicken.` : 'Jetzt die Straße anklicken, aus der man kommt.'}
+            </span>
+          )}
+          {customerDraft && (
+            <span style={{ marginLeft: '12px', display: 'inline-flex', gap: '10px', alignItems: 'center' }}>
+              <label>
+                Zeitfenster:{' '}
+                <input type="time" value={customerDraft.start} onChange={(e) => setCustomerDraft({ ...customerDraft, start: e.target.value })} />
+                {' – '}
+                <input type="time" value={customerDraft.end} onChange={(e) => setCustomerDraft({ ...customerDraft, end: e.target.value })} />
+              </label>
+              <label>
+                Kisten:{' '}
+                <input
+                  type="number"
+                  min="1"
+                  value={customerDraft.boxes}
+                  onChange={(e) => setCustomerDraft({ ...customerDraft, boxes: e.target.value })}
+                  style={{ width: '60px' }}
+                />
+              </label>
+              <button className="button" onClick={saveCustomer}>Übernehmen</button>
+            </span>
+          )}
+        </div>
+      )}
+
+      <div style={{ color: '#64748b', margin: '8px 0' }}>
+        {map.nodes.filter(n => n.type === 'address').length} Kunden, {map.edges.length} Straßen,
+        davon {map.edges.filter(e => e.blocked).length} gesperrt
+        und {map.edges.filter(e => e.oneway).length} Einbahnstraßen
+      </div>
+      {errors.length > 0 && (
+        <div style={{ color: '#dc2626', marginBottom: '8px' }}>
+          So kann die Karte noch nicht gespielt werden:
+          <ul style={{ margin: '4px 0 0 0' }}>
+            {errors.slice(0, MAX_LISTED_ERRORS).map((error, idx) => <li key={idx}>{error}</li>)}
+            {errors.length > MAX_LISTED_ERRORS && <li>… und {errors.length - MAX_LISTED_ERRORS} weitere Fehler</li>}
+          </ul>
+        </div>
+      )}
+      <ScenarioFilePanel tourData={history.present} baseline={baseline} />
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <button className="button primary" onClick={() => onPlay(history.present, baseline)} disabled={errors.length > 0}>
+          Diese Karte spielen
+        </button>
+        <button className="button secondary" onClick={onCancel}>Zurück</button>
+      </div>
+    </div>
+  )
+}
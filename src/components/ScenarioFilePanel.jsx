@@ -0,0 +1,71 @@
+/**
+ * ScenarioFilePanel.jsx
+ * Saves the map as a scenario file and loads one, e.g. an exercise a
+ * trainer prepared. Files that do not fit the format are rejected with
+ * the list of problems (see ScenarioFile.js).
+ */
+
+import React, { useRef, useState } from 'react'
+import { parseScenarioFile, serializeScenario } from '../game/ScenarioFile.js'
+
+const MAX_LISTED_ERRORS = 10
+
+/**
+ * @param {Object} tourData - Map to save
+ * @param {Object|null} baseline - Reference values saved with it
+ * @param {Function|null} onLoad - (tourData, baseline) → void plays a loaded file, null hides loading
+ */
+export default function ScenarioFilePanel({ tourData, baseline = null, onLoad = null }) {
+  const inputRef = useRef(null)
+  const [errors, setErrors] = useState([])
+
+  const save = () => {
+    const blob = new Blob([serializeScenario(tourData, baseline)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'szenario.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const load = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = '' // The same file can be chosen again after fixing it
+    if (!file) return
+    const result = parseScenarioFile(await file.text())
+    setErrors(result.errors)
+    if (result.errors.length === 0) onLoad(result.tourData, result.baseline)
+  }
+
+  return (
+    <div style={{
+      padding: '8px 12px',
+      marginBottom: '16px',
+      background: '#f8fafc',
+      border: '2px solid #cbd5e1',
+      borderRadius: '8px',
+      fontSize: '13px'
+    }}>
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <span>Szenario-Datei:</span>
+        <button className="button" onClick={save}>Szenario speichern</button>
+        {onLoad && (
+          <>
+            <button className="button" onClick={() => inputRef.current.click()}>Szenario laden</button>
+            <input ref={inputRef} type="file" accept=".json,application/json" onChange={load} style={{ display: 'none' }} />
+          </>
+        )}
+      </div>
+      {errors.length > 0 && (
+        <div style={{ color: '#dc2626', marginTop: '8px' }}>
+          Die Datei kann nicht gespielt werden:
+          <ul style={{ margin: '4px 0 0 0' }}>
+            {errors.slice(0, MAX_LISTED_ERRORS).map((error, idx) => <li key={idx}>{error}</li>)}
+            {errors.length > MAX_LISTED_ERRORS && <li>… und {errors.length - MAX_LISTED_ERRORS} weitere Fehler</li>}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
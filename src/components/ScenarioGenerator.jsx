@@ -0,0 +1,77 @@
+/**
+ * ScenarioGenerator.jsx
+ * "Neues Szenario": builds a fresh map from a few parameters, shows it
+ * as a preview and hands it to the game when the player wants to play it.
+ * The same parameters always give the same map.
+ */
+
+import React, { useState } from 'react'
+import MapView from '../map/MapView.jsx'
+import ScenarioFilePanel from './ScenarioFilePanel.jsx'
+import { SCENARIO_PARAMS, generateScenario, resolveScenarioParams } from '../game/ScenarioGenerator.js'
+
+/**
+ * @param {number} seed - Start value for the seed input (the session seed)
+ * @param {Object} baseline - Reference values saved with the map
+ * @param {Function} onPlay - (tourData, baseline) → void plays the generated map
+ * @param {Function} onCancel - Back without a new map
+ */
+export default function ScenarioGenerator({ seed, baseline, onPlay, onCancel }) {
+  // Inputs as typed, checked when generating
+  const [draft, setDraft] = useState(() => Object.fromEntries(
+    SCENARIO_PARAMS.map(p => [p.id, String(p.id === 'seed' ? seed : p.default)])
+  ))
+  const [scenario, setScenario] = useState(null)
+
+  const generate = () => {
+    const params = resolveScenarioParams(draft)
+    setDraft(Object.fromEntries(Object.entries(params).map(([id, value]) => [id, String(value)])))
+    setScenario(generateScenario(params))
+  }
+
+  const count = (type) => scenario.nodes.filter(n => n.type === type).length
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <p style={{ color: '#64748b', marginTop: 0 }}>
+        Erzeugt ein neues Straßennetz mit Kunden, Zeitfenstern und Baustellen.
+        Gleiche Werte ergeben immer dieselbe Karte.
+      </p>
+      <div style={{ display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '10px' }}>
+        {SCENARIO_PARAMS.map(param => (
+          <label key={param.id}>
+            {param.label}:{' '}
+            <input
+              type="number"
+              min={param.min}
+              max={param.max}
+              step={param.step}
+              value={draft[param.id]}
+              onChange={(e) => setDraft({ ...draft, [param.id]: e.target.value })}
+              style={{ width: '80px' }}
+            />
+          </label>
+        ))}
+        <button className="button" onClick={generate}>Erzeugen</button>
+      </div>
+
+      {scenario && (
+        <>
+          <div style={{ color: '#64748b' }}>
+            {count('address')} Kunden, {count('junction')} Kreuzungen, {count('mid')} Zwischenpunkte,{' '}
+            {scenario.edges.length} Straßen, davon {scenario.edges.filter(e => e.blocked).length} gesperrt
+          </div>
+          <MapView tourData={scenario} mode="view" selectedEdgeIds={[]} />
+          <ScenarioFilePanel tourData={scenario} baseline={baseline} />
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <button className="button primary" onClick={() => onPlay(scenario, baseline)} disabled={!scenario}>
+          Dieses Szenario spielen
+        </button>
+        <button className="button secondary" onClick={onCancel}>Zurück</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,68 @@
+/**
+ * SessionSeedPanel.jsx
+ * Shows the seed of the current game session. The link with the seed
+ * starts the identical scenario (same traffic, same optimizer runs) on
+ * any other computer; a different seed starts a new scenario.
+ */
+
+import React, { useState } from 'react'
+import { MAX_SESSION_SEED, parseSessionSeed } from '../game/SessionSeed.js'
+
+/**
+ * @param {number} seed - Seed of this session
+ * @param {string} shareUrl - Link that replays the session
+ * @param {Function|null} onChange - (seed) → void starts another scenario, null hides the input
+ */
+export default function SessionSeedPanel({ seed, shareUrl, onChange = null }) {
+  const [draft, setDraft] = useState(String(seed))
+  const [copied, setCopied] = useState(false)
+  const nextSeed = parseSessionSeed(draft)
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl)
+      setCopied(true)
+    } catch {
+      setCopied(false)
+    }
+  }
+
+  return (
+    <div style={{
+      display: 'flex',
+      gap: '12px',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      padding: '8px 12px',
+      marginBottom: '16px',
+      background: '#f8fafc',
+      border: '2px solid #cbd5e1',
+      borderRadius: '8px',
+      fontSize: '13px'
+    }}>
+      <span>Szenario-Seed: <strong>{seed}</strong></span>
+      <button className="button" onClick={copyLink}>{copied ? 'Link kopiert' : 'Link kopieren'}</button>
+      {onChange && (
+        <>
+          <input
+            type="number"
+            min="1"
+            max={MAX_SESSION_SEED}
+            step="1"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            style={{ width: '90px' }}
+          />
+          <button
+            className="button"
+            onClick={() => onChange(nextSeed)}
+            disabled={nextSeed === null || nextSeed === seed}
+          >
+            Szenario laden
+          </button>
+        </>
+      )}
+      <span style={{ color: '#64748b' }}>Gleicher Seed, gleicher Verkehr und gleiche Optimierung.</span>
+    </div>
+  )
+}
@@ -0,0 +1,261 @@
+/**
+ * SimulationPlayback.jsx
+ * Plays the simulated tour back on the map: every vehicle drives its
+ * roads, stops at the customers and reloads at the depot, while the
+ * counters add up kilometers, costs and CO₂. The traffic colors follow
+ * the clock. Play/pause and the speed are up to the player; the report
+ * can be opened at any time.
+ *
+ * Disruptions show up on the map when the vehicles learn of them (closed
+ * roads, accidents, customers of urgent orders). Without the GPS tracker
+ * the playback stops at each one and the player may re-plan the rest of
+ * the tour from there, with the outcome of both choices side by side.
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import MapView from '../map/MapView.jsx'
+import { getPlaybackState, getPlaybackDuration } from '../game/Playback.js'
+import { describeDisruption, withUrgentCustomers } from '../game/Disruptions.js'
+import { minutesToClock } from '../game/TimeWindows.js'
+import { formatMoney } from '../utils/formatMoney.js'
+import { formatTime } from '../utils/formatTime.js'
+
+// Tour minutes per real second
+const SPEEDS = [1, 2, 5, 10, 20]
+
+const ACTIVITY_LABELS = {
+  start: 'am Depot',
+  drive: 'fährt',
+  stop: 'beim Kunden',
+  reload: 'lädt nach',
+  delay: 'sucht Umweg',
+  done: 'zurück am Depot'
+}
+
+/**
+ * @param {Object} tourData - Complete tour data
+ * @param {Array<Object>} runs - [{ label, color, events }] one entry per vehicle (event log of simulateRoute)
+ * @param {Object} trafficModel - For the traffic colors along the clock
+ * @param {string[]} selectedEdgeIds - Planned route, highlighted on the map
+ * @param {Array<Object>} vehicleRoutes - Several vehicles: route colors as in the plan
+ * @param {Array<Object>} detours - Detours found by the simulation
+ * @param {boolean|string[]|null} replan - Re-planning at disruptions: true (GPS tracker),
+ *   the IDs the player re-planned at, or null without disruptions
+ * @param {Function} onReplan - (disruptionId) → void re-plans the rest of the tour from there
+ * @param {Function} compareReplan - (disruptionId) → { kept, replanned } results of the whole tour
+ *   sticking to the plan and re-planned there
+ * @param {Function} onFinish - Open the report
+ */
+// Outcome of the whole tour in one line: return, distance, punctuality
+function describeOutcome(result) {
+  return `zurück um ${minutesToClock(Math.round(result.durationMin))}, ${result.totalKm.toFixed(1)} km, ` +
+    `${result.onTimeDeliveries} von ${result.numberOfStops} pünktlich`
+}
+
+export default function SimulationPlayback({ tourData, runs, trafficModel, selectedEdgeIds, vehicleRoutes, detours, replan = null, onReplan = null, compareReplan = null, onFinish }) {
+  const [clock, setClock] = useState(0)
+  const [playing, setPlaying] = useState(true)
+  const [speed, setSpeed] = useState(5)
+  const lastFrameRef = useRef(null)
+  const knownCountRef = useRef(0)
+
+  // Every disruption once, when the first vehicle learns of it
+  const disruptionEvents = useMemo(() => {
+    const first = new Map()
+    runs.forEach(run => run.events.forEach(event => {
+      if (event.type !== 'disruption') return
+      const known = first.get(event.disruption.id)
+      if (!known || event.timeMin < known.timeMin) first.set(event.disruption.id, event)
+    }))
+    return [...first.values()].sort((a, b) => a.timeMin - b.timeMin)
+  }, [runs])
+
+  const nodesById = useMemo(() => {
+    const byId = {}
+    tourData.nodes.forEach(n => { byId[n.id] = n })
+    return withUrgentCustomers(byId, disruptionEvents.map(event => event.disruption))
+  }, [tourData, disruptionEvents])
+  const duration = useMemo(() => Math.max(0, ...runs.map(r => getPlaybackDuration(r.events))), [runs])
+
+  // Advance the clock with the real time between two frames
+  useEffect(() => {
+    if (!playing) return undefined
+    let frame
+    const tick = (now) => {
+      const elapsedSec = lastFrameRef.current === null ? 0 : (now - lastFrameRef.current) / 1000
+      lastFrameRef.current = now
+      setClock(prev => Math.min(duration, prev + elapsedSec * speed))
+      frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => {
+      cancelAnimationFrame(frame)
+      lastFrameRef.current = null
+    }
+  }, [playing, speed, duration])
+
+  useEffect(() => {
+    if (clock >= duration) setPlaying(false)
+  }, [clock, duration])
+
+  // A new disruption stops the playback, so the player can decide on re-planning
+  const knownDisruptions = disruptionEvents.filter(event => event.timeMin <= clock)
+  const knownCount = knownDisruptions.length
+  const playerDecides = Boolean(onReplan) && Array.isArray(replan)
+  useEffect(() => {
+    if (playerDecides && knownCount > knownCountRef.current) setPlaying(false)
+    knownCountRef.current = knownCount
+  }, [knownCount, playerDecides])
+
+  // The map as far as known at the clock: closed roads, customers of urgent orders
+  const shownTourData = useMemo(() => {
+    const known = disruptionEvents.slice(0, knownCount).map(event => event.disruption)
+    if (known.length === 0) return tourData
+    const closedEdgeIds = new Set(known.filter(d => d.type === 'closure').map(d => d.edgeId))
+    return {
+      ...tourData,
+      nodes: [...tourData.nodes, ...known.filter(d => d.type === 'urgent').map(d => d.customer)],
+      edges: tourData.edges.map(e => (closedEdgeIds.has(e.id) ? { ...e, blocked: true } : e))
+    }
+  }, [tourData, disruptionEvents, knownCount])
+  // The player's decision at the latest disruption: both outcomes in advance
+  const openDecisionId = playerDecides && knownCount > 0 && !replan.includes(knownDisruptions[knownCount - 1].disruption.id)
+    ? knownDisruptions[knownCount - 1].disruption.id
+    : null
+  const comparison = useMemo(
+    () => (openDecisionId && compareReplan ? compareReplan(openDecisionId) : null),
+    [openDecisionId, compareReplan]
+  )
+
+  const accidentEdgeIds = knownDisruptions
+    .filter(event => event.disruption.type === 'accident' && clock < event.disruption.untilMin)
+    .map(event => event.disruption.edgeId)
+
+  const states = runs.map(run => getPlaybackState(run.events, clock, nodesById))
+  const totals = states.reduce((sum, st) => ({
+    km: sum.km + st.km,
+    costEur: sum.costEur + st.costEur,
+    co2Kg: sum.co2Kg + st.co2Kg
+  }), { km: 0, costEur: 0, co2Kg: 0 })
+
+  // Customers already served: their stop has ended
+  const delivered = new Set(runs.flatMap(run => run.events
+    .filter(event => event.type === 'arrive' && event.endMin <= clock)
+    .map(event => event.nodeId)))
+
+  const markers = states.map((st, idx) => ({
+    x: st.x,
+    y: st.y,
+    color: runs[idx].color,
+    label: runs.length > 1 ? String(idx + 1) : null,
+    stopped: ['stop', 'reload', 'delay'].includes(st.activity)
+  }))
+
+  const restart = () => {
+    setClock(0)
+    setPlaying(true)
+  }
+
+  return (
+    <div className="panel">
+      <h2>Simulation</h2>
+      <div style={{
+        display: 'flex',
+        gap: '24px',
+        flexWrap: 'wrap',
+        padding: '12px',
+        marginBottom: '12px',
+        background: '#f8fafc',
+        border: '2px solid #cbd5e1',
+        borderRadius: '8px',
+        fontSize: '14px'
+      }}>
+        <div>Uhrzeit: <strong>{minutesToClock(clock)}</strong></div>
+        <div>Unterwegs: <strong>{formatTime(clock)}</strong></div>
+        <div>Strecke: <strong>{totals.km.toFixed(2)} km</strong></div>
+        <div>Kosten: <strong>{formatMoney(totals.costEur)}</strong></div>
+        <div>CO₂: <strong>{totals.co2Kg.toFixed(2)} kg</strong></div>
+        <div>Beliefert: <strong>{delivered.size}</strong></div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '12px', fontSize: '13px' }}>
+        {runs.map((run, idx) => (
+          <div key={idx} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <div style={{ width: '12px', height: '12px', borderRadius: '50%', background: run.color }}></div>
+            <span>{run.label}: {ACTIVITY_LABELS[states[idx].activity]}</span>
+          </div>
+        ))}
+      </div>
+
+      {knownDisruptions.length > 0 && (
+        <div style={{
+          padding: '8px 12px',
+          marginBottom: '12px',
+          background: '#fff7ed',
+          border: '2px solid #fdba74',
+          borderRadius: '8px',
+          fontSize: '13px'
+        }}>
+          {knownDisruptions.map(event => {
+            const { disruption } = event
+            return (
+              <div key={disruption.id} style={{ display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap', padding: '2px 0' }}>
+                <strong>{minutesToClock(Math.round(event.timeMin))}</strong>
+                <span>{describeDisruption(disruption)}</span>
+                {replan === true && <em>GPS-Tracker plant neu</em>}
+                {playerDecides && replan.includes(disruption.id) && <em>Tour neu geplant</em>}
+                {disruption.id === openDecisionId && (
+                  <button className="button" onClick={() => onReplan(disruption.id)}>Restliche Tour ab hier neu planen</button>
+                )}
+              </div>
+            )
+          })}
+          {comparison && (
+            <div style={{ marginTop: '6px', color: '#9a3412' }}>
+              Nach Plan weiter: {describeOutcome(comparison.kept)} · Ab hier neu geplant: {describeOutcome(comparison.replanned)}
+            </div>
+          )}
+        </div>
+      )}
+
+      <MapView
+        tourData={shownTourData}
+        mode="view"
+        selectedEdgeIds={selectedEdgeIds}
+        visitedAddresses={delivered}
+        currentNode={null}
+        onSelectEdge={() => {}}
+        detours={detours}
+        trafficModel={trafficModel}
+        currentTime={clock}
+        vehicleRoutes={vehicleRoutes}
+        vehicleMarkers={markers}
+        accidentEdgeIds={accidentEdgeIds}
+      />
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginTop: '12px', flexWrap: 'wrap', fontSize: '13px' }}>
+        {clock >= duration ? (
+          <button className="button" onClick={restart}>Nochmal abspielen</button>
+        ) : (
+          <button className="button" onClick={() => setPlaying(p => !p)}>{playing ? 'Pause' : 'Abspielen'}</button>
+        )}
+        <input
+          type="range"
+          min="0"
+          max={duration}
+          step="0.5"
+          value={clock}
+          onChange={(e) => setClock(Number(e.target.value))}
+          style={{ flex: 1, minWidth: '160px' }}
+        />
+        <label>
+          Tempo:{' '}
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {SPEEDS.map(s => <option key={s} value={s}>{s} min/s</option>)}
+          </select>
+        </label>
+        <button className="button primary" onClick={onFinish}>Zum Bericht</button>
+      </div>
+    </div>
+  )
+}
@@ -4,6 +4,7 @@
  */
 
 import React from 'react'
+import { energyCostPerKm, vehicleCostPerTour } from '../game/CostModel.js'
 
 export default function VehicleSelector({ vehicles, value, onChange }) {
   return (
@@ -62,7 +63,8 @@ export default function VehicleSelector({ vehicles, value, onChange }) {
           </div>
           
           <div style={{ fontSize: '13px', lineHeight: '1.6', color: '#475569' }}>
-            <div>Kosten pro km: <strong>{v.costPerKm.toFixed(2)} €</strong></div>
+            <div>Energiekosten pro km: <strong>{energyCostPerKm(v).toFixed(2)} €</strong></div>
+            <div>Fixkosten pro Tour: <strong>{vehicleCostPerTour(v).total.toFixed(2)} €</strong></div>
             <div>CO₂-Verbrauch / km: <strong>{v.co2PerKm.toFixed(3)} kg</strong></div>
             <div>Kapazität: <strong>{v.capacityM3} m³</strong> (max. Kisten: <strong>{v.maxBoxes}</strong>)</div>
           </div>
@@ -5,19 +5,34 @@
  * difficulty or make the simulation more/less realistic.
  */
 
-// Every kilometer costs this much in overhead (staff, rent, admin)
+// Every kilometer costs this much in overhead (staff, rent, admin);
+// vehicle and energy costs come from vehicles.js (see game/CostModel.js)
 export const FIXED_COST_PER_KM = 10.23
 
 // Company size
 export const FLEET_SIZE = 8
 export const WORKING_DAYS_PER_YEAR = 250
-export const TOURS_PER_DAY = 12
+export const TOURS_PER_DAY = 12 // per vehicle
 export const TOTAL_FLEET_KM_PER_YEAR = 150000
 
+// Route colors on the map, one per vehicle of the fleet
+export const VEHICLE_ROUTE_COLORS = [
+  '#3b82f6', '#a855f7', '#14b8a6', '#ec4899',
+  '#84cc16', '#f97316', '#06b6d4', '#eab308'
+]
+
+// Map scale: 110 px ≈ 1 km (maps bring their own in canvas.scalePxPerKm)
+export const SCALE_PX_PER_KM = 110
+
 // Simulation timing
 export const CITY_SPEED_KMH = 30
 export const STOP_TIME_MINUTES = 7
 export const CONSTRUCTION_DELAY_MINUTES = 15
+// Loading crates at the depot when the van ran empty mid-tour
+export const RELOAD_TIME_MINUTES = 15
+
+// Volume of one crate of drinks, for customer demand
+export const BOX_VOLUME_M3 = 0.035
 
 // Legacy vehicle data (kept for old code)
 // Real vehicle specs are in vehicles.js now
@@ -48,24 +63,29 @@ export const VEHICLES = {
   },
 };
 
-// Equipment options (not used in the prototype yet)
+// Equipment of the shop before planning (effects see game/Equipment.js)
 export const EQUIPMENT = {
   ROUTE_SOFTWARE: {
     id: 'route-software',
-    name: 'Route Planning Software',
+    name: 'Routenplanungssoftware',
     cost: 5000,
-    description: 'Shows the optimal route, reducing travel time and kilometers.',
+    description: 'Berechnet optimierte Touren unter Berücksichtigung von Verkehr, Baustellen und Zeitfenstern. Schaltet die automatische Planung frei.',
   },
   GPS_TRACKER: {
     id: 'gps-tracker',
-    name: 'GPS Tracker',
+    name: 'GPS-Tracker',
     cost: 500,
-    description: 'Enables dynamic reaction to unforeseen events like traffic jams.',
+    description: 'Meldet Störungen während der Fahrt sofort, die restliche Tour wird automatisch um sie herum neu geplant.',
   },
   CO2_SOFTWARE: {
     id: 'co2-software',
-    name: 'CO2 Recording Software',
+    name: 'CO₂-Erfassungssoftware',
     cost: 1500,
-    description: 'Provides accurate and traceable CO2 data for the ESG report.',
+    description: 'Schlüsselt die Emissionen je gefahrener Straße auf und zeigt, wie viel Stau, Stopps und Beladung ausmachen. Nachvollziehbare Daten für den ESG-Bericht.',
   },
-};
\ No newline at end of file
+};
+
+// Money for equipment - not enough for everything
+export const EQUIPMENT_BUDGET = 6000
+// Equipment is written off over this many years of tours
+export const EQUIPMENT_AMORTIZATION_YEARS = 3
@@ -2,8 +2,9 @@
  * vehicles.js
  * 
  * Vehicle definitions with costs, fuel consumption, and emissions.
- * The costPerKm here is just the vehicle's direct costs (fuel, maintenance).
- * The game adds another €10.23/km for overhead (drivers, admin, facilities).
+ * A tour costs the energy it uses plus its share of the yearly fixed costs;
+ * the game adds another €10.23/km for overhead (drivers, admin, facilities).
+ * See game/CostModel.js.
  */
 export const vehicles = [
   { 
@@ -21,13 +22,13 @@ export const vehicles = [
     fuelPrice: 1.65,           // €/L
     fuelType: 'Diesel',
     
-    // Per-kilometer costs and emissions
-    costPerKm: 0.57,           // Vehicle operating costs
+    // Emissions
     co2PerKm: 0.242,           // kg CO2 per km
     
-    // Cargo capacity
+    // Cargo capacity and empty weight
     capacityM3: 12.75,
-    maxBoxes: 400 
+    maxBoxes: 400,
+    emptyMassKg: 2100
   },
   { 
     id: 'hybrid', 
@@ -46,13 +47,13 @@ export const vehicles = [
     electricConsumption: 15,   // kWh per 100 km
     electricPrice: 0.27,       // € per kWh
     
-    // Operating costs and emissions
-    costPerKm: 0.50,           // lowest variable costs
+    // Emissions
     co2PerKm: 0.036,           // significantly lower emissions
     
-    // Cargo capacity (smaller due to battery)
+    // Cargo capacity (smaller due to battery) and empty weight
     capacityM3: 7, 
-    maxBoxes: 185 
+    maxBoxes: 185,
+    emptyMassKg: 2300
   },
   { 
     id: 'electric', 
@@ -67,12 +68,12 @@ export const vehicles = [
     electricConsumption: 27,     // kWh per 100 km
     electricPrice: 0.27,         // € per kWh
     
-    // Operating costs and emissions
-    costPerKm: 0.65,             // higher maintenance for electric
+    // Emissions
     co2PerKm: 0,                 // zero direct emissions
     
-    // Cargo capacity
+    // Cargo capacity and empty weight (heavy battery)
     capacityM3: 12.75, 
-    maxBoxes: 400 
+    maxBoxes: 400,
+    emptyMassKg: 2600
   }
 ]
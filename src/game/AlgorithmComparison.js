@@ -0,0 +1,78 @@
+import { ALGORITHMS, createRoutingProblem, runAlgorithm } from '../algorithms/registry.js'
+import { buildRouteEdges } from './AutoRoutePlanner.js'
+import { splitIntoTrips, joinTrips } from './LoadPlanner.js'
+import { simulateRoute } from './GameManager.js'
+
+/**
+ * AlgorithmComparison.js
+ *
+ * Runs several tour algorithms on the same map and drives every result
+ * through the simulation, so they can be compared on what matters in the
+ * end: kilometers, computing time, punctuality and the ESG score.
+ *
+ * Every algorithm plans one tour through all addresses. If the vehicle
+ * can't carry everything at once, the tour is cut into depot trips the
+ * same way for all of them. The simulation delivers in exactly the order
+ * the algorithm planned, not in the order the van passes the customers.
+ */
+
+/**
+ * Drives one planned tour through the simulation.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {string[]} sequence - Address IDs in visiting order
+ * @param {Object} options - { vehicle, trafficModel, baseline }
+ * @returns {Object} { edges, simulation, error } - error is a message if a leg has no path (simulation null then)
+ */
+export function simulateTour(tourData, sequence, { vehicle, trafficModel = null, baseline }) {
+  const nodesById = {}
+  tourData.nodes.forEach(n => { nodesById[n.id] = n })
+  const depotId = tourData.nodes.find(n => n.type === 'depot').id
+
+  const stops = joinTrips(splitIntoTrips(sequence, nodesById, vehicle), depotId)
+  const { edges, error } = buildRouteEdges(stops, tourData)
+  if (error) return { edges, simulation: null, error }
+  return { edges, simulation: simulateRoute(edges, vehicle, tourData, baseline, trafficModel, true, null, stops), error: null }
+}
+
+/**
+ * @param {Object} tourData - Complete tour data
+ * @param {string[]} algorithmIds - IDs from ALGORITHMS, in display order
+ * @param {Object} options - { vehicle, trafficModel, baseline, params, onResult(row) }
+ *   params: parameters per algorithm ID, e.g. { lkh: { randomSamples: 200 } }
+ * @returns {Object[]} One row per algorithm that could run:
+ *   { algorithmId, label, paradigm, sequence, distanceKm, runtimeMs, stats, edges, totalKm, deliveryRate, esgScore }
+ *   or, if its tour can't be driven, { algorithmId, label, paradigm, sequence, distanceKm, runtimeMs, stats, error }
+ */
+export function compareAlgorithms(tourData, algorithmIds, options = {}) {
+  const { vehicle, trafficModel = null, baseline, params = {}, onResult = null } = options
+  const problem = createRoutingProblem(tourData)
+
+  const rows = []
+  for (const id of algorithmIds) {
+    const result = runAlgorithm(id, problem, params[id])
+    if (!result) continue
+
+    const { edges, simulation, error } = simulateTour(tourData, result.sequence, { vehicle, trafficModel, baseline })
+    const algorithm = ALGORITHMS.find(a => a.id === id)
+
+    const row = {
+      algorithmId: id,
+      label: algorithm.label,
+      paradigm: algorithm.paradigm,
+      sequence: result.sequence,
+      distanceKm: result.distance,
+      runtimeMs: result.runtimeMs,
+      stats: result.stats,
+      ...(error ? { error } : {
+        edges,
+        totalKm: simulation.totalKm,
+        deliveryRate: simulation.deliveryRate,
+        esgScore: simulation.esgScore
+      })
+    }
+    rows.push(row)
+    onResult?.(row)
+  }
+  return rows
+}
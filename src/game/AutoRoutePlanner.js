@@ -0,0 +1,622 @@
+import { clarkeWrightSavings, clarkeWrightRoutes } from '../algorithms/clarkeWright.js'
+import { linKernighanHelsgaun } from '../algorithms/linKernighanHelsgaun.js'
+import { nearestNeighborTour } from '../algorithms/nearestNeighbor.js'
+import { getRoadNetwork, createRoadNetwork } from '../algorithms/roadNetwork.js'
+import { calculateSequenceLoad, fitsCapacity, splitIntoTrips, joinTrips } from './LoadPlanner.js'
+import { scheduleSequence, getCustomerWindow } from './TimeWindows.js'
+import { createObjective } from '../algorithms/objectives.js'
+import { tourDistance, createRandom, shuffleTour } from '../algorithms/tourMoves.js'
+import { RELOAD_TIME_MINUTES, STOP_TIME_MINUTES } from '../data/constants.js'
+
+/**
+ * AutoRoutePlanner.js
+ *
+ * The automatic planning pipeline, independent of React:
+ * 1. Build candidate sequences (Clarke-Wright, Nearest Neighbor, random samples)
+ * 2. Optimize every candidate (and its reverse) with Lin-Kernighan-Helsgaun
+ * 3. Map the best address sequence onto actual road edges
+ *
+ * For a fleet, Clarke-Wright first splits the addresses into one route per
+ * vehicle, then every route runs through the same pipeline on its own.
+ * If a vehicle cannot carry all crates of its route at once, the route is
+ * split into trips with a reload at the depot in between.
+ *
+ * Customer time windows are either soft (every minute late costs like a
+ * detour of LATE_PENALTY_KM_PER_MIN) or hard (being on time beats any
+ * distance saving, the shortest on-time tour wins).
+ *
+ * The objective (see objectives.js) decides what "best" means: distance,
+ * travel time, cost or CO₂ under the planning traffic of the morning.
+ *
+ * With a time budget the search is an anytime algorithm: random candidates
+ * are drawn until the time is up, and every new best tour is reported right
+ * away through onImprovement.
+ *
+ * During the tour, reoptimizeFromPosition plans the rest anew: an open path
+ * from where the van is over the customers still waiting, home to the depot.
+ */
+
+const DEFAULT_RANDOM_SAMPLES = 2000
+// With a seed the time budget buys this many random candidates per second instead of a
+// deadline: how many fit into the time depends on the machine, the seed must not
+const RANDOM_SAMPLES_PER_SECOND = 400
+const LATE_PENALTY_KM_PER_MIN = 0.5
+// Only the best LKH tours get the (slower) refinement with full evaluation
+const REFINE_CANDIDATES = 5
+// Few customers are left during the tour, fewer random candidates do
+const REOPTIMIZE_RANDOM_SAMPLES = 100
+
+// Total network distance: depot → first address → ... → last address → depot
+export function calculateSequenceDistance(sequence, depotId, distance) {
+  if (!sequence) return 0
+  return tourDistance(sequence, depotId, distance)
+}
+
+/**
+ * Rates a visiting order: distance, lateness and a single comparable score.
+ *
+ * @param {string[]} sequence - Address IDs in visiting order
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} options - { network, timeWindows: null | 'soft' | 'hard', nodesById, startMin, objective }
+ *   network: road network of the map (from getRoadNetwork)
+ * @returns {Object} { distance, lateMin, score } - lower score is better
+ */
+export function evaluateSequence(sequence, depotId, options = {}) {
+  const { network, timeWindows = null, nodesById = null, startMin = 0, objective = null } = options
+  const withWindows = Boolean(timeWindows && nodesById)
+
+  if (objective && objective.type !== 'distance') {
+    const result = objective.evaluate(sequence, depotId, { nodesById: withWindows ? nodesById : null, startMin })
+    // Penalty in the objective's unit; distance breaks ties (e.g. CO₂ of an e-van is always 0)
+    const penaltyPerMin = LATE_PENALTY_KM_PER_MIN * (objective.unitsPerKm || 1)
+    const value = result.value + result.distance * 1e-6
+    return { distance: result.distance, lateMin: result.lateMin, score: combineScore(value, result.lateMin, timeWindows, penaltyPerMin) }
+  }
+
+  const distance = calculateSequenceDistance(sequence, depotId, network.distance)
+  if (!withWindows) return { distance, lateMin: 0, score: distance }
+
+  const travelTime = objective ? objective.legTime : undefined
+  const { totalLateMin } = scheduleSequence(sequence, depotId, nodesById, { startMin, travelTime, distance: network.distance })
+  return { distance, lateMin: totalLateMin, score: combineScore(distance, totalLateMin, timeWindows) }
+}
+
+function combineScore(value, lateMin, timeWindows, penaltyPerMin = LATE_PENALTY_KM_PER_MIN) {
+  if (timeWindows === 'hard') return lateMin * 1e6 + value
+  if (timeWindows === 'soft') return value + lateMin * penaltyPerMin
+  return value
+}
+
+/**
+ * Finds the best visiting order for a set of addresses.
+ *
+ * Without time windows and objective this is the shortest tour. Otherwise
+ * the LKH tours are ranked by evaluateSequence and the best ones refined
+ * with moves judged by the complete score (pulling late customers forward,
+ * shifting main-road customers away from the 8:00 peak).
+ *
+ * @param {string[]} addresses - Address IDs to visit
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} options - { network, initialSequence, randomSamples, timeWindows, nodesById, startMin, objective,
+ *   deadline, onProgress({ phase, candidatesDone, candidatesTotal, bestDistance }),
+ *   onImprovement({ sequence, distance, lateMin, candidatesDone }) }
+ *   network: road network of the map (from getRoadNetwork), required
+ *   deadline: Date.now() timestamp; random candidates are drawn until then instead of randomSamples
+ *   (candidatesTotal is null then)
+ *   random: source of the random candidates, e.g. seeded (default Math.random)
+ * @returns {Object} { sequence, distance, lateMin, shortest } - shortest: best tour by distance alone
+ */
+export function optimizeSequence(addresses, depotId, options = {}) {
+  const {
+    network,
+    initialSequence = null,
+    randomSamples = DEFAULT_RANDOM_SAMPLES,
+    objective = null,
+    deadline = null,
+    random = Math.random,
+    onProgress = null,
+    onImprovement = null
+  } = options
+  const usesTimeWindows = Boolean(options.timeWindows && options.nodesById)
+  const needsRefinement = usesTimeWindows || Boolean(objective?.isTimeDependent)
+
+  if (addresses.length === 0) return { sequence: [], distance: 0, lateMin: 0, shortest: [] }
+  if (addresses.length === 1) {
+    const { distance, lateMin } = evaluateSequence(addresses, depotId, options)
+    return { sequence: [...addresses], distance, lateMin, shortest: [...addresses] }
+  }
+
+  // Phase 1: Build initial route candidates
+  const candidates = []
+
+  // Strategy 1: Clarke-Wright savings heuristic (classic TSP approach)
+  if (initialSequence && initialSequence.length === addresses.length) {
+    candidates.push(initialSequence)
+  }
+
+  // Strategy 2: Nearest neighbor from each possible starting address
+  // Greedy approach that can find different local optima
+  for (const startAddr of addresses) {
+    candidates.push(nearestNeighborTour(startAddr, addresses, network.distance))
+  }
+
+  // Strategy 3: Random sampling for diversity (helps escape local optima)
+  // With a deadline they are drawn on demand until the time is up
+  const shuffle = () => shuffleTour(addresses, random)
+  if (!deadline) {
+    for (let i = 0; i < randomSamples; i++) candidates.push(shuffle())
+  }
+
+  // Phase 2: Optimize candidates with Lin-Kernighan-Helsgaun
+  // (keeps the best few for the refinement, the best one otherwise)
+  const keep = needsRefinement ? REFINE_CANDIDATES : 1
+  const ranked = []
+  let shortest = null
+  let candidatesDone = 0
+  const improved = (best) => onImprovement?.({
+    sequence: [...best.sequence],
+    distance: best.distance,
+    lateMin: best.lateMin,
+    candidatesDone
+  })
+  const consider = (sequence) => {
+    const rating = evaluateSequence(sequence, depotId, options)
+    if (needsRefinement) {
+      const distance = calculateSequenceDistance(sequence, depotId, network.distance)
+      if (!shortest || distance < shortest.distance) shortest = { sequence: [...sequence], distance }
+    }
+    if (ranked.length === keep && rating.score >= ranked[ranked.length - 1].score) return
+    if (ranked.some(r => r.score === rating.score && r.sequence.join() === sequence.join())) return
+    const previousBest = ranked[0]
+    ranked.push({ sequence: [...sequence], ...rating })
+    ranked.sort((a, b) => a.score - b.score)
+    if (ranked.length > keep) ranked.pop()
+    if (ranked[0] !== previousBest) improved(ranked[0])
+  }
+
+  const report = (phase) => onProgress?.({
+    phase,
+    candidatesDone,
+    candidatesTotal: deadline ? null : candidates.length,
+    bestDistance: ranked[0]?.distance ?? null
+  })
+  report('optimize')
+
+  const optimizeCandidate = (candidate) => {
+    const optimized = linKernighanHelsgaun(candidate, depotId, { distance: network.distance, directed: network.isDirected })
+    consider(optimized)
+    // Driving the same tour the other way round changes every arrival time
+    if (needsRefinement) consider([...optimized].reverse())
+
+    // Also optimize reversed tour (different topology may lead to different optimum)
+    const optimizedReversed = linKernighanHelsgaun([...candidate].reverse(), depotId, { distance: network.distance, directed: network.isDirected })
+    consider(optimizedReversed)
+    if (needsRefinement) consider([...optimizedReversed].reverse())
+    candidatesDone++
+    report('optimize')
+  }
+
+  // The first candidate always runs, so there is a result even without time left
+  for (const candidate of candidates) {
+    if (deadline && candidatesDone > 0 && Date.now() >= deadline) break
+    optimizeCandidate(candidate)
+  }
+  while (deadline && Date.now() < deadline) {
+    optimizeCandidate(shuffle())
+  }
+
+  // Phase 3: Refine with the complete score (time windows, traffic)
+  let best = ranked[0]
+  if (needsRefinement) {
+    report('refine')
+    const score = (tour) => evaluateSequence(tour, depotId, options).score
+    for (const candidate of ranked) {
+      const refined = linKernighanHelsgaun(candidate.sequence, depotId, { distance: network.distance, directed: network.isDirected, objective, score })
+      const rating = evaluateSequence(refined, depotId, options)
+      if (rating.score < best.score) {
+        best = { sequence: refined, ...rating }
+        improved(best)
+      }
+    }
+  }
+
+  return {
+    sequence: best.sequence,
+    distance: best.distance,
+    lateMin: best.lateMin,
+    shortest: shortest ? shortest.sequence : best.sequence
+  }
+}
+
+/**
+ * Maps an address sequence onto road edges: depot → addresses → depot.
+ *
+ * Addresses share their position with junctions, so every leg looks for a
+ * direct unblocked edge between the two clusters first and falls back to
+ * the shortest detour around construction zones.
+ *
+ * With a traffic model every leg takes the fastest way at the time the van
+ * starts it instead (see the network's timeDependentPath). The clock runs on
+ * with driving, waiting for time windows, stops and reloads.
+ *
+ * @param {string[]} sequence - Address IDs in visiting order (depot ID = reload)
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} options - { trafficModel, startMin } both optional
+ * @returns {Object} { edges, error } - error is a message if a leg has no path
+ */
+export function buildRouteEdges(sequence, tourData, options = {}) {
+  const { trafficModel = null, startMin = 0 } = options
+  const network = getRoadNetwork(tourData)
+  const getCluster = network.getCluster
+  const depotId = network.depotId
+
+  // Collect blocked edges (construction zones) to avoid in routing
+  const blockedEdgeIds = new Set(tourData.edges.filter(e => e.blocked).map(e => e.id))
+
+  const nodesById = network.nodesById
+
+  const edges = []
+  let currentPos = depotId
+  let previousStop = depotId
+  let timeMin = startMin
+
+  // Visit all addresses, then return to the depot
+  const stops = [...sequence, depotId]
+  const noPathError = (target) => (target === depotId
+    ? 'Keine Rückroute zum Depot gefunden'
+    : `Keine Route gefunden zwischen ${previousStop} und ${target}`)
+
+  for (const target of stops) {
+    const fromCluster = getCluster(currentPos)
+    const toCluster = getCluster(target)
+
+    if (trafficModel) {
+      const { path, timeMin: legMin } = network.timeDependentPath(currentPos, target, timeMin, trafficModel)
+      if (!path) return { edges, error: noPathError(target) }
+
+      edges.push(...path)
+      for (const edge of path) {
+        currentPos = getCluster(currentPos).includes(edge.a) ? edge.b : edge.a
+      }
+      previousStop = target
+
+      // Service at the stop before the next leg starts
+      timeMin += legMin
+      if (target === depotId) {
+        timeMin += RELOAD_TIME_MINUTES
+      } else {
+        timeMin = Math.max(timeMin, getCustomerWindow(nodesById[target]).start) + STOP_TIME_MINUTES
+      }
+      continue
+    }
+
+    // Already there (e.g. address shares its position with the depot)
+    if (fromCluster.includes(target)) {
+      previousStop = target
+      continue
+    }
+
+    // Try to find direct unblocked edge between clusters
+    let directEdge = null
+    for (const fromNode of fromCluster) {
+      for (const toNode of toCluster) {
+        directEdge = tourData.edges.find(ed =>
+          ((ed.a === fromNode && ed.b === toNode) ||
+          (ed.b === fromNode && ed.a === toNode)) &&
+          !ed.blocked && network.canDrive(ed, fromNode)
+        )
+        if (directEdge) break
+      }
+      if (directEdge) break
+    }
+
+    if (directEdge) {
+      edges.push(directEdge)
+      // Update position by identifying which endpoint is in the target cluster
+      currentPos = toCluster.includes(directEdge.a) ? directEdge.a : directEdge.b
+      previousStop = target
+      continue
+    }
+
+    // No direct edge - find shortest detour path avoiding blocked edges
+    let bestPath = null
+    let bestStartNode = null
+
+    for (const fromNode of fromCluster) {
+      for (const toNode of toCluster) {
+        const path = network.findDetour(fromNode, toNode, blockedEdgeIds)
+        if (path && path.length > 0) {
+          if (!bestPath || path.length < bestPath.length) {
+            bestPath = path
+            bestStartNode = fromNode
+          }
+        }
+      }
+    }
+
+    if (!bestPath) {
+      // Graph may be disconnected or all paths blocked
+      return { edges, error: noPathError(target) }
+    }
+
+    edges.push(...bestPath)
+
+    // Track position through the detour by following edges
+    let trackingPos = bestStartNode
+    for (const edge of bestPath) {
+      if (edge.a === trackingPos) trackingPos = edge.b
+      else if (edge.b === trackingPos) trackingPos = edge.a
+    }
+    currentPos = trackingPos
+    previousStop = target
+  }
+
+  return { edges, error: null }
+}
+
+/**
+ * Plans one route per vehicle of the fleet.
+ *
+ * Clarke-Wright decides which vehicle serves which addresses, then every
+ * vehicle's tour is optimized separately. With more vehicles than addresses
+ * the remaining vehicles stay at the depot (empty route).
+ *
+ * A route whose demand exceeds the vehicle capacity is split into trips by
+ * capacity-aware Clarke-Wright; each trip is optimized on its own and the
+ * trips are driven one after another with a depot reload in between.
+ * Trips with early customer windows go first.
+ *
+ * Every route reports its metrics (km, minutes, €, kg CO₂ under the
+ * planning traffic) next to the metrics of the shortest tour, so the
+ * effect of the objective is visible.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Object[]} fleet - Vehicles taking part in the tour
+ * @param {Object} options - Passed to optimizeSequence, timeWindows defaults to 'soft',
+ *   objective: 'distance' | 'time' | 'cost' | 'co2' (default 'distance'), trafficModel,
+ *   onProgress: called with { phase, vehicleIndex, vehicleCount, ... } (see optimizeSequence),
+ *   timeBudgetMs: total search time, shared by the vehicles by their number of addresses,
+ *   onImprovement: called with { vehicleIndex, trips, distance, lateMin, candidatesDone } for every new best tour,
+ *   seed: same seed, same routes on every machine; a time budget then sets the number of random
+ *   candidates (RANDOM_SAMPLES_PER_SECOND) instead of a deadline
+ * @returns {Object} { routes: [{ vehicle, sequence, trips, edges, distanceKm, lateMin, metrics, shortestMetrics }], error }
+ */
+export function planFleetRoutes(tourData, fleet, options = {}) {
+  const depotId = tourData.nodes.find(n => n.type === 'depot').id
+  const allAddresses = tourData.nodes
+    .filter(n => n.type === 'address')
+    .map(n => n.id)
+  const network = getRoadNetwork(tourData)
+  const nodesById = network.nodesById
+  const timeWindows = options.timeWindows === undefined ? 'soft' : options.timeWindows
+  const {
+    objective: objectiveType = 'distance',
+    trafficModel = null,
+    onProgress = null,
+    onImprovement = null
+  } = options
+
+  onProgress?.({ phase: 'assign', vehicleIndex: 0, vehicleCount: fleet.length })
+  const addressGroups = fleet.length > 1
+    ? clarkeWrightRoutes(tourData, { maxRoutes: fleet.length, timeWindows, distance: network.distance })
+    : [clarkeWrightSavings(tourData, { timeWindows, distance: network.distance })]
+
+  const seeded = options.seed !== null && options.seed !== undefined
+  const timeBudgetMs = seeded ? null : options.timeBudgetMs ?? null
+  // Fewer random samples for smaller sub-tours, they converge much faster
+  const randomSamples = options.randomSamples ?? (seeded && options.timeBudgetMs
+    ? Math.round(options.timeBudgetMs / 1000 * RANDOM_SAMPLES_PER_SECOND)
+    : DEFAULT_RANDOM_SAMPLES)
+  // One random stream for all vehicles and trips
+  const random = options.random ?? createRandom(options.seed)
+
+  const routes = []
+
+  for (let v = 0; v < fleet.length; v++) {
+    const group = addressGroups[v] || []
+    const addresses = fleet.length > 1 ? group : allAddresses
+    const share = allAddresses.length > 0 ? addresses.length / allAddresses.length : 0
+
+    // Cost and CO₂ depend on the vehicle, so every vehicle gets its own objective
+    const objective = createObjective(objectiveType, { network, trafficModel, vehicle: fleet[v] })
+    const deadline = timeBudgetMs ? Date.now() + timeBudgetMs * share : null
+    // Part of the time left until this vehicle's deadline
+    const deadlineAfter = (fraction) => deadline && Date.now() + (deadline - Date.now()) * fraction
+    const tripOptions = {
+      ...options,
+      network,
+      timeWindows,
+      nodesById,
+      objective,
+      deadline,
+      random,
+      randomSamples: Math.round(randomSamples * share),
+      onProgress: onProgress && ((progress) => onProgress({ ...progress, vehicleIndex: v, vehicleCount: fleet.length })),
+      onImprovement: onImprovement && ((improvement) => onImprovement({ ...improvement, vehicleIndex: v }))
+    }
+
+    let plan
+    if (fitsCapacity(calculateSequenceLoad(addresses, nodesById), fleet[v])) {
+      plan = optimizeTrips([addresses], depotId, { ...tripOptions, initialSequence: group })
+    } else {
+      // Trips by location: capacity-aware Clarke-Wright, early windows first
+      const closesFirst = (trip) => Math.min(...trip.map(id => getCustomerWindow(nodesById[id]).end))
+      const areaTrips = clarkeWrightRoutes(tourData, { addresses, capacity: fleet[v], timeWindows, distance: network.distance })
+        .sort((a, b) => closesFirst(a) - closesFirst(b))
+      plan = optimizeTrips(areaTrips, depotId, {
+        ...tripOptions,
+        deadline: timeWindows ? deadlineAfter(1 / 2) : deadline
+      })
+
+      // Trips by time: cut the best single tour wherever the van runs empty
+      if (timeWindows) {
+        const { sequence } = optimizeSequence(addresses, depotId, {
+          ...tripOptions,
+          deadline: deadlineAfter(1 / 2),
+          onImprovement: tripOptions.onImprovement && ((improvement) => tripOptions.onImprovement({
+            ...improvement,
+            trips: splitIntoTrips(improvement.sequence, nodesById, fleet[v])
+          }))
+        })
+        const timeTrips = optimizeTrips(splitIntoTrips(sequence, nodesById, fleet[v]), depotId, tripOptions)
+        if (timeTrips.score < plan.score) plan = timeTrips
+      }
+    }
+
+    // Time-dependent objectives drive every leg the fastest way at its time of day
+    const fastestPaths = objective.isTimeDependent && trafficModel
+    const { edges, error } = buildRouteEdges(joinTrips(plan.trips, depotId), tourData, fastestPaths ? { trafficModel } : {})
+    if (error) {
+      return { routes, error }
+    }
+
+    const metrics = objective.evaluate(joinTrips(plan.trips, depotId), depotId, { nodesById })
+    const shortestMetrics = createObjective('distance', { network, trafficModel, vehicle: fleet[v] })
+      .evaluate(joinTrips(plan.shortestTrips, depotId), depotId, { nodesById })
+
+    routes.push({
+      vehicle: fleet[v],
+      sequence: plan.trips.flat(),
+      trips: plan.trips,
+      edges,
+      distanceKm: fastestPaths ? metrics.distance : plan.distance,
+      lateMin: plan.lateMin,
+      metrics,
+      shortestMetrics
+    })
+  }
+
+  return { routes, error: null }
+}
+
+// Optimizes trips that are driven one after another with a reload in between.
+// With a deadline every trip gets time by its number of addresses.
+function optimizeTrips(trips, depotId, options) {
+  const total = trips.reduce((sum, trip) => sum + trip.length, 0)
+  let remaining = total
+  const optimizedTrips = []
+  const shortestTrips = []
+  let distance = 0
+  let lateMin = 0
+  let score = 0
+  let startMin = 0
+  const travelTime = options.objective ? options.objective.legTime : undefined
+
+  for (const [index, trip] of trips.entries()) {
+    const optimized = optimizeSequence(trip, depotId, {
+      ...options,
+      startMin,
+      initialSequence: trips.length === 1 ? options.initialSequence : trip,
+      randomSamples: total > 0 ? Math.round(options.randomSamples * trip.length / total) : 0,
+      deadline: options.deadline && Date.now() + (options.deadline - Date.now()) * trip.length / remaining,
+      // Report the whole route: trips done so far, the new best for this one, the rest as planned
+      onImprovement: options.onImprovement && ((improvement) => options.onImprovement({
+        ...improvement,
+        trips: [...optimizedTrips, improvement.sequence, ...trips.slice(index + 1)]
+      }))
+    })
+    remaining -= trip.length
+    optimizedTrips.push(optimized.sequence)
+    shortestTrips.push(optimized.shortest)
+    distance += optimized.distance
+    lateMin += optimized.lateMin
+    score += evaluateSequence(optimized.sequence, depotId, { ...options, startMin }).score
+    // Next trip starts after returning and reloading
+    startMin = scheduleSequence(optimized.sequence, depotId, options.nodesById, { startMin, travelTime, distance: options.network.distance }).endMin + RELOAD_TIME_MINUTES
+  }
+
+  return { trips: optimizedTrips, shortestTrips, distance, lateMin, score }
+}
+
+/**
+ * Re-optimizes the rest of a tour from where the van is now: an open path
+ * from the current node over every customer not delivered yet, ending at
+ * the depot.
+ *
+ * LKH works on closed tours around the depot, so a stand-in for the van's
+ * position takes the depot's place: leaving it costs the way from the van,
+ * coming back to it the way home. The best paths are refined with the
+ * complete score - driven from the current node at the elapsed time under
+ * the current traffic - and rated like the order planned so far, so both
+ * can be compared.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} position - { nodeId, elapsedMin, delivered, trafficModel }
+ *   nodeId: where the van is now, elapsedMin: minutes since 7:00,
+ *   delivered: customer IDs served already, trafficModel: current traffic (optional)
+ * @param {Object} options - { addressIds, plannedSequence, closedEdgeIds, nodesById, roadNodeOf, vehicle,
+ *   objective, timeWindows, randomSamples, random }
+ *   addressIds: customers of this vehicle (default: all of the map)
+ *   plannedSequence: open customers in the order planned so far (default: order of addressIds)
+ *   closedEdgeIds: roads closed since the tour was planned
+ *   nodesById, roadNodeOf: customers that are not part of the map (urgent orders, see Disruptions.js)
+ *   objective: 'distance' | 'time' | 'cost' | 'co2' (default 'time'), timeWindows defaults to 'soft'
+ * @returns {Object} { sequence, distance, lateMin, returnMin, score, planned } -
+ *   planned: the same figures for the order planned so far; returnMin: back at the depot
+ */
+export function reoptimizeFromPosition(tourData, position, options = {}) {
+  const { nodeId, elapsedMin = 0, delivered = [], trafficModel = null } = position
+  const {
+    addressIds = tourData.nodes.filter(n => n.type === 'address').map(n => n.id),
+    closedEdgeIds = [],
+    roadNodeOf = (id) => id,
+    vehicle = null,
+    objective: objectiveType = 'time',
+    timeWindows = 'soft',
+    randomSamples = REOPTIMIZE_RANDOM_SAMPLES,
+    random = Math.random
+  } = options
+  const closed = new Set(closedEdgeIds)
+  const network = closed.size > 0
+    ? createRoadNetwork({ ...tourData, edges: tourData.edges.map(e => (closed.has(e.id) ? { ...e, blocked: true } : e)) })
+    : getRoadNetwork(tourData)
+  const depotId = network.depotId
+  const nodesById = options.nodesById ?? network.nodesById
+
+  const deliveredIds = new Set(delivered)
+  const open = addressIds.filter(id => id !== depotId && !deliveredIds.has(id))
+  const planned = (options.plannedSequence ?? addressIds).filter(id => open.includes(id))
+  open.forEach(id => { if (!planned.includes(id)) planned.push(id) })
+
+  // Customers are rated on the road node they stand on
+  const windowsById = timeWindows ? Object.fromEntries(open.map(id => [roadNodeOf(id), nodesById[id]])) : null
+  const objective = createObjective(objectiveType, { network, trafficModel, vehicle })
+  const penaltyPerMin = LATE_PENALTY_KM_PER_MIN * (objective.unitsPerKm || 1)
+  const rate = (sequence) => {
+    const result = objective.evaluate(sequence.map(roadNodeOf), depotId, { nodesById: windowsById, startMin: elapsedMin, startId: nodeId })
+    const value = result.value + result.distance * 1e-6
+    return {
+      sequence,
+      distance: result.distance,
+      lateMin: result.lateMin,
+      returnMin: elapsedMin + result.timeMin,
+      score: combineScore(value, result.lateMin, timeWindows, penaltyPerMin)
+    }
+  }
+
+  const plannedRating = rate(planned)
+  if (open.length < 2) return { ...plannedRating, planned: plannedRating }
+
+  // Stand-in for the van: leaving it starts at the van, arriving at it ends at the depot,
+  // so the distances depend on the direction even without one-way streets
+  const START = '@start'
+  const distance = (fromId, toId) => network.distance(
+    fromId === START ? nodeId : roadNodeOf(fromId),
+    toId === START ? depotId : roadNodeOf(toId)
+  )
+
+  const candidates = [planned, nearestNeighborTour(START, open, distance)]
+  for (let i = 0; i < randomSamples; i++) candidates.push(shuffleTour(open, random))
+  const ranked = candidates
+    .map(candidate => rate(linKernighanHelsgaun(candidate, START, { distance, directed: true })))
+    .sort((a, b) => a.score - b.score)
+
+  let best = plannedRating
+  const score = (sequence) => rate(sequence).score
+  for (const candidate of ranked.slice(0, REFINE_CANDIDATES)) {
+    const rating = rate(linKernighanHelsgaun(candidate.sequence, START, { distance, directed: true, score }))
+    if (rating.score < best.score) best = rating
+  }
+
+  return { ...best, planned: plannedRating }
+}
@@ -0,0 +1,102 @@
+import {
+  FIXED_COST_PER_KM,
+  FLEET_SIZE,
+  WORKING_DAYS_PER_YEAR,
+  TOURS_PER_DAY
+} from '../data/constants.js'
+
+/**
+ * CostModel.js
+ *
+ * Total cost of ownership of a tour, from the vehicle data in vehicles.js:
+ * - overhead: FIXED_COST_PER_KM for staff, rent and admin, the same for every vehicle
+ * - vehicle: depreciation, insurance and tax of a year, shared by the
+ *   tours the vehicle drives in that year (WORKING_DAYS_PER_YEAR × TOURS_PER_DAY)
+ * - energy: fuel and electricity actually used on the driven roads, the
+ *   rated consumption times the factor of EnergyModel.js
+ *
+ * Hybrids use both fuel and electricity. The annual projection repeats the
+ * simulated tours on every vehicle of the company for a whole year.
+ */
+
+// Tours one vehicle drives in a year
+export const TOURS_PER_YEAR = WORKING_DAYS_PER_YEAR * TOURS_PER_DAY
+
+// Depreciation, insurance and tax of one vehicle in € per year
+export function vehicleFixedCosts(vehicle) {
+  const depreciation = vehicle.depreciationPerYear ?? 0
+  const insurance = vehicle.insurancePerYear ?? 0
+  const tax = vehicle.taxPerYear ?? 0
+  return { depreciation, insurance, tax, total: depreciation + insurance + tax }
+}
+
+// Share of one tour in the vehicle's fixed costs, same fields in €
+export function vehicleCostPerTour(vehicle) {
+  const perYear = vehicleFixedCosts(vehicle)
+  return Object.fromEntries(Object.entries(perYear).map(([key, eur]) => [key, eur / TOURS_PER_YEAR]))
+}
+
+/**
+ * Fuel and electricity for driving a distance.
+ *
+ * @param {Object} vehicle - From vehicles.js (consumption per 100 km, prices)
+ * @param {number} km - Distance driven
+ * @param {number} factor - Consumption relative to the rated one (see EnergyModel.js)
+ * @returns {Object} { fuelLitres, electricKWh, costEur }
+ */
+export function energyUse(vehicle, km, factor = 1) {
+  const fuelLitres = ((vehicle?.fuelConsumption ?? 0) / 100) * km * factor
+  const electricKWh = ((vehicle?.electricConsumption ?? 0) / 100) * km * factor
+  const costEur = fuelLitres * (vehicle?.fuelPrice ?? 0) + electricKWh * (vehicle?.electricPrice ?? 0)
+  return { fuelLitres, electricKWh, costEur }
+}
+
+// Energy cost of one kilometer in free-flowing traffic
+export function energyCostPerKm(vehicle) {
+  return energyUse(vehicle, 1).costEur
+}
+
+/**
+ * Cost of one tour.
+ *
+ * @param {Object} vehicle - From vehicles.js
+ * @param {number} totalKm - Kilometers driven
+ * @param {Object} energy - { fuelLitres, electricKWh, costEur } used on the tour
+ * @returns {Object} { kFix, kVehicle, kVar, totalCost, vehicleCosts } kFix overhead,
+ *   kVehicle share of the fixed costs, kVar energy; vehicleCosts splits kVehicle
+ */
+export function tourCost(vehicle, totalKm, energy) {
+  const vehicleCosts = vehicleCostPerTour(vehicle)
+  const kFix = FIXED_COST_PER_KM * totalKm
+  const kVehicle = vehicleCosts.total
+  const kVar = energy.costEur
+  return { kFix, kVehicle, kVar, totalCost: kFix + kVehicle + kVar, vehicleCosts }
+}
+
+/**
+ * The simulated tours driven all year on every vehicle of the company:
+ * each of the fleetSize vehicles drives TOURS_PER_YEAR tours like the
+ * simulated ones, a plan of several vehicles counts as that many tours.
+ *
+ * @param {Object} result - From simulateRoute or simulateFleet (equipment applied or not)
+ * @param {number} fleetSize - Vehicles of the company
+ * @returns {Object} { tours, km, overhead, vehicle, energy, equipment, total, fuelLitres, electricKWh, co2Kg }
+ */
+export function annualProjection(result, fleetSize = FLEET_SIZE) {
+  const toursPerPlan = result.vehicles?.length ?? 1
+  const tours = fleetSize * TOURS_PER_YEAR
+  const times = tours / toursPerPlan
+  const projection = {
+    tours,
+    km: result.totalKm * times,
+    overhead: result.kFix * times,
+    vehicle: result.kVehicle * times,
+    energy: result.kVar * times,
+    equipment: (result.equipmentCost ?? 0) * times,
+    fuelLitres: result.fuelLitres * times,
+    electricKWh: result.electricKWh * times,
+    co2Kg: result.co2Kg * times
+  }
+  projection.total = projection.overhead + projection.vehicle + projection.energy + projection.equipment
+  return projection
+}
@@ -0,0 +1,261 @@
+/**
+ * Disruptions.js
+ *
+ * Things that go wrong while the van is out. Each disruption happens at a
+ * given minute of the tour and is unknown before:
+ * - { id, type: 'closure', atMin, edgeId } road closed until the end of the tour
+ * - { id, type: 'accident', atMin, untilMin, edgeId, slowdown } driving the road takes slowdown times as long
+ * - { id, type: 'cancel', atMin, nodeId } customer no longer wants the delivery
+ * - { id, type: 'urgent', atMin, nodeId, customer } new order from a customer on the road node nodeId
+ *   (customer is an address node like on the map, with time window and demand)
+ *
+ * simulateRoute applies them when their minute comes (see GameManager.js).
+ * Without re-planning the driver sticks to the plan: a closed road is only
+ * noticed on arrival and bypassed, a cancelled stop is skipped, and urgent
+ * orders wait until the planned stops are done. Re-planning - by the player
+ * during the playback or automatically with the GPS tracker - drives the
+ * rest of the tour anew from where the van is: around closures and
+ * accidents, with urgent orders fitted in where they cost the least detour
+ * and the order of the open stops optimized again (reoptimizeFromPosition
+ * in AutoRoutePlanner.js).
+ */
+
+import { findFastestPath } from '../algorithms/pathfinding.js'
+import { getRoadNetwork } from '../algorithms/roadNetwork.js'
+import { BOX_VOLUME_M3, RELOAD_TIME_MINUTES, STOP_TIME_MINUTES } from '../data/constants.js'
+import { nextId } from '../utils/nodeHelpers.js'
+import { getDemand, addLoads } from './LoadPlanner.js'
+import { getCustomerWindow, minutesToClock } from './TimeWindows.js'
+
+// How many of each kind generateDisruptions draws, and in which minutes of the tour
+export const DISRUPTION_DEFAULTS = { closures: 1, accidents: 1, cancellations: 1, urgentOrders: 1, fromMin: 20, toMin: 120 }
+
+// An accident makes a road take this many times as long, for 30 to 60 minutes
+export const ACCIDENT_SLOWDOWN = 3
+const MIN_ACCIDENT_MINUTES = 30
+const MAX_ACCIDENT_MINUTES = 60
+
+// Urgent orders want their crates within an hour, starting a quarter of an hour after the call
+const URGENT_LEAD_MINUTES = 15
+const URGENT_WINDOW_MINUTES = 60
+const MIN_URGENT_BOXES = 5
+const MAX_URGENT_BOXES = 12
+
+export const DISRUPTION_LABELS = {
+  closure: 'Vollsperrung',
+  accident: 'Unfall',
+  cancel: 'Stornierung',
+  urgent: 'Eilauftrag'
+}
+
+// 75 → "08:15" (time windows are written with two-digit hours)
+const windowClock = (min) => minutesToClock(min).padStart(5, '0')
+
+/**
+ * Draws the disruptions of one tour. Closures never cut a customer off:
+ * every closed road still has a way around it.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Function} random - Numbers in [0, 1), e.g. seeded
+ * @param {Object} options - Counts and time span, see DISRUPTION_DEFAULTS
+ * @returns {Array<Object>} Disruptions ordered by atMin, IDs S1, S2, ...
+ */
+export function generateDisruptions(tourData, random, options = {}) {
+  const { closures, accidents, cancellations, urgentOrders, fromMin, toMin } = { ...DISRUPTION_DEFAULTS, ...options }
+  const network = getRoadNetwork(tourData)
+  const pick = (list) => list.splice(Math.floor(random() * list.length), 1)[0]
+  const drawMinute = () => Math.round(fromMin + random() * (toMin - fromMin))
+  const drawn = []
+
+  const openEdges = tourData.edges.filter(e => !e.blocked)
+  const closedEdgeIds = new Set()
+  for (let count = 0; count < closures && openEdges.length > 0;) {
+    const edge = pick(openEdges)
+    const blocked = new Set([...closedEdgeIds, edge.id])
+    const bypassed = network.findDetour(edge.a, edge.b, blocked) &&
+      (edge.oneway || network.findDetour(edge.b, edge.a, blocked))
+    if (!bypassed) continue
+    closedEdgeIds.add(edge.id)
+    drawn.push({ type: 'closure', atMin: drawMinute(), edgeId: edge.id })
+    count++
+  }
+
+  for (let count = 0; count < accidents && openEdges.length > 0; count++) {
+    const atMin = drawMinute()
+    const minutes = MIN_ACCIDENT_MINUTES + Math.round(random() * (MAX_ACCIDENT_MINUTES - MIN_ACCIDENT_MINUTES))
+    drawn.push({ type: 'accident', atMin, untilMin: atMin + minutes, edgeId: pick(openEdges).id, slowdown: ACCIDENT_SLOWDOWN })
+  }
+
+  // Cancelled by customers whose window is still open at that minute
+  const customers = tourData.nodes.filter(n => n.type === 'address')
+  for (let count = 0; count < cancellations && customers.length > 0; count++) {
+    const atMin = drawMinute()
+    const open = customers.filter(n => getCustomerWindow(n).end > atMin)
+    const customer = pick(open.length > 0 ? open : customers)
+    customers.splice(customers.indexOf(customer), 1)
+    drawn.push({ type: 'cancel', atMin, nodeId: customer.id })
+  }
+
+  // New customers stand on a free road node, like the ones of the map editor
+  const taken = new Set(tourData.nodes.filter(n => n.type === 'address' || n.type === 'depot').map(n => `${n.x}:${n.y}`))
+  const spots = tourData.nodes.filter(n => (n.type === 'junction' || n.type === 'mid') &&
+    !n.turnRestrictions?.length && !taken.has(`${n.x}:${n.y}`))
+  const ids = tourData.nodes.map(n => n.id)
+  for (let count = 0; count < urgentOrders && spots.length > 0; count++) {
+    const spot = pick(spots)
+    const atMin = drawMinute()
+    const boxes = MIN_URGENT_BOXES + Math.floor(random() * (MAX_URGENT_BOXES - MIN_URGENT_BOXES + 1))
+    const id = nextId('A', ids)
+    ids.push(id)
+    const customer = {
+      id,
+      type: 'address',
+      x: spot.x,
+      y: spot.y,
+      label: id,
+      timeWindow: {
+        start: windowClock(atMin + URGENT_LEAD_MINUTES),
+        end: windowClock(atMin + URGENT_LEAD_MINUTES + URGENT_WINDOW_MINUTES)
+      },
+      demand: { boxes, volumeM3: Number((boxes * BOX_VOLUME_M3).toFixed(2)) }
+    }
+    drawn.push({ type: 'urgent', atMin, nodeId: spot.id, customer })
+  }
+
+  return drawn
+    .sort((a, b) => a.atMin - b.atMin)
+    .map((disruption, index) => ({ id: `S${index + 1}`, ...disruption }))
+}
+
+// Node lookup with the customers of urgent orders added
+export function withUrgentCustomers(nodesById, disruptions) {
+  const urgent = disruptions.filter(d => d.type === 'urgent')
+  if (urgent.length === 0) return nodesById
+  const lookup = { ...nodesById }
+  urgent.forEach(d => { lookup[d.customer.id] = d.customer })
+  return lookup
+}
+
+// One line of German text per disruption
+export function describeDisruption(disruption) {
+  switch (disruption.type) {
+    case 'closure':
+      return `Vollsperrung auf Straße ${disruption.edgeId}`
+    case 'accident':
+      return `Unfall auf Straße ${disruption.edgeId}, Stau bis ${minutesToClock(disruption.untilMin)}`
+    case 'cancel':
+      return `Kunde ${disruption.nodeId} storniert seine Lieferung`
+    case 'urgent': {
+      const { customer } = disruption
+      return `Eilauftrag von ${customer.id}: ${getDemand(customer).boxes} Kisten, ${customer.timeWindow.start}–${customer.timeWindow.end}`
+    }
+    default:
+      return disruption.type
+  }
+}
+
+/**
+ * Where a new stop costs the least extra driving: between the van and the
+ * first open stop, between two open stops or before the way home.
+ *
+ * @param {Object} network - Road network of the map
+ * @param {string} fromNodeId - Where the van is now
+ * @param {string[]} stopIds - Open stops in visiting order
+ * @param {string} newStopId - Stop to fit in
+ * @param {Function} roadNodeOf - Stop ID → road network node (urgent customers are not part of the network)
+ * @returns {string[]} The open stops with the new one inserted
+ */
+export function insertStop(network, fromNodeId, stopIds, newStopId, roadNodeOf = (id) => id) {
+  const points = [fromNodeId, ...stopIds.map(roadNodeOf), network.depotId]
+  const newPoint = roadNodeOf(newStopId)
+  let bestIndex = stopIds.length
+  let bestExtraKm = Infinity
+  for (let i = 0; i <= stopIds.length; i++) {
+    const extraKm = network.distance(points[i], newPoint) + network.distance(newPoint, points[i + 1]) -
+      network.distance(points[i], points[i + 1])
+    if (extraKm < bestExtraKm) {
+      bestExtraKm = extraKm
+      bestIndex = i
+    }
+  }
+  return [...stopIds.slice(0, bestIndex), newStopId, ...stopIds.slice(bestIndex)]
+}
+
+/**
+ * Drives the rest of a tour anew from the van's position: the fastest way
+ * to every open stop in the given order, around the closed roads and, if
+ * there is another way, around accidents. When the crates for the next
+ * stop are not on board, the way leads over the depot first; if the depot
+ * can't be reached, the rest of the tour is given up.
+ *
+ * @param {Object} network - Road network of the map
+ * @param {Object} start - { nodeId, arrivedVia, timeMin, load } position, road the van came in on,
+ *   clock and crates on board ({ boxes, volumeM3 })
+ * @param {string[]} stopIds - Open stops in visiting order
+ * @param {Object} options - { nodesById (with urgent customers), roadNodeOf, vehicle, trafficModel,
+ *   closedEdgeIds, slowEdgeIds }
+ * @returns {Object} { edges, stopIds, unreachedIds } stopIds in driving order with the depot where
+ *   the van reloads, unreachedIds the stops it can't get to (or not with their crates)
+ */
+export function planRemainingRoute(network, start, stopIds, options = {}) {
+  const {
+    nodesById = network.nodesById,
+    roadNodeOf = (id) => id,
+    vehicle = {},
+    trafficModel = null,
+    closedEdgeIds = new Set(),
+    slowEdgeIds = new Set()
+  } = options
+  const avoided = new Set([...closedEdgeIds, ...slowEdgeIds])
+
+  const edges = []
+  const reached = []
+  const unreached = []
+  let position = start.nodeId
+  let arrivedVia = start.arrivedVia ?? null
+  let timeMin = start.timeMin
+  let load = start.load
+
+  // Fastest way to target, around accidents unless there is no other way
+  const driveTo = (target) => {
+    const from = network.getCluster(position)
+    const to = network.getCluster(target)
+    if (from.some(id => to.includes(id))) return true
+    const leg = findFastestPath(network, from, to, timeMin, trafficModel, avoided, arrivedVia) ||
+      findFastestPath(network, from, to, timeMin, trafficModel, closedEdgeIds, arrivedVia)
+    if (!leg) return false
+    edges.push(...leg.path)
+    timeMin = leg.arrivalMin
+    position = target
+    arrivedVia = leg.path.length > 0 ? leg.path[leg.path.length - 1].id : arrivedVia
+    return true
+  }
+
+  for (let index = 0; index < stopIds.length; index++) {
+    const stopId = stopIds[index]
+    const demand = getDemand(nodesById[stopId])
+    if (load.boxes < demand.boxes || load.volumeM3 < demand.volumeM3 - 1e-9) {
+      // Fetch what the rest of the tour needs, as much as fits in
+      const needed = stopIds.slice(index).reduce((sum, id) => addLoads(sum, getDemand(nodesById[id])), { boxes: 0, volumeM3: 0 })
+      if (!driveTo(network.depotId)) {
+        unreached.push(...stopIds.slice(index))
+        break
+      }
+      reached.push(network.depotId)
+      timeMin += RELOAD_TIME_MINUTES
+      load = {
+        boxes: Math.min(needed.boxes, vehicle.maxBoxes ?? Infinity),
+        volumeM3: Math.min(needed.volumeM3, vehicle.capacityM3 ?? Infinity)
+      }
+    }
+    if (!driveTo(roadNodeOf(stopId))) {
+      unreached.push(stopId)
+      continue
+    }
+    reached.push(stopId)
+    load = addLoads(load, { boxes: -demand.boxes, volumeM3: -demand.volumeM3 })
+    timeMin = Math.max(timeMin, getCustomerWindow(nodesById[stopId]).start) + STOP_TIME_MINUTES
+  }
+
+  return { edges, stopIds: reached, unreachedIds: unreached }
+}
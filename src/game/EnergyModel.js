@@ -0,0 +1,114 @@
+import { energyUse } from './CostModel.js'
+
+/**
+ * EnergyModel.js
+ *
+ * What driving one road really burns. The energy a van needs on a road is
+ * the sum of
+ * - rolling resistance, heavier with every crate on board
+ * - air resistance, growing with the square of the speed
+ * - accelerating again after every stop: stop-and-go in dense traffic
+ *   (from intensity 0.4 on, see trafficModel.js) and the delivery stops;
+ *   electric drives win part of it back when braking
+ * - idling: the engine runs for as long as the road takes, so a crawling
+ *   van burns fuel without getting anywhere
+ *
+ * divided by the efficiency of the drivetrain. The vehicles' rated
+ * consumption (vehicles.js) is taken as an empty van in free-flowing
+ * traffic; everything else is consumption relative to it. Fuel, electricity
+ * and CO₂ all scale with that factor.
+ */
+
+// A van's payload of about 1.4 t spread over its 400 crates
+export const BOX_MASS_KG = 3.5
+
+// Speed of light traffic (getActualSpeed), at which the rated consumption applies
+export const FREE_FLOW_KMH = 40
+
+const GRAVITY = 9.81 // m/s²
+const AIR_DENSITY = 1.2 // kg/m³
+const ROLLING_RESISTANCE = 0.012
+const DRAG_AREA_M2 = 2.0 // drag coefficient × frontal area of a van
+const DEFAULT_MASS_KG = 2100
+
+// Stop-and-go sets in with medium traffic and reaches this many stops per km in gridlock
+const STOP_AND_GO_FROM_INTENSITY = 0.4
+const MAX_STOP_AND_GO_PER_KM = 8
+
+// Below this the van is standing more than driving; keeps idling finite
+const MIN_SPEED_KMH = 3
+
+// Efficiency (tank or battery to wheel), share of braking energy won back, power while idling
+const DRIVETRAINS = {
+  combustion: { efficiency: 0.3, recuperation: 0, idleKw: 5 },
+  hybrid: { efficiency: 0.35, recuperation: 0.3, idleKw: 1 },
+  electric: { efficiency: 0.85, recuperation: 0.6, idleKw: 1 }
+}
+
+function drivetrainOf(vehicle) {
+  if (vehicle?.fuelConsumption && vehicle?.electricConsumption) return DRIVETRAINS.hybrid
+  return vehicle?.electricConsumption ? DRIVETRAINS.electric : DRIVETRAINS.combustion
+}
+
+// Stops per km from dense traffic, 0 below medium intensity
+export function stopAndGoPerKm(intensity) {
+  if (!(intensity > STOP_AND_GO_FROM_INTENSITY)) return 0
+  return MAX_STOP_AND_GO_PER_KM * Math.min(1, (intensity - STOP_AND_GO_FROM_INTENSITY) / (1 - STOP_AND_GO_FROM_INTENSITY))
+}
+
+// Energy in joules the drivetrain takes in for one road
+function energyDemand(vehicle, { lengthKm, speedKmh, intensity = 0, stops = 0, loadKg = 0 }) {
+  const { efficiency, recuperation, idleKw } = drivetrainOf(vehicle)
+  const massKg = (vehicle?.emptyMassKg ?? DEFAULT_MASS_KG) + loadKg
+  const speed = Math.max(speedKmh ?? FREE_FLOW_KMH, MIN_SPEED_KMH) / 3.6 // m/s
+  const meters = lengthKm * 1000
+
+  const rolling = ROLLING_RESISTANCE * massKg * GRAVITY * meters
+  const air = 0.5 * AIR_DENSITY * DRAG_AREA_M2 * speed * speed * meters
+  const starts = stopAndGoPerKm(intensity) * lengthKm + stops
+  const accelerating = starts * 0.5 * massKg * speed * speed * (1 - recuperation)
+  const idling = idleKw * 1000 * (meters / speed)
+  return (rolling + air + accelerating) / efficiency + idling
+}
+
+/**
+ * Consumption on a road relative to the rated consumption (1 = empty van
+ * in free-flowing traffic without stopping).
+ *
+ * @param {Object} vehicle - From vehicles.js
+ * @param {Object} drive - { lengthKm, speedKmh, intensity, stops, loadKg }
+ *   speedKmh: average speed on the road (free flow if unknown)
+ *   intensity: traffic 0-1 when the van entered the road
+ *   stops: delivery or reload stops at the end of the road
+ *   loadKg: payload on board
+ * @returns {number} Factor on the rated consumption
+ */
+export function consumptionFactor(vehicle, drive) {
+  const lengthKm = drive.lengthKm ?? 1
+  if (lengthKm <= 0) return 1
+  return energyDemand(vehicle, { ...drive, lengthKm }) / (ratedDemandPerKm(vehicle) * lengthKm)
+}
+
+// The planner asks for every road it tries, the rated demand is the same each time
+const ratedDemand = new WeakMap()
+function ratedDemandPerKm(vehicle) {
+  if (!vehicle) return energyDemand(vehicle, { lengthKm: 1, speedKmh: FREE_FLOW_KMH })
+  if (!ratedDemand.has(vehicle)) ratedDemand.set(vehicle, energyDemand(vehicle, { lengthKm: 1, speedKmh: FREE_FLOW_KMH }))
+  return ratedDemand.get(vehicle)
+}
+
+/**
+ * Fuel, electricity and CO₂ of driving one road.
+ *
+ * @param {Object} vehicle - From vehicles.js
+ * @param {Object} drive - As for consumptionFactor, lengthKm required
+ * @returns {Object} { fuelLitres, electricKWh, costEur, co2Kg, factor }
+ */
+export function driveEnergy(vehicle, drive) {
+  const factor = consumptionFactor(vehicle, drive)
+  return {
+    ...energyUse(vehicle, drive.lengthKm, factor),
+    co2Kg: drive.lengthKm * (vehicle?.co2PerKm ?? 0) * factor,
+    factor
+  }
+}
@@ -0,0 +1,117 @@
+import {
+  EQUIPMENT,
+  EQUIPMENT_BUDGET,
+  EQUIPMENT_AMORTIZATION_YEARS,
+  FLEET_SIZE
+} from '../data/constants.js'
+import { calculateEsgScore, fleetBaseline } from './GameManager.js'
+import { TOURS_PER_YEAR } from './CostModel.js'
+
+/**
+ * Equipment.js
+ *
+ * The shop before planning: the player buys equipment from a budget that
+ * does not cover everything, and every item changes the game:
+ * - route planning software unlocks the automatic planning
+ * - GPS tracker: the rest of the tour is re-planned at every disruption
+ *   during the drive (see Disruptions.js)
+ * - CO₂ software: the report breaks the emissions of the energy model
+ *   (EnergyModel.js) down by road and shows how much traffic and
+ *   stop-and-go add, so the player sees which roads to avoid; without it
+ *   only the total is known
+ *
+ * The purchase is written off over the tours the whole fleet drives in
+ * EQUIPMENT_AMORTIZATION_YEARS years; every tour carries its share in the
+ * cost of the ESG score.
+ */
+
+export const EQUIPMENT_ITEMS = Object.values(EQUIPMENT)
+
+// Purchase price of the items in €
+export function equipmentCost(equipmentIds) {
+  return EQUIPMENT_ITEMS
+    .filter(item => equipmentIds.includes(item.id))
+    .reduce((sum, item) => sum + item.cost, 0)
+}
+
+/**
+ * Buys an item, or gives it back if it was bought already.
+ *
+ * @param {string[]} equipmentIds - Items bought so far
+ * @param {string} itemId - Item to buy or give back
+ * @param {number} budget - Money for equipment in €
+ * @returns {Object} { equipmentIds, error } - error is a message if the item can't be bought
+ */
+export function toggleEquipment(equipmentIds, itemId, budget = EQUIPMENT_BUDGET) {
+  if (equipmentIds.includes(itemId)) {
+    return { equipmentIds: equipmentIds.filter(id => id !== itemId), error: null }
+  }
+  const item = EQUIPMENT_ITEMS.find(i => i.id === itemId)
+  if (!item) return { equipmentIds, error: `Unbekannte Ausstattung: ${itemId}` }
+  const left = budget - equipmentCost(equipmentIds)
+  if (item.cost > left) {
+    return {
+      equipmentIds,
+      error: `Das Budget reicht nicht für ${item.name}: ${item.cost.toLocaleString('de-DE')} € nötig, ${left.toLocaleString('de-DE')} € übrig.`
+    }
+  }
+  return { equipmentIds: [...equipmentIds, itemId], error: null }
+}
+
+// Share of the purchase one tour carries
+export function amortizedCostPerTour(equipmentIds) {
+  return equipmentCost(equipmentIds) / (EQUIPMENT_AMORTIZATION_YEARS * FLEET_SIZE * TOURS_PER_YEAR)
+}
+
+/**
+ * The simulation result as reported with the bought equipment: the tour
+ * carries its share of the purchase and the ESG score follows. The CO₂
+ * software only changes what the report shows, not the emissions.
+ *
+ * @param {Object} result - From simulateRoute or simulateFleet
+ * @param {string[]} equipmentIds - Items bought
+ * @param {Object} baseline - Reference metrics (for one vehicle, scaled to the fleet like simulateFleet)
+ * @returns {Object} result with equipmentIds, equipmentCost (€, one share per vehicle tour)
+ *   and co2Measured (emissions measured road by road) added
+ */
+export function applyEquipment(result, equipmentIds, baseline) {
+  const vehicleCount = result.vehicles?.length ?? 1
+  const equipmentCostEur = amortizedCostPerTour(equipmentIds) * vehicleCount
+  const co2Measured = equipmentIds.includes(EQUIPMENT.CO2_SOFTWARE.id)
+  const totalCost = result.totalCost + equipmentCostEur
+  const successfulDeliveries = result.numberOfStops * (result.deliveryRate / 100)
+
+  return {
+    ...result,
+    equipmentIds,
+    equipmentCost: equipmentCostEur,
+    totalCost,
+    costPerKm: result.totalKm > 0 ? totalCost / result.totalKm : 0,
+    costPerStop: result.numberOfStops > 0 ? totalCost / result.numberOfStops : totalCost,
+    costPerSuccess: successfulDeliveries > 0 ? totalCost / successfulDeliveries : totalCost,
+    co2Measured,
+    ...calculateEsgScore({ co2Kg: result.co2Kg, totalCost, deliveryRate: result.deliveryRate }, fleetBaseline(baseline, vehicleCount))
+  }
+}
+
+/**
+ * Measured CO₂ road by road, the roads with the most first.
+ *
+ * @param {Object} result - From simulateRoute or simulateFleet
+ * @returns {Array<Object>} [{ edgeId, km, minutes, co2Kg, co2FreeFlowKg }] driving the same road
+ *   again adds up; co2FreeFlowKg is the same in free-flowing traffic
+ */
+export function co2ByRoad(result) {
+  const events = result.vehicles ? result.vehicles.flatMap(v => v.events) : result.events
+  const roads = new Map()
+  events.forEach(event => {
+    if (event.type !== 'edge' || !event.edgeId) return
+    const road = roads.get(event.edgeId) || { edgeId: event.edgeId, km: 0, minutes: 0, co2Kg: 0, co2FreeFlowKg: 0 }
+    road.km += event.lengthKm
+    road.minutes += event.endMin - event.timeMin
+    road.co2Kg += event.co2Kg
+    road.co2FreeFlowKg += event.co2FreeFlowKg
+    roads.set(event.edgeId, road)
+  })
+  return [...roads.values()].sort((a, b) => b.co2Kg - a.co2Kg)
+}
@@ -1,7 +1,15 @@
-import tourSetup from '../data/tourSetup.json'
 import { calculateDistance } from '../algorithms/distance.js'
-import { replaceBlockedEdges } from '../algorithms/pathfinding.js'
-import { calculateTravelTime } from '../algorithms/trafficModel.js'
+import { replaceBlockedEdges, edgeTravelTime, findDetour, findFastestPath } from '../algorithms/pathfinding.js'
+import { getRoadNetwork } from '../algorithms/roadNetwork.js'
+import { calculateTravelTime, getTrafficIntensity, getTrafficCategory } from '../algorithms/trafficModel.js'
+import { RELOAD_TIME_MINUTES } from '../data/constants.js'
+import { vehicles } from '../data/vehicles.js'
+import { getDemand, addLoads, calculateSequenceLoad } from './LoadPlanner.js'
+import { withUrgentCustomers, insertStop, planRemainingRoute } from './Disruptions.js'
+import { reoptimizeFromPosition } from './AutoRoutePlanner.js'
+import { getCustomerWindow, formatTimeWindow } from './TimeWindows.js'
+import { tourCost, vehicleCostPerTour } from './CostModel.js'
+import { driveEnergy, BOX_MASS_KG, FREE_FLOW_KMH } from './EnergyModel.js'
 
 /**
  * GameManager.js
@@ -9,18 +17,72 @@ import { calculateTravelTime } from '../algorithms/trafficModel.js'
  * Runs the delivery simulation and calculates ESG scores. Takes a planned
  * route, checks for construction zones, calculates detours if needed, and
  * tracks which deliveries are on time. Compares results against baseline.
+ * What a tour costs comes from the vehicle data (see CostModel.js).
+ *
+ * With several vehicles, every vehicle's tour is simulated on its own and
+ * simulateFleet adds them up to fleet totals before scoring.
+ *
+ * The van leaves the depot with as many crates as fit in. Whenever the
+ * route passes the depot while crates for later stops are missing, it
+ * reloads. An address reached without its crates on board is a capacity
+ * violation and counts as a failed delivery.
+ *
+ * Punctuality is judged against every customer's own time window. Arriving
+ * before the window opens means waiting at the door until it does.
+ *
+ * Besides the totals, simulateRoute returns everything that happened as an
+ * event log in driving order (for the playback and the report timeline).
+ * timeMin is when an event starts, endMin when the van moves on:
+ * - { type: 'depart', nodeId, timeMin, endMin } leaving the depot
+ * - { type: 'edge', edgeId, fromId, toId, timeMin, endMin, lengthKm, speedKmh, traffic, intensity, loadBoxes, stops,
+ *   isDetour, costEur, fuelLitres, electricKWh, co2Kg, co2EstimatedKg, co2FreeFlowKg }
+ *   traffic: 'low' | 'medium' | 'high', null without traffic data; intensity 0-1 (1 in an accident);
+ *   loadBoxes: crates on board; stops: delivery or reload stops at the end of the road;
+ *   co2Kg from the energy model (EnergyModel.js), co2EstimatedKg the rated emissions per km,
+ *   co2FreeFlowKg the same road, load and stops in free-flowing traffic
+ * - { type: 'construction', edgeId, nodeId, timeMin, endMin } planned road is blocked
+ * - { type: 'detour-start', fromId, toId, timeMin, endMin } / { type: 'detour-end', nodeId, timeMin, endMin }
+ * - { type: 'delay', nodeId, timeMin, endMin } finding the way after a detour road
+ * - { type: 'arrive', nodeId, edgeId, timeMin, endMin, status, waitMin, lateMin } waiting and unloading
+ *   status: 'early' | 'on-time' | 'late' | 'missing' (crates not on board)
+ * - { type: 'reload', nodeId, timeMin, endMin } at the depot
+ * - { type: 'return', nodeId, timeMin, endMin } back at the depot
+ * - { type: 'disruption', disruption, nodeId, timeMin, endMin } a disruption becomes known (see Disruptions.js)
+ * - { type: 'replan', nodeId, stopIds, expected, planned, timeMin, endMin } rest of the tour planned anew from here
+ *   expected / planned: { stopIds, returnMin, lateMin } forecast for the new order and for the old one
+ * A return without a road path is an 'edge' without edgeId (straight line).
+ * An edge driven through an accident carries accident: true.
+ *
+ * Driving times follow the deterministic planning traffic, so the same
+ * route always gives the same result. Passing random (a function returning
+ * numbers in [0, 1), e.g. seeded) switches to the simulation traffic with
+ * ±10% variation per road - one draw of the Monte Carlo simulation.
+ *
+ * disruptionOptions brings disruptions during the tour:
+ * { disruptions, replan } with the list from Disruptions.js and replan
+ * true (GPS tracker: re-plan at every disruption) or the IDs of the
+ * disruptions the player re-planned at. They are applied at the first node
+ * the van reaches at or after their minute.
  */
 
-export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel = null, isAutoRoute = false, plannedDeliveryTimes = null) {
-  const nodesById = {}
-  tourData.nodes.forEach(n => { nodesById[n.id] = n })
-  const depotId = tourData.nodes.find(n => n.type === 'depot').id
+export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel = null, isAutoRoute = false, plannedDeliveryTimes = null, assignedAddressIds = null, random = null, disruptionOptions = null) {
+  const { disruptions = [], replan = false } = disruptionOptions || {}
+  // Urgent orders this vehicle has taken on during the tour
+  const urgentIds = new Set()
+
+  // Only these addresses belong to this vehicle's tour (null = all of them)
+  const isAssigned = (nodeId) => !assignedAddressIds || assignedAddressIds.includes(nodeId) || urgentIds.has(nodeId)
+  
+  const network = getRoadNetwork(tourData)
+  const { depotId } = network
+  const nodesById = withUrgentCustomers(network.nodesById, disruptions)
+  const scalePxPerKm = tourData.canvas.scalePxPerKm
   
   // Some nodes sit on the same spot (e.g. depot + address at same location)
   const coincidentNodeIds = {}
   const positionGroups = new Map()
   
-  tourData.nodes.forEach(node => {
+  Object.values(nodesById).forEach(node => {
     const key = `${node.x}:${node.y}`
     if (!positionGroups.has(key)) {
       positionGroups.set(key, [])
@@ -39,11 +101,11 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
   let actualRoute, detours
   if (isAutoRoute) {
     // Auto route: already avoids construction and is correctly sorted, use as-is
-    actualRoute = edges
+    actualRoute = [...edges]
     detours = []
   } else {
-    // Manual route: may hit construction, calculate detours
-    const result = replaceBlockedEdges(edges, tourData)
+    // Manual route: may hit construction, calculate detours (fastest at that time with traffic)
+    const result = replaceBlockedEdges(edges, network, { trafficModel })
     actualRoute = result.edges
     detours = result.detours
   }
@@ -65,15 +127,17 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
   }
   
   // First pass: Calculate total distance (simple sum of all edge lengths)
-  let totalKm = 0
-  actualRoute.forEach(edge => {
+  const routeKm = (route) => route.reduce((sum, edge) => {
     const a = nodesById[edge.a]
     const b = nodesById[edge.b]
-    if (a && b) {
-      const edgeLength = edge.lengthKm ?? calculateDistance(a, b)
-      totalKm += edgeLength
-    }
-  })
+    return a && b ? sum + (edge.lengthKm ?? calculateDistance(a, b, scalePxPerKm)) : sum
+  }, 0)
+  let totalKm = routeKm(actualRoute)
+  // Disruptions change the rest of the route while driving
+  const replaceRoute = (index, count, newEdges) => {
+    totalKm += routeKm(newEdges) - routeKm(actualRoute.slice(index, index + count))
+    actualRoute.splice(index, count, ...newEdges)
+  }
   
   // Now simulate actually driving the route
   let timeMin = 0
@@ -81,20 +145,255 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
   const actualDeliveryTimes = [] // When we arrive at each address
   let prevNode = startNode
   let constructionDelays = detours.length
+  const events = []
 
   // For manual planning: track which addresses we pass by (but don't visit yet)
   const addressesEncountered = new Set()
 
+  // Load tracking: crates still to deliver vs. crates in the van
+  const plannedAddressIds = plannedDeliveryTimes && plannedDeliveryTimes.length > 0
+    ? plannedDeliveryTimes.map(d => d.nodeId)
+    : tourData.nodes.filter(n => n.type === 'address' && isAssigned(n.id)).map(n => n.id)
+  let remainingDemand = calculateSequenceLoad(plannedAddressIds, nodesById)
+  const loadUpTo = (demand) => ({
+    boxes: Math.min(demand.boxes, vehicle.maxBoxes ?? Infinity),
+    volumeM3: Math.min(demand.volumeM3, vehicle.capacityM3 ?? Infinity)
+  })
+  let load = loadUpTo(remainingDemand)
+  const loadProfile = [{ timeMin: 0, ...load, event: 'start' }]
+  let reloads = 0
+  let capacityViolations = 0
+
+  // Unload the crates of one address; false if they are not on board
+  const unload = (nodeId) => {
+    const demand = getDemand(nodesById[nodeId])
+    remainingDemand = addLoads(remainingDemand, { boxes: -demand.boxes, volumeM3: -demand.volumeM3 })
+    if (load.boxes < demand.boxes || load.volumeM3 < demand.volumeM3 - 1e-9) {
+      capacityViolations++
+      return false
+    }
+    load = addLoads(load, { boxes: -demand.boxes, volumeM3: -demand.volumeM3 })
+    loadProfile.push({ timeMin, ...load, event: 'delivery', nodeId })
+    return true
+  }
+
+  // Stop at a customer: wait for the window, unload, record the arrival
+  const deliver = (nodeId, edgeId, extra = {}) => {
+    visited.push(nodeId)
+    const stopStartMin = timeMin
+    const window = getCustomerWindow(nodesById[nodeId])
+    const arrivalMin = Math.round(timeMin)
+    const waitMin = Math.max(0, window.start - timeMin)
+    const lateMin = Math.max(0, arrivalMin - window.end)
+    timeMin += waitMin
+    const delivered = unload(nodeId)
+    actualDeliveryTimes.push({
+      nodeId,
+      arrivalMin,
+      ...extra,
+      timeWindow: formatTimeWindow(window),
+      waitMin: Math.round(waitMin),
+      lateMin,
+      edgeId,
+      timeFromStart: arrivalMin,
+      ...(delivered ? {} : { capacityShortfall: true })
+    })
+    
+    // Add 7 min stop time per address
+    timeMin += 7
+    const status = !delivered ? 'missing' : lateMin > 0 ? 'late' : Math.round(waitMin) > 0 ? 'early' : 'on-time'
+    events.push({ type: 'arrive', nodeId, edgeId, timeMin: stopStartMin, endMin: timeMin, status, waitMin: Math.round(waitMin), lateMin })
+  }
+
+  // Disruptions known so far: closed roads, accidents, cancelled and urgent orders
+  const pendingDisruptions = [...disruptions].sort((a, b) => a.atMin - b.atMin)
+  const appliedDisruptions = []
+  const closedEdgeIds = new Set()
+  const accidents = []
+  const cancelledIds = new Set()
+  const unreachedIds = new Set() // Cut off by closed roads, the re-planned route leaves them out
+  let waitingUrgentIds = [] // Taken on, but not fitted into the route yet
+  let replans = 0
+  const accidentOn = (edge) => (edge
+    ? accidents.find(a => a.edgeId === edge.id && a.atMin <= timeMin && timeMin < a.untilMin)
+    : undefined)
+
+  // Manual routes deliver in the planned order until the tour is re-planned
+  let manualPlan = plannedDeliveryTimes && plannedDeliveryTimes.length > 0 ? plannedDeliveryTimes : null
+
+  // Auto routes with a known stop order are delivered in exactly that order,
+  // passing a later customer on the way doesn't mean stopping there
+  let orderedStops = !plannedDeliveryTimes?.length && assignedAddressIds ? assignedAddressIds : null
+  let nextOrderedIndex = 0
+  const deliverOrderedStopsAt = (positionNodes, edgeId) => {
+    while (orderedStops && nextOrderedIndex < orderedStops.length) {
+      const stopId = orderedStops[nextOrderedIndex]
+      // A re-planned route lists the depot where it reloads (that happens on arrival)
+      if (cancelledIds.has(stopId) || (stopId === depotId && positionNodes.includes(depotId))) {
+        nextOrderedIndex++
+        continue
+      }
+      if (!positionNodes.includes(stopId)) break
+      deliver(stopId, edgeId)
+      nextOrderedIndex++
+    }
+  }
+
+  // Customers right at the depot are served before leaving
+  deliverOrderedStopsAt(coincidentNodeIds[startNode.id] || [startNode.id], 'start')
+
+  // Stationary events take no time unless given
+  const log = (event) => events.push({ endMin: event.timeMin, ...event })
+  let departed = false
+  let detourIndex = 0
+  let detourEdgesLeft = 0
+
+  // One driven road with its speed, traffic and load at the time it is entered
+  const logEdge = (edge, fromId, toId, minutes, lengthKm, extra = {}) => {
+    const edgeTraffic = trafficModel && edge ? trafficModel.edges[edge.id] : null
+    const intensity = edgeTraffic ? getTrafficIntensity(timeMin, edgeTraffic) : 0
+    log({
+      type: 'edge',
+      edgeId: edge ? edge.id : null,
+      fromId,
+      toId,
+      timeMin,
+      endMin: timeMin + minutes,
+      lengthKm,
+      speedKmh: minutes > 0 ? lengthKm / (minutes / 60) : null,
+      traffic: edgeTraffic ? getTrafficCategory(intensity) : null,
+      intensity: extra.accident ? 1 : intensity,
+      loadBoxes: load.boxes,
+      stops: 0,
+      isDetour: Boolean(edge?.isDetour),
+      ...extra
+    })
+  }
+
+  // Urgent customers stand on a road node, the route leads there
+  const roadNodeOf = (stopId) => disruptions.find(d => d.type === 'urgent' && d.customer.id === stopId)?.nodeId ?? stopId
+  let lastEdgeId = null
+
+  // Open stops in the order the rest of the route would serve them
+  const openStops = (index) => {
+    let stops
+    if (orderedStops) {
+      stops = orderedStops.slice(nextOrderedIndex)
+    } else if (manualPlan) {
+      stops = manualPlan.map(d => d.nodeId)
+    } else {
+      // Customers in the order the remaining roads pass them, the others after that
+      stops = []
+      let position = prevNode.id
+      actualRoute.slice(index).forEach(edge => {
+        const here = coincidentNodeIds[position] || [position]
+        position = here.includes(edge.a) ? edge.b : here.includes(edge.b) ? edge.a : position
+        ;(coincidentNodeIds[position] || [position]).forEach(id => {
+          if (nodesById[id]?.type === 'address' && isAssigned(id) && !stops.includes(id)) stops.push(id)
+        })
+      })
+      tourData.nodes.forEach(n => {
+        if (n.type === 'address' && isAssigned(n.id) && !stops.includes(n.id)) stops.push(n.id)
+      })
+    }
+    return stops.filter(id => id !== depotId && !visited.includes(id) && !cancelledIds.has(id) && !waitingUrgentIds.includes(id))
+  }
+
+  // Drive the stops from here on, starting with the road at index
+  const driveStopsFrom = (index, stopIds) => {
+    const slowEdgeIds = new Set(accidents.filter(a => timeMin < a.untilMin).map(a => a.edgeId))
+    const plan = planRemainingRoute(network, { nodeId: prevNode.id, arrivedVia: lastEdgeId, timeMin, load }, stopIds,
+      { nodesById, roadNodeOf, vehicle, trafficModel, closedEdgeIds, slowEdgeIds })
+    replaceRoute(index, actualRoute.length - index, plan.edges)
+    plan.unreachedIds.forEach(id => unreachedIds.add(id))
+    manualPlan = null
+    orderedStops = plan.stopIds
+    nextOrderedIndex = 0
+    waitingUrgentIds = []
+    deliverOrderedStopsAt(coincidentNodeIds[prevNode.id] || [prevNode.id], lastEdgeId ?? 'start')
+  }
+
+  // Re-planning: the urgent orders fitted into the open stops, then their
+  // order optimized anew from here (see reoptimizeFromPosition)
+  const replanFrom = (index) => {
+    const stopIds = waitingUrgentIds.reduce((stops, urgentId) =>
+      insertStop(network, prevNode.id, stops, urgentId, roadNodeOf), openStops(index))
+    const reoptimized = reoptimizeFromPosition(tourData,
+      { nodeId: prevNode.id, elapsedMin: timeMin, delivered: visited, trafficModel },
+      { addressIds: stopIds, closedEdgeIds: [...closedEdgeIds], nodesById, roadNodeOf, vehicle, randomSamples: 0 })
+    const forecast = ({ sequence, returnMin, lateMin }) => ({ stopIds: sequence, returnMin, lateMin })
+    driveStopsFrom(index, reoptimized.sequence)
+    replans++
+    log({
+      type: 'replan',
+      nodeId: prevNode.id,
+      stopIds: orderedStops,
+      expected: forecast(reoptimized),
+      planned: forecast(reoptimized.planned),
+      timeMin
+    })
+  }
+
+  // Everything that has happened by now becomes known at this node
+  const applyDueDisruptions = (index) => {
+    let replanNeeded = false
+    while (pendingDisruptions.length > 0 && pendingDisruptions[0].atMin <= timeMin) {
+      const disruption = pendingDisruptions.shift()
+      if (disruption.type === 'cancel') {
+        // Only this vehicle's customers, and only before the crates are unloaded
+        if (!isAssigned(disruption.nodeId) || visited.includes(disruption.nodeId)) continue
+        const demand = getDemand(nodesById[disruption.nodeId])
+        remainingDemand = addLoads(remainingDemand, { boxes: -demand.boxes, volumeM3: -demand.volumeM3 })
+        cancelledIds.add(disruption.nodeId)
+      } else if (disruption.type === 'urgent') {
+        urgentIds.add(disruption.customer.id)
+        remainingDemand = addLoads(remainingDemand, getDemand(disruption.customer))
+        waitingUrgentIds.push(disruption.customer.id)
+      } else if (disruption.type === 'closure') {
+        closedEdgeIds.add(disruption.edgeId)
+      } else if (disruption.type === 'accident') {
+        accidents.push(disruption)
+      }
+      appliedDisruptions.push(disruption)
+      log({ type: 'disruption', disruption, nodeId: prevNode.id, timeMin })
+      if (replan === true || (Array.isArray(replan) && replan.includes(disruption.id))) replanNeeded = true
+    }
+    if (replanNeeded) replanFrom(index)
+  }
+
   // Follow the route edge by edge
   let connectedCount = 0
   let skippedCount = 0
   
-  actualRoute.forEach((edge, index) => {
+  for (let index = 0; ; index++) {
+    applyDueDisruptions(index)
+    if (index >= actualRoute.length) {
+      // Planned stops done: urgent orders the driver did not fit in come last
+      if (waitingUrgentIds.length === 0) break
+      driveStopsFrom(index, waitingUrgentIds.filter(id => !visited.includes(id)))
+      if (index >= actualRoute.length) break
+    }
+    let edge = actualRoute[index]
+
     // Figure out which node we're moving to
     let nextId
     
     // Check if this edge connects to where we are now
     const currentPosNodes = coincidentNodeIds[prevNode.id] || [prevNode.id]
+
+    // A road closed during the tour: the driver only finds out there and drives around it
+    if (closedEdgeIds.has(edge.id) && (currentPosNodes.includes(edge.a) || currentPosNodes.includes(edge.b))) {
+      const fromId = currentPosNodes.includes(edge.a) ? edge.a : edge.b
+      const toId = fromId === edge.a ? edge.b : edge.a
+      const detourPath = findDetour(network, fromId, toId, closedEdgeIds, lastEdgeId)
+      if (detourPath) {
+        const detourEdges = detourPath.map(e => ({ ...e, isDetour: true }))
+        replaceRoute(index, 1, detourEdges)
+        detours.splice(detourIndex, 0, { originalEdge: edge, detourEdges: detourPath, startNode: fromId, endNode: toId })
+        constructionDelays++
+        edge = actualRoute[index]
+      }
+    }
     
     if (currentPosNodes.includes(edge.a)) {
       nextId = edge.b
@@ -107,28 +406,53 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
       skippedCount++
       if (skippedCount <= 3) {
       }
-      return
+      continue
     }
 
     const next = nodesById[nextId]
     if (!next) {
-      return // Skip this edge
+      continue // Skip this edge
     }
 
     // Get the distance for this segment (already counted in totalKm above)
-    let edgeLength = edge.lengthKm ?? calculateDistance(prevNode, next)
+    let edgeLength = edge.lengthKm ?? calculateDistance(prevNode, next, scalePxPerKm)
 
-    // Calculate driving time with traffic (use planning mode for realistic but consistent times)
-    const travelTime = trafficModel ? 
-      calculateTravelTime(edge, trafficModel, timeMin, false) // Use planning traffic (no random variation)
-      : (edgeLength / 40) * 60 // Fallback: 40 km/h average
+    // Calculate driving time with traffic (planning mode unless a random source is given)
+    const accident = accidentOn(edge)
+    const travelTime = (trafficModel ? 
+      (random ? calculateTravelTime(edge, trafficModel, timeMin, true, random) : calculateTravelTime(edge, trafficModel, timeMin, false))
+      : (edgeLength / 40) * 60) * (accident ? accident.slowdown : 1) // Fallback: 40 km/h average
 
+    if (!departed) {
+      log({ type: 'depart', nodeId: prevNode.id, timeMin })
+      departed = true
+    }
+    // First road of a detour: this is where the construction zone is
+    if (edge.isDetour && detourEdgesLeft === 0 && detours[detourIndex]) {
+      const detour = detours[detourIndex++]
+      log({ type: 'construction', edgeId: detour.originalEdge.id, nodeId: prevNode.id, timeMin })
+      log({ type: 'detour-start', fromId: detour.startNode, toId: detour.endNode, timeMin })
+      detourEdgesLeft = detour.detourEdges.length
+    }
+    logEdge(edge, prevNode.id, nextId, travelTime, edgeLength, accident ? { accident: true } : {})
     timeMin += travelTime
+    lastEdgeId = edge.id
+
+    // Back at the depot with crates missing for the next stops: reload
+    // (first, a customer at the depot may be one of them)
+    if (depotCluster.includes(nextId) &&
+        (remainingDemand.boxes > load.boxes || remainingDemand.volumeM3 > load.volumeM3 + 1e-9)) {
+      load = loadUpTo(remainingDemand)
+      log({ type: 'reload', nodeId: nextId, timeMin, endMin: timeMin + RELOAD_TIME_MINUTES })
+      timeMin += RELOAD_TIME_MINUTES
+      reloads++
+      loadProfile.push({ timeMin, ...load, event: 'reload' })
+    }
 
     // Check for addresses at this position
     const nodesAtThisPosition = coincidentNodeIds[nextId] || [nextId]
     
-    if (plannedDeliveryTimes && plannedDeliveryTimes.length > 0) {
+    if (manualPlan) {
       // Manual planning: only visit addresses according to planned order
       // Track which addresses we encounter (but don't necessarily stop at)
       nodesAtThisPosition.forEach(nodeAtPos => {
@@ -139,66 +463,48 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
       })
       
       // Check if the next planned delivery is available at our current position
-      const nextPlannedIndex = visited.length
-      if (nextPlannedIndex < plannedDeliveryTimes.length) {
-        const nextPlanned = plannedDeliveryTimes[nextPlannedIndex]
-        
+      // (cancelled ones are skipped)
+      const nextPlanned = manualPlan.find(d => !visited.includes(d.nodeId) && !cancelledIds.has(d.nodeId))
+      if (nextPlanned) {
         // If the planned address is available here, deliver it
         if (addressesEncountered.has(nextPlanned.nodeId)) {
-          visited.push(nextPlanned.nodeId)
-          
-          const arrivalMin = Math.round(timeMin)
-          actualDeliveryTimes.push({
-            nodeId: nextPlanned.nodeId,
-            arrivalMin,
-            plannedWindow: nextPlanned.timeWindow,
-            edgeId: edge.id,
-            timeFromStart: arrivalMin
-          })
-          
-          // Add 7 min stop time per address
-          timeMin += 7
+          deliver(nextPlanned.nodeId, edge.id, { plannedWindow: nextPlanned.timeWindow })
           
           // Remove from encountered set
           addressesEncountered.delete(nextPlanned.nodeId)
         }
       }
+    } else if (orderedStops) {
+      deliverOrderedStopsAt(nodesAtThisPosition, edge.id)
     } else {
       // Auto planning: visit addresses as we encounter them
       nodesAtThisPosition.forEach(nodeAtPos => {
         const nodeData = nodesById[nodeAtPos]
-        if (nodeData && nodeData.type === 'address' && !visited.includes(nodeAtPos)) {
-          visited.push(nodeAtPos)
-
-          // Record actual arrival time before adding stop time
-          const arrivalMin = Math.round(timeMin)
-          actualDeliveryTimes.push({
-            nodeId: nodeAtPos,
-            arrivalMin,
-            edgeId: edge.id,
-            timeFromStart: arrivalMin
-          })
-
-          // Add 7 min stop time per address
-          timeMin += 7
+        if (nodeData && nodeData.type === 'address' && isAssigned(nodeAtPos) && !visited.includes(nodeAtPos) && !cancelledIds.has(nodeAtPos)) {
+          deliver(nodeAtPos, edge.id)
         }
       })
     }
 
     // Detours add time delays (distance is already in the detour edges)
     if (edge.isDetour) {
+      log({ type: 'delay', nodeId: nextId, timeMin, endMin: timeMin + 15 })
       timeMin += 15  // Extra time for navigation and finding the alternative route
+      if (detourEdgesLeft > 0 && --detourEdgesLeft === 0) {
+        log({ type: 'detour-end', nodeId: nextId, timeMin })
+      }
     }
 
     // Move to next position
     prevNode = next
-  })
+  }
   
   if (skippedCount > 0) {
   }
 
   // --- Ensure all addresses have delivery times, even if edge traversal missed some ---
-  const allAddressIds = tourData.nodes.filter(n => n.type === 'address').map(n => n.id)
+  const allAddressIds = [...tourData.nodes.map(n => n.id), ...urgentIds]
+    .filter(id => nodesById[id].type === 'address' && isAssigned(id) && !cancelledIds.has(id))
   const missingAddresses = allAddressIds.filter(id => !visited.includes(id))
   
   if (missingAddresses.length > 0) {
@@ -209,64 +515,93 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
       visited.push(addressId)
       const estimatedArrival = Math.round(visited.length * avgTimePerStop)
       
+      const window = getCustomerWindow(nodesById[addressId])
       actualDeliveryTimes.push({
         nodeId: addressId,
         arrivalMin: estimatedArrival,
+        timeWindow: formatTimeWindow(window),
+        lateMin: Math.max(0, estimatedArrival - window.end),
         edgeId: 'estimated',
-        timeFromStart: estimatedArrival
+        timeFromStart: estimatedArrival,
+        ...(unreachedIds.has(addressId) ? { unreachable: true } : {})
       })
     })
     
   }
 
-  // Add return trip if we haven't come back to depot yet
-  if (prevNode.id !== depotId) {
-    const returnDistance = calculateDistance(prevNode, nodesById[depotId])
+  // Add return trip if we haven't come back to depot yet (around roads closed during the tour)
+  const closedReturn = closedEdgeIds.size > 0 && prevNode.id !== depotId && trafficModel
+    ? findFastestPath(network, network.getCluster(prevNode.id), network.getCluster(depotId), timeMin, trafficModel, closedEdgeIds, lastEdgeId)
+    : null
+  const returnPath = closedReturn
+    ? { path: closedReturn.path, distanceKm: routeKm(closedReturn.path) }
+    : prevNode.id !== depotId && trafficModel
+      ? network.timeDependentPath(prevNode.id, depotId, timeMin, trafficModel)
+      : null
+  if (returnPath && returnPath.path) {
+    // Fastest way back on real roads at the current time
+    actualRoute = [...actualRoute, ...returnPath.path]
+    totalKm += returnPath.distanceKm
+    let position = prevNode.id
+    returnPath.path.forEach(edge => {
+      const fromId = position
+      const toId = (coincidentNodeIds[position] || [position]).includes(edge.a) ? edge.b : edge.a
+      const accident = accidentOn(edge)
+      const minutes = edgeTravelTime(edge, trafficModel, timeMin, random) * (accident ? accident.slowdown : 1)
+      logEdge(edge, fromId, toId, minutes, edge.lengthKm || 0, accident ? { accident: true } : {})
+      timeMin += minutes
+      position = toId
+    })
+  } else if (prevNode.id !== depotId) {
+    const returnDistance = calculateDistance(prevNode, nodesById[depotId], scalePxPerKm)
     totalKm += returnDistance
-    
-    // Calculate return time with traffic (use planning mode for consistency)
-    if (trafficModel) {
-      // Create a dummy edge for the return trip
-      const returnEdge = {
-        id: 'return',
-        a: prevNode.id,
-        b: depotId,
-        lengthKm: returnDistance
-      }
-      // Add to traffic model if not exists
-      if (!trafficModel.edges['return']) {
-        trafficModel.edges['return'] = {
-          isMainRoad: true,
-          baseTraffic: 0.3
-        }
-      }
-      const returnTime = calculateTravelTime(returnEdge, trafficModel, timeMin, false)
-      timeMin += returnTime
-    } else {
-      timeMin += (returnDistance / 40) * 60 // Fallback: 40 km/h average
-    }
+    const minutes = (returnDistance / 40) * 60 // Fallback: 40 km/h average
+    logEdge(null, prevNode.id, depotId, minutes, returnDistance)
+    timeMin += minutes
   }
+  log({ type: 'return', nodeId: depotId, timeMin })
 
-  // Cost calculation based on fixed and variable costs per km
-  // Fixed costs per km (rent + salaries, same for all vehicles)
-  const fixedCostPerKm = 10.23  // €/km for company overhead (rent + salaries)
-  
-  // Variable costs per km (vehicle-specific: fuel, maintenance, etc.)
-  const variableCostPerKm = vehicle.costPerKm  // 0.57 (Diesel), 0.50 (Hybrid), 0.65 (Electric)
-  
-  // Total cost per km for this vehicle type
-  const costPerKmBasis = fixedCostPerKm + variableCostPerKm
-  
-  // Calculate costs for this specific tour
-  const kFix = fixedCostPerKm * totalKm
-  const kVar = variableCostPerKm * totalKm
-  const totalCost = kFix + kVar
-  
-  // Should equal costPerKmBasis * totalKm
-  const costPerKmActual = totalCost / totalKm
-  
-  // Environmental impact
-  const co2Kg = totalKm * vehicle.co2PerKm
+  // Every stop to deliver or reload means braking at the end of the road before it
+  let lastDrive = null
+  events.forEach(event => {
+    if (event.type === 'edge') lastDrive = event
+    else if (lastDrive && (event.type === 'arrive' || event.type === 'reload')) {
+      lastDrive.stops++
+      lastDrive = null
+    }
+  })
+
+  // Environmental impact per road from speed, traffic, stops and load; the rated estimate per km for comparison
+  const co2EstimatedKg = totalKm * vehicle.co2PerKm
+  let co2Kg = 0
+  let co2FreeFlowKg = 0
+  const energy = { fuelLitres: 0, electricKWh: 0, costEur: 0 }
+
+  // Fuel and electricity actually used on every road
+  const drives = events.filter(event => event.type === 'edge')
+  drives.forEach(event => {
+    const drive = { lengthKm: event.lengthKm, stops: event.stops, loadKg: event.loadBoxes * BOX_MASS_KG }
+    const used = driveEnergy(vehicle, { ...drive, speedKmh: event.speedKmh, intensity: event.intensity })
+    event.fuelLitres = used.fuelLitres
+    event.electricKWh = used.electricKWh
+    event.costEur = used.costEur
+    event.co2Kg = used.co2Kg
+    event.co2EstimatedKg = event.lengthKm * vehicle.co2PerKm
+    event.co2FreeFlowKg = driveEnergy(vehicle, { ...drive, speedKmh: FREE_FLOW_KMH }).co2Kg
+    energy.fuelLitres += used.fuelLitres
+    energy.electricKWh += used.electricKWh
+    energy.costEur += used.costEur
+    co2Kg += event.co2Kg
+    co2FreeFlowKg += event.co2FreeFlowKg
+  })
+
+  // Overhead, the vehicle's share of its fixed costs and the energy used
+  const { kFix, kVehicle, kVar, totalCost, vehicleCosts } = tourCost(vehicle, totalKm, energy)
+  const fixedCostPerKm = totalKm > 0 ? (kFix + kVehicle) / totalKm : 0
+  const variableCostPerKm = totalKm > 0 ? kVar / totalKm : 0
+
+  // Fixed costs spread over the roads by length, for playing the trip back
+  drives.forEach(event => { event.costEur += event.lengthKm * fixedCostPerKm })
   
   // Delivery success rate - based on time window compliance
   const numberOfStops = visited.length || baseline.numberOfStops
@@ -274,53 +609,16 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
   // Calculate on-time deliveries
   let onTimeCount = 0
   
-  if (plannedDeliveryTimes && plannedDeliveryTimes.length > 0) {
-    // Manual planning: compare actual arrival time with planned time window
-    actualDeliveryTimes.forEach(delivery => {
-      const arrivalMin = delivery.arrivalMin
-      const plannedWindow = delivery.plannedWindow
-      
-      // Check if actual arrival is within the planned window
-      let withinPlannedWindow = false
-      if (plannedWindow === '7-8' && arrivalMin <= 60) {
-        withinPlannedWindow = true
-      } else if (plannedWindow === '8-9' && arrivalMin > 60 && arrivalMin <= 120) {
-        withinPlannedWindow = true
-      } else if (plannedWindow === '9-10' && arrivalMin > 120 && arrivalMin <= 180) {
-        withinPlannedWindow = true
-      }
-      
-      if (withinPlannedWindow) {
-        onTimeCount++
-      }
-    })
-  } else {
-    // Auto planning: calculate based on actual arrival times and time windows
-    actualDeliveryTimes.forEach(delivery => {
-      const arrivalMin = delivery.arrivalMin
-      
-      // Determine time window based on arrival time
-      // 7-8 Uhr: 0-60 min, 8-9 Uhr: 61-120 min, 9-10 Uhr: 121-180 min
-      let withinWindow = false
-      if (arrivalMin <= 60) {
-        // Should arrive in 7-8 window
-        withinWindow = true
-      } else if (arrivalMin <= 120) {
-        // Should arrive in 8-9 window
-        withinWindow = true
-      } else if (arrivalMin <= 180) {
-        // Should arrive in 9-10 window
-        withinWindow = true
-      } else {
-        // After 10:00 - late
-        withinWindow = false
-      }
-      
-      if (withinWindow) {
-        onTimeCount++
-      }
-    })
-  }
+  // Both planning modes: on time means arriving before the customer's window closes
+  actualDeliveryTimes.forEach(delivery => {
+    // Crates were not on board or the van couldn't get there - the customer got nothing
+    if (delivery.capacityShortfall || delivery.unreachable) return
+    
+    const window = getCustomerWindow(nodesById[delivery.nodeId])
+    if (delivery.arrivalMin <= window.end) {
+      onTimeCount++
+    }
+  })
   
   // Calculate delivery rate based on on-time deliveries
   let deliveryRate = numberOfStops > 0 ? (onTimeCount / numberOfStops) * 100 : 0
@@ -332,19 +630,65 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
   const costPerStop = totalCost / numberOfStops
   const successfulDeliveries = numberOfStops * (deliveryRate / 100)
   const costPerSuccess = successfulDeliveries > 0 ? totalCost / successfulDeliveries : totalCost
-  const costPerKm = totalCost / totalKm
+  const costPerKm = totalKm > 0 ? totalCost / totalKm : 0
 
   // ESG scoring - compare performance to baseline
-  const baselineTotalKm = baseline.totalDistance || baseline.totalKm || 27
-  const baselineCostPerKm = baseline.totalCost / baselineTotalKm
-  
+  const scores = calculateEsgScore({ co2Kg, totalCost, deliveryRate }, baseline)
+
+  return { 
+    totalKm, 
+    totalCost,
+    kFix,
+    kVehicle,
+    kVar,
+    vehicleCosts,
+    fixedCostPerKm,
+    variableCostPerKm,
+    costPerKm,
+    fuelLitres: energy.fuelLitres,
+    electricKWh: energy.electricKWh,
+    co2Kg, 
+    co2EstimatedKg,
+    co2FreeFlowKg,
+    deliveryRate,
+    numberOfStops,
+    onTimeDeliveries: onTimeCount,
+    costPerStop, 
+    costPerSuccess, 
+    durationMin: timeMin,
+    totalTime: timeMin,
+    constructionDelays,
+    ...scores,
+    actualRoute,
+    detours,
+    actualDeliveryTimes,
+    loadProfile,
+    reloads,
+    capacityViolations,
+    disruptions: appliedDisruptions,
+    replans,
+    cancelledOrders: cancelledIds.size,
+    urgentOrders: urgentIds.size,
+    unreachedStops: unreachedIds.size,
+    events
+  }
+}
+
+/**
+ * Scores a tour (or a whole fleet) against the baseline.
+ * 
+ * Improvements earn +5 points per unit, deteriorations cost -10 points per
+ * unit. The three dimensions are weighted 40% / 35% / 25%.
+ * 
+ * @param {Object} metrics - { co2Kg, totalCost, deliveryRate } (rate in %)
+ * @param {Object} baseline - Reference metrics (level3 from baselineMetrics.json)
+ * @returns {Object} Points per dimension, deltas, esgScore and passed flag
+ */
+export function calculateEsgScore({ co2Kg, totalCost, deliveryRate }, baseline) {
   const co2Delta = baseline.co2Emissions - co2Kg  // Positive = improvement
-  const totalCostDelta = baseline.totalCost - totalCost  // Positive = improvement (for display)
-  const costPerKmDelta = baselineCostPerKm - costPerKm  // Positive = improvement (for scoring)
+  const totalCostDelta = baseline.totalCost - totalCost  // Positive = improvement
   const deliveryDelta = deliveryRate - (baseline.deliveryRate * 100)  // Positive = improvement
   
-  // Convert improvements to point values
-  // Improvements: +5 points per unit, Deteriorations: -10 points per unit
   let co2Pts = 0
   if (co2Delta > 0) {
     // CO2 reduced (good): +5 points per 0.1 kg reduction
@@ -375,38 +719,137 @@ export function simulateRoute(edges, vehicle, tourData, baseline, trafficModel =
   // Overall ESG score with category weights
   const esgScore = (co2Pts * 0.4) + (costPts * 0.35) + (deliveryPts * 0.25)
   
-  // Success means beating the baseline
-  const passed = esgScore > 0
+  return {
+    co2Pts,
+    costPts,
+    deliveryPts,
+    esgScore,
+    // Success means beating the baseline
+    passed: esgScore > 0,
+    co2Delta,
+    costDelta: totalCostDelta,
+    deliveryDelta
+  }
+}
 
-  return { 
-    totalKm, 
+// The baseline is one diesel van at rated consumption (see README)
+const BASELINE_VEHICLE = vehicles.find(v => v.id === 'diesel')
+
+/**
+ * The baseline for a tour driven by several vehicles: the same kilometers
+ * and customers, but every further van adds its share of the fixed
+ * vehicle costs. Emissions and punctuality don't depend on the van count.
+ *
+ * @param {Object} baseline - Reference metrics for one vehicle
+ * @param {number} vehicleCount - Vehicles that drive
+ * @returns {Object} baseline with totalCost raised to the fleet
+ */
+export function fleetBaseline(baseline, vehicleCount) {
+  if (vehicleCount <= 1) return baseline
+  return { ...baseline, totalCost: baseline.totalCost + (vehicleCount - 1) * vehicleCostPerTour(BASELINE_VEHICLE).total }
+}
+
+/**
+ * Simulates every vehicle's tour and aggregates the fleet totals.
+ * 
+ * Vehicles drive in parallel, so the fleet duration is the longest tour,
+ * while kilometers, costs, emissions and deliveries add up. The ESG score
+ * is calculated once on the fleet totals, against the baseline scaled to
+ * the vehicles that drive (see fleetBaseline).
+ * 
+ * @param {Array<Object>} routes - [{ vehicle, edges, sequence }] one entry per vehicle
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} baseline - Reference metrics
+ * @param {Object} trafficModel - Traffic model (optional)
+ * @param {Function} random - Stochastic traffic for all vehicles, see simulateRoute (optional)
+ * @param {Object} disruptionOptions - Disruptions during the tour, see simulateRoute (optional).
+ *   Closures and accidents hit every vehicle, an urgent order goes to the vehicle with a
+ *   planned stop nearest to the new customer.
+ * @returns {Object} Same shape as simulateRoute plus a per-vehicle list in 'vehicles'
+ *   (load profiles stay per vehicle)
+ */
+export function simulateFleet(routes, tourData, baseline, trafficModel = null, random = null, disruptionOptions = null) {
+  // Idle vehicles (no addresses assigned) don't leave the depot
+  const activeRoutes = routes.filter(r => r.edges.length > 0)
+
+  const nodesById = getRoadNetwork(tourData).nodesById
+  const nearestRouteIndex = (customer) => {
+    const gaps = activeRoutes.map(route => Math.min(...route.sequence
+      .map(id => nodesById[id])
+      .filter(Boolean)
+      .map(stop => Math.hypot(stop.x - customer.x, stop.y - customer.y))))
+    return gaps.indexOf(Math.min(...gaps))
+  }
+  const disruptionsOf = (index) => disruptionOptions && {
+    ...disruptionOptions,
+    disruptions: disruptionOptions.disruptions.filter(d => d.type !== 'urgent' || nearestRouteIndex(d.customer) === index)
+  }
+  
+  const vehicleResults = activeRoutes.map((route, index) => ({
+    vehicle: route.vehicle,
+    sequence: route.sequence,
+    ...simulateRoute(route.edges, route.vehicle, tourData, baseline, trafficModel, true, null, route.sequence, random, disruptionsOf(index))
+  }))
+  
+  const sumOf = (key) => vehicleResults.reduce((total, r) => total + r[key], 0)
+  
+  const totalKm = sumOf('totalKm')
+  const kFix = sumOf('kFix')
+  const kVehicle = sumOf('kVehicle')
+  const kVar = sumOf('kVar')
+  const totalCost = kFix + kVehicle + kVar
+  const co2Kg = sumOf('co2Kg')
+  const numberOfStops = sumOf('numberOfStops')
+  const onTimeDeliveries = sumOf('onTimeDeliveries')
+  const durationMin = Math.max(0, ...vehicleResults.map(r => r.durationMin))
+  
+  const deliveryRate = numberOfStops > 0 ? Math.min(100, (onTimeDeliveries / numberOfStops) * 100) : 0
+  const successfulDeliveries = numberOfStops * (deliveryRate / 100)
+  
+  // Fixed and variable costs per km, km-weighted over the vehicles
+  const fixedCostPerKm = totalKm > 0 ? (kFix + kVehicle) / totalKm : 0
+  const variableCostPerKm = totalKm > 0 ? kVar / totalKm : 0
+  const costPerKm = totalKm > 0 ? totalCost / totalKm : 0
+  
+  return {
+    totalKm,
     totalCost,
     kFix,
+    kVehicle,
     kVar,
+    vehicleCosts: {
+      depreciation: vehicleResults.reduce((total, r) => total + r.vehicleCosts.depreciation, 0),
+      insurance: vehicleResults.reduce((total, r) => total + r.vehicleCosts.insurance, 0),
+      tax: vehicleResults.reduce((total, r) => total + r.vehicleCosts.tax, 0),
+      total: kVehicle
+    },
     fixedCostPerKm,
     variableCostPerKm,
-    costPerKmBasis,
-    costPerKmActual,
     costPerKm,
-    co2Kg, 
+    fuelLitres: sumOf('fuelLitres'),
+    electricKWh: sumOf('electricKWh'),
+    co2Kg,
+    co2EstimatedKg: sumOf('co2EstimatedKg'),
+    co2FreeFlowKg: sumOf('co2FreeFlowKg'),
     deliveryRate,
     numberOfStops,
-    onTimeDeliveries: onTimeCount,
-    costPerStop, 
-    costPerSuccess, 
-    durationMin: timeMin,
-    totalTime: timeMin,
-    constructionDelays,
-    co2Pts, 
-    costPts, 
-    deliveryPts,
-    esgScore,
-    passed,
-    co2Delta,
-    costDelta: totalCostDelta,
-    deliveryDelta,
-    actualRoute,
-    detours,
-    actualDeliveryTimes
+    onTimeDeliveries,
+    costPerStop: numberOfStops > 0 ? totalCost / numberOfStops : totalCost,
+    costPerSuccess: successfulDeliveries > 0 ? totalCost / successfulDeliveries : totalCost,
+    durationMin,
+    totalTime: durationMin,
+    constructionDelays: sumOf('constructionDelays'),
+    reloads: sumOf('reloads'),
+    capacityViolations: sumOf('capacityViolations'),
+    disruptions: [...new Map(vehicleResults.flatMap(r => r.disruptions).map(d => [d.id, d])).values()],
+    replans: sumOf('replans'),
+    cancelledOrders: sumOf('cancelledOrders'),
+    urgentOrders: sumOf('urgentOrders'),
+    unreachedStops: sumOf('unreachedStops'),
+    ...calculateEsgScore({ co2Kg, totalCost, deliveryRate }, fleetBaseline(baseline, vehicleResults.length)),
+    actualRoute: vehicleResults.flatMap(r => r.actualRoute),
+    detours: vehicleResults.flatMap(r => r.detours),
+    actualDeliveryTimes: vehicleResults.flatMap(r => r.actualDeliveryTimes),
+    vehicles: vehicleResults
   }
 }
@@ -0,0 +1,84 @@
+/**
+ * LoadPlanner.js
+ *
+ * Every address orders a number of crates (boxes) that take up volume in
+ * the van. A vehicle can only carry maxBoxes and capacityM3 at once, so
+ * larger tours are split into trips with a reload stop at the depot.
+ */
+
+const EMPTY_LOAD = { boxes: 0, volumeM3: 0 }
+
+// Demand of a single address (junctions and the depot order nothing)
+export function getDemand(node) {
+  if (!node || !node.demand) return EMPTY_LOAD
+  return {
+    boxes: node.demand.boxes || 0,
+    volumeM3: node.demand.volumeM3 || 0
+  }
+}
+
+export function addLoads(a, b) {
+  return {
+    boxes: a.boxes + b.boxes,
+    volumeM3: a.volumeM3 + b.volumeM3
+  }
+}
+
+/**
+ * Sum of all demands along a stop sequence.
+ *
+ * @param {string[]} sequence - Address IDs
+ * @param {Object} nodesById - Node lookup map
+ * @returns {Object} { boxes, volumeM3 }
+ */
+export function calculateSequenceLoad(sequence, nodesById) {
+  return sequence.reduce((load, id) => addLoads(load, getDemand(nodesById[id])), EMPTY_LOAD)
+}
+
+// Both limits matter: crates can be light but bulky or the other way round
+export function fitsCapacity(load, vehicle) {
+  const maxBoxes = vehicle.maxBoxes ?? Infinity
+  const capacityM3 = vehicle.capacityM3 ?? Infinity
+  // Small epsilon against floating point sums of volumes
+  return load.boxes <= maxBoxes && load.volumeM3 <= capacityM3 + 1e-9
+}
+
+/**
+ * Splits a stop sequence into trips that each fit into the vehicle.
+ * Keeps the visiting order and starts a new trip (depot reload) whenever
+ * the next address would overload the van.
+ *
+ * @param {string[]} sequence - Address IDs in visiting order
+ * @param {Object} nodesById - Node lookup map
+ * @param {Object} vehicle - Vehicle with maxBoxes and capacityM3
+ * @returns {string[][]} Trips in driving order
+ */
+export function splitIntoTrips(sequence, nodesById, vehicle) {
+  const trips = []
+  let current = []
+  let load = EMPTY_LOAD
+
+  for (const id of sequence) {
+    const withStop = addLoads(load, getDemand(nodesById[id]))
+    if (current.length > 0 && !fitsCapacity(withStop, vehicle)) {
+      trips.push(current)
+      current = []
+      load = EMPTY_LOAD
+    }
+    current.push(id)
+    load = addLoads(load, getDemand(nodesById[id]))
+  }
+
+  if (current.length > 0) trips.push(current)
+  return trips
+}
+
+/**
+ * Joins trips to one stop list with the depot in between (reload stops).
+ *
+ * @example
+ * joinTrips([['A01', 'A02'], ['A03']], 'N00') // ['A01', 'A02', 'N00', 'A03']
+ */
+export function joinTrips(trips, depotId) {
+  return trips.flatMap((trip, idx) => (idx > 0 ? [depotId, ...trip] : trip))
+}
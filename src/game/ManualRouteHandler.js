@@ -32,6 +32,28 @@ export function collectVisitedAddresses(cluster, nodesById, targetSet) {
   })
 }
 
+/**
+ * Driving rules for the next edge of a manual route: one-way streets only
+ * from a to b, no forbidden turn at the node the edge starts from.
+ *
+ * @param {Object} edge - Selected edge
+ * @param {string} anchorId - Node the edge is driven from
+ * @param {Object|null} previousEdge - Last edge of the route so far
+ * @param {Object} nodesById - Node lookup
+ * @returns {string|null} Message for the player, null if the edge may be driven
+ */
+export function checkDrivingRules(edge, anchorId, previousEdge, nodesById) {
+  if (edge.oneway && edge.a !== anchorId) {
+    return `Kante ${edge.id} ist eine Einbahnstraße und nur von ${edge.a} nach ${edge.b} befahrbar.`
+  }
+  const arrivedHere = previousEdge && (previousEdge.a === anchorId || previousEdge.b === anchorId)
+  const restrictions = nodesById[anchorId]?.turnRestrictions || []
+  if (arrivedHere && restrictions.some(turn => turn.from === previousEdge.id && turn.to === edge.id)) {
+    return `An ${anchorId} ist das Abbiegen von ${previousEdge.id} in ${edge.id} verboten.`
+  }
+  return null
+}
+
 export function validateEdgeSelection(edge, state, nodesById) {
   const { manualEdges, currentEndNode, startAnchorIds } = state
   
@@ -48,6 +70,8 @@ export function validateEdgeSelection(edge, state, nodesById) {
     
     const startId = startAnchorIds.includes(edge.a) ? edge.a : edge.b
     const targetId = edge.a === startId ? edge.b : edge.a
+    const ruleMessage = checkDrivingRules(edge, startId, null, nodesById)
+    if (ruleMessage) return { valid: false, message: ruleMessage, anchorId: null, newEndNode: null }
     
     return {
       valid: true,
@@ -78,6 +102,8 @@ export function validateEdgeSelection(edge, state, nodesById) {
     ? (currentCluster.includes(edge.a) ? edge.a : edge.b)
     : (startAnchorIds.includes(edge.a) ? edge.a : edge.b)
   const newEndNode = anchorId === edge.a ? edge.b : edge.a
+  const ruleMessage = checkDrivingRules(edge, anchorId, manualEdges[manualEdges.length - 1], nodesById)
+  if (ruleMessage) return { valid: false, message: ruleMessage, anchorId: null, newEndNode: null }
   
   return {
     valid: true,
@@ -0,0 +1,84 @@
+import { simulateRoute, simulateFleet } from './GameManager.js'
+import { applyEquipment } from './Equipment.js'
+import { createSeededRandom } from '../utils/trafficUtils.js'
+
+/**
+ * MonteCarlo.js
+ *
+ * Drives the same plan many times through the stochastic traffic of the
+ * simulation (±10% per road) and reports how the results spread. One
+ * simulation only shows one possible morning; the distribution shows how
+ * robust the plan is against a slightly different traffic situation.
+ *
+ * All runs draw from one seeded random stream, so the same seed gives the
+ * same distribution.
+ */
+
+// Value below which the share p of the sorted values lies (linear interpolation)
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0
+  const pos = (sorted.length - 1) * p
+  const lower = Math.floor(pos)
+  const upper = Math.ceil(pos)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower)
+}
+
+// Mean, P10, P90 and range of a list of numbers
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  // Summing the distances to the minimum keeps rounding errors from pushing the mean out of the range
+  const lowest = sorted[0] ?? 0
+  const mean = lowest + sorted.reduce((sum, v) => sum + (v - lowest), 0) / Math.max(1, sorted.length)
+  return {
+    mean,
+    p10: percentile(sorted, 0.1),
+    p90: percentile(sorted, 0.9),
+    min: sorted[0] ?? 0,
+    max: sorted[sorted.length - 1] ?? 0
+  }
+}
+
+/**
+ * @param {Object} plan - What was simulated:
+ *   { routes } several vehicles as for simulateFleet, or
+ *   { edges, vehicle, isAutoRoute, plannedDeliveryTimes, stopOrder } one route as for simulateRoute,
+ *   both optionally with disruptions (disruptionOptions of simulateRoute) and
+ *   equipment (IDs of the items bought, see Equipment.js)
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} baseline - Reference metrics
+ * @param {Object} trafficModel - Traffic model; without it every run is the same
+ * @param {Object} options - { runs = 100, seed = 1, onProgress(runsDone) }
+ * @returns {Object} { runs, seed, durationMin, deliveryRate, esgScore, passRate, samples }
+ *   durationMin, deliveryRate and esgScore as { mean, p10, p90, min, max };
+ *   passRate: share of runs beating the baseline in percent
+ */
+export function simulateMonteCarlo(plan, tourData, baseline, trafficModel, options = {}) {
+  const { runs = 100, seed = 1, onProgress = null } = options
+  const random = createSeededRandom(seed)
+
+  const samples = []
+  for (let run = 0; run < runs; run++) {
+    const simulated = plan.routes
+      ? simulateFleet(plan.routes, tourData, baseline, trafficModel, random, plan.disruptions)
+      : simulateRoute(plan.edges, plan.vehicle, tourData, baseline, trafficModel,
+        plan.isAutoRoute, plan.plannedDeliveryTimes, plan.stopOrder, random, plan.disruptions)
+    const result = applyEquipment(simulated, plan.equipment ?? [], baseline)
+    samples.push({
+      durationMin: result.durationMin,
+      deliveryRate: result.deliveryRate,
+      esgScore: result.esgScore,
+      passed: result.passed
+    })
+    onProgress?.(run + 1)
+  }
+
+  return {
+    runs,
+    seed,
+    durationMin: summarize(samples.map(s => s.durationMin)),
+    deliveryRate: summarize(samples.map(s => s.deliveryRate)),
+    esgScore: summarize(samples.map(s => s.esgScore)),
+    passRate: runs > 0 ? (samples.filter(s => s.passed).length / runs) * 100 : 0,
+    samples
+  }
+}
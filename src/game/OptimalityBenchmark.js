@@ -0,0 +1,47 @@
+import { clarkeWrightSavings } from '../algorithms/clarkeWright.js'
+import { solveExactTsp, MAX_EXACT_ADDRESSES } from '../algorithms/heldKarp.js'
+import { createRandom } from '../algorithms/tourMoves.js'
+import { getRoadNetwork } from '../algorithms/roadNetwork.js'
+import { optimizeSequence } from './AutoRoutePlanner.js'
+
+/**
+ * OptimalityBenchmark.js
+ *
+ * How good is the heuristic really? On small maps the exact optimum can be
+ * computed (Held-Karp), so the LKH tour and the player's own route can be
+ * measured against a proven lower bound instead of just against each
+ * other.
+ *
+ * The comparison is the classic TSP: one vehicle, one tour, pure road
+ * distance - no reloads, no time windows, no traffic. Routes that have to
+ * reload or wait for customers can't reach this optimum.
+ */
+
+/**
+ * Computes the shortest tour exactly and with the LKH pipeline.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} options - { randomSamples, seed } for the LKH pipeline
+ * @returns {Object|null} { addressCount, optimum: { sequence, distance }, heuristic: { sequence, distance } }
+ *   or null if the map has too many addresses for the exact solver
+ */
+export function benchmarkOptimality(tourData, { randomSamples = 200, seed = 1 } = {}) {
+  const depotId = tourData.nodes.find(n => n.type === 'depot')?.id
+  const addresses = tourData.nodes.filter(n => n.type === 'address').map(n => n.id)
+  if (!depotId || addresses.length > MAX_EXACT_ADDRESSES) return null
+
+  const network = getRoadNetwork(tourData)
+  const optimum = solveExactTsp(addresses, depotId, network.distance)
+  const { sequence, distance } = optimizeSequence(addresses, depotId, {
+    network,
+    initialSequence: clarkeWrightSavings(tourData, { distance: network.distance }),
+    randomSamples,
+    random: createRandom(seed)
+  })
+
+  return {
+    addressCount: addresses.length,
+    optimum,
+    heuristic: { sequence, distance }
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * OsmImport.js
+ *
+ * Turns an OpenStreetMap extract into a map in the tourSetup format, so
+ * the game can be played on a real neighborhood without a network
+ * connection (see README "OpenStreetMap-Import" and scripts/importOsm.js).
+ *
+ * - Roads: ways with a highway class cars deliver on, cut to the bounding box
+ * - Coordinates: projected onto the canvas (north up), the scale fits the box
+ * - lengthKm: real length along the way (great circle), not the drawn one
+ * - isMainRoad: primary, secondary, trunk and motorway roads (traffic model)
+ * - oneway: the road may only be driven from a to b
+ *
+ * Depot and customers are given as coordinates and placed on the nearest
+ * road. Shape points along a road are thinned out to the mid nodes that
+ * are visible on the map; only roads connected to the depot are kept.
+ *
+ * Problems are returned as German messages, nothing here throws.
+ */
+
+import { BOX_VOLUME_M3 } from '../data/constants.js'
+import { validateScenario } from './ScenarioFile.js'
+import { DEFAULT_TIME_WINDOW, DEFAULT_BOXES } from './ScenarioEditor.js'
+
+const EARTH_RADIUS_KM = 6371
+// highway=* values delivery vans use; *_link ramps count like their road
+const ROAD_CLASSES = ['motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified', 'residential', 'living_street']
+const MAIN_ROAD_CLASSES = ['motorway', 'trunk', 'primary', 'secondary']
+const NO_ACCESS = ['no', 'private']
+const SAME_SPOT_KM = 0.001 // Customers closer than 1 m to a road point use that point
+
+const DEFAULTS = { width: 960, height: 640, maxSnapMeters: 150, simplifyPx: 2 }
+
+// ---- OSM XML ----
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function readAttributes(text) {
+  const attributes = {}
+  for (const [, name, , value] of text.matchAll(/([\w:]+)=(["'])(.*?)\2/g)) {
+    attributes[name] = value.replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity])
+  }
+  return attributes
+}
+
+/**
+ * Reads an .osm file (OSM XML as exported by openstreetmap.org or osmium).
+ *
+ * @param {string} text - File content
+ * @param {Function} inBox - ({ lat, lon }) → boolean, nodes outside are skipped
+ * @returns {Object} { nodes: Map(id → { lat, lon }), ways: [{ id, refs, tags }] }
+ */
+export function parseOsmXml(text, inBox = () => true) {
+  const result = { nodes: new Map(), ways: [] }
+  for (const [, attributeText] of text.matchAll(/<node\b([^>]*)>/g)) {
+    const { id, lat, lon } = readAttributes(attributeText)
+    const position = { lat: Number(lat), lon: Number(lon) }
+    if (id && inBox(position)) result.nodes.set(id, position)
+  }
+  for (const [, attributeText, body] of text.matchAll(/<way\b([^>]*)>([\s\S]*?)<\/way>/g)) {
+    const refs = [...body.matchAll(/<nd\b([^>]*)>/g)].map(([, nd]) => readAttributes(nd).ref)
+    if (!refs.some(ref => result.nodes.has(ref))) continue
+    const tags = {}
+    for (const [, tag] of body.matchAll(/<tag\b([^>]*)>/g)) {
+      const { k, v } = readAttributes(tag)
+      tags[k] = v
+    }
+    result.ways.push({ id: readAttributes(attributeText).id, refs, tags })
+  }
+  return result
+}
+
+// ---- Road properties ----
+
+const roadClass = (tags) => (tags.highway || '').replace(/_link$/, '')
+
+function isRoad(tags) {
+  return ROAD_CLASSES.includes(roadClass(tags)) && tags.area !== 'yes' &&
+    !NO_ACCESS.includes(tags.access) && !NO_ACCESS.includes(tags.motor_vehicle)
+}
+
+// 1 along the way, -1 against it, 0 both directions
+function onewayDirection(tags) {
+  if (tags.oneway === '-1' || tags.oneway === 'reverse') return -1
+  if (['yes', 'true', '1'].includes(tags.oneway)) return 1
+  if (tags.oneway === 'no') return 0
+  return tags.junction === 'roundabout' || roadClass(tags) === 'motorway' ? 1 : 0
+}
+
+// ---- Geometry ----
+
+// Great-circle distance in km
+export function haversineKm(a, b) {
+  const rad = Math.PI / 180
+  const dLat = (b.lat - a.lat) * rad
+  const dLon = (b.lon - a.lon) * rad
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h))
+}
+
+// Equirectangular projection around the middle of the box: km east / south of its north-west corner
+function createProjection(bbox, maxWidth, maxHeight) {
+  const kmPerDegLat = EARTH_RADIUS_KM * Math.PI / 180
+  const kmPerDegLon = kmPerDegLat * Math.cos((bbox.minLat + bbox.maxLat) / 2 * Math.PI / 180)
+  const widthKm = (bbox.maxLon - bbox.minLon) * kmPerDegLon
+  const heightKm = (bbox.maxLat - bbox.minLat) * kmPerDegLat
+  // Rounded down, so the map never gets larger than asked for
+  const scalePxPerKm = Math.floor(Math.min(maxWidth / widthKm, maxHeight / heightKm) * 100) / 100
+  return {
+    canvas: { width: Math.ceil(widthKm * scalePxPerKm), height: Math.ceil(heightKm * scalePxPerKm), scalePxPerKm },
+    toKm: ({ lat, lon }) => ({ x: (lon - bbox.minLon) * kmPerDegLon, y: (bbox.maxLat - lat) * kmPerDegLat })
+  }
+}
+
+// Closest point on segment a-b: t along it and distance
+function projectOntoSegment(p, a, b) {
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0 : Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq))
+  return { t, distance: Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy)) }
+}
+
+// Douglas-Peucker: indices of the points that keep the line within tolerance
+function simplifyLine(points, tolerance) {
+  const keep = new Set([0, points.length - 1])
+  const stack = [[0, points.length - 1]]
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    let farthest = -1
+    let maxDistance = tolerance
+    for (let i = first + 1; i < last; i++) {
+      const { distance } = projectOntoSegment(points[i], points[first], points[last])
+      if (distance > maxDistance) {
+        farthest = i
+        maxDistance = distance
+      }
+    }
+    if (farthest < 0) continue
+    keep.add(farthest)
+    stack.push([first, farthest], [farthest, last])
+  }
+  return [...keep].sort((a, b) => a - b)
+}
+
+// ---- Import ----
+
+const isCoordinate = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lon)
+
+function checkOptions(bbox, depot, customers, errors) {
+  const { minLon, minLat, maxLon, maxLat } = bbox || {}
+  if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite) || minLon >= maxLon || minLat >= maxLat) {
+    errors.push('Der Kartenausschnitt braucht minLon < maxLon und minLat < maxLat (Grad).')
+    return
+  }
+  const inBox = (p) => p.lat >= minLat && p.lat <= maxLat && p.lon >= minLon && p.lon <= maxLon
+  if (!isCoordinate(depot)) errors.push('Das Depot braucht lat und lon.')
+  else if (!inBox(depot)) errors.push('Das Depot liegt außerhalb des Kartenausschnitts.')
+  if (!Array.isArray(customers) || customers.length === 0) {
+    errors.push('Es gibt keine Kunden.')
+    return
+  }
+  customers.forEach((customer, index) => {
+    const name = customer?.label || `Nr. ${index + 1}`
+    if (!isCoordinate(customer)) errors.push(`Kunde ${name} braucht lat und lon.`)
+    else if (!inBox(customer)) errors.push(`Kunde ${name} liegt außerhalb des Kartenausschnitts.`)
+  })
+}
+
+/**
+ * Builds a map from OSM data.
+ *
+ * @param {Object} osm - { nodes, ways } from parseOsmXml or parseOsmPbf
+ * @param {Object} options - { bbox: { minLon, minLat, maxLon, maxLat }, depot: { lat, lon },
+ *   customers: [{ lat, lon, label?, timeWindow?, boxes? }], width?, height? (largest canvas in px),
+ *   maxSnapMeters? (farthest a customer may be from a road), simplifyPx? (shape tolerance) }
+ * @returns {Object} { tourData, errors, stats } - tourData { canvas, nodes, edges } only when
+ *   errors is empty; stats { roads, nodes, edges, mainRoads, oneways, droppedNodes }
+ */
+export function buildScenarioFromOsm(osm, options) {
+  const { bbox, depot, customers, width, height, maxSnapMeters, simplifyPx } = { ...DEFAULTS, ...options }
+  const errors = []
+  const fail = (stats = null) => ({ tourData: null, errors, stats })
+  checkOptions(bbox, depot, customers, errors)
+  if (errors.length > 0) return fail()
+
+  const { canvas, toKm } = createProjection(bbox, width, height)
+  const inBox = (p) => p.lat >= bbox.minLat && p.lat <= bbox.maxLat && p.lon >= bbox.minLon && p.lon <= bbox.maxLon
+
+  // Points by OSM id (and snapped points), with lat/lon and km position
+  const points = new Map()
+  const point = (id) => {
+    if (!points.has(id)) {
+      const position = osm.nodes.get(id)
+      points.set(id, { ...position, ...toKm(position) })
+    }
+    return points.get(id)
+  }
+
+  // Road pieces inside the box, in driving direction for one-way roads
+  const runs = []
+  for (const way of osm.ways) {
+    if (!isRoad(way.tags)) continue
+    const direction = onewayDirection(way.tags)
+    const isMainRoad = MAIN_ROAD_CLASSES.includes(roadClass(way.tags))
+    let refs = []
+    const flush = () => {
+      if (refs.length >= 2) runs.push({ refs, isMainRoad, oneway: direction !== 0 })
+      refs = []
+    }
+    for (const ref of direction === -1 ? [...way.refs].reverse() : way.refs) {
+      const position = osm.nodes.get(ref)
+      if (position && inBox(position)) refs.push(ref)
+      else flush()
+    }
+    flush()
+  }
+  if (runs.length === 0) {
+    errors.push('Im Kartenausschnitt gibt es keine befahrbaren Straßen.')
+    return fail()
+  }
+
+  // Depot and customers onto the nearest road; a new point splits the road there
+  const inserts = []
+  const snapped = new Set()
+  const snap = (target, name) => {
+    const p = toKm(target)
+    let best = null
+    runs.forEach((run, r) => {
+      for (let i = 0; i < run.refs.length - 1; i++) {
+        const { t, distance } = projectOntoSegment(p, point(run.refs[i]), point(run.refs[i + 1]))
+        if (!best || distance < best.distance) best = { run: r, index: i, t, distance }
+      }
+    })
+    if (best.distance * 1000 > maxSnapMeters) {
+      errors.push(`${name} liegt ${Math.round(best.distance * 1000)} m von der nächsten Straße entfernt (erlaubt: ${maxSnapMeters} m).`)
+      return null
+    }
+
+    const refs = runs[best.run].refs
+    const a = point(refs[best.index])
+    const b = point(refs[best.index + 1])
+    const segmentKm = Math.hypot(b.x - a.x, b.y - a.y)
+    let id
+    if (best.t * segmentKm < SAME_SPOT_KM) id = refs[best.index]
+    else if ((1 - best.t) * segmentKm < SAME_SPOT_KM) id = refs[best.index + 1]
+    else {
+      const same = inserts.find(s => s.run === best.run && s.index === best.index && Math.abs(s.t - best.t) * segmentKm < SAME_SPOT_KM)
+      id = same ? same.id : `snap:${inserts.length}`
+      if (!same) {
+        const along = (from, to) => from + best.t * (to - from)
+        points.set(id, { lat: along(a.lat, b.lat), lon: along(a.lon, b.lon), x: along(a.x, b.x), y: along(a.y, b.y) })
+        inserts.push({ run: best.run, index: best.index, t: best.t, id })
+      }
+    }
+    snapped.add(id)
+    return id
+  }
+  const depotPoint = snap(depot, 'Das Depot')
+  const customerPoints = customers.map((customer, index) => snap(customer, `Kunde ${customer.label || `Nr. ${index + 1}`}`))
+  if (errors.length > 0) return fail()
+
+  // Later inserts first, so the indices of earlier ones stay valid
+  ;[...inserts]
+    .sort((x, y) => (x.run - y.run) || (y.index - x.index) || (y.t - x.t))
+    .forEach(({ run, index, id }) => runs[run].refs.splice(index + 1, 0, id))
+
+  // Nodes of the map: ends of road pieces, points shared by roads, snapped points
+  const uses = new Map()
+  runs.forEach(({ refs }) => refs.forEach((ref, i) => {
+    const weight = i === 0 || i === refs.length - 1 ? 2 : 1
+    uses.set(ref, (uses.get(ref) || 0) + weight)
+  }))
+  const isKept = (ref) => uses.get(ref) >= 2 || snapped.has(ref)
+
+  // Road nodes by canvas position: points that round to the same pixel become one node
+  const roadNodes = new Map()
+  const toPx = (km) => Math.round(km * canvas.scalePxPerKm * 10) / 10
+  const roadNode = (ref) => {
+    const { x, y } = point(ref)
+    const key = `${toPx(x)}:${toPx(y)}`
+    if (!roadNodes.has(key)) roadNodes.set(key, { key, x: toPx(x), y: toPx(y) })
+    return roadNodes.get(key).key
+  }
+
+  const roads = new Map()
+  const addRoad = (fromRef, toRef, lengthKm, run) => {
+    const a = roadNode(fromRef)
+    const b = roadNode(toRef)
+    if (a === b) return
+    const key = [a, b].sort().join('|')
+    const road = { a, b, lengthKm, isMainRoad: run.isMainRoad, oneway: run.oneway }
+    const existing = roads.get(key)
+    if (!existing) {
+      roads.set(key, road)
+      return
+    }
+    // Two ways between the same nodes (e.g. both lanes of a divided road): one two-way road
+    const kept = lengthKm < existing.lengthKm ? road : existing
+    const sameDirection = existing.a === a
+    roads.set(key, { ...kept, oneway: existing.oneway && road.oneway && sameDirection })
+  }
+
+  const toleranceKm = simplifyPx / canvas.scalePxPerKm
+  for (const run of runs) {
+    let start = 0
+    for (let end = 1; end < run.refs.length; end++) {
+      if (!isKept(run.refs[end]) && end < run.refs.length - 1) continue
+      const refs = run.refs.slice(start, end + 1)
+      const shape = refs.map(point)
+      // A loop back to its start needs two points in between, else it folds onto itself
+      const loopStops = refs[0] === refs[refs.length - 1] && refs.length > 3
+        ? [0, Math.round((refs.length - 1) / 3), Math.round(2 * (refs.length - 1) / 3), refs.length - 1]
+        : [0, refs.length - 1]
+      const keep = new Set()
+      for (let s = 0; s < loopStops.length - 1; s++) {
+        const from = loopStops[s]
+        simplifyLine(shape.slice(from, loopStops[s + 1] + 1), toleranceKm).forEach(i => keep.add(from + i))
+      }
+      const stops = [...keep].sort((x, y) => x - y)
+      for (let s = 0; s < stops.length - 1; s++) {
+        let lengthKm = 0
+        for (let i = stops[s]; i < stops[s + 1]; i++) lengthKm += haversineKm(shape[i], shape[i + 1])
+        addRoad(refs[stops[s]], refs[stops[s + 1]], lengthKm, run)
+      }
+      start = end
+    }
+  }
+
+  // Only what the depot reaches (in either direction; one-way routing is up to the planner)
+  const neighbors = new Map()
+  for (const { a, b } of roads.values()) {
+    if (!neighbors.has(a)) neighbors.set(a, [])
+    if (!neighbors.has(b)) neighbors.set(b, [])
+    neighbors.get(a).push(b)
+    neighbors.get(b).push(a)
+  }
+  const depotKey = roadNode(depotPoint)
+  const reached = new Set([depotKey])
+  const queue = [depotKey]
+  while (queue.length > 0) {
+    for (const next of neighbors.get(queue.shift()) || []) {
+      if (!reached.has(next)) {
+        reached.add(next)
+        queue.push(next)
+      }
+    }
+  }
+  customerPoints.forEach((ref, index) => {
+    if (!reached.has(roadNode(ref))) {
+      errors.push(`Kunde ${customers[index].label || `Nr. ${index + 1}`}: Die nächste Straße ist nicht mit dem Depot verbunden.`)
+    }
+  })
+  const edgesKept = [...roads.values()].filter(road => reached.has(road.a))
+  const droppedNodes = roadNodes.size - reached.size
+  if (errors.length > 0) return fail()
+
+  // IDs like the map generator: N00, J01, M01, A01, E01 (wider numbers for big maps)
+  const pad = (n, count) => String(n).padStart(Math.max(2, String(count).length), '0')
+  const degree = new Map()
+  edgesKept.forEach(({ a, b }) => [a, b].forEach(key => degree.set(key, (degree.get(key) || 0) + 1)))
+  const ids = new Map()
+  const counters = { junction: 0, mid: 0 }
+  const prefixes = { junction: 'J', mid: 'M' }
+  const streetNodes = []
+  const reachedNodes = [...roadNodes.values()].filter(node => reached.has(node.key))
+  const typeOf = (node) => (degree.get(node.key) === 2 ? 'mid' : 'junction')
+  const typeCount = (type) => reachedNodes.filter(node => typeOf(node) === type).length
+  const totals = { junction: typeCount('junction'), mid: typeCount('mid') }
+  for (const node of reachedNodes) {
+    const type = typeOf(node)
+    const id = `${prefixes[type]}${pad(++counters[type], totals[type])}`
+    ids.set(node.key, id)
+    streetNodes.push({ id, type, x: node.x, y: node.y })
+  }
+
+  const depotNode = roadNodes.get(depotKey)
+  const addresses = customers.map((customer, index) => {
+    const { x, y } = roadNodes.get(roadNode(customerPoints[index]))
+    const id = `A${pad(index + 1, customers.length)}`
+    const boxes = customer.boxes ?? DEFAULT_BOXES
+    return {
+      id,
+      type: 'address',
+      x,
+      y,
+      label: customer.label || id,
+      timeWindow: { ...(customer.timeWindow || DEFAULT_TIME_WINDOW) },
+      demand: { boxes, volumeM3: Number((boxes * BOX_VOLUME_M3).toFixed(2)) }
+    }
+  })
+  const edges = edgesKept.map((road, index) => {
+    const edge = { id: `E${pad(index + 1, edgesKept.length)}`, a: ids.get(road.a), b: ids.get(road.b), lengthKm: Math.max(0.001, Number(road.lengthKm.toFixed(3))) }
+    if (road.isMainRoad) edge.isMainRoad = true
+    if (road.oneway) edge.oneway = true
+    return edge
+  })
+
+  const tourData = {
+    canvas,
+    nodes: [{ id: 'N00', type: 'depot', x: depotNode.x, y: depotNode.y, label: 'LAGER' }, ...streetNodes, ...addresses],
+    edges
+  }
+  const stats = {
+    roads: runs.length,
+    nodes: tourData.nodes.length,
+    edges: edges.length,
+    mainRoads: edges.filter(e => e.isMainRoad).length,
+    oneways: edges.filter(e => e.oneway).length,
+    droppedNodes
+  }
+  errors.push(...validateScenario(tourData))
+  return errors.length > 0 ? fail(stats) : { tourData, errors, stats }
+}
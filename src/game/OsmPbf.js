@@ -0,0 +1,186 @@
+/**
+ * OsmPbf.js
+ *
+ * Reads OpenStreetMap PBF extracts (the compact binary format of
+ * download.geofabrik.de and others) into the same { nodes, ways } as
+ * parseOsmXml in OsmImport.js.
+ *
+ * A PBF file is a sequence of blobs: 4 bytes header length, a BlobHeader
+ * and a Blob whose data is usually zlib-compressed. Data blobs hold a
+ * PrimitiveBlock with a string table and groups of nodes (plain or
+ * "dense", delta-coded) and ways. Relations are not needed for roads.
+ *
+ * Decompression is passed in (zlib.inflateSync in Node), so this module
+ * runs without Node built-ins as well. Field numbers follow the
+ * osmformat.proto / fileformat.proto of the OSM wiki.
+ */
+
+// ---- Protocol buffers ----
+
+// Unsigned varint at state.pos (numbers beyond 2^32 without bit operations)
+function readVarint(bytes, state) {
+  let result = 0
+  let factor = 1
+  let byte
+  do {
+    byte = bytes[state.pos++]
+    result += (byte & 0x7f) * factor
+    factor *= 128
+  } while (byte & 0x80)
+  return result
+}
+
+// sint64 fields are zigzag-coded, int64 fields store negatives as two's complement
+const zigzag = (n) => (n % 2 === 0 ? n / 2 : -(n + 1) / 2)
+const int64 = (n) => (n >= 2 ** 63 ? n - 2 ** 64 : n)
+
+// Fields of a message: { field, value } for varints, { field, bytes } for length-delimited
+function* readFields(bytes) {
+  const state = { pos: 0 }
+  while (state.pos < bytes.length) {
+    const key = readVarint(bytes, state)
+    const field = Math.floor(key / 8)
+    const wireType = key % 8
+    if (wireType === 0) {
+      yield { field, value: readVarint(bytes, state) }
+    } else if (wireType === 2) {
+      const length = readVarint(bytes, state)
+      yield { field, bytes: bytes.subarray(state.pos, state.pos + length) }
+      state.pos += length
+    } else if (wireType === 1) {
+      state.pos += 8
+    } else if (wireType === 5) {
+      state.pos += 4
+    } else {
+      throw new Error(`Unbekannter Protobuf-Typ ${wireType}`)
+    }
+  }
+}
+
+function readPacked(bytes, signed = false) {
+  const values = []
+  const state = { pos: 0 }
+  while (state.pos < bytes.length) {
+    const value = readVarint(bytes, state)
+    values.push(signed ? zigzag(value) : value)
+  }
+  return values
+}
+
+// Running sum of delta-coded values
+function undelta(values) {
+  let sum = 0
+  return values.map(value => (sum += value))
+}
+
+const textDecoder = new TextDecoder()
+
+// ---- OSM blocks ----
+
+function readTags(keys, vals, strings) {
+  const tags = {}
+  keys.forEach((key, i) => { tags[strings[key]] = strings[vals[i]] })
+  return tags
+}
+
+function readPrimitiveBlock(bytes, result, inBox) {
+  const strings = []
+  const groups = []
+  let granularity = 100
+  let latOffset = 0
+  let lonOffset = 0
+  for (const { field, value, bytes: data } of readFields(bytes)) {
+    if (field === 1) {
+      for (const entry of readFields(data)) if (entry.field === 1) strings.push(textDecoder.decode(entry.bytes))
+    } else if (field === 2) {
+      groups.push(data)
+    } else if (field === 17) {
+      granularity = value
+    } else if (field === 19) {
+      latOffset = int64(value)
+    } else if (field === 20) {
+      lonOffset = int64(value)
+    }
+  }
+  const toDegrees = (offset, value) => 1e-9 * (offset + granularity * value)
+  const addNode = (id, lat, lon) => {
+    const position = { lat: toDegrees(latOffset, lat), lon: toDegrees(lonOffset, lon) }
+    if (inBox(position)) result.nodes.set(String(id), position)
+  }
+
+  for (const group of groups) {
+    for (const { field, bytes: data } of readFields(group)) {
+      if (field === 1) {
+        // Plain node
+        const node = { id: 0, lat: 0, lon: 0 }
+        for (const entry of readFields(data)) {
+          if (entry.field === 1) node.id = zigzag(entry.value)
+          else if (entry.field === 8) node.lat = zigzag(entry.value)
+          else if (entry.field === 9) node.lon = zigzag(entry.value)
+        }
+        addNode(node.id, node.lat, node.lon)
+      } else if (field === 2) {
+        // Dense nodes: ids and coordinates delta-coded in parallel lists
+        let ids = []
+        let lats = []
+        let lons = []
+        for (const entry of readFields(data)) {
+          if (entry.field === 1) ids = undelta(readPacked(entry.bytes, true))
+          else if (entry.field === 8) lats = undelta(readPacked(entry.bytes, true))
+          else if (entry.field === 9) lons = undelta(readPacked(entry.bytes, true))
+        }
+        ids.forEach((id, i) => addNode(id, lats[i], lons[i]))
+      } else if (field === 3) {
+        const way = { id: '', refs: [], tags: {} }
+        let keys = []
+        let vals = []
+        for (const entry of readFields(data)) {
+          if (entry.field === 1) way.id = String(entry.value)
+          else if (entry.field === 2) keys = readPacked(entry.bytes)
+          else if (entry.field === 3) vals = readPacked(entry.bytes)
+          else if (entry.field === 8) way.refs = undelta(readPacked(entry.bytes, true)).map(String)
+        }
+        way.tags = readTags(keys, vals, strings)
+        // Nodes come before ways in an extract: ways entirely outside the box are dropped
+        if (way.refs.some(ref => result.nodes.has(ref))) result.ways.push(way)
+      }
+    }
+  }
+}
+
+/**
+ * Reads a PBF extract.
+ *
+ * @param {Uint8Array} bytes - File content
+ * @param {Function} inflate - (Uint8Array) → Uint8Array zlib decompression
+ * @param {Function} inBox - ({ lat, lon }) → boolean, nodes outside are skipped (saves memory)
+ * @returns {Object} { nodes: Map(id → { lat, lon }), ways: [{ id, refs, tags }] }
+ */
+export function parseOsmPbf(bytes, inflate, inBox = () => true) {
+  const result = { nodes: new Map(), ways: [] }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let pos = 0
+
+  while (pos < bytes.length) {
+    const headerLength = view.getUint32(pos)
+    pos += 4
+    let type = ''
+    let dataSize = 0
+    for (const { field, value, bytes: data } of readFields(bytes.subarray(pos, pos + headerLength))) {
+      if (field === 1) type = textDecoder.decode(data)
+      else if (field === 3) dataSize = value
+    }
+    pos += headerLength
+    const blob = bytes.subarray(pos, pos + dataSize)
+    pos += dataSize
+    if (type !== 'OSMData') continue
+
+    let block = null
+    for (const { field, bytes: data } of readFields(blob)) {
+      if (field === 1) block = data
+      else if (field === 3) block = inflate(data)
+    }
+    if (block) readPrimitiveBlock(block, result, inBox)
+  }
+  return result
+}
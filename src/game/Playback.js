@@ -0,0 +1,81 @@
+/**
+ * Playback.js
+ *
+ * Replays a simulated trip minute by minute. The event log from
+ * simulateRoute says when the van drives which road and where it stands
+ * still; here that is turned into a position on the map and the
+ * kilometers, costs and emissions accumulated up to a given minute.
+ *
+ * Within a road the van moves evenly from one end to the other, so the
+ * counters grow in proportion to the time spent on it.
+ */
+
+// What the van is doing during an event that takes time
+const ACTIVITIES = {
+  edge: 'drive',
+  arrive: 'stop',
+  reload: 'reload',
+  delay: 'delay'
+}
+
+// Minute when the last event of the trip ends
+export function getPlaybackDuration(events) {
+  return events.length > 0 ? events[events.length - 1].endMin : 0
+}
+
+/**
+ * State of one vehicle at minute timeMin.
+ *
+ * @param {Object[]} events - Event log from simulateRoute
+ * @param {number} timeMin - Minutes after the tour start
+ * @param {Object} nodesById - Node lookup map (coordinates)
+ * @returns {Object} { x, y, activity, nodeId, edgeId, km, costEur, co2Kg }
+ *   activity: 'start' | 'drive' | 'stop' | 'reload' | 'delay' | 'done'
+ */
+export function getPlaybackState(events, timeMin, nodesById) {
+  const totals = { km: 0, costEur: 0, co2Kg: 0 }
+  const addDrive = (event, share) => {
+    totals.km += event.lengthKm * share
+    totals.costEur += (event.costEur || 0) * share
+    totals.co2Kg += (event.co2Kg || 0) * share
+  }
+  const at = (nodeId, activity) => {
+    const node = nodesById[nodeId]
+    return { x: node?.x ?? 0, y: node?.y ?? 0, activity, nodeId, edgeId: null, ...totals }
+  }
+
+  const firstDrive = events.find(event => event.type === 'edge')
+  let lastNodeId = firstDrive ? firstDrive.fromId : events[0]?.nodeId
+  if (events.length === 0 || timeMin < events[0].timeMin) return at(lastNodeId, 'start')
+
+  for (const event of events) {
+    if (timeMin >= event.endMin) {
+      if (event.type === 'edge') {
+        addDrive(event, 1)
+        lastNodeId = event.toId
+      } else if (event.nodeId) {
+        lastNodeId = event.nodeId
+      }
+      continue
+    }
+    if (timeMin < event.timeMin) break
+
+    if (event.type !== 'edge') return at(event.nodeId, ACTIVITIES[event.type] || 'stop')
+
+    // On the road: part of the way between both ends
+    const share = (timeMin - event.timeMin) / (event.endMin - event.timeMin)
+    addDrive(event, share)
+    const from = nodesById[event.fromId]
+    const to = nodesById[event.toId]
+    return {
+      x: from.x + (to.x - from.x) * share,
+      y: from.y + (to.y - from.y) * share,
+      activity: 'drive',
+      nodeId: null,
+      edgeId: event.edgeId,
+      ...totals
+    }
+  }
+
+  return at(lastNodeId, timeMin >= getPlaybackDuration(events) ? 'done' : 'stop')
+}
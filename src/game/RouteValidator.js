@@ -3,6 +3,9 @@
  * Checks if routes are valid (capacity, time, completeness).
  */
 
+import { calculateSequenceLoad, fitsCapacity } from './LoadPlanner.js'
+import { getCustomerWindow, formatTimeWindow, TOUR_START_HOUR } from './TimeWindows.js'
+
 export function validateStopSequence(stopSequence, edges, vehicle, nodesById) {
   const messages = []
   let isValid = true
@@ -26,12 +29,22 @@ export function validateStopSequence(stopSequence, edges, vehicle, nodesById) {
     isValid = false
   }
   
-  if (stopSequence.length > vehicle.maxBoxes / 10) {
-    messages.push(`Too many stops for vehicle capacity`)
+  // Capacity: every trip between two depot visits has to fit into the van
+  const trips = [[]]
+  stopSequence.forEach(stopId => {
+    if (nodesById[stopId]?.type === 'depot') trips.push([])
+    else trips[trips.length - 1].push(stopId)
+  })
+  const tripLoads = trips.filter(trip => trip.length > 0).map(trip => calculateSequenceLoad(trip, nodesById))
+  const load = calculateSequenceLoad(stopSequence, nodesById)
+  
+  const overloaded = tripLoads.find(tripLoad => !fitsCapacity(tripLoad, vehicle))
+  if (overloaded) {
+    messages.push(`Vehicle overloaded: ${overloaded.boxes} boxes / ${overloaded.volumeM3.toFixed(2)} m³ on one trip (capacity ${vehicle.maxBoxes} boxes / ${vehicle.capacityM3} m³), reload at the depot`)
     isValid = false
   }
   
-  return { valid: isValid, messages, totalTimeMin, totalKm }
+  return { valid: isValid, messages, totalTimeMin, totalKm, load, tripLoads }
 }
 
 export function isRouteComplete(visitedAddresses, currentNode, depotId, totalAddresses = 18) {
@@ -41,12 +54,24 @@ export function isRouteComplete(visitedAddresses, currentNode, depotId, totalAdd
 }
 
 /**
- * Calculate time windows for stops based on their sequence
- * Distributes stops evenly across 3-hour window (7-10 AM)
+ * Calculate time windows for stops
+ * Customers with an own window (timeWindow in tourSetup.json) keep it.
+ * Without one, stops are distributed evenly across 3-hour window (7-10 AM)
  * 6 customers per hour: 1-6 (7-8), 7-12 (8-9), 13-18 (9-10)
  */
-export function calculateTimeWindows(stopSequence) {
+export function calculateTimeWindows(stopSequence, nodesById = null) {
   return stopSequence.map((stopId, idx) => {
+    const node = nodesById?.[stopId]
+    if (node?.timeWindow) {
+      const window = getCustomerWindow(node)
+      return {
+        id: stopId,
+        windowStart: TOUR_START_HOUR + window.start / 60,
+        windowEnd: TOUR_START_HOUR + window.end / 60,
+        windowDisplay: `${formatTimeWindow(window)} Uhr`
+      }
+    }
+    
     const stopNumber = idx + 1
     let windowStart, windowEnd
     
@@ -0,0 +1,323 @@
+import { BOX_VOLUME_M3 } from '../data/constants.js'
+import { nextId } from '../utils/nodeHelpers.js'
+import { clockToMinutes } from './TimeWindows.js'
+
+/**
+ * ScenarioEditor.js
+ *
+ * Editing steps of the map editor, independent of React. Every step takes
+ * the tour data and returns a new one - the old map stays untouched, so the
+ * editor can keep it for undo:
+ *
+ *   step(tourData, ...) → { tourData, error }
+ *
+ * A step that is not possible returns the unchanged map and a message.
+ * Road lengths follow the drawing: new and moved roads get their lengthKm
+ * from the pixel length and the map's scalePxPerKm.
+ *
+ * Customers and the depot sit on top of a road node (see ScenarioFile.js),
+ * so moving a node moves everything at its position along with it.
+ * Turn restrictions name roads by ID: removed roads take them along,
+ * split roads hand them on to the half that still ends at the node.
+ */
+
+// Steps the editor keeps for undo
+export const MAX_HISTORY = 100
+
+// New customers start with these (also imported ones without own values)
+export const DEFAULT_TIME_WINDOW = { start: '07:00', end: '09:00' }
+export const DEFAULT_BOXES = 15
+const ID_PREFIXES = { address: 'A', junction: 'J', mid: 'M' }
+
+// ---- Undo / redo ----
+
+export function createHistory(tourData) {
+  return { past: [], present: tourData, future: [] }
+}
+
+// New state after an edit; redo is gone from here on
+export function commitHistory(history, tourData) {
+  if (tourData === history.present) return history
+  return { past: [...history.past, history.present].slice(-MAX_HISTORY), present: tourData, future: [] }
+}
+
+export function undoHistory(history) {
+  if (history.past.length === 0) return history
+  return { past: history.past.slice(0, -1), present: history.past[history.past.length - 1], future: [history.present, ...history.future] }
+}
+
+export function redoHistory(history) {
+  if (history.future.length === 0) return history
+  return { past: [...history.past, history.present], present: history.future[0], future: history.future.slice(1) }
+}
+
+// ---- Helpers ----
+
+// Road length in km as drawn
+export function edgeLengthKm(nodeA, nodeB, scalePxPerKm) {
+  return Number((Math.hypot(nodeA.x - nodeB.x, nodeA.y - nodeB.y) / scalePxPerKm).toFixed(3))
+}
+
+const isRoadNode = (node) => node && node.type !== 'address'
+const samePosition = (a, b) => a.x === b.x && a.y === b.y
+const findNode = (tourData, nodeId) => tourData.nodes.find(n => n.id === nodeId)
+const unchanged = (tourData, error) => ({ tourData, error })
+
+// Nodes without the turn restrictions that name one of the given roads
+function dropTurnRestrictions(nodes, edgeIds) {
+  return nodes.map(node => {
+    if (!node.turnRestrictions?.some(turn => edgeIds.has(turn.from) || edgeIds.has(turn.to))) return node
+    const { turnRestrictions, ...rest } = node
+    const kept = turnRestrictions.filter(turn => !edgeIds.has(turn.from) && !edgeIds.has(turn.to))
+    return kept.length > 0 ? { ...rest, turnRestrictions: kept } : rest
+  })
+}
+
+function clampToCanvas(tourData, x, y) {
+  const { width, height } = tourData.canvas
+  return {
+    x: Math.round(Math.min(width, Math.max(0, x))),
+    y: Math.round(Math.min(height, Math.max(0, y)))
+  }
+}
+
+// ---- Nodes ----
+
+/**
+ * Adds a junction or mid node at a free spot.
+ *
+ * @returns {Object} { tourData, nodeId, error }
+ */
+export function addRoadNode(tourData, type, x, y) {
+  const nodeId = nextId(ID_PREFIXES[type], tourData.nodes.map(n => n.id))
+  const node = { id: nodeId, type, ...clampToCanvas(tourData, x, y) }
+  return { tourData: { ...tourData, nodes: [...tourData.nodes, node] }, nodeId, error: null }
+}
+
+/**
+ * Puts a new node onto a road: the road is split in two at the point
+ * closest to (x, y). Both halves keep a construction zone.
+ *
+ * @returns {Object} { tourData, nodeId, error }
+ */
+export function splitEdge(tourData, edgeId, type, x, y) {
+  const edge = tourData.edges.find(e => e.id === edgeId)
+  if (!edge) return { ...unchanged(tourData, `Straße ${edgeId} gibt es nicht.`), nodeId: null }
+  const a = findNode(tourData, edge.a)
+  const b = findNode(tourData, edge.b)
+
+  // Closest point on the road, not too close to its ends
+  const dx = b.x - a.x
+  const dy = b.y - a.y
+  const lengthSq = dx * dx + dy * dy
+  const t = lengthSq === 0 ? 0.5 : Math.min(0.9, Math.max(0.1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq))
+  const added = addRoadNode(tourData, type, a.x + t * dx, a.y + t * dy)
+  const node = findNode(added.tourData, added.nodeId)
+
+  const { scalePxPerKm } = tourData.canvas
+  const secondId = nextId('E', tourData.edges.map(e => e.id))
+  const first = { ...edge, b: node.id, lengthKm: edgeLengthKm(a, node, scalePxPerKm) }
+  const second = { ...edge, id: secondId, a: node.id, lengthKm: edgeLengthKm(node, b, scalePxPerKm) }
+  const edges = tourData.edges.flatMap(e => (e.id === edgeId ? [first, second] : [e]))
+
+  // At the far end the road is now the second half
+  const rename = (id) => (id === edgeId ? secondId : id)
+  const nodes = added.tourData.nodes.map(n => (n.id === b.id && n.turnRestrictions
+    ? { ...n, turnRestrictions: n.turnRestrictions.map(turn => ({ from: rename(turn.from), to: rename(turn.to) })) }
+    : n))
+
+  return { tourData: { ...added.tourData, nodes, edges }, nodeId: node.id, error: null }
+}
+
+/**
+ * Moves a node and everything at its position (customers, depot) and
+ * measures the roads at that position again.
+ */
+export function moveNode(tourData, nodeId, x, y) {
+  const node = findNode(tourData, nodeId)
+  if (!node) return unchanged(tourData, `Knoten ${nodeId} gibt es nicht.`)
+
+  const target = clampToCanvas(tourData, x, y)
+  const movedIds = new Set(tourData.nodes.filter(n => samePosition(n, node)).map(n => n.id))
+  const nodes = tourData.nodes.map(n => (movedIds.has(n.id) ? { ...n, ...target } : n))
+
+  const byId = Object.fromEntries(nodes.map(n => [n.id, n]))
+  const { scalePxPerKm } = tourData.canvas
+  const edges = tourData.edges.map(e => (movedIds.has(e.a) || movedIds.has(e.b)
+    ? { ...e, lengthKm: edgeLengthKm(byId[e.a], byId[e.b], scalePxPerKm) }
+    : e))
+
+  return { tourData: { ...tourData, nodes, edges }, error: null }
+}
+
+/**
+ * Removes a node with its roads. A road node takes the customers on top
+ * of it along, unless another road node at the same spot still carries
+ * them. The depot stays.
+ */
+export function deleteNode(tourData, nodeId) {
+  const node = findNode(tourData, nodeId)
+  if (!node) return unchanged(tourData, `Knoten ${nodeId} gibt es nicht.`)
+  if (node.type === 'depot') return unchanged(tourData, 'Das Depot kann nicht gelöscht werden.')
+
+  const removedIds = new Set([nodeId])
+  if (isRoadNode(node)) {
+    const here = tourData.nodes.filter(n => n.id !== nodeId && samePosition(n, node))
+    if (here.some(n => n.type === 'depot') && !here.some(n => n.type !== 'address' && n.type !== 'depot')) {
+      return unchanged(tourData, 'Auf diesem Knoten steht das Depot.')
+    }
+    if (!here.some(isRoadNode)) here.forEach(n => removedIds.add(n.id))
+  }
+
+  const removedEdgeIds = new Set(tourData.edges.filter(e => removedIds.has(e.a) || removedIds.has(e.b)).map(e => e.id))
+  return {
+    tourData: {
+      ...tourData,
+      nodes: dropTurnRestrictions(tourData.nodes.filter(n => !removedIds.has(n.id)), removedEdgeIds),
+      edges: tourData.edges.filter(e => !removedEdgeIds.has(e.id))
+    },
+    error: null
+  }
+}
+
+// ---- Roads ----
+
+/**
+ * Draws a road between two road nodes.
+ *
+ * @returns {Object} { tourData, edgeId, error }
+ */
+export function addEdge(tourData, fromId, toId) {
+  const from = findNode(tourData, fromId)
+  const to = findNode(tourData, toId)
+  const fail = (error) => ({ tourData, edgeId: null, error })
+
+  if (!isRoadNode(from) || !isRoadNode(to)) return fail('Straßen verbinden nur Kreuzungen, Zwischenpunkte und das Depot.')
+  if (fromId === toId || samePosition(from, to)) return fail('Anfang und Ende der Straße liegen an derselben Stelle.')
+  if (tourData.edges.some(e => (e.a === fromId && e.b === toId) || (e.a === toId && e.b === fromId))) {
+    return fail('Diese Straße gibt es schon.')
+  }
+
+  const edgeId = nextId('E', tourData.edges.map(e => e.id))
+  const edge = { id: edgeId, a: fromId, b: toId, lengthKm: edgeLengthKm(from, to, tourData.canvas.scalePxPerKm) }
+  return { tourData: { ...tourData, edges: [...tourData.edges, edge] }, edgeId, error: null }
+}
+
+export function deleteEdge(tourData, edgeId) {
+  if (!tourData.edges.some(e => e.id === edgeId)) return unchanged(tourData, `Straße ${edgeId} gibt es nicht.`)
+  return {
+    tourData: {
+      ...tourData,
+      nodes: dropTurnRestrictions(tourData.nodes, new Set([edgeId])),
+      edges: tourData.edges.filter(e => e.id !== edgeId)
+    },
+    error: null
+  }
+}
+
+// Construction zone on / off
+export function toggleBlocked(tourData, edgeId) {
+  if (!tourData.edges.some(e => e.id === edgeId)) return unchanged(tourData, `Straße ${edgeId} gibt es nicht.`)
+  const edges = tourData.edges.map(e => {
+    if (e.id !== edgeId) return e
+    if (!e.blocked) return { ...e, blocked: true }
+    const { blocked, ...open } = e
+    return open
+  })
+  return { tourData: { ...tourData, edges }, error: null }
+}
+
+/**
+ * Makes a road a one-way street towards one of its ends (a and b are
+ * swapped if needed). A road that is already one-way towards that end
+ * can be driven both ways again.
+ */
+export function setOneway(tourData, edgeId, towardNodeId) {
+  const edge = tourData.edges.find(e => e.id === edgeId)
+  if (!edge) return unchanged(tourData, `Straße ${edgeId} gibt es nicht.`)
+  if (edge.a !== towardNodeId && edge.b !== towardNodeId) return unchanged(tourData, `Straße ${edgeId} endet nicht an ${towardNodeId}.`)
+
+  let updated
+  if (edge.oneway && edge.b === towardNodeId) {
+    const { oneway, ...twoWay } = edge
+    updated = twoWay
+  } else {
+    updated = edge.b === towardNodeId ? { ...edge, oneway: true } : { ...edge, a: edge.b, b: edge.a, oneway: true }
+  }
+  return { tourData: { ...tourData, edges: tourData.edges.map(e => (e.id === edgeId ? updated : e)) }, error: null }
+}
+
+/**
+ * Forbids turning from one road onto another at a node, or allows it again.
+ * Only at road nodes without customer or depot (see ScenarioFile.js).
+ */
+export function toggleTurnRestriction(tourData, nodeId, fromEdgeId, toEdgeId) {
+  const node = findNode(tourData, nodeId)
+  if (!isRoadNode(node) || node.type === 'depot') return unchanged(tourData, 'Abbiegeverbote gelten an Kreuzungen und Zwischenpunkten.')
+  if (tourData.nodes.some(n => (n.type === 'address' || n.type === 'depot') && samePosition(n, node))) {
+    return unchanged(tourData, 'Abbiegeverbote gibt es nur an Knoten ohne Kunden und Depot.')
+  }
+  const atNode = (edgeId) => tourData.edges.some(e => e.id === edgeId && (e.a === nodeId || e.b === nodeId))
+  if (!atNode(fromEdgeId) || !atNode(toEdgeId)) return unchanged(tourData, 'Beide Straßen müssen an diesem Knoten enden.')
+
+  const turns = node.turnRestrictions || []
+  const isForbidden = turns.some(turn => turn.from === fromEdgeId && turn.to === toEdgeId)
+  const kept = isForbidden
+    ? turns.filter(turn => turn.from !== fromEdgeId || turn.to !== toEdgeId)
+    : [...turns, { from: fromEdgeId, to: toEdgeId }]
+  const { turnRestrictions, ...rest } = node
+  const updated = kept.length > 0 ? { ...rest, turnRestrictions: kept } : rest
+  return { tourData: { ...tourData, nodes: tourData.nodes.map(n => (n.id === nodeId ? updated : n)) }, error: null }
+}
+
+// ---- Customers ----
+
+/**
+ * Places a new customer on a road node, with a default window and demand.
+ *
+ * @returns {Object} { tourData, nodeId, error }
+ */
+export function placeCustomer(tourData, roadNodeId) {
+  const spot = findNode(tourData, roadNodeId)
+  const fail = (error) => ({ tourData, nodeId: null, error })
+  if (!isRoadNode(spot)) return fail('Kunden stehen auf einer Kreuzung oder einem Zwischenpunkt.')
+  if (spot.type === 'depot') return fail('Am Depot gibt es keine Kunden.')
+  if (spot.turnRestrictions?.length) return fail('An Knoten mit Abbiegeverbot gibt es keine Kunden.')
+  if (tourData.nodes.some(n => n.type === 'address' && samePosition(n, spot))) return fail('Hier steht schon ein Kunde.')
+
+  const nodeId = nextId(ID_PREFIXES.address, tourData.nodes.map(n => n.id))
+  const customer = {
+    id: nodeId,
+    type: 'address',
+    x: spot.x,
+    y: spot.y,
+    label: nodeId,
+    timeWindow: { ...DEFAULT_TIME_WINDOW },
+    demand: { boxes: DEFAULT_BOXES, volumeM3: Number((DEFAULT_BOXES * BOX_VOLUME_M3).toFixed(2)) }
+  }
+  return { tourData: { ...tourData, nodes: [...tourData.nodes, customer] }, nodeId, error: null }
+}
+
+/**
+ * Changes a customer's delivery window and number of crates.
+ *
+ * @param {Object} changes - { timeWindow: { start, end } as "HH:MM", boxes }
+ */
+export function updateCustomer(tourData, addressId, { timeWindow, boxes }) {
+  const customer = findNode(tourData, addressId)
+  if (!customer || customer.type !== 'address') return unchanged(tourData, `Kunde ${addressId} gibt es nicht.`)
+
+  const isClock = (value) => typeof value === 'string' && /^\d{2}:\d{2}$/.test(value)
+  if (!isClock(timeWindow.start) || !isClock(timeWindow.end)) return unchanged(tourData, 'Zeitfenster im Format HH:MM angeben.')
+  if (clockToMinutes(timeWindow.end) <= clockToMinutes(timeWindow.start)) {
+    return unchanged(tourData, 'Das Zeitfenster muss nach seinem Beginn enden.')
+  }
+  if (!Number.isInteger(boxes) || boxes < 1) return unchanged(tourData, 'Die Liefermenge ist mindestens eine Kiste.')
+
+  const updated = {
+    ...customer,
+    timeWindow: { start: timeWindow.start, end: timeWindow.end },
+    demand: { boxes, volumeM3: Number((boxes * BOX_VOLUME_M3).toFixed(2)) }
+  }
+  return { tourData: { ...tourData, nodes: tourData.nodes.map(n => (n.id === addressId ? updated : n)) }, error: null }
+}
@@ -0,0 +1,302 @@
+/**
+ * ScenarioFile.js
+ *
+ * Scenario files let trainers hand out their own exercises: a map with
+ * customers, time windows, construction zones and the baseline the ESG
+ * score compares against, saved as JSON and loaded in the game.
+ *
+ * File format (version 1, see README "Szenario-Dateien"):
+ *
+ *   {
+ *     "format": "tourplaner-szenario",   optional
+ *     "version": 1,                       optional
+ *     "canvas": { "width": 960, "height": 640, "scalePxPerKm": 110 },
+ *     "nodes": [
+ *       { "id": "N00", "type": "depot", "x": 180, "y": 80, "label": "LAGER" },
+ *       { "id": "K01", "type": "junction", "x": 80, "y": 80 },
+ *       { "id": "A01", "type": "address", "x": 280, "y": 80,
+ *         "timeWindow": { "start": "07:00", "end": "08:00" },
+ *         "demand": { "boxes": 14, "volumeM3": 0.49 } }
+ *     ],
+ *     "edges": [{ "id": "E001", "a": "K01", "b": "K02", "lengthKm": 0.7, "blocked": false }],
+ *     "baseline": { "deliveryRate": 0.85, "totalDistance": 27, "totalCost": 283.28, "co2Emissions": 6.534 }
+ *   }
+ *
+ * Node types are depot (exactly one), junction, mid and address. Roads
+ * connect road nodes; customers and the depot sit on a road node with the
+ * same coordinates. Time window, demand, label, baseline and the road flags
+ * blocked, isMainRoad and oneway (drive from a to b only) are optional. A
+ * road node without customer or depot may forbid turns:
+ * "turnRestrictions": [{ "from": "E001", "to": "E002" }] with two of its
+ * roads. The bundled tourSetup.json is a valid scenario file.
+ *
+ * Problems are returned as a list of German messages for the player,
+ * nothing here throws.
+ */
+
+export const SCENARIO_FILE_FORMAT = 'tourplaner-szenario'
+export const SCENARIO_FILE_VERSION = 1
+
+const NODE_TYPES = ['depot', 'junction', 'mid', 'address']
+const BASELINE_FIELDS = ['deliveryRate', 'totalDistance', 'totalCost', 'co2Emissions']
+// Optional true/false road properties: construction zone, main road (traffic), one-way street
+const EDGE_FLAGS = ['blocked', 'isMainRoad', 'oneway']
+const CLOCK_PATTERN = /^\d{1,2}:\d{2}$/
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0
+const isPositive = (value) => isNonNegative(value) && value > 0
+const clockMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+function validateCanvas(canvas, errors) {
+  if (!isObject(canvas)) {
+    errors.push('„canvas“ fehlt (Breite, Höhe und Maßstab der Karte).')
+    return
+  }
+  for (const field of ['width', 'height', 'scalePxPerKm']) {
+    if (!isPositive(canvas[field])) errors.push(`canvas.${field} muss eine positive Zahl sein.`)
+  }
+}
+
+function validateAddress(node, errors) {
+  if (node.timeWindow !== undefined) {
+    const { start, end } = isObject(node.timeWindow) ? node.timeWindow : {}
+    if (!CLOCK_PATTERN.test(start ?? '') || !CLOCK_PATTERN.test(end ?? '')) {
+      errors.push(`Adresse ${node.id}: Zeitfenster braucht start und end als Uhrzeit wie "08:30".`)
+    } else if (clockMinutes(start) >= clockMinutes(end)) {
+      errors.push(`Adresse ${node.id}: Zeitfenster endet nicht nach dem Beginn (${start}–${end}).`)
+    }
+  }
+  if (node.demand !== undefined) {
+    const { boxes, volumeM3 } = isObject(node.demand) ? node.demand : {}
+    if (!Number.isInteger(boxes) || boxes < 0 || !isNonNegative(volumeM3)) {
+      errors.push(`Adresse ${node.id}: Liefermenge braucht boxes (ganze Zahl) und volumeM3 (Zahl ≥ 0).`)
+    }
+  }
+}
+
+function validateNodes(nodes, canvas, errors) {
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    errors.push('„nodes“ fehlt oder ist leer.')
+    return []
+  }
+  const seen = new Set()
+  const valid = []
+  nodes.forEach((node, index) => {
+    if (!isObject(node) || typeof node.id !== 'string' || node.id === '') {
+      errors.push(`Knoten Nr. ${index + 1} hat keine ID.`)
+      return
+    }
+    if (seen.has(node.id)) errors.push(`Knoten-ID ${node.id} ist doppelt vergeben.`)
+    seen.add(node.id)
+    if (!NODE_TYPES.includes(node.type)) {
+      errors.push(`Knoten ${node.id}: unbekannter Typ "${node.type}" (erlaubt: ${NODE_TYPES.join(', ')}).`)
+    }
+    if (typeof node.x !== 'number' || typeof node.y !== 'number' || !Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+      errors.push(`Knoten ${node.id}: x und y müssen Zahlen sein.`)
+      return
+    }
+    if (isObject(canvas) && (node.x < 0 || node.y < 0 || node.x > canvas.width || node.y > canvas.height)) {
+      errors.push(`Knoten ${node.id} liegt außerhalb der Karte (${node.x}, ${node.y}).`)
+    }
+    if (node.type === 'address') validateAddress(node, errors)
+    valid.push(node)
+  })
+
+  const depots = nodes.filter(n => isObject(n) && n.type === 'depot')
+  if (depots.length === 0) errors.push('Es gibt kein Depot (Knoten mit type "depot").')
+  if (depots.length > 1) errors.push(`Es gibt ${depots.length} Depots, erlaubt ist genau eines.`)
+  if (!nodes.some(n => isObject(n) && n.type === 'address')) errors.push('Es gibt keine Kunden (Knoten mit type "address").')
+  return valid
+}
+
+function validateEdges(edges, nodesById, errors) {
+  if (!Array.isArray(edges) || edges.length === 0) {
+    errors.push('„edges“ fehlt oder ist leer.')
+    return []
+  }
+  const seen = new Set()
+  const valid = []
+  edges.forEach((edge, index) => {
+    if (!isObject(edge) || typeof edge.id !== 'string' || edge.id === '') {
+      errors.push(`Straße Nr. ${index + 1} hat keine ID.`)
+      return
+    }
+    if (seen.has(edge.id)) errors.push(`Straßen-ID ${edge.id} ist doppelt vergeben.`)
+    seen.add(edge.id)
+    const dangling = [edge.a, edge.b].filter(id => !nodesById.has(id))
+    dangling.forEach(id => errors.push(`Straße ${edge.id} endet an einem unbekannten Knoten (${id}).`))
+    if (edge.a === edge.b) errors.push(`Straße ${edge.id} beginnt und endet am selben Knoten.`)
+    if (!isPositive(edge.lengthKm)) errors.push(`Straße ${edge.id}: lengthKm muss größer als 0 sein.`)
+    EDGE_FLAGS.forEach(flag => {
+      if (edge[flag] !== undefined && typeof edge[flag] !== 'boolean') {
+        errors.push(`Straße ${edge.id}: ${flag} muss true oder false sein.`)
+      }
+    })
+    const endpoints = [nodesById.get(edge.a), nodesById.get(edge.b)]
+    if (endpoints.some(n => n?.type === 'address')) {
+      errors.push(`Straße ${edge.id} führt zu einer Adresse; Adressen liegen auf einem Straßenknoten.`)
+    }
+    if (dangling.length === 0 && edge.a !== edge.b) valid.push(edge)
+  })
+  return valid
+}
+
+// Nodes the depot reaches over open roads (or, backwards, that reach the depot);
+// nodes at the same position count as one place. One-way streets count in their
+// direction, turn restrictions are left out.
+function reachableFromDepot(nodes, edges, backwards = false) {
+  const atPosition = new Map()
+  nodes.forEach(n => {
+    const key = `${n.x}:${n.y}`
+    if (!atPosition.has(key)) atPosition.set(key, [])
+    atPosition.get(key).push(n.id)
+  })
+  const positionOf = new Map(nodes.map(n => [n.id, `${n.x}:${n.y}`]))
+  const neighbors = new Map()
+  const connect = (from, to) => {
+    if (!neighbors.has(from)) neighbors.set(from, [])
+    neighbors.get(from).push(to)
+  }
+  edges.filter(e => !e.blocked).forEach(e => {
+    if (!e.oneway || !backwards) connect(e.a, e.b)
+    if (!e.oneway || backwards) connect(e.b, e.a)
+  })
+
+  const depot = nodes.find(n => n.type === 'depot')
+  const seen = new Set()
+  const queue = [depot.id]
+  while (queue.length > 0) {
+    const id = queue.shift()
+    if (seen.has(id)) continue
+    seen.add(id)
+    const next = [...(atPosition.get(positionOf.get(id)) || []), ...(neighbors.get(id) || [])]
+    next.forEach(n => { if (!seen.has(n)) queue.push(n) })
+  }
+  return seen
+}
+
+function validateNetwork(nodes, edges, errors) {
+  const roadNodeIds = new Set(edges.flatMap(e => [e.a, e.b]))
+  const onRoad = new Set(nodes.filter(n => roadNodeIds.has(n.id)).map(n => `${n.x}:${n.y}`))
+  const offRoad = nodes.filter(n => (n.type === 'address' || n.type === 'depot') && !onRoad.has(`${n.x}:${n.y}`))
+  offRoad.forEach(n => errors.push(`${n.type === 'depot' ? 'Depot' : 'Adresse'} ${n.id} liegt auf keinem Straßenknoten.`))
+  if (offRoad.length > 0 || !nodes.some(n => n.type === 'depot')) return
+
+  const list = (ids) => (ids.length > 8 ? `${ids.slice(0, 8).join(', ')} und ${ids.length - 8} weitere` : ids.join(', '))
+  const relevant = nodes.filter(n => n.type === 'address' || roadNodeIds.has(n.id))
+  const reachable = reachableFromDepot(nodes, edges)
+  const unreachable = relevant.filter(n => !reachable.has(n.id))
+  if (unreachable.length > 0) {
+    errors.push(`Das Straßennetz ist nicht zusammenhängend: Vom Depot aus nicht erreichbar (ohne gesperrte Straßen): ${list(unreachable.map(n => n.id))}.`)
+  }
+  const returning = reachableFromDepot(nodes, edges, true)
+  const noWayBack = relevant.filter(n => reachable.has(n.id) && !returning.has(n.id))
+  if (noWayBack.length > 0) {
+    errors.push(`Einbahnstraßen ohne Rückweg: Von hier führt keine Straße zurück zum Depot: ${list(noWayBack.map(n => n.id))}.`)
+  }
+}
+
+// Forbidden turns: two roads of the node, and no customer or depot there (a tour may turn anywhere at a stop)
+function validateTurnRestrictions(nodes, edges, errors) {
+  const edgesById = new Map(edges.map(e => [e.id, e]))
+  nodes.filter(n => n.turnRestrictions !== undefined).forEach(node => {
+    if (!Array.isArray(node.turnRestrictions)) {
+      errors.push(`Knoten ${node.id}: turnRestrictions muss eine Liste sein.`)
+      return
+    }
+    if (nodes.some(n => (n.type === 'address' || n.type === 'depot') && n.x === node.x && n.y === node.y)) {
+      errors.push(`Knoten ${node.id}: Abbiegeverbote gibt es nur an Knoten ohne Kunden und Depot.`)
+      return
+    }
+    node.turnRestrictions.forEach(turn => {
+      const atNode = (id) => {
+        const edge = edgesById.get(id)
+        return edge && (edge.a === node.id || edge.b === node.id)
+      }
+      if (!isObject(turn) || !atNode(turn.from) || !atNode(turn.to)) {
+        errors.push(`Knoten ${node.id}: Ein Abbiegeverbot braucht from und to, zwei Straßen an diesem Knoten.`)
+      }
+    })
+  })
+}
+
+function validateBaseline(baseline, errors) {
+  if (baseline === undefined) return
+  if (!isObject(baseline)) {
+    errors.push('„baseline“ muss ein Objekt sein.')
+    return
+  }
+  BASELINE_FIELDS.forEach(field => {
+    if (!isNonNegative(baseline[field])) errors.push(`baseline.${field} muss eine Zahl ≥ 0 sein.`)
+  })
+  if (isNonNegative(baseline.deliveryRate) && baseline.deliveryRate > 1) {
+    errors.push('baseline.deliveryRate ist ein Anteil zwischen 0 und 1 (0.85 = 85 %).')
+  }
+}
+
+/**
+ * Checks a scenario against the file format.
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {string[]} Error messages, empty if the scenario can be played
+ */
+export function validateScenario(data) {
+  if (!isObject(data)) return ['Die Datei enthält kein Szenario-Objekt.']
+  const errors = []
+  if (data.format !== undefined && data.format !== SCENARIO_FILE_FORMAT) {
+    errors.push(`Unbekanntes Dateiformat "${data.format}" (erwartet: ${SCENARIO_FILE_FORMAT}).`)
+  }
+  if (data.version !== undefined && !(Number.isInteger(data.version) && data.version >= 1 && data.version <= SCENARIO_FILE_VERSION)) {
+    errors.push(`Version ${data.version} wird nicht unterstützt (bis ${SCENARIO_FILE_VERSION}).`)
+  }
+  validateCanvas(data.canvas, errors)
+  const nodes = validateNodes(data.nodes, data.canvas, errors)
+  const edges = validateEdges(data.edges, new Map(nodes.map(n => [n.id, n])), errors)
+  validateTurnRestrictions(nodes, edges, errors)
+  if (errors.length === 0) validateNetwork(nodes, edges, errors)
+  validateBaseline(data.baseline, errors)
+  return errors
+}
+
+/**
+ * Reads a scenario file.
+ *
+ * @param {string} text - File content
+ * @returns {Object} { tourData, baseline, errors } - tourData { canvas, nodes, edges } and
+ *   baseline (null if the file has none) only when errors is empty
+ */
+export function parseScenarioFile(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    return { tourData: null, baseline: null, errors: [`Keine gültige JSON-Datei: ${error.message}`] }
+  }
+  const errors = validateScenario(data)
+  if (errors.length > 0) return { tourData: null, baseline: null, errors }
+  const { canvas, nodes, edges, baseline = null } = data
+  return { tourData: { canvas, nodes, edges }, baseline, errors }
+}
+
+/**
+ * Scenario file content for a map and its baseline.
+ *
+ * @param {Object} tourData - { canvas, nodes, edges }
+ * @param {Object|null} baseline - Reference values of the ESG score
+ * @returns {string} JSON that parseScenarioFile reads back unchanged
+ */
+export function serializeScenario(tourData, baseline = null) {
+  const file = {
+    format: SCENARIO_FILE_FORMAT,
+    version: SCENARIO_FILE_VERSION,
+    canvas: tourData.canvas,
+    nodes: tourData.nodes,
+    edges: tourData.edges
+  }
+  if (baseline) file.baseline = baseline
+  return JSON.stringify(file, null, 2)
+}
@@ -0,0 +1,249 @@
+/**
+ * ScenarioGenerator.js
+ *
+ * Builds a new map in the tourSetup format: a street skeleton of
+ * polylines (three east-west, three north-south and two diagonal streets),
+ * junctions where streets share a point, extra mid nodes along the
+ * streets, customers with time window and demand, and construction zones.
+ *
+ * Everything random comes from the seed, so the same parameters always
+ * give the same map. The skeleton is laid out for 960 × 640 px and
+ * stretched to the requested canvas size.
+ *
+ * Used by the "Neues Szenario" screen and by `npm run build:tour`.
+ */
+
+import { SCALE_PX_PER_KM, BOX_VOLUME_M3 } from '../data/constants.js'
+
+export const SCENARIO_PARAMS = [
+  { id: 'seed', label: 'Seed', min: 1, max: 999999, step: 1, default: 42 },
+  { id: 'addressCount', label: 'Kunden', min: 2, max: 40, step: 1, default: 18 },
+  { id: 'midCount', label: 'Zwischenpunkte', min: 0, max: 150, step: 5, default: 50 },
+  { id: 'blockedCount', label: 'Baustellen', min: 0, max: 12, step: 1, default: 4 },
+  { id: 'width', label: 'Breite (px)', min: 480, max: 1920, step: 10, default: 960 },
+  { id: 'height', label: 'Höhe (px)', min: 320, max: 1280, step: 10, default: 640 }
+]
+
+const SKELETON_WIDTH = 960
+const SKELETON_HEIGHT = 640
+const MIN_BOXES = 8
+const MAX_BOXES = 26
+const MIN_BLOCKED_KM = 0.2
+
+// Delivery windows customers can ask for (1-2 hours within the morning)
+const TIME_WINDOWS = [
+  ['07:00', '08:00'], ['07:00', '08:30'], ['07:00', '09:00'], ['07:30', '09:00'],
+  ['07:30', '09:30'], ['08:00', '09:30'], ['08:00', '10:00'], ['08:30', '10:00'],
+  ['09:00', '10:00']
+]
+
+// lock: point shared with crossing streets (junction), otherwise a mid node
+const lock = (x, y) => ({ x, y, lock: true })
+const SKELETON = [
+  // East-west
+  [{ x: 70, y: 140 }, lock(240, 150), { x: 420, y: 155 }, lock(610, 150), { x: 880, y: 140 }],
+  [{ x: 40, y: 320 }, lock(240, 320), lock(480, 320), lock(720, 320), { x: 920, y: 320 }],
+  [{ x: 90, y: 510 }, lock(260, 500), { x: 430, y: 505 }, lock(650, 500), { x: 890, y: 510 }],
+  // North-south
+  [{ x: 200, y: 70 }, lock(200, 200), lock(200, 360), { x: 200, y: 560 }],
+  [{ x: 480, y: 60 }, lock(480, 200), lock(480, 320), lock(480, 480), { x: 480, y: 600 }],
+  [{ x: 760, y: 80 }, lock(760, 220), lock(760, 360), { x: 760, y: 560 }],
+  // Diagonals (mostly visual crossings without a junction)
+  [{ x: 120, y: 560 }, { x: 260, y: 420 }, lock(380, 320), { x: 600, y: 200 }, { x: 840, y: 110 }],
+  [{ x: 130, y: 120 }, lock(310, 250), { x: 540, y: 360 }, lock(760, 460), { x: 900, y: 560 }]
+]
+const DEPOT_POINT = { x: 480, y: 320 } // Where the middle streets cross
+const SNAP_PX = 3 // Crossings this close to a street node use that node
+const MIN_SPLIT_PX = 16 // Shorter segments get no further mid node
+
+// Linear congruential generator, values in [0, 1)
+function createLcg(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (1664525 * state + 1013904223) >>> 0
+    return state / 0x100000000
+  }
+}
+
+// Where segment a1-a2 crosses b1-b2: positions ta/tb along both (0..1), null if they miss
+function segmentCrossing(a1, a2, b1, b2) {
+  const dax = a2.x - a1.x
+  const day = a2.y - a1.y
+  const dbx = b2.x - b1.x
+  const dby = b2.y - b1.y
+  const denominator = dax * dby - day * dbx
+  if (denominator === 0) return null
+  const ta = ((b1.x - a1.x) * dby - (b1.y - a1.y) * dbx) / denominator
+  const tb = ((b1.x - a1.x) * day - (b1.y - a1.y) * dax) / denominator
+  if (ta < 0 || ta > 1 || tb < 0 || tb > 1) return null
+  return { ta, tb, x: a1.x + ta * dax, y: a1.y + ta * day }
+}
+
+// First crossing of two streets that does not have a shared node yet
+function findOpenCrossing(streets) {
+  for (let s = 0; s < streets.length; s++) {
+    for (let t = s + 1; t < streets.length; t++) {
+      for (let i = 0; i < streets[s].length - 1; i++) {
+        for (let j = 0; j < streets[t].length - 1; j++) {
+          const a = [streets[s][i], streets[s][i + 1]]
+          const b = [streets[t][j], streets[t][j + 1]]
+          const crossing = segmentCrossing(a[0], a[1], b[0], b[1])
+          if (!crossing) continue
+          const snapA = SNAP_PX / Math.hypot(a[1].x - a[0].x, a[1].y - a[0].y)
+          const snapB = SNAP_PX / Math.hypot(b[1].x - b[0].x, b[1].y - b[0].y)
+          const node = crossing.ta <= snapA ? a[0] : crossing.ta >= 1 - snapA ? a[1]
+            : crossing.tb <= snapB ? b[0] : crossing.tb >= 1 - snapB ? b[1] : null
+          if (node && a.includes(node) && b.includes(node)) continue
+          return { ...crossing, node, inserts: [[s, i, a], [t, j, b]] }
+        }
+      }
+    }
+  }
+  return null
+}
+
+// Parameters ready for generateScenario: defaults for missing values, clamped to the range
+export function resolveScenarioParams(params = {}) {
+  const resolved = {}
+  for (const param of SCENARIO_PARAMS) {
+    const value = params[param.id] === '' ? NaN : Number(params[param.id] ?? param.default)
+    resolved[param.id] = Number.isNaN(value)
+      ? param.default
+      : Math.round(Math.min(param.max, Math.max(param.min, value)))
+  }
+  return resolved
+}
+
+// Are all nodes that touch a road still connected without the blocked roads?
+function isConnected(nodes, edges) {
+  const neighbors = new Map()
+  edges.filter(e => !e.blocked).forEach(e => {
+    if (!neighbors.has(e.a)) neighbors.set(e.a, [])
+    if (!neighbors.has(e.b)) neighbors.set(e.b, [])
+    neighbors.get(e.a).push(e.b)
+    neighbors.get(e.b).push(e.a)
+  })
+  const roadNodes = nodes.filter(n => n.type !== 'address')
+  const seen = new Set([roadNodes[0].id])
+  const queue = [roadNodes[0].id]
+  while (queue.length > 0) {
+    for (const next of neighbors.get(queue.shift()) || []) {
+      if (!seen.has(next)) {
+        seen.add(next)
+        queue.push(next)
+      }
+    }
+  }
+  return roadNodes.every(n => seen.has(n.id))
+}
+
+/**
+ * @param {Object} params - See SCENARIO_PARAMS, missing ones use the default
+ * @returns {Object} Tour data { canvas, nodes, edges } like tourSetup.json.
+ *   Customers sit exactly on a junction or mid node (same coordinates).
+ */
+export function generateScenario(params = {}) {
+  const { seed, addressCount, midCount, blockedCount, width, height } = resolveScenarioParams(params)
+  const random = createLcg(seed)
+  const scaleX = width / SKELETON_WIDTH
+  const scaleY = height / SKELETON_HEIGHT
+  const jitter = (value, amplitude) => Math.round(value + (random() * 2 - 1) * amplitude)
+  const shuffled = (items) => {
+    const result = [...items]
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1))
+      ;[result[i], result[j]] = [result[j], result[i]]
+    }
+    return result
+  }
+
+  const nodes = []
+  const counters = { address: 0, junction: 0, mid: 0 }
+  const prefixes = { address: 'A', junction: 'J', mid: 'M' }
+  const addNode = (type, x, y, label) => {
+    const id = type === 'depot' ? 'N00' : `${prefixes[type]}${String(++counters[type]).padStart(2, '0')}`
+    const node = { id, type, x: Math.round(x), y: Math.round(y) }
+    if (label) node.label = label
+    nodes.push(node)
+    return node
+  }
+
+  // Depot where the middle streets cross, junctions at shared points
+  const depot = addNode('depot', DEPOT_POINT.x * scaleX, DEPOT_POINT.y * scaleY, 'LAGER')
+  const junctions = new Map()
+  const streets = SKELETON.map(line => line.map(point => {
+    const x = point.x * scaleX
+    const y = point.y * scaleY
+    if (!point.lock) return addNode('mid', x, y)
+    if (point.x === DEPOT_POINT.x && point.y === DEPOT_POINT.y) return depot
+    const key = `${point.x}|${point.y}`
+    if (!junctions.has(key)) junctions.set(key, addNode('junction', x, y))
+    return junctions.get(key)
+  }))
+
+  // Streets that cross get a shared junction there (or share the node next to it)
+  let crossing = findOpenCrossing(streets)
+  while (crossing) {
+    const node = crossing.node || addNode('junction', crossing.x, crossing.y)
+    for (const [s, i, segment] of crossing.inserts) {
+      if (!segment.includes(node)) streets[s].splice(i + 1, 0, node)
+    }
+    crossing = findOpenCrossing(streets)
+  }
+
+  // More mid nodes on random street segments
+  let attempts = midCount * 20
+  while (counters.mid < midCount && attempts-- > 0) {
+    const street = streets[Math.floor(random() * streets.length)]
+    const index = Math.floor(random() * (street.length - 1))
+    const a = street[index]
+    const b = street[index + 1]
+    if (Math.hypot(a.x - b.x, a.y - b.y) < MIN_SPLIT_PX) continue
+    const t = 0.25 + random() * 0.5
+    const mid = addNode('mid', jitter(a.x + t * (b.x - a.x), 4), jitter(a.y + t * (b.y - a.y), 4))
+    street.splice(index + 1, 0, mid)
+  }
+
+  // Customers on top of street nodes (never at the depot)
+  const spots = shuffled(nodes.filter(n => n.type !== 'depot'))
+  for (const spot of spots.slice(0, addressCount)) {
+    const address = addNode('address', spot.x, spot.y)
+    address.label = address.id
+    const [start, end] = TIME_WINDOWS[Math.floor(random() * TIME_WINDOWS.length)]
+    address.timeWindow = { start, end }
+    const boxes = MIN_BOXES + Math.floor(random() * (MAX_BOXES - MIN_BOXES + 1))
+    address.demand = { boxes, volumeM3: Number((boxes * BOX_VOLUME_M3).toFixed(2)) }
+  }
+
+  // Roads along the streets (streets running side by side share one road)
+  const edges = []
+  const roadKeys = new Set()
+  const scalePxPerKm = SCALE_PX_PER_KM * Math.min(scaleX, scaleY)
+  for (const street of streets) {
+    for (let i = 0; i < street.length - 1; i++) {
+      const a = street[i]
+      const b = street[i + 1]
+      const key = [a.id, b.id].sort().join('|')
+      if (a === b || roadKeys.has(key)) continue
+      roadKeys.add(key)
+      const lengthKm = Number((Math.hypot(a.x - b.x, a.y - b.y) / scalePxPerKm).toFixed(3))
+      edges.push({ id: `E${String(edges.length + 1).padStart(2, '0')}`, a: a.id, b: b.id, lengthKm })
+    }
+  }
+
+  // Construction zones away from the depot, as long as every node stays reachable
+  const candidates = shuffled(edges.filter(e => e.lengthKm >= MIN_BLOCKED_KM && e.a !== depot.id && e.b !== depot.id))
+  let blocked = 0
+  for (const edge of candidates) {
+    if (blocked >= blockedCount) break
+    edge.blocked = true
+    if (isConnected(nodes, edges)) blocked++
+    else delete edge.blocked
+  }
+
+  return {
+    canvas: { width, height, scalePxPerKm: Number(scalePxPerKm.toFixed(2)) },
+    nodes,
+    edges
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * SessionSeed.js
+ *
+ * One number decides everything random in a game session: the traffic
+ * model, the random candidates of the route optimizer and the traffic
+ * noise of the Monte Carlo runs. It is read from the URL (?seed=4711), so
+ * a teacher can hand out one link and the whole class plays the identical
+ * scenario.
+ *
+ * Seeds are whole numbers from 1 to MAX_SESSION_SEED; the seeded random
+ * generator works best with small start values.
+ */
+
+export const MAX_SESSION_SEED = 999999
+
+// Whole number in range, null for anything else
+export function parseSessionSeed(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null
+  const seed = Number(value)
+  if (!Number.isInteger(seed) || seed < 1 || seed > MAX_SESSION_SEED) return null
+  return seed
+}
+
+// Seed from a query string like '?seed=4711', null without a valid one
+export function readSessionSeed(search) {
+  return parseSessionSeed(new URLSearchParams(search).get('seed'))
+}
+
+// New seed for a session started without one
+export function createSessionSeed(random = Math.random) {
+  return 1 + Math.floor(random() * MAX_SESSION_SEED)
+}
+
+/**
+ * Link that replays the session.
+ *
+ * @param {string} href - Current address of the game
+ * @param {number} seed - Session seed
+ * @returns {string} Same address with ?seed= set (other parameters are kept)
+ */
+export function sessionUrl(href, seed) {
+  const url = new URL(href)
+  url.searchParams.set('seed', String(seed))
+  return url.toString()
+}
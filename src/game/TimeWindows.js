@@ -0,0 +1,104 @@
+import { STOP_TIME_MINUTES, CITY_SPEED_KMH, RELOAD_TIME_MINUTES } from '../data/constants.js'
+
+/**
+ * TimeWindows.js
+ *
+ * Every customer has an own delivery window (`timeWindow: { start, end }`
+ * in tourSetup.json, clock times like "08:30"). All times here are minutes
+ * after the tour start at 07:00, so 08:30 is 90.
+ *
+ * Arriving early means waiting in front of the door until the window
+ * opens. Arriving after the window closed is late - that is what counts
+ * against punctuality.
+ */
+
+export const TOUR_START_HOUR = 7
+
+// Customers without an own window accept the whole delivery morning
+const FULL_MORNING = { start: 0, end: 180 }
+
+// "08:30" → 90
+export function clockToMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number)
+  return (hours - TOUR_START_HOUR) * 60 + (minutes || 0)
+}
+
+// 90 → "8:30"
+export function minutesToClock(min) {
+  const hours = TOUR_START_HOUR + Math.floor(min / 60)
+  const minutes = Math.round(min % 60)
+  return `${hours}:${minutes.toString().padStart(2, '0')}`
+}
+
+export function getCustomerWindow(node) {
+  if (!node || !node.timeWindow) return FULL_MORNING
+  return {
+    start: clockToMinutes(node.timeWindow.start),
+    end: clockToMinutes(node.timeWindow.end)
+  }
+}
+
+// Short label for map and lists, full hours without minutes: "7-8", "7:30-9"
+export function formatTimeWindow(window) {
+  const label = (min) => (min % 60 === 0 ? `${TOUR_START_HOUR + min / 60}` : minutesToClock(min))
+  return `${label(window.start)}-${label(window.end)}`
+}
+
+// Planning travel time at average city speed over a distance function
+function cityTravelTime(distance) {
+  return (fromId, toId) => (distance(fromId, toId) / CITY_SPEED_KMH) * 60
+}
+
+/**
+ * Calculates when the van reaches every stop of a sequence.
+ *
+ * A depot ID inside the sequence is a reload stop (no window, reload time).
+ *
+ * @param {string[]} sequence - Stop IDs in visiting order
+ * @param {string} depotId - Start and end of the tour
+ * @param {Object} nodesById - Node lookup map
+ * @param {Object} options - { travelTime(fromId, toId), distance(fromId, toId), startMin, serviceMin }
+ *   Without travelTime, the km from distance are driven at average city speed.
+ * @returns {Object} { stops: [{ nodeId, arrivalMin, waitMin, lateMin }], endMin, totalLateMin, totalWaitMin, lateStops }
+ */
+export function scheduleSequence(sequence, depotId, nodesById, options = {}) {
+  const {
+    distance,
+    travelTime = cityTravelTime(distance),
+    startMin = 0,
+    serviceMin = STOP_TIME_MINUTES
+  } = options
+
+  const stops = []
+  let timeMin = startMin
+  let position = depotId
+  let totalLateMin = 0
+  let totalWaitMin = 0
+  let lateStops = 0
+
+  for (const nodeId of sequence) {
+    timeMin += travelTime(position, nodeId)
+    position = nodeId
+
+    if (nodeId === depotId) {
+      timeMin += RELOAD_TIME_MINUTES
+      continue
+    }
+
+    const window = getCustomerWindow(nodesById[nodeId])
+    const arrivalMin = timeMin
+    const waitMin = Math.max(0, window.start - arrivalMin)
+    const lateMin = Math.max(0, arrivalMin - window.end)
+
+    stops.push({ nodeId, arrivalMin, waitMin, lateMin })
+    totalWaitMin += waitMin
+    totalLateMin += lateMin
+    if (lateMin > 0) lateStops++
+
+    timeMin += waitMin + serviceMin
+  }
+
+  if (sequence.length > 0) timeMin += travelTime(position, depotId)
+
+  return { stops, endMin: timeMin, totalLateMin, totalWaitMin, lateStops }
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { vehicles } from '../../data/vehicles.js'
+import { compareAlgorithms, simulateTour } from '../AlgorithmComparison.js'
+
+describe('AlgorithmComparison', () => {
+  // One street: A01 halfway out, A02 at the end with an early window
+  const street = {
+    canvas: { width: 400, height: 400, scalePxPerKm: 100 },
+    nodes: [
+      { id: 'N00', type: 'depot', x: 0, y: 0 },
+      { id: 'K01', type: 'junction', x: 0, y: 0 },
+      { id: 'K02', type: 'junction', x: 100, y: 0 },
+      { id: 'K03', type: 'junction', x: 200, y: 0 },
+      { id: 'A01', type: 'address', x: 100, y: 0, timeWindow: { start: '07:00', end: '10:00' }, demand: { boxes: 5, volumeM3: 0.2 } },
+      { id: 'A02', type: 'address', x: 200, y: 0, timeWindow: { start: '07:00', end: '07:08' }, demand: { boxes: 5, volumeM3: 0.2 } }
+    ],
+    edges: [
+      { id: 'E01', a: 'K01', b: 'K02', lengthKm: 1 },
+      { id: 'E02', a: 'K02', b: 'K03', lengthKm: 1 }
+    ]
+  }
+  const options = { vehicle: vehicles[0], baseline: baselineMetrics.level3 }
+
+  it('should simulate every algorithm on the same map', () => {
+    const reported = []
+    const rows = compareAlgorithms(tourSetup, ['nearest-neighbor', 'two-opt', 'unknown'], {
+      vehicle: vehicles[0],
+      baseline: baselineMetrics.level3,
+      onResult: row => reported.push(row.algorithmId)
+    })
+
+    expect(rows.map(r => r.algorithmId)).toEqual(['nearest-neighbor', 'two-opt'])
+    expect(reported).toEqual(['nearest-neighbor', 'two-opt'])
+    rows.forEach(row => {
+      expect(row.totalKm).toBeGreaterThanOrEqual(row.distanceKm - 1e-6)
+      expect(row.deliveryRate).toBeGreaterThanOrEqual(0)
+      expect(row.esgScore).toBeTypeOf('number')
+    })
+    expect(rows[1].distanceKm).toBeLessThanOrEqual(rows[0].distanceKm)
+  })
+
+  it('should deliver in the planned order, not in passing', () => {
+    const nearFirst = simulateTour(street, ['A01', 'A02'], options)
+    const farFirst = simulateTour(street, ['A02', 'A01'], options)
+
+    expect(nearFirst.edges.map(e => e.id)).toEqual(farFirst.edges.map(e => e.id))
+    expect(nearFirst.simulation.deliveryRate).toBe(50)
+    expect(farFirst.simulation.deliveryRate).toBe(100)
+  })
+
+  it('should report an algorithm as failed if its tour cannot be driven', () => {
+    const cutOff = { ...street, edges: [street.edges[0]] }
+    const [row] = compareAlgorithms(cutOff, ['nearest-neighbor'], options)
+
+    expect(row.algorithmId).toBe('nearest-neighbor')
+    expect(row.error).toMatch(/Keine Route gefunden/)
+    expect(row.deliveryRate).toBeUndefined()
+    expect(row.esgScore).toBeUndefined()
+  })
+})
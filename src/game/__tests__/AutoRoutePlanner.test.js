@@ -0,0 +1,213 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { vehicles } from '../../data/vehicles.js'
+import { buildRouteEdges, planFleetRoutes, calculateSequenceDistance, optimizeSequence, reoptimizeFromPosition } from '../AutoRoutePlanner.js'
+import { scheduleSequence } from '../TimeWindows.js'
+import { createObjective } from '../../algorithms/objectives.js'
+import { generateTrafficModel } from '../../algorithms/trafficModel.js'
+import { buildCoincidentNodesMap } from '../../utils/nodeHelpers.js'
+import { getRoadNetwork } from '../../algorithms/roadNetwork.js'
+
+describe('AutoRoutePlanner', () => {
+  const network = getRoadNetwork(tourSetup)
+  const depotId = network.depotId
+  const coincident = buildCoincidentNodesMap(tourSetup.nodes)
+  const depotCluster = coincident[depotId]
+
+  // Follow the edge chain from the depot, returns the end position or null if broken
+  function walk(edges) {
+    let position = depotCluster
+    for (const edge of edges) {
+      if (position.includes(edge.a)) position = coincident[edge.b]
+      else if (position.includes(edge.b)) position = coincident[edge.a]
+      else return null
+    }
+    return position
+  }
+
+  describe('buildRouteEdges', () => {
+    it('should build a connected chain back to the depot', () => {
+      const { edges, error } = buildRouteEdges(['A01', 'A06', 'A10'], tourSetup)
+
+      expect(error).toBe(null)
+      expect(walk(edges)).toEqual(depotCluster)
+    })
+
+    it('should avoid construction zones', () => {
+      const sequence = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+      const { edges } = buildRouteEdges(sequence, tourSetup)
+
+      expect(edges.some(e => e.blocked)).toBe(false)
+    })
+
+    it('should return no edges for an empty sequence', () => {
+      expect(buildRouteEdges([], tourSetup).edges).toHaveLength(0)
+    })
+  })
+
+  describe('optimizeSequence', () => {
+    const nodesById = Object.fromEntries(tourSetup.nodes.map(n => [n.id, n]))
+    const addressIds = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+
+    it('should trade distance for punctuality with time windows', () => {
+      const shortest = optimizeSequence(addressIds, depotId, { network, randomSamples: 0 })
+      const punctual = optimizeSequence(addressIds, depotId, { network, randomSamples: 0, timeWindows: 'hard', nodesById })
+
+      const late = (sequence) => scheduleSequence(sequence, depotId, nodesById, { distance: network.distance }).totalLateMin
+      expect(late(punctual.sequence)).toBeLessThan(late(shortest.sequence))
+      expect(punctual.lateMin).toBeCloseTo(late(punctual.sequence), 6)
+      expect(punctual.distance).toBeCloseTo(calculateSequenceDistance(punctual.sequence, depotId, network.distance), 6)
+    })
+
+    it('should keep searching until the deadline and report every new best tour', () => {
+      const deadline = Date.now() + 300
+      const improvements = []
+      const result = optimizeSequence(addressIds, depotId, { network, deadline, onImprovement: i => improvements.push(i) })
+
+      expect(Date.now()).toBeGreaterThanOrEqual(deadline)
+      expect(improvements.length).toBeGreaterThan(0)
+      improvements.slice(1).forEach((imp, idx) => {
+        expect(imp.distance).toBeLessThan(improvements[idx].distance)
+      })
+      expect(improvements.at(-1).sequence).toEqual(result.sequence)
+    })
+
+    it('should not be slower than the shortest tour when minimizing travel time', () => {
+      const objective = createObjective('time', { network, trafficModel: generateTrafficModel(tourSetup.edges, 42) })
+      const fastest = optimizeSequence(addressIds, depotId, { network, randomSamples: 0, objective })
+
+      const time = (sequence) => objective.evaluate(sequence, depotId).timeMin
+      expect(time(fastest.sequence)).toBeLessThanOrEqual(time(fastest.shortest) + 1e-6)
+      expect([...fastest.sequence].sort()).toEqual([...addressIds].sort())
+    })
+  })
+
+  describe('planFleetRoutes', () => {
+    it('should plan one route per vehicle covering all addresses', () => {
+      const fleet = [vehicles[0], vehicles[2]]
+      const { routes, error } = planFleetRoutes(tourSetup, fleet, { randomSamples: 0 })
+
+      expect(error).toBe(null)
+      expect(routes).toHaveLength(2)
+      expect(routes[0].vehicle.id).toBe('diesel')
+      expect(routes[1].vehicle.id).toBe('electric')
+
+      const addressIds = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+      expect(new Set(routes.flatMap(r => r.sequence))).toEqual(new Set(addressIds))
+      routes.forEach(route => expect(walk(route.edges)).toEqual(depotCluster))
+    })
+
+    it('should report the network distance of each route', () => {
+      const { routes } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0 })
+
+      expect(routes[0].distanceKm).toBeCloseTo(calculateSequenceDistance(routes[0].sequence, depotId, network.distance), 5)
+    })
+
+    it('should report metrics of the chosen objective next to the shortest tour', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+      const { routes } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0, objective: 'co2', trafficModel })
+      const { metrics, shortestMetrics } = routes[0]
+
+      expect(metrics.distance).toBeCloseTo(routes[0].distanceKm, 5)
+      expect(metrics.value).toBe(metrics.co2)
+      expect(metrics.co2).toBeGreaterThan(0)
+      expect(shortestMetrics.distance).toBeLessThanOrEqual(metrics.distance + 1e-6)
+    })
+
+    it('should build the route from the fastest ways for a time-dependent objective', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+      const { routes, error } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0, objective: 'time', trafficModel })
+      const km = routes[0].edges.reduce((sum, e) => sum + e.lengthKm, 0)
+
+      expect(error).toBe(null)
+      expect(walk(routes[0].edges)).toEqual(depotCluster)
+      expect(routes[0].edges.some(e => e.blocked)).toBe(false)
+      expect(routes[0].distanceKm).toBeCloseTo(km, 6)
+    })
+
+    it('should stream whole routes while searching within the time budget', () => {
+      const hybrid = vehicles.find(v => v.id === 'hybrid')
+      const improvements = []
+      const { routes } = planFleetRoutes(tourSetup, [hybrid], { timeBudgetMs: 400, onImprovement: i => improvements.push(i) })
+
+      expect(improvements.length).toBeGreaterThan(0)
+      improvements.forEach(imp => {
+        expect(imp.vehicleIndex).toBe(0)
+        expect(imp.trips.flat().sort()).toEqual([...routes[0].sequence].sort())
+      })
+    })
+
+    it('should split the tour into trips when the vehicle is too small', () => {
+      const hybrid = vehicles.find(v => v.id === 'hybrid')
+      const { routes, error } = planFleetRoutes(tourSetup, [hybrid], { randomSamples: 0 })
+      const route = routes[0]
+
+      expect(error).toBe(null)
+      expect(route.trips.length).toBeGreaterThan(1)
+      route.trips.forEach(trip => {
+        const boxes = trip.reduce((sum, id) => sum + tourSetup.nodes.find(n => n.id === id).demand.boxes, 0)
+        expect(boxes).toBeLessThanOrEqual(hybrid.maxBoxes)
+      })
+      expect(route.sequence).toEqual(route.trips.flat())
+      expect(walk(route.edges)).toEqual(depotCluster)
+
+      const tripDistance = route.trips.reduce((sum, trip) => sum + calculateSequenceDistance(trip, depotId, network.distance), 0)
+      expect(route.distanceKm).toBeCloseTo(tripDistance, 5)
+    })
+  })
+
+  describe('reoptimizeFromPosition', () => {
+    const addresses = tourSetup.nodes.filter(n => n.type === 'address').map(n => n.id)
+    const delivered = addresses.slice(0, 6)
+    const open = addresses.slice(6)
+    // Open path: from the van over the stops, then home
+    const pathKm = (from, sequence) => [from, ...sequence, depotId]
+      .reduce((sum, id, idx, all) => (idx > 0 ? sum + network.distance(all[idx - 1], id) : 0), 0)
+
+    it('should plan the open stops from the van home to the depot', () => {
+      const planned = [...open].reverse()
+      const result = reoptimizeFromPosition(tourSetup, { nodeId: 'A06', elapsedMin: 40, delivered },
+        { plannedSequence: planned, objective: 'distance', timeWindows: null, random: () => 0.5, randomSamples: 5 })
+
+      expect([...result.sequence].sort()).toEqual([...open].sort())
+      expect(result.distance).toBeCloseTo(pathKm('A06', result.sequence), 6)
+      expect(result.planned.sequence).toEqual(planned)
+      expect(result.planned.distance).toBeCloseTo(pathKm('A06', planned), 6)
+      expect(result.distance).toBeLessThan(result.planned.distance)
+    })
+
+    it('should never do worse than the planned order', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+      const { routes } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0 })
+      const result = reoptimizeFromPosition(tourSetup, { nodeId: routes[0].sequence[5], elapsedMin: 60, delivered: routes[0].sequence.slice(0, 6), trafficModel },
+        { plannedSequence: routes[0].sequence, randomSamples: 0 })
+
+      expect(result.sequence).toHaveLength(routes[0].sequence.length - 6)
+      expect(result.score).toBeLessThanOrEqual(result.planned.score)
+      expect(result.returnMin).toBeGreaterThan(60)
+    })
+
+    it('should fit in customers that are not on the map', () => {
+      const urgent = { id: 'A19', type: 'address', x: 0, y: 0, timeWindow: { start: '08:00', end: '09:00' }, demand: { boxes: 5, volumeM3: 0.2 } }
+      const result = reoptimizeFromPosition(tourSetup, { nodeId: 'A06', elapsedMin: 40, delivered }, {
+        addressIds: [...open, 'A19'],
+        nodesById: { ...network.nodesById, A19: urgent },
+        roadNodeOf: (id) => (id === 'A19' ? 'K30' : id),
+        randomSamples: 0
+      })
+
+      expect(result.sequence).toContain('A19')
+      expect(result.sequence).toHaveLength(open.length + 1)
+    })
+
+    it('should keep off roads closed since the plan was made', () => {
+      // The last road home has no way around of the same length
+      const road = network.path('A10', depotId).at(-1)
+      const free = reoptimizeFromPosition(tourSetup, { nodeId: 'A10', delivered: addresses }, { objective: 'distance' })
+      const closed = reoptimizeFromPosition(tourSetup, { nodeId: 'A10', delivered: addresses }, { objective: 'distance', closedEdgeIds: [road.id] })
+
+      expect(free.sequence).toEqual([])
+      expect(closed.distance).toBeGreaterThan(free.distance)
+    })
+  })
+})
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { vehicles } from '../../data/vehicles.js'
+import { FIXED_COST_PER_KM, FLEET_SIZE, WORKING_DAYS_PER_YEAR, TOURS_PER_DAY } from '../../data/constants.js'
+import { simulateRoute, simulateFleet } from '../GameManager.js'
+import { planFleetRoutes } from '../AutoRoutePlanner.js'
+import { applyEquipment } from '../Equipment.js'
+import { vehicleFixedCosts, vehicleCostPerTour, energyUse, tourCost, annualProjection } from '../CostModel.js'
+
+describe('CostModel', () => {
+  const baseline = baselineMetrics.level3
+  const diesel = vehicles.find(v => v.id === 'diesel')
+  const hybrid = vehicles.find(v => v.id === 'hybrid')
+  const electric = vehicles.find(v => v.id === 'electric')
+
+  describe('vehicle fixed costs', () => {
+    it('should share the costs of a year among the tours of that year', () => {
+      const perTour = vehicleCostPerTour(diesel)
+
+      expect(vehicleFixedCosts(diesel)).toEqual({ depreciation: 7000, insurance: 1500, tax: 400, total: 8900 })
+      expect(perTour.total).toBeCloseTo(8900 / (WORKING_DAYS_PER_YEAR * TOURS_PER_DAY), 9)
+      expect(perTour.depreciation + perTour.insurance + perTour.tax).toBeCloseTo(perTour.total, 9)
+    })
+  })
+
+  describe('energyUse', () => {
+    it('should charge the consumption per 100 km at the vehicle\'s prices', () => {
+      expect(energyUse(diesel, 100)).toEqual({ fuelLitres: 9.2, electricKWh: 0, costEur: 9.2 * 1.65 })
+      expect(energyUse(electric, 10)).toMatchObject({ fuelLitres: 0, electricKWh: 2.7 })
+    })
+
+    it('should count fuel and electricity of a hybrid', () => {
+      const used = energyUse(hybrid, 100, 1.3)
+
+      expect(used.fuelLitres).toBeCloseTo(2.3 * 1.3, 9)
+      expect(used.electricKWh).toBeCloseTo(15 * 1.3, 9)
+      expect(used.costEur).toBeCloseTo(used.fuelLitres * 1.79 + used.electricKWh * 0.27, 9)
+    })
+  })
+
+  describe('tourCost', () => {
+    it('should add overhead, the vehicle\'s share and energy', () => {
+      const cost = tourCost(diesel, 20, energyUse(diesel, 20))
+
+      expect(cost.kFix).toBeCloseTo(FIXED_COST_PER_KM * 20, 9)
+      expect(cost.kVehicle).toBeCloseTo(vehicleCostPerTour(diesel).total, 9)
+      expect(cost.kVar).toBeCloseTo(0.2 * 9.2 * 1.65, 9)
+      expect(cost.totalCost).toBeCloseTo(cost.kFix + cost.kVehicle + cost.kVar, 9)
+    })
+
+    it('should price the baseline like the diesel at rated consumption', () => {
+      const km = baseline.totalDistance
+      const cost = tourCost(diesel, km, energyUse(diesel, km))
+
+      expect(cost.totalCost).toBeCloseTo(baseline.totalCost, 2)
+      expect(km * diesel.co2PerKm).toBeCloseTo(baseline.co2Emissions, 9)
+      expect(baseline.costPerKm).toBeCloseTo(baseline.totalCost / km, 2)
+      expect(baseline.costPerStop).toBeCloseTo(baseline.totalCost / baseline.numberOfStops, 2)
+    })
+  })
+
+  describe('simulated tours', () => {
+    const { routes } = planFleetRoutes(tourSetup, [hybrid], { randomSamples: 0 })
+    const result = simulateRoute(routes[0].edges, hybrid, tourSetup, baseline, null, true, null, routes[0].sequence)
+
+    it('should cost what the vehicle data says', () => {
+      // A loaded van that stops at every customer uses more than rated, fuel and electricity alike
+      expect(result.fuelLitres).toBeGreaterThan(result.totalKm * 0.023)
+      expect(result.fuelLitres / result.electricKWh).toBeCloseTo(2.3 / 15, 9)
+      expect(result.kVar).toBeCloseTo(result.fuelLitres * 1.79 + result.electricKWh * 0.27, 9)
+      expect(result.totalCost).toBeCloseTo(result.kFix + result.kVehicle + result.kVar, 9)
+      expect(result.vehicleCosts).toEqual(vehicleCostPerTour(hybrid))
+    })
+
+    it('should add up the costs of a fleet', () => {
+      const fleet = planFleetRoutes(tourSetup, [diesel, electric], { randomSamples: 0 })
+      const fleetResult = simulateFleet(fleet.routes, tourSetup, baseline)
+
+      expect(fleetResult.kVehicle).toBeCloseTo(vehicleCostPerTour(diesel).total + vehicleCostPerTour(electric).total, 9)
+      expect(fleetResult.vehicleCosts.tax).toBeCloseTo(vehicleCostPerTour(diesel).tax, 9)
+      expect(fleetResult.totalCost).toBeCloseTo(fleetResult.kFix + fleetResult.kVehicle + fleetResult.kVar, 9)
+    })
+
+    it('should project a year of tours on every vehicle of the company', () => {
+      const year = annualProjection(applyEquipment(result, ['route-software'], baseline))
+
+      expect(year.tours).toBe(FLEET_SIZE * WORKING_DAYS_PER_YEAR * TOURS_PER_DAY)
+      expect(year.vehicle).toBeCloseTo(FLEET_SIZE * vehicleFixedCosts(hybrid).total, 6)
+      expect(year.equipment).toBeCloseTo(5000 / 3, 6)
+      expect(year.km).toBeCloseTo(result.totalKm * year.tours, 6)
+      expect(year.total).toBeCloseTo(year.overhead + year.vehicle + year.energy + year.equipment, 6)
+    })
+
+    it('should count a plan of several vehicles as that many tours', () => {
+      const fleet = planFleetRoutes(tourSetup, [diesel, electric], { randomSamples: 0 })
+      const year = annualProjection(simulateFleet(fleet.routes, tourSetup, baseline), 4)
+
+      expect(year.vehicle).toBeCloseTo(2 * (vehicleFixedCosts(diesel).total + vehicleFixedCosts(electric).total), 6)
+      expect(year.equipment).toBe(0)
+    })
+  })
+})
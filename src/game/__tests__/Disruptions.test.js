@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { vehicles } from '../../data/vehicles.js'
+import { getRoadNetwork } from '../../algorithms/roadNetwork.js'
+import { createSeededRandom } from '../../utils/trafficUtils.js'
+import { generateDisruptions, describeDisruption, insertStop, planRemainingRoute, withUrgentCustomers } from '../Disruptions.js'
+
+describe('Disruptions', () => {
+  const network = getRoadNetwork(tourSetup)
+
+  describe('generateDisruptions', () => {
+    it('should draw the same disruptions for the same seed', () => {
+      const first = generateDisruptions(tourSetup, createSeededRandom(42))
+      const second = generateDisruptions(tourSetup, createSeededRandom(42))
+
+      expect(second).toEqual(first)
+      expect(first.map(d => d.type).sort()).toEqual(['accident', 'cancel', 'closure', 'urgent'])
+      expect(first.map(d => d.id)).toEqual(['S1', 'S2', 'S3', 'S4'])
+      first.forEach((d, idx) => {
+        expect(d.atMin).toBeGreaterThanOrEqual(20)
+        expect(d.atMin).toBeLessThanOrEqual(120)
+        if (idx > 0) expect(d.atMin).toBeGreaterThanOrEqual(first[idx - 1].atMin)
+      })
+    })
+
+    it('should close only roads with a way around them', () => {
+      for (let seed = 1; seed <= 20; seed++) {
+        const closures = generateDisruptions(tourSetup, createSeededRandom(seed), { closures: 3 }).filter(d => d.type === 'closure')
+        const blocked = new Set(closures.map(d => d.edgeId))
+        const roadNode = (id) => network.getCluster(id).find(other => other !== id)
+
+        expect(closures).toHaveLength(3)
+        tourSetup.nodes.filter(n => n.type === 'address').forEach(customer => {
+          expect(network.findDetour(roadNode(network.depotId), roadNode(customer.id), blocked)).not.toBe(null)
+        })
+      }
+    })
+
+    it('should place urgent customers on a free road node with a new ID', () => {
+      const [urgent] = generateDisruptions(tourSetup, createSeededRandom(7), { closures: 0, accidents: 0, cancellations: 0 })
+      const spot = tourSetup.nodes.find(n => n.id === urgent.nodeId)
+
+      expect(urgent.customer).toMatchObject({ id: 'A19', type: 'address', x: spot.x, y: spot.y })
+      expect(['junction', 'mid']).toContain(spot.type)
+      expect(urgent.customer.timeWindow.start).toMatch(/^\d\d:\d\d$/)
+      expect(urgent.customer.demand.boxes).toBeGreaterThanOrEqual(5)
+      expect(withUrgentCustomers({}, [urgent])).toEqual({ A19: urgent.customer })
+    })
+  })
+
+  describe('describeDisruption', () => {
+    it('should describe every kind in one line', () => {
+      expect(describeDisruption({ type: 'closure', edgeId: 'E07' })).toBe('Vollsperrung auf Straße E07')
+      expect(describeDisruption({ type: 'accident', edgeId: 'E07', untilMin: 69 })).toBe('Unfall auf Straße E07, Stau bis 8:09')
+      expect(describeDisruption({ type: 'cancel', nodeId: 'A03' })).toBe('Kunde A03 storniert seine Lieferung')
+      expect(describeDisruption({
+        type: 'urgent',
+        customer: { id: 'A19', timeWindow: { start: '08:34', end: '09:34' }, demand: { boxes: 8, volumeM3: 0.28 } }
+      })).toBe('Eilauftrag von A19: 8 Kisten, 08:34–09:34')
+    })
+  })
+
+  describe('insertStop', () => {
+    it('should fit a stop in where it costs the least detour', () => {
+      const stops = ['A01', 'A04', 'A09']
+      const result = insertStop(network, network.depotId, stops, 'A02')
+      const km = (ids) => [network.depotId, ...ids, network.depotId]
+        .reduce((sum, id, idx, all) => (idx > 0 ? sum + network.distance(all[idx - 1], id) : 0), 0)
+
+      expect(result).toHaveLength(4)
+      expect(result.filter(id => id !== 'A02')).toEqual(stops)
+      for (let i = 0; i <= stops.length; i++) {
+        expect(km(result)).toBeLessThanOrEqual(km([...stops.slice(0, i), 'A02', ...stops.slice(i)]) + 1e-9)
+      }
+    })
+  })
+
+  describe('planRemainingRoute', () => {
+    const hybrid = vehicles.find(v => v.id === 'hybrid')
+
+    it('should drive the stops in order around closed roads', () => {
+      const direct = network.path(network.depotId, 'A04')
+      const closedEdgeIds = new Set([direct[0].id])
+      const plan = planRemainingRoute(network, { nodeId: network.depotId, timeMin: 0, load: { boxes: 100, volumeM3: 10 } },
+        ['A04', 'A09'], { closedEdgeIds })
+
+      expect(plan.stopIds).toEqual(['A04', 'A09'])
+      expect(plan.edges.some(e => closedEdgeIds.has(e.id))).toBe(false)
+    })
+
+    it('should reload at the depot when the crates run out', () => {
+      const plan = planRemainingRoute(network, { nodeId: 'A04', timeMin: 60, load: { boxes: 0, volumeM3: 0 } },
+        ['A09', 'A12'], { vehicle: hybrid })
+
+      expect(plan.stopIds).toEqual([network.depotId, 'A09', 'A12'])
+    })
+
+    // Every road at a node (and at the nodes on the same spot) closed
+    const cutOff = (nodeId) => new Set(tourSetup.edges
+      .filter(e => network.getCluster(nodeId).some(id => id === e.a || id === e.b))
+      .map(e => e.id))
+
+    it('should return the stops it cannot reach', () => {
+      const plan = planRemainingRoute(network, { nodeId: network.depotId, timeMin: 0, load: { boxes: 100, volumeM3: 10 } },
+        ['A04', 'A09', 'A12'], { closedEdgeIds: cutOff('A09') })
+
+      expect(plan.stopIds).toEqual(['A04', 'A12'])
+      expect(plan.unreachedIds).toEqual(['A09'])
+    })
+
+    it('should give up the rest of the tour if the depot for reloading is cut off', () => {
+      const plan = planRemainingRoute(network, { nodeId: 'A04', timeMin: 60, load: { boxes: 0, volumeM3: 0 } },
+        ['A09', 'A12'], { vehicle: hybrid, closedEdgeIds: cutOff(network.depotId) })
+
+      expect(plan.stopIds).toEqual([])
+      expect(plan.unreachedIds).toEqual(['A09', 'A12'])
+      expect(plan.edges).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { vehicles } from '../../data/vehicles.js'
+import { energyUse } from '../CostModel.js'
+import { consumptionFactor, driveEnergy, stopAndGoPerKm, BOX_MASS_KG, FREE_FLOW_KMH } from '../EnergyModel.js'
+
+describe('EnergyModel', () => {
+  const diesel = vehicles.find(v => v.id === 'diesel')
+  const electric = vehicles.find(v => v.id === 'electric')
+  const freeFlow = { lengthKm: 2, speedKmh: FREE_FLOW_KMH }
+
+  describe('stopAndGoPerKm', () => {
+    it('should only stop and go from medium traffic on', () => {
+      expect(stopAndGoPerKm(0)).toBe(0)
+      expect(stopAndGoPerKm(0.4)).toBe(0)
+      expect(stopAndGoPerKm(0.7)).toBeGreaterThan(stopAndGoPerKm(0.5))
+      expect(stopAndGoPerKm(1)).toBe(stopAndGoPerKm(2))
+    })
+  })
+
+  describe('consumptionFactor', () => {
+    it('should use the rated consumption for an empty van in free flow', () => {
+      vehicles.forEach(vehicle => expect(consumptionFactor(vehicle, freeFlow)).toBeCloseTo(1, 9))
+    })
+
+    it('should use more in slow and dense traffic', () => {
+      const medium = consumptionFactor(diesel, { lengthKm: 2, speedKmh: 30, intensity: 0.5 })
+      const jammed = consumptionFactor(diesel, { lengthKm: 2, speedKmh: 20, intensity: 0.7 })
+
+      expect(medium).toBeGreaterThan(1)
+      expect(jammed).toBeGreaterThan(medium)
+    })
+
+    it('should use more with load on board and stops to make', () => {
+      const loaded = consumptionFactor(diesel, { ...freeFlow, loadKg: 300 * BOX_MASS_KG })
+      const stopping = consumptionFactor(diesel, { ...freeFlow, loadKg: 300 * BOX_MASS_KG, stops: 1 })
+
+      expect(loaded).toBeGreaterThan(1)
+      expect(stopping).toBeGreaterThan(loaded)
+    })
+
+    it('should suffer less from stop-and-go with an electric drive', () => {
+      const jam = { lengthKm: 2, speedKmh: 20, intensity: 1 }
+
+      expect(consumptionFactor(electric, jam)).toBeGreaterThan(1)
+      expect(consumptionFactor(electric, jam)).toBeLessThan(consumptionFactor(diesel, jam))
+    })
+  })
+
+  describe('driveEnergy', () => {
+    it('should scale fuel, electricity and CO₂ with the factor', () => {
+      const drive = { lengthKm: 3, speedKmh: 20, intensity: 0.8, stops: 1, loadKg: 500 }
+      vehicles.forEach(vehicle => {
+        const used = driveEnergy(vehicle, drive)
+        const rated = energyUse(vehicle, 3, used.factor)
+
+        expect(used.fuelLitres).toBeCloseTo(rated.fuelLitres, 9)
+        expect(used.electricKWh).toBeCloseTo(rated.electricKWh, 9)
+        expect(used.costEur).toBeCloseTo(rated.costEur, 9)
+        expect(used.co2Kg).toBeCloseTo(3 * vehicle.co2PerKm * used.factor, 9)
+      })
+    })
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { vehicles } from '../../data/vehicles.js'
+import { EQUIPMENT, EQUIPMENT_BUDGET, EQUIPMENT_AMORTIZATION_YEARS, FLEET_SIZE, WORKING_DAYS_PER_YEAR, TOURS_PER_DAY } from '../../data/constants.js'
+import { simulateRoute, simulateFleet } from '../GameManager.js'
+import { planFleetRoutes } from '../AutoRoutePlanner.js'
+import { simulateMonteCarlo } from '../MonteCarlo.js'
+import { generateTrafficModel } from '../../algorithms/trafficModel.js'
+import { equipmentCost, toggleEquipment, amortizedCostPerTour, applyEquipment, co2ByRoad } from '../Equipment.js'
+
+describe('Equipment', () => {
+  const baseline = baselineMetrics.level3
+  const diesel = vehicles.find(v => v.id === 'diesel')
+  const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+  const { routes } = planFleetRoutes(tourSetup, [diesel], { randomSamples: 0 })
+  const result = simulateRoute(routes[0].edges, diesel, tourSetup, baseline, trafficModel, true, null, routes[0].sequence)
+
+  describe('toggleEquipment', () => {
+    it('should buy items while the budget lasts', () => {
+      const software = toggleEquipment([], EQUIPMENT.ROUTE_SOFTWARE.id)
+      const gps = toggleEquipment(software.equipmentIds, EQUIPMENT.GPS_TRACKER.id)
+
+      expect(software).toEqual({ equipmentIds: ['route-software'], error: null })
+      expect(gps.equipmentIds).toEqual(['route-software', 'gps-tracker'])
+      expect(equipmentCost(gps.equipmentIds)).toBeLessThanOrEqual(EQUIPMENT_BUDGET)
+    })
+
+    it('should refuse an item the budget does not cover', () => {
+      const bought = ['route-software', 'gps-tracker']
+      const result = toggleEquipment(bought, EQUIPMENT.CO2_SOFTWARE.id)
+
+      expect(result.equipmentIds).toBe(bought)
+      expect(result.error).toBe('Das Budget reicht nicht für CO₂-Erfassungssoftware: 1.500 € nötig, 500 € übrig.')
+    })
+
+    it('should give an item back when it is bought already', () => {
+      expect(toggleEquipment(['gps-tracker', 'co2-software'], 'gps-tracker').equipmentIds).toEqual(['co2-software'])
+      expect(toggleEquipment([], 'jetpack').error).toBe('Unbekannte Ausstattung: jetpack')
+    })
+  })
+
+  describe('amortizedCostPerTour', () => {
+    it('should spread the purchase over the fleet\'s tours of the write-off years', () => {
+      const tours = EQUIPMENT_AMORTIZATION_YEARS * FLEET_SIZE * WORKING_DAYS_PER_YEAR * TOURS_PER_DAY
+
+      expect(amortizedCostPerTour([])).toBe(0)
+      expect(amortizedCostPerTour(['route-software'])).toBeCloseTo(5000 / tours, 9)
+    })
+  })
+
+  describe('applyEquipment', () => {
+    it('should leave the result as it is without equipment', () => {
+      const plain = applyEquipment(result, [], baseline)
+
+      expect(plain.totalCost).toBe(result.totalCost)
+      expect(plain.co2Kg).toBe(result.co2Kg)
+      expect(plain.esgScore).toBe(result.esgScore)
+      expect(plain.co2Measured).toBe(false)
+    })
+
+    it('should add the share of the purchase to the cost of the tour', () => {
+      const equipped = applyEquipment(result, ['route-software'], baseline)
+      const share = amortizedCostPerTour(['route-software'])
+
+      expect(equipped.equipmentCost).toBeCloseTo(share, 9)
+      expect(equipped.totalCost).toBeCloseTo(result.totalCost + share, 9)
+      expect(equipped.costPerStop).toBeCloseTo(equipped.totalCost / result.numberOfStops, 9)
+      expect(equipped.costDelta).toBeCloseTo(result.costDelta - share, 9)
+    })
+
+    it('should only change the report with the CO₂ software, not the emissions', () => {
+      const measured = applyEquipment(result, ['co2-software'], baseline)
+
+      expect(measured.co2Measured).toBe(true)
+      expect(measured.co2Kg).toBe(result.co2Kg)
+      expect(measured.co2Pts).toBe(result.co2Pts)
+    })
+
+    it('should charge a share for every vehicle tour of a fleet', () => {
+      const fleet = planFleetRoutes(tourSetup, [diesel, vehicles.find(v => v.id === 'hybrid')], { randomSamples: 0 })
+      const fleetResult = simulateFleet(fleet.routes, tourSetup, baseline, trafficModel)
+
+      expect(applyEquipment(fleetResult, ['gps-tracker'], baseline).equipmentCost).toBeCloseTo(2 * amortizedCostPerTour(['gps-tracker']), 9)
+      // Scored against the same fleet baseline as the simulation
+      expect(applyEquipment(fleetResult, [], baseline).esgScore).toBe(fleetResult.esgScore)
+    })
+
+    it('should be applied to every run of the Monte Carlo simulation', () => {
+      // Three vehicle tours pay enough of the purchase to cost at least one point (0,20 €)
+      const fleet = planFleetRoutes(tourSetup, vehicles, { randomSamples: 0 })
+      const plan = { routes: fleet.routes }
+      const plain = simulateMonteCarlo(plan, tourSetup, baseline, trafficModel, { runs: 5, seed: 3 })
+      const equipment = ['route-software', 'gps-tracker', 'co2-software']
+      const equipped = simulateMonteCarlo({ ...plan, equipment }, tourSetup, baseline, trafficModel, { runs: 5, seed: 3 })
+
+      expect(vehicles.length * amortizedCostPerTour(equipment)).toBeGreaterThan(0.2)
+      equipped.samples.forEach((sample, idx) => {
+        expect(sample.durationMin).toBe(plain.samples[idx].durationMin)
+        expect(sample.esgScore).toBeLessThan(plain.samples[idx].esgScore)
+      })
+    })
+  })
+
+  describe('co2ByRoad', () => {
+    it('should add up to the emissions of the tour', () => {
+      const roads = co2ByRoad(result)
+
+      expect(roads.reduce((sum, road) => sum + road.co2Kg, 0)).toBeCloseTo(result.co2Kg, 6)
+      expect(roads.reduce((sum, road) => sum + road.co2FreeFlowKg, 0)).toBeCloseTo(result.co2FreeFlowKg, 6)
+      roads.forEach((road, idx) => {
+        if (idx > 0) expect(road.co2Kg).toBeLessThanOrEqual(roads[idx - 1].co2Kg)
+      })
+    })
+
+    it('should cover every vehicle of a fleet', () => {
+      const fleet = planFleetRoutes(tourSetup, [diesel, vehicles.find(v => v.id === 'hybrid')], { randomSamples: 0 })
+      const fleetResult = simulateFleet(fleet.routes, tourSetup, baseline, trafficModel)
+
+      expect(co2ByRoad(fleetResult).reduce((sum, road) => sum + road.co2Kg, 0)).toBeCloseTo(fleetResult.co2Kg, 6)
+    })
+  })
+})
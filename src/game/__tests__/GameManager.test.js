@@ -0,0 +1,390 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { vehicles } from '../../data/vehicles.js'
+import { calculateEsgScore, fleetBaseline, simulateFleet, simulateRoute } from '../GameManager.js'
+import { planFleetRoutes } from '../AutoRoutePlanner.js'
+import { vehicleCostPerTour } from '../CostModel.js'
+import { clockToMinutes } from '../TimeWindows.js'
+import { getRoadNetwork } from '../../algorithms/roadNetwork.js'
+import { generateDisruptions } from '../Disruptions.js'
+import { createSeededRandom } from '../../utils/trafficUtils.js'
+
+describe('GameManager', () => {
+  const baseline = baselineMetrics.level3
+
+  describe('calculateEsgScore', () => {
+    it('should pass when all dimensions beat the baseline', () => {
+      const result = calculateEsgScore({ co2Kg: 5, totalCost: 250, deliveryRate: 95 }, baseline)
+
+      expect(result.co2Pts).toBeGreaterThan(0)
+      expect(result.costPts).toBeGreaterThan(0)
+      expect(result.deliveryPts).toBeGreaterThan(0)
+      expect(result.passed).toBe(true)
+    })
+
+    it('should punish deteriorations twice as hard as it rewards improvements', () => {
+      const better = calculateEsgScore({ co2Kg: baseline.co2Emissions, totalCost: baseline.totalCost - 1, deliveryRate: 85 }, baseline)
+      const worse = calculateEsgScore({ co2Kg: baseline.co2Emissions, totalCost: baseline.totalCost + 1, deliveryRate: 85 }, baseline)
+
+      expect(better.costPts).toBe(5)
+      expect(worse.costPts).toBe(-10)
+    })
+  })
+
+  describe('simulateFleet', () => {
+    const fleet = [vehicles[0], vehicles[2]]
+    const { routes } = planFleetRoutes(tourSetup, fleet, { randomSamples: 0 })
+    const result = simulateFleet(routes, tourSetup, baseline)
+
+    it('should report every vehicle separately', () => {
+      expect(result.vehicles).toHaveLength(2)
+      expect(result.vehicles[0].numberOfStops).toBe(routes[0].sequence.length)
+      expect(result.vehicles[1].numberOfStops).toBe(routes[1].sequence.length)
+    })
+
+    it('should add up kilometers, costs and emissions', () => {
+      const km = result.vehicles.reduce((sum, v) => sum + v.totalKm, 0)
+      const cost = result.vehicles.reduce((sum, v) => sum + v.totalCost, 0)
+
+      expect(result.totalKm).toBeCloseTo(km, 6)
+      expect(result.totalCost).toBeCloseTo(cost, 6)
+      // Electric vehicle drives emission-free
+      expect(result.co2Kg).toBeCloseTo(result.vehicles[0].co2Kg, 6)
+    })
+
+    it('should use the longest tour as fleet duration', () => {
+      const longest = Math.max(...result.vehicles.map(v => v.durationMin))
+
+      expect(result.durationMin).toBe(longest)
+      expect(result.numberOfStops).toBe(18)
+    })
+
+    it('should score against the baseline with the fixed costs of as many vans', () => {
+      const diesel = vehicles.find(v => v.id === 'diesel')
+      const scaled = fleetBaseline(baseline, 2)
+
+      expect(fleetBaseline(baseline, 1)).toBe(baseline)
+      expect(scaled.totalCost).toBeCloseTo(baseline.totalCost + vehicleCostPerTour(diesel).total, 9)
+      expect(scaled.co2Emissions).toBe(baseline.co2Emissions)
+      expect(result.costDelta).toBeCloseTo(scaled.totalCost - result.totalCost, 9)
+      expect(result.esgScore).toBe(calculateEsgScore(result, scaled).esgScore)
+    })
+  })
+
+  describe('time windows', () => {
+    it('should judge punctuality against the customer\'s own window', () => {
+      const diesel = vehicles[0]
+      const { routes } = planFleetRoutes(tourSetup, [diesel], { randomSamples: 0 })
+      const reversed = [...routes[0].sequence].reverse()
+      const result = simulateRoute(routes[0].edges.slice().reverse(), diesel, tourSetup, baseline, null, true, null, reversed)
+
+      const late = result.actualDeliveryTimes.filter(d => d.lateMin > 0)
+      expect(late.length).toBeGreaterThan(0)
+      expect(result.onTimeDeliveries).toBe(18 - late.length)
+    })
+
+    it('should wait for the window to open', () => {
+      const { routes } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0 })
+      const result = simulateRoute(routes[0].edges, vehicles[0], tourSetup, baseline, null, true, null, routes[0].sequence)
+
+      const waited = result.actualDeliveryTimes.filter(d => d.waitMin > 0)
+      waited.forEach(d => {
+        const window = tourSetup.nodes.find(n => n.id === d.nodeId).timeWindow
+        expect(d.arrivalMin).toBeLessThan(clockToMinutes(window.start))
+      })
+      // Stops are delivered in the planned order
+      expect(result.actualDeliveryTimes.map(d => d.nodeId)).toEqual(routes[0].sequence)
+    })
+  })
+
+  describe('load tracking', () => {
+    const hybrid = vehicles.find(v => v.id === 'hybrid')
+
+    it('should reload at the depot between trips', () => {
+      const { routes } = planFleetRoutes(tourSetup, [hybrid], { randomSamples: 0 })
+      const result = simulateRoute(routes[0].edges, hybrid, tourSetup, baseline, null, true, null, routes[0].sequence)
+
+      expect(result.reloads).toBeGreaterThan(0)
+      expect(result.capacityViolations).toBe(0)
+      result.loadProfile.forEach(p => expect(p.boxes).toBeLessThanOrEqual(hybrid.maxBoxes))
+      expect(result.loadProfile.at(-1).boxes).toBe(0)
+    })
+
+    it('should count deliveries without crates on board as violations', () => {
+      const { routes } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0 })
+      const result = simulateRoute(routes[0].edges, hybrid, tourSetup, baseline, null, true)
+
+      expect(result.reloads).toBe(0)
+      expect(result.capacityViolations).toBeGreaterThan(0)
+      expect(result.onTimeDeliveries).toBeLessThanOrEqual(18 - result.capacityViolations)
+    })
+  })
+
+  describe('traffic routing', () => {
+    const depotId = tourSetup.nodes.find(n => n.type === 'depot').id
+
+    // Free side streets everywhere, the given edges are jammed
+    function jam(edgeIds) {
+      const edges = {}
+      tourSetup.edges.forEach(edge => {
+        edges[edge.id] = { isMainRoad: false, baseTraffic: edgeIds.includes(edge.id) ? 1 : 0 }
+      })
+      return { edges, junctions: {} }
+    }
+
+    it('should return to the depot on the fastest roads', () => {
+      const outbound = getRoadNetwork(tourSetup).path(depotId, 'A04')
+      const trafficModel = jam(outbound.map(e => e.id))
+      const result = simulateRoute(outbound, vehicles[0], tourSetup, baseline, trafficModel)
+      const returnLeg = result.actualRoute.slice(outbound.length)
+
+      expect(returnLeg.length).toBeGreaterThan(0)
+      expect(returnLeg.some(e => outbound.some(o => o.id === e.id))).toBe(false)
+      const km = result.actualRoute.reduce((sum, e) => sum + e.lengthKm, 0)
+      expect(result.totalKm).toBeCloseTo(km, 6)
+    })
+  })
+
+  describe('event log', () => {
+    const hybrid = vehicles.find(v => v.id === 'hybrid')
+    const { routes } = planFleetRoutes(tourSetup, [hybrid], { randomSamples: 0 })
+    const result = simulateRoute(routes[0].edges, hybrid, tourSetup, baseline, null, true, null, routes[0].sequence)
+
+    it('should cover the whole trip without gaps', () => {
+      result.events.forEach((event, idx) => {
+        expect(event.endMin).toBeGreaterThanOrEqual(event.timeMin)
+        if (idx > 0) expect(event.timeMin).toBeCloseTo(result.events[idx - 1].endMin, 9)
+      })
+      expect(result.events.at(-1).endMin).toBeCloseTo(result.durationMin, 9)
+    })
+
+    it('should start at the depot and end there', () => {
+      const firstEdge = result.events.findIndex(event => event.type === 'edge')
+
+      expect(result.events[firstEdge - 1].type).toBe('depart')
+      expect(result.events.at(-1)).toMatchObject({ type: 'return', nodeId: tourSetup.nodes.find(n => n.type === 'depot').id })
+    })
+
+    it('should add up to the totals of the simulation', () => {
+      const drives = result.events.filter(event => event.type === 'edge')
+      const sum = (key) => drives.reduce((total, event) => total + event[key], 0)
+
+      expect(sum('lengthKm')).toBeCloseTo(result.totalKm, 6)
+      expect(sum('costEur')).toBeCloseTo(result.totalCost, 6)
+      expect(sum('co2Kg')).toBeCloseTo(result.co2Kg, 6)
+      expect(sum('co2EstimatedKg')).toBeCloseTo(result.co2EstimatedKg, 6)
+      expect(result.events.filter(event => event.type === 'reload')).toHaveLength(result.reloads)
+    })
+
+    it('should measure more CO₂ in traffic than in free flow', () => {
+      const drives = result.events.filter(event => event.type === 'edge')
+
+      expect(drives.reduce((total, event) => total + event.stops, 0))
+        .toBe(result.events.filter(event => event.type === 'arrive' || event.type === 'reload').length)
+      drives.forEach(event => expect(event.co2Kg).toBeGreaterThanOrEqual(event.co2FreeFlowKg - 1e-9))
+      expect(result.co2FreeFlowKg).toBeGreaterThanOrEqual(result.co2EstimatedKg)
+    })
+
+    it('should emit more on the same roads in rush hour than off-peak', () => {
+      const depotId = tourSetup.nodes.find(n => n.type === 'depot').id
+      const path = getRoadNetwork(tourSetup).path(depotId, 'A04')
+      const traffic = (baseTraffic) => ({
+        edges: Object.fromEntries(tourSetup.edges.map(e => [e.id, { isMainRoad: false, baseTraffic }])),
+        junctions: {}
+      })
+      const rushHour = simulateRoute(path, vehicles[0], tourSetup, baseline, traffic(1))
+      const offPeak = simulateRoute(path, vehicles[0], tourSetup, baseline, traffic(0))
+
+      expect(rushHour.totalKm).toBeCloseTo(offPeak.totalKm, 6)
+      expect(rushHour.co2EstimatedKg).toBeCloseTo(offPeak.co2EstimatedKg, 6)
+      expect(rushHour.co2Kg).toBeGreaterThan(offPeak.co2Kg * 1.2)
+      expect(rushHour.fuelLitres).toBeGreaterThan(offPeak.fuelLitres)
+      // The score sees it too
+      expect(rushHour.co2Delta).toBeLessThan(offPeak.co2Delta)
+    })
+
+    it('should judge every arrival like the delivery list', () => {
+      const arrivals = result.events.filter(event => event.type === 'arrive')
+
+      expect(arrivals).toHaveLength(18)
+      arrivals.forEach(event => {
+        const delivery = result.actualDeliveryTimes.find(d => d.nodeId === event.nodeId)
+        expect(event.lateMin).toBe(delivery.lateMin)
+        expect(event.waitMin).toBe(delivery.waitMin)
+        if (event.status === 'late') expect(event.lateMin).toBeGreaterThan(0)
+        if (event.status === 'early') expect(event.waitMin).toBeGreaterThan(0)
+      })
+    })
+
+    it('should log the speed and traffic of every road', () => {
+      const depotId = tourSetup.nodes.find(n => n.type === 'depot').id
+      const path = getRoadNetwork(tourSetup).path(depotId, 'A04')
+      const trafficModel = {
+        edges: Object.fromEntries(tourSetup.edges.map(e => [e.id, { isMainRoad: false, baseTraffic: 1 }])),
+        junctions: {}
+      }
+      const jammed = simulateRoute(path, vehicles[0], tourSetup, baseline, trafficModel)
+
+      jammed.events.filter(event => event.type === 'edge' && event.edgeId).forEach(event => {
+        expect(event.traffic).toBe('high')
+        expect(event.speedKmh).toBeCloseTo(event.lengthKm / ((event.endMin - event.timeMin) / 60), 6)
+      })
+    })
+
+    it('should mark construction zones and the detour around them', () => {
+      const blocked = tourSetup.edges.find(e => e.blocked)
+      const depotId = tourSetup.nodes.find(n => n.type === 'depot').id
+      const route = [...getRoadNetwork(tourSetup).path(depotId, blocked.a), blocked]
+      const manual = simulateRoute(route, vehicles[0], tourSetup, baseline)
+      const types = manual.events.map(event => event.type)
+
+      expect(manual.detours.length).toBeGreaterThan(0)
+      const construction = manual.events.find(event => event.type === 'construction')
+      expect(construction.edgeId).toBe(blocked.id)
+      expect(types.indexOf('detour-start')).toBe(types.indexOf('construction') + 1)
+      expect(types.indexOf('detour-end')).toBeGreaterThan(types.indexOf('detour-start'))
+      const detourEdges = manual.events.slice(types.indexOf('detour-start'), types.indexOf('detour-end'))
+        .filter(event => event.type === 'edge')
+      expect(detourEdges.length).toBeGreaterThan(0)
+      detourEdges.forEach(event => expect(event.isDetour).toBe(true))
+    })
+
+    it('should drive around construction zones on the map it is given', () => {
+      // Same node IDs as the bundled map, but a road network of its own
+      const map = {
+        canvas: { width: 400, height: 400, scalePxPerKm: 100 },
+        nodes: [
+          { id: 'N00', type: 'depot', x: 0, y: 0 },
+          { id: 'K01', type: 'junction', x: 0, y: 0 },
+          { id: 'K02', type: 'junction', x: 200, y: 0 },
+          { id: 'K03', type: 'junction', x: 100, y: 100 },
+          { id: 'A01', type: 'address', x: 200, y: 0, timeWindow: { start: '07:00', end: '10:00' }, demand: { boxes: 5, volumeM3: 0.2 } }
+        ],
+        edges: [
+          { id: 'E01', a: 'K01', b: 'K02', lengthKm: 2, blocked: true },
+          { id: 'E02', a: 'K01', b: 'K03', lengthKm: 1.5 },
+          { id: 'E03', a: 'K03', b: 'K02', lengthKm: 1.5 }
+        ]
+      }
+      const result = simulateRoute([map.edges[0], map.edges[0]], vehicles[0], map, baseline)
+      const driven = result.events.filter(event => event.type === 'edge' && event.edgeId).map(event => event.edgeId)
+
+      expect(driven).toEqual(['E02', 'E03', 'E03', 'E02'])
+      expect(result.totalKm).toBeCloseTo(6, 6)
+      expect(result.deliveryRate).toBe(100)
+    })
+  })
+
+  describe('disruptions', () => {
+    const diesel = vehicles[0]
+    const { routes } = planFleetRoutes(tourSetup, [diesel], { randomSamples: 0 })
+    const [route] = routes
+    const simulate = (disruptions, replan = false) =>
+      simulateRoute(route.edges, diesel, tourSetup, baseline, null, true, null, route.sequence, null, { disruptions, replan })
+    const plain = simulate([])
+    const urgentCustomer = {
+      id: 'A19',
+      type: 'address',
+      ...(({ x, y }) => ({ x, y }))(tourSetup.nodes.find(n => n.id === 'K30')),
+      label: 'A19',
+      timeWindow: { start: '07:45', end: '08:45' },
+      demand: { boxes: 6, volumeM3: 0.21 }
+    }
+    const urgent = { id: 'S1', type: 'urgent', atMin: 30, nodeId: 'K30', customer: urgentCustomer }
+    const arrivals = (result) => result.events.filter(event => event.type === 'arrive').map(event => event.nodeId)
+
+    it('should bypass a road closed on the way and count the detour', () => {
+      const closed = route.edges[Math.floor(route.edges.length / 2)]
+      const result = simulate([{ id: 'S1', type: 'closure', atMin: 0, edgeId: closed.id }])
+
+      expect(result.actualRoute.some(e => e.id === closed.id)).toBe(false)
+      expect(result.constructionDelays).toBeGreaterThan(plain.constructionDelays)
+      expect(result.events.find(event => event.type === 'disruption').disruption.edgeId).toBe(closed.id)
+      expect(arrivals(result)).toEqual(arrivals(plain))
+    })
+
+    it('should count a customer cut off by closures as not delivered', () => {
+      const customerId = route.sequence[route.sequence.length - 1]
+      const cluster = getRoadNetwork(tourSetup).getCluster(customerId)
+      const closures = tourSetup.edges
+        .filter(e => cluster.some(id => id === e.a || id === e.b))
+        .map((e, idx) => ({ id: `S${idx + 1}`, type: 'closure', atMin: 0, edgeId: e.id }))
+      const result = simulate(closures, true)
+      const delivery = result.actualDeliveryTimes.find(d => d.nodeId === customerId)
+
+      expect(result.unreachedStops).toBe(1)
+      expect(delivery.unreachable).toBe(true)
+      expect(result.onTimeDeliveries).toBeLessThan(result.numberOfStops)
+      expect(arrivals(result)).not.toContain(customerId)
+    })
+
+    it('should take longer on a road with an accident', () => {
+      const [first] = route.edges
+      const result = simulate([{ id: 'S1', type: 'accident', atMin: 0, untilMin: 600, edgeId: first.id, slowdown: 3 }])
+      const firstDrive = (r) => r.events.find(event => event.type === 'edge')
+
+      expect(firstDrive(result).accident).toBe(true)
+      expect(firstDrive(result).endMin - firstDrive(result).timeMin)
+        .toBeCloseTo(3 * (firstDrive(plain).endMin - firstDrive(plain).timeMin), 6)
+    })
+
+    it('should skip a cancelled stop', () => {
+      const cancelledId = route.sequence[route.sequence.length - 1]
+      const result = simulate([{ id: 'S1', type: 'cancel', atMin: 10, nodeId: cancelledId }])
+
+      expect(arrivals(result)).not.toContain(cancelledId)
+      expect(result.cancelledOrders).toBe(1)
+      expect(result.numberOfStops).toBe(plain.numberOfStops - 1)
+      expect(result.capacityViolations).toBe(0)
+    })
+
+    it('should serve an urgent order after the planned stops unless re-planned', () => {
+      const sticking = simulate([urgent])
+      expect(arrivals(sticking).at(-1)).toBe('A19')
+      expect(sticking.urgentOrders).toBe(1)
+      expect(sticking.replans).toBe(0)
+
+      const replanned = simulate([urgent], true)
+      const replan = replanned.events.find(event => event.type === 'replan')
+      expect(replanned.replans).toBe(1)
+      expect(replan.stopIds).toContain('A19')
+      expect([...replan.expected.stopIds].sort()).toEqual([...replan.planned.stopIds].sort())
+      expect(replan.expected.returnMin).toBeGreaterThan(replan.timeMin)
+      expect(arrivals(replanned).sort()).toEqual([...route.sequence, 'A19'].sort())
+      expect(replanned.capacityViolations).toBe(0)
+    })
+
+    it('should re-plan only at the disruptions the player chose', () => {
+      const closed = route.edges[Math.floor(route.edges.length / 2)]
+      const disruptions = [{ id: 'S1', type: 'closure', atMin: 0, edgeId: closed.id }, { ...urgent, id: 'S2' }]
+      const result = simulate(disruptions, ['S2'])
+
+      expect(result.replans).toBe(1)
+      expect(result.events.findIndex(event => event.type === 'replan'))
+        .toBeGreaterThan(result.events.findIndex(event => event.type === 'disruption' && event.disruption.id === 'S2'))
+    })
+
+    it('should keep the event log complete', () => {
+      const result = simulate(generateDisruptions(tourSetup, createSeededRandom(7)), true)
+      const drives = result.events.filter(event => event.type === 'edge')
+
+      result.events.forEach((event, idx) => {
+        if (idx > 0) expect(event.timeMin).toBeCloseTo(result.events[idx - 1].endMin, 9)
+      })
+      expect(drives.reduce((sum, event) => sum + event.lengthKm, 0)).toBeCloseTo(result.totalKm, 6)
+      expect(result.events.at(-1).endMin).toBeCloseTo(result.durationMin, 9)
+      expect(result.capacityViolations).toBe(0)
+    })
+
+    it('should give an urgent order to one vehicle of the fleet', () => {
+      const fleet = [vehicles[0], vehicles[2]]
+      const { routes: fleetRoutes } = planFleetRoutes(tourSetup, fleet, { randomSamples: 0 })
+      const result = simulateFleet(fleetRoutes, tourSetup, baseline, null, null, { disruptions: [urgent], replan: true })
+
+      expect(result.urgentOrders).toBe(1)
+      expect(result.vehicles.map(v => v.urgentOrders).sort()).toEqual([0, 1])
+      expect(result.disruptions).toHaveLength(1)
+    })
+  })
+})
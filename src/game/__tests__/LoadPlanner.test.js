@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest'
+import { getDemand, calculateSequenceLoad, fitsCapacity, splitIntoTrips, joinTrips } from '../LoadPlanner.js'
+
+describe('LoadPlanner', () => {
+  const nodesById = {
+    'N00': { id: 'N00', type: 'depot' },
+    'A01': { id: 'A01', type: 'address', demand: { boxes: 40, volumeM3: 1.4 } },
+    'A02': { id: 'A02', type: 'address', demand: { boxes: 30, volumeM3: 1.05 } },
+    'A03': { id: 'A03', type: 'address', demand: { boxes: 50, volumeM3: 1.75 } }
+  }
+
+  const smallVan = { maxBoxes: 80, capacityM3: 7 }
+
+  it('should treat nodes without demand as empty', () => {
+    expect(getDemand(nodesById['N00'])).toEqual({ boxes: 0, volumeM3: 0 })
+  })
+
+  it('should sum the demand of a sequence', () => {
+    const load = calculateSequenceLoad(['A01', 'A02', 'A03'], nodesById)
+
+    expect(load.boxes).toBe(120)
+    expect(load.volumeM3).toBeCloseTo(4.2, 6)
+  })
+
+  it('should check boxes and volume', () => {
+    expect(fitsCapacity({ boxes: 80, volumeM3: 2 }, smallVan)).toBe(true)
+    expect(fitsCapacity({ boxes: 81, volumeM3: 2 }, smallVan)).toBe(false)
+    expect(fitsCapacity({ boxes: 10, volumeM3: 7.5 }, smallVan)).toBe(false)
+  })
+
+  it('should split a sequence into trips that fit the vehicle', () => {
+    const trips = splitIntoTrips(['A01', 'A02', 'A03'], nodesById, smallVan)
+
+    expect(trips).toEqual([['A01', 'A02'], ['A03']])
+  })
+
+  it('should put the depot between trips', () => {
+    expect(joinTrips([['A01', 'A02'], ['A03']], 'N00')).toEqual(['A01', 'A02', 'N00', 'A03'])
+    expect(joinTrips([['A01']], 'N00')).toEqual(['A01'])
+  })
+})
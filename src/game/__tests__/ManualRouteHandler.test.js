@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { validateEdgeSelection, reconstructRouteAfterUndo } from '../ManualRouteHandler.js'
+import { validateEdgeSelection, reconstructRouteAfterUndo, checkDrivingRules } from '../ManualRouteHandler.js'
 
 describe('ManualRouteHandler', () => {
   const mockNodesById = {
@@ -73,6 +73,29 @@ describe('ManualRouteHandler', () => {
     })
   })
 
+  describe('checkDrivingRules', () => {
+    const nodesById = {
+      ...mockNodesById,
+      'J1': { ...mockNodesById.J1, turnRestrictions: [{ from: 'e4', to: 'e5' }] }
+    }
+
+    it('should only let one-way streets be driven from a to b', () => {
+      const oneway = { id: 'e2', a: 'K02', b: 'K01', oneway: true }
+
+      expect(checkDrivingRules(oneway, 'K02', null, nodesById)).toBe(null)
+      expect(checkDrivingRules(oneway, 'K01', null, nodesById)).toBe('Kante e2 ist eine Einbahnstraße und nur von K02 nach K01 befahrbar.')
+      expect(validateEdgeSelection(oneway, { manualEdges: [{ id: 'e1', a: 'Depot', b: 'K01' }], currentEndNode: 'K01', startAnchorIds }, nodesById).valid).toBe(false)
+    })
+
+    it('should reject forbidden turns and allow the others', () => {
+      const arrival = { id: 'e4', a: 'K02', b: 'J1' }
+
+      expect(checkDrivingRules({ id: 'e5', a: 'J1', b: 'K01' }, 'J1', arrival, nodesById)).toBe('An J1 ist das Abbiegen von e4 in e5 verboten.')
+      expect(checkDrivingRules({ id: 'e6', a: 'J1', b: 'Depot' }, 'J1', arrival, nodesById)).toBe(null)
+      expect(checkDrivingRules({ id: 'e5', a: 'J1', b: 'K01' }, 'J1', { id: 'e6', a: 'J1', b: 'Depot' }, nodesById)).toBe(null)
+    })
+  })
+
   describe('reconstructRouteAfterUndo', () => {
     it('should return empty state for empty route', () => {
       const result = reconstructRouteAfterUndo([], startAnchorIds, mockNodesById)
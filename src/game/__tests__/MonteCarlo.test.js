@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { vehicles } from '../../data/vehicles.js'
+import { simulateMonteCarlo, percentile, summarize } from '../MonteCarlo.js'
+import { simulateRoute } from '../GameManager.js'
+import { planFleetRoutes } from '../AutoRoutePlanner.js'
+import { generateTrafficModel } from '../../algorithms/trafficModel.js'
+
+describe('MonteCarlo', () => {
+  const baseline = baselineMetrics.level3
+  const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+  const { routes } = planFleetRoutes(tourSetup, [vehicles[0]], { randomSamples: 0 })
+  const plan = { edges: routes[0].edges, vehicle: vehicles[0], isAutoRoute: true, plannedDeliveryTimes: null, stopOrder: routes[0].sequence }
+
+  describe('summarize', () => {
+    it('should interpolate between the sorted values', () => {
+      expect(percentile([1, 2, 3, 4, 5], 0.5)).toBe(3)
+      expect(percentile([0, 10], 0.1)).toBeCloseTo(1, 9)
+      expect(summarize([5, 1, 3])).toEqual({ mean: 3, p10: 1.4, p90: 4.6, min: 1, max: 5 })
+    })
+  })
+
+  describe('simulateMonteCarlo', () => {
+    const summary = simulateMonteCarlo(plan, tourSetup, baseline, trafficModel, { runs: 30, seed: 7 })
+
+    it('should spread the results around the mean', () => {
+      expect(summary.samples).toHaveLength(30)
+      for (const key of ['durationMin', 'deliveryRate', 'esgScore']) {
+        const stats = summary[key]
+        expect(stats.min).toBeLessThanOrEqual(stats.p10)
+        expect(stats.p10).toBeLessThanOrEqual(stats.mean)
+        expect(stats.mean).toBeLessThanOrEqual(stats.p90)
+        expect(stats.p90).toBeLessThanOrEqual(stats.max)
+      }
+      // Traffic varies from run to run
+      expect(summary.durationMin.max).toBeGreaterThan(summary.durationMin.min)
+    })
+
+    it('should repeat the same distribution for the same seed', () => {
+      const again = simulateMonteCarlo(plan, tourSetup, baseline, trafficModel, { runs: 30, seed: 7 })
+      const other = simulateMonteCarlo(plan, tourSetup, baseline, trafficModel, { runs: 30, seed: 8 })
+
+      expect(again.samples).toEqual(summary.samples)
+      expect(other.samples).not.toEqual(summary.samples)
+    })
+
+    it('should leave the deterministic simulation unchanged', () => {
+      const first = simulateRoute(plan.edges, plan.vehicle, tourSetup, baseline, trafficModel, true, null, plan.stopOrder)
+      const second = simulateRoute(plan.edges, plan.vehicle, tourSetup, baseline, trafficModel, true, null, plan.stopOrder)
+
+      expect(second.durationMin).toBe(first.durationMin)
+    })
+
+    it('should simulate every vehicle of a fleet', () => {
+      const fleet = planFleetRoutes(tourSetup, [vehicles[0], vehicles[2]], { randomSamples: 0 })
+      const result = simulateMonteCarlo({ routes: fleet.routes }, tourSetup, baseline, trafficModel, { runs: 5, seed: 1 })
+
+      expect(result.samples).toHaveLength(5)
+      expect(result.passRate).toBeGreaterThanOrEqual(0)
+      expect(result.passRate).toBeLessThanOrEqual(100)
+    })
+  })
+})
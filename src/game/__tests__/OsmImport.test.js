@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest'
+import { deflateSync, inflateSync } from 'node:zlib'
+import { validateScenario } from '../ScenarioFile.js'
+import { parseOsmXml, buildScenarioFromOsm, haversineKm } from '../OsmImport.js'
+import { parseOsmPbf } from '../OsmPbf.js'
+
+// A few streets south of a main road (about 1.5 × 1.1 km):
+//
+//   1 ---- 2 ---- 3    primary (way 100), 13 lies outside the box
+//          |      |
+//          5      |    way 102 is one-way from 6 to 3 (oneway=-1)
+//          |      |
+//          4 -8-- 6    11-12 is a street without connection
+const OSM_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="test">
+  <node id="1" lat="48.369" lon="10.881"/>
+  <node id="2" lat="48.369" lon="10.890"/>
+  <node id="3" lat="48.369" lon="10.899"/>
+  <node id="4" lat="48.361" lon="10.890"/>
+  <node id="5" lat="48.365" lon="10.89001"/>
+  <node id="6" lat="48.361" lon="10.899"/>
+  <node id="8" lat="48.3625" lon="10.8945"><tag k="highway" v="crossing"/></node>
+  <node id="9" lat="48.365" lon="10.885"/>
+  <node id="10" lat="48.365" lon="10.886"/>
+  <node id="11" lat="48.3635" lon="10.882"/>
+  <node id="12" lat="48.3615" lon="10.882"/>
+  <node id="13" lat="48.369" lon="10.910"/>
+  <way id="100"><nd ref="1"/><nd ref="2"/><nd ref="3"/><tag k="highway" v="primary"/><tag k="name" v="Hinter &amp; Vor"/></way>
+  <way id="101"><nd ref="2"/><nd ref="5"/><nd ref="4"/><tag k="highway" v="residential"/></way>
+  <way id="102"><nd ref="3"/><nd ref="6"/><tag k="highway" v="residential"/><tag k="oneway" v="-1"/></way>
+  <way id="103"><nd ref="4"/><nd ref="8"/><nd ref="6"/><tag k="highway" v="residential"/></way>
+  <way id="104"><nd ref="9"/><nd ref="10"/><tag k="highway" v="footway"/></way>
+  <way id="105"><nd ref="11"/><nd ref="12"/><tag k="highway" v="residential"/></way>
+  <way id="106"><nd ref="3"/><nd ref="13"/><tag k="highway" v="tertiary"/></way>
+</osm>`
+
+const BBOX = { minLon: 10.88, minLat: 48.36, maxLon: 10.9, maxLat: 48.37 }
+const DEPOT = { lat: 48.3692, lon: 10.881 }
+const CUSTOMERS = [
+  { lat: 48.3685, lon: 10.8855, label: 'Bäckerei', timeWindow: { start: '07:30', end: '08:30' }, boxes: 20 },
+  { lat: 48.365, lon: 10.8991 }
+]
+const inBox = (p) => p.lat >= BBOX.minLat && p.lat <= BBOX.maxLat && p.lon >= BBOX.minLon && p.lon <= BBOX.maxLon
+
+const importFixture = (options = {}) =>
+  buildScenarioFromOsm(parseOsmXml(OSM_XML, inBox), { bbox: BBOX, depot: DEPOT, customers: CUSTOMERS, ...options })
+
+// ---- Minimal PBF writer (protobuf fields as used by OsmPbf.js) ----
+
+const varint = (n) => {
+  const bytes = []
+  while (n >= 128) {
+    bytes.push((n % 128) + 128)
+    n = Math.floor(n / 128)
+  }
+  bytes.push(n)
+  return bytes
+}
+const sint = (n) => varint(n < 0 ? -2 * n - 1 : 2 * n)
+const number = (field, n) => [...varint(field * 8), ...varint(n)]
+const message = (field, bytes) => [...varint(field * 8 + 2), ...varint(bytes.length), ...bytes]
+const packed = (field, values, encode) => message(field, values.flatMap(encode))
+const deltas = (values) => values.map((v, i) => v - (i > 0 ? values[i - 1] : 0))
+const text = (s) => [...new TextEncoder().encode(s)]
+
+function writePbf(nodes, ways) {
+  const strings = ['', ...new Set(ways.flatMap(w => Object.entries(w.tags).flat()))]
+  const stringTable = message(1, strings.flatMap(s => message(1, text(s))))
+  const dense = message(2, [
+    ...packed(1, deltas(nodes.map(n => n.id)), sint),
+    ...packed(8, deltas(nodes.map(n => Math.round(n.lat * 1e7))), sint),
+    ...packed(9, deltas(nodes.map(n => Math.round(n.lon * 1e7))), sint)
+  ])
+  const wayMessages = ways.flatMap(w => message(3, [
+    ...number(1, w.id),
+    ...packed(2, Object.keys(w.tags).map(k => strings.indexOf(k)), varint),
+    ...packed(3, Object.values(w.tags).map(v => strings.indexOf(v)), varint),
+    ...packed(8, deltas(w.refs), sint)
+  ]))
+  const block = [...stringTable, ...message(2, dense), ...message(2, wayMessages)]
+
+  const blob = (type, data) => {
+    const body = [...number(2, data.length), ...message(3, [...deflateSync(Uint8Array.from(data))])]
+    const header = [...message(1, text(type)), ...number(3, body.length)]
+    return [(header.length >>> 24) & 255, (header.length >>> 16) & 255, (header.length >>> 8) & 255, header.length & 255, ...header, ...body]
+  }
+  return Uint8Array.from([...blob('OSMHeader', message(4, text('DenseNodes'))), ...blob('OSMData', block)])
+}
+
+describe('OsmImport', () => {
+  describe('parseOsmXml', () => {
+    it('should read nodes, ways and tags and skip what lies outside the box', () => {
+      const osm = parseOsmXml(OSM_XML, inBox)
+
+      expect(osm.nodes.get('8')).toEqual({ lat: 48.3625, lon: 10.8945 })
+      expect(osm.nodes.has('13')).toBe(false)
+      expect(osm.ways.find(w => w.id === '100')).toEqual({
+        id: '100',
+        refs: ['1', '2', '3'],
+        tags: { highway: 'primary', name: 'Hinter & Vor' }
+      })
+      expect(parseOsmXml(OSM_XML, () => false).ways).toEqual([])
+    })
+  })
+
+  describe('parseOsmPbf', () => {
+    it('should read dense nodes and ways like the XML reader', () => {
+      const nodes = [{ id: 1, lat: 48.369, lon: 10.881 }, { id: 2, lat: 48.369, lon: 10.89 }, { id: 5, lat: -33.5, lon: -70.25 }]
+      const ways = [{ id: 100, refs: [1, 2], tags: { highway: 'primary', oneway: 'yes' } }, { id: 101, refs: [5], tags: {} }]
+      const osm = parseOsmPbf(writePbf(nodes, ways), inflateSync, (p) => p.lat > 0)
+
+      expect(osm.nodes.size).toBe(2)
+      expect(osm.nodes.get('2').lat).toBeCloseTo(48.369, 7)
+      expect(osm.nodes.get('2').lon).toBeCloseTo(10.89, 7)
+      expect(osm.ways).toEqual([{ id: '100', refs: ['1', '2'], tags: { highway: 'primary', oneway: 'yes' } }])
+      expect(parseOsmPbf(writePbf(nodes, ways), inflateSync).nodes.get('5').lon).toBeCloseTo(-70.25, 7)
+    })
+  })
+
+  describe('buildScenarioFromOsm', () => {
+    it('should build a playable map that fits the canvas', () => {
+      const { tourData, errors, stats } = importFixture()
+
+      expect(errors).toEqual([])
+      expect(validateScenario(tourData)).toEqual([])
+      expect(tourData.canvas.width).toBeLessThanOrEqual(960)
+      expect(tourData.canvas.height).toBeLessThanOrEqual(640)
+      // Footway, the street without connection and the part outside the box are gone
+      expect(stats).toMatchObject({ edges: 8, mainRoads: 3, oneways: 2, droppedNodes: 2 })
+    })
+
+    it('should measure roads along the real way', () => {
+      const { tourData } = importFixture()
+      const byId = Object.fromEntries(tourData.nodes.map(n => [n.id, n]))
+      const at = (id) => `${byId[id].x}:${byId[id].y}`
+      const east = tourData.edges.find(e => e.isMainRoad && byId[e.a].x > 400 && byId[e.b].x > 400)
+
+      const expected = haversineKm({ lat: 48.369, lon: 10.89 }, { lat: 48.369, lon: 10.899 })
+      expect(east.lengthKm).toBeCloseTo(expected, 3)
+      // The slight bend at node 5 is no mid node of its own, its length still counts
+      const southKm = haversineKm({ lat: 48.369, lon: 10.89 }, { lat: 48.365, lon: 10.89001 }) +
+        haversineKm({ lat: 48.365, lon: 10.89001 }, { lat: 48.361, lon: 10.89 })
+      const south = tourData.edges.find(e => !e.isMainRoad && Math.abs(byId[e.a].x - byId[e.b].x) < 1)
+      expect(south.lengthKm).toBeCloseTo(southKm, 3)
+      expect(tourData.nodes.filter(n => at(n.id) === at(south.a) || at(n.id) === at(south.b))).toHaveLength(2)
+    })
+
+    it('should keep one-way roads in driving direction', () => {
+      const { tourData } = importFixture()
+      const byId = Object.fromEntries(tourData.nodes.map(n => [n.id, n]))
+      const oneways = tourData.edges.filter(e => e.oneway)
+
+      // oneway=-1 on a way drawn north to south: driven from south to north
+      oneways.forEach(e => expect(byId[e.a].y).toBeGreaterThan(byId[e.b].y))
+    })
+
+    it('should place depot and customers on the nearest road', () => {
+      const { tourData } = importFixture()
+      const roadNodeAt = (node) => tourData.nodes.find(n => n.type !== 'address' && n.type !== 'depot' && n.x === node.x && n.y === node.y)
+      const [depot] = tourData.nodes
+      const customers = tourData.nodes.filter(n => n.type === 'address')
+
+      expect(depot).toMatchObject({ id: 'N00', type: 'depot', label: 'LAGER' })
+      expect(roadNodeAt(depot).type).toBe('junction')
+      expect(customers[0]).toMatchObject({
+        id: 'A01',
+        label: 'Bäckerei',
+        timeWindow: { start: '07:30', end: '08:30' },
+        demand: { boxes: 20, volumeM3: 0.7 }
+      })
+      expect(customers[1]).toMatchObject({ id: 'A02', label: 'A02', timeWindow: { start: '07:00', end: '09:00' } })
+      // Both split a road: a new mid node between two others
+      customers.forEach(customer => expect(roadNodeAt(customer).type).toBe('mid'))
+    })
+
+    it('should report customers far from roads or cut off from the depot', () => {
+      const far = importFixture({ customers: [...CUSTOMERS, { lat: 48.3645, lon: 10.885, label: 'Feld' }] })
+      expect(far.tourData).toBe(null)
+      expect(far.errors[0]).toMatch(/^Kunde Feld liegt \d+ m von der nächsten Straße entfernt \(erlaubt: 150 m\)\.$/)
+
+      const cutOff = importFixture({ customers: [{ lat: 48.3625, lon: 10.8821, label: 'Insel' }] })
+      expect(cutOff.errors).toEqual(['Kunde Insel: Die nächste Straße ist nicht mit dem Depot verbunden.'])
+    })
+
+    it('should check the box and the coordinates', () => {
+      expect(importFixture({ bbox: { ...BBOX, minLon: 11 } }).errors).toEqual([
+        'Der Kartenausschnitt braucht minLon < maxLon und minLat < maxLat (Grad).'
+      ])
+      expect(importFixture({ depot: { lat: 48.5, lon: 10.89 }, customers: [{ lat: 48.365 }] }).errors).toEqual([
+        'Das Depot liegt außerhalb des Kartenausschnitts.',
+        'Kunde Nr. 1 braucht lat und lon.'
+      ])
+      expect(buildScenarioFromOsm({ nodes: new Map(), ways: [] }, { bbox: BBOX, depot: DEPOT, customers: CUSTOMERS }).errors).toEqual([
+        'Im Kartenausschnitt gibt es keine befahrbaren Straßen.'
+      ])
+    })
+  })
+})
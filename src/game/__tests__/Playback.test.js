@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import { getPlaybackState, getPlaybackDuration } from '../Playback.js'
+
+describe('Playback', () => {
+  const nodesById = {
+    D: { id: 'D', x: 0, y: 0 },
+    J: { id: 'J', x: 100, y: 0 },
+    A: { id: 'A', x: 100, y: 50 }
+  }
+  // Depot → junction → customer, 7 minutes stop, back over the same roads
+  const events = [
+    { type: 'depart', nodeId: 'D', timeMin: 0, endMin: 0 },
+    { type: 'edge', edgeId: 'e1', fromId: 'D', toId: 'J', timeMin: 0, endMin: 10, lengthKm: 2, costEur: 20, co2Kg: 0.4 },
+    { type: 'edge', edgeId: 'e2', fromId: 'J', toId: 'A', timeMin: 10, endMin: 15, lengthKm: 1, costEur: 10, co2Kg: 0.2 },
+    { type: 'arrive', nodeId: 'A', timeMin: 15, endMin: 22, status: 'on-time' },
+    { type: 'edge', edgeId: 'e2', fromId: 'A', toId: 'J', timeMin: 22, endMin: 27, lengthKm: 1, costEur: 10, co2Kg: 0.2 },
+    { type: 'edge', edgeId: 'e1', fromId: 'J', toId: 'D', timeMin: 27, endMin: 37, lengthKm: 2, costEur: 20, co2Kg: 0.4 },
+    { type: 'return', nodeId: 'D', timeMin: 37, endMin: 37 }
+  ]
+
+  it('should last until the last step ends', () => {
+    expect(getPlaybackDuration(events)).toBe(37)
+    expect(getPlaybackDuration([])).toBe(0)
+  })
+
+  it('should move evenly along the current road', () => {
+    const state = getPlaybackState(events, 5, nodesById)
+
+    expect(state).toMatchObject({ x: 50, y: 0, activity: 'drive', edgeId: 'e1' })
+    expect(state.km).toBeCloseTo(1, 9)
+    expect(state.costEur).toBeCloseTo(10, 9)
+    expect(state.co2Kg).toBeCloseTo(0.2, 9)
+  })
+
+  it('should stand still at the customer', () => {
+    const state = getPlaybackState(events, 18, nodesById)
+
+    expect(state).toMatchObject({ x: 100, y: 50, activity: 'stop', nodeId: 'A' })
+    expect(state.km).toBeCloseTo(3, 9)
+  })
+
+  it('should end at the depot with the full totals', () => {
+    const state = getPlaybackState(events, 50, nodesById)
+
+    expect(state).toMatchObject({ x: 0, y: 0, activity: 'done', nodeId: 'D' })
+    expect(state.km).toBeCloseTo(6, 9)
+    expect(state.costEur).toBeCloseTo(60, 9)
+  })
+})
@@ -59,6 +59,24 @@ describe('RouteValidator', () => {
 
       expect(result.totalKm).toBe(7.0)
     })
+
+    it('should reject a trip that overloads the vehicle', () => {
+      const nodesById = {
+        ...mockNodesById,
+        'K01': { ...mockNodesById['K01'], demand: { boxes: 120, volumeM3: 4.2 } },
+        'K02': { ...mockNodesById['K02'], demand: { boxes: 100, volumeM3: 3.5 } }
+      }
+      const vehicle = { ...mockVehicle, capacityM3: 12.75 }
+      const edges = [{ id: 'e1', a: 'Depot', b: 'K01', lengthKm: 1.0 }]
+
+      const overloaded = validateStopSequence(['K01', 'K02'], edges, vehicle, nodesById)
+      const withReload = validateStopSequence(['K01', 'Depot', 'K02'], edges, vehicle, nodesById)
+
+      expect(overloaded.valid).toBe(false)
+      expect(overloaded.messages.some(m => m.includes('overloaded'))).toBe(true)
+      expect(overloaded.load.boxes).toBe(220)
+      expect(withReload.valid).toBe(true)
+    })
   })
 
   describe('isRouteComplete', () => {
@@ -141,6 +159,20 @@ describe('RouteValidator', () => {
       expect(windows[1].windowDisplay).toBe('7-8 Uhr')
     })
 
+    it('should use the customer\'s own window when known', () => {
+      const nodesById = {
+        ...mockNodesById,
+        'K02': { ...mockNodesById['K02'], timeWindow: { start: '08:30', end: '10:00' } }
+      }
+
+      const windows = calculateTimeWindows(['K01', 'K02'], nodesById)
+
+      expect(windows[0].windowDisplay).toBe('7-8 Uhr')
+      expect(windows[1].windowStart).toBe(8.5)
+      expect(windows[1].windowEnd).toBe(10)
+      expect(windows[1].windowDisplay).toBe('8:30-10 Uhr')
+    })
+
     it('should handle empty sequence', () => {
       const windows = calculateTimeWindows([])
 
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { validateScenario } from '../ScenarioFile.js'
+import {
+  MAX_HISTORY, createHistory, commitHistory, undoHistory, redoHistory,
+  addRoadNode, splitEdge, moveNode, deleteNode, addEdge, deleteEdge, toggleBlocked, setOneway, toggleTurnRestriction,
+  placeCustomer, updateCustomer
+} from '../ScenarioEditor.js'
+
+// Depot on junction K1, road K1-K2 (2 km at 100 px/km), customer A1 on K2
+const smallMap = () => ({
+  canvas: { width: 400, height: 300, scalePxPerKm: 100 },
+  nodes: [
+    { id: 'N00', type: 'depot', x: 0, y: 0 },
+    { id: 'K1', type: 'junction', x: 0, y: 0 },
+    { id: 'K2', type: 'junction', x: 200, y: 0 },
+    { id: 'A1', type: 'address', x: 200, y: 0, timeWindow: { start: '07:00', end: '09:00' }, demand: { boxes: 10, volumeM3: 0.35 } }
+  ],
+  edges: [{ id: 'E1', a: 'K1', b: 'K2', lengthKm: 2 }]
+})
+
+describe('ScenarioEditor', () => {
+  describe('history', () => {
+    it('should undo and redo edits in order', () => {
+      const first = smallMap()
+      const second = toggleBlocked(first, 'E1').tourData
+      const third = deleteEdge(second, 'E1').tourData
+      let history = commitHistory(commitHistory(createHistory(first), second), third)
+
+      history = undoHistory(undoHistory(history))
+      expect(history.present).toBe(first)
+      history = redoHistory(history)
+      expect(history.present).toBe(second)
+
+      // A new edit drops what could have been redone
+      history = commitHistory(history, deleteNode(second, 'A1').tourData)
+      expect(history.future).toEqual([])
+      expect(undoHistory(history).present).toBe(second)
+    })
+
+    it('should keep a limited number of steps', () => {
+      let history = createHistory(smallMap())
+      for (let i = 0; i < MAX_HISTORY + 5; i++) history = commitHistory(history, toggleBlocked(history.present, 'E1').tourData)
+
+      expect(history.past).toHaveLength(MAX_HISTORY)
+      expect(undoHistory(createHistory(smallMap())).past).toEqual([])
+    })
+  })
+
+  it('should measure new roads at the map scale', () => {
+    const { tourData } = addRoadNode(smallMap(), 'junction', 200, 150)
+    const { tourData: withRoad, edgeId, error } = addEdge(tourData, 'K2', 'J01')
+
+    expect(error).toBe(null)
+    expect(withRoad.edges.find(e => e.id === edgeId)).toEqual({ id: 'E02', a: 'K2', b: 'J01', lengthKm: 1.5 })
+    expect(addEdge(withRoad, 'J01', 'K2').error).toBe('Diese Straße gibt es schon.')
+    expect(addEdge(withRoad, 'A1', 'J01').error).toMatch(/nur Kreuzungen/)
+    expect(addEdge(withRoad, 'K1', 'N00').error).toMatch(/derselben Stelle/)
+  })
+
+  it('should split a road where a node is put onto it', () => {
+    const map = toggleBlocked(smallMap(), 'E1').tourData
+    const { tourData, nodeId } = splitEdge(map, 'E1', 'mid', 50, 20)
+
+    expect(tourData.nodes.find(n => n.id === nodeId)).toMatchObject({ type: 'mid', x: 50, y: 0 })
+    expect(tourData.edges).toEqual([
+      { id: 'E1', a: 'K1', b: nodeId, lengthKm: 0.5, blocked: true },
+      { id: 'E02', a: nodeId, b: 'K2', lengthKm: 1.5, blocked: true }
+    ])
+  })
+
+  it('should move customers with their road node and measure the roads again', () => {
+    const map = smallMap()
+    const { tourData } = moveNode(map, 'K2', 300, 500)
+
+    expect(tourData.nodes.find(n => n.id === 'K2')).toMatchObject({ x: 300, y: 300 })
+    expect(tourData.nodes.find(n => n.id === 'A1')).toMatchObject({ x: 300, y: 300 })
+    expect(tourData.edges[0].lengthKm).toBeCloseTo(Math.hypot(300, 300) / 100, 3)
+    expect(map.nodes[2]).toMatchObject({ x: 200, y: 0 })
+  })
+
+  it('should delete nodes with their roads and customers, but keep the depot', () => {
+    const { tourData } = deleteNode(smallMap(), 'K2')
+
+    expect(tourData.nodes.map(n => n.id)).toEqual(['N00', 'K1'])
+    expect(tourData.edges).toEqual([])
+    expect(deleteNode(smallMap(), 'N00').error).toBe('Das Depot kann nicht gelöscht werden.')
+    expect(deleteNode(smallMap(), 'K1').error).toBe('Auf diesem Knoten steht das Depot.')
+  })
+
+  it('should switch construction zones on and off', () => {
+    const blocked = toggleBlocked(smallMap(), 'E1').tourData
+    expect(blocked.edges[0].blocked).toBe(true)
+    expect(toggleBlocked(blocked, 'E1').tourData.edges[0]).toEqual(smallMap().edges[0])
+  })
+
+  it('should turn roads into one-way streets in either direction and back', () => {
+    const towardK1 = setOneway(smallMap(), 'E1', 'K1').tourData
+    expect(towardK1.edges[0]).toEqual({ id: 'E1', a: 'K2', b: 'K1', lengthKm: 2, oneway: true })
+    expect(setOneway(towardK1, 'E1', 'K2').tourData.edges[0]).toEqual({ id: 'E1', a: 'K1', b: 'K2', lengthKm: 2, oneway: true })
+    expect(setOneway(towardK1, 'E1', 'K1').tourData.edges[0]).toEqual({ id: 'E1', a: 'K2', b: 'K1', lengthKm: 2 })
+    expect(setOneway(towardK1, 'E1', 'A1').error).toBe('Straße E1 endet nicht an A1.')
+  })
+
+  it('should keep turn restrictions in step with the roads', () => {
+    const { tourData: map } = addRoadNode(smallMap(), 'junction', 200, 150)
+    const withRoad = addEdge(map, 'K1', 'J01').tourData
+    const forbidden = toggleTurnRestriction(withRoad, 'J01', 'E02', 'E02').tourData
+    expect(forbidden.nodes.find(n => n.id === 'J01').turnRestrictions).toEqual([{ from: 'E02', to: 'E02' }])
+    expect(validateScenario(forbidden)).toEqual([])
+
+    // The half that still ends at J01 takes over the restriction
+    const split = splitEdge(forbidden, 'E02', 'mid', 100, 75).tourData
+    expect(split.nodes.find(n => n.id === 'J01').turnRestrictions).toEqual([{ from: 'E03', to: 'E03' }])
+    expect(deleteEdge(split, 'E03').tourData.nodes.find(n => n.id === 'J01')).toEqual({ id: 'J01', type: 'junction', x: 200, y: 150 })
+
+    expect(toggleTurnRestriction(forbidden, 'J01', 'E02', 'E02').tourData.nodes.find(n => n.id === 'J01').turnRestrictions).toBeUndefined()
+    expect(toggleTurnRestriction(forbidden, 'K2', 'E1', 'E1').error).toBe('Abbiegeverbote gibt es nur an Knoten ohne Kunden und Depot.')
+    expect(toggleTurnRestriction(forbidden, 'J01', 'E1', 'E02').error).toBe('Beide Straßen müssen an diesem Knoten enden.')
+    expect(placeCustomer(forbidden, 'J01').error).toBe('An Knoten mit Abbiegeverbot gibt es keine Kunden.')
+  })
+
+  it('should place and edit customers on road nodes', () => {
+    const { tourData: map } = addRoadNode(smallMap(), 'junction', 200, 150)
+    const withRoad = addEdge(map, 'K2', 'J01').tourData
+    const { tourData, nodeId, error } = placeCustomer(withRoad, 'J01')
+
+    expect(error).toBe(null)
+    expect(nodeId).toBe('A02')
+    expect(validateScenario(tourData)).toEqual([])
+    expect(placeCustomer(tourData, 'J01').error).toBe('Hier steht schon ein Kunde.')
+    expect(placeCustomer(tourData, 'N00').error).toBe('Am Depot gibt es keine Kunden.')
+
+    const edited = updateCustomer(tourData, nodeId, { timeWindow: { start: '08:00', end: '09:30' }, boxes: 20 }).tourData
+    expect(edited.nodes.find(n => n.id === nodeId)).toMatchObject({
+      timeWindow: { start: '08:00', end: '09:30' },
+      demand: { boxes: 20, volumeM3: 0.7 }
+    })
+    expect(updateCustomer(tourData, nodeId, { timeWindow: { start: '09:00', end: '08:00' }, boxes: 20 }).error).toMatch(/nach seinem Beginn/)
+    expect(updateCustomer(tourData, nodeId, { timeWindow: { start: '08:00', end: '09:00' }, boxes: 0 }).error).toMatch(/mindestens eine Kiste/)
+  })
+
+  it('should leave the bundled map untouched and playable', () => {
+    const before = JSON.stringify(tourSetup)
+    let map = placeCustomer(tourSetup, 'K10').tourData
+    map = moveNode(map, 'K10', 500, 500).tourData
+    map = toggleBlocked(map, 'E010').tourData
+
+    expect(JSON.stringify(tourSetup)).toBe(before)
+    expect(validateScenario(map)).toEqual([])
+  })
+})
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { validateScenario, parseScenarioFile, serializeScenario, SCENARIO_FILE_FORMAT } from '../ScenarioFile.js'
+import { generateScenario } from '../ScenarioGenerator.js'
+
+// Small valid scenario: depot on junction K1, road K1-K2-K3, customer on K3
+const smallScenario = () => ({
+  canvas: { width: 400, height: 200, scalePxPerKm: 100 },
+  nodes: [
+    { id: 'N00', type: 'depot', x: 0, y: 0 },
+    { id: 'K1', type: 'junction', x: 0, y: 0 },
+    { id: 'K2', type: 'junction', x: 100, y: 0 },
+    { id: 'K3', type: 'mid', x: 200, y: 0 },
+    { id: 'A1', type: 'address', x: 200, y: 0, timeWindow: { start: '07:30', end: '09:00' }, demand: { boxes: 10, volumeM3: 0.35 } }
+  ],
+  edges: [
+    { id: 'E1', a: 'K1', b: 'K2', lengthKm: 1 },
+    { id: 'E2', a: 'K2', b: 'K3', lengthKm: 1 }
+  ]
+})
+
+describe('ScenarioFile', () => {
+  describe('validateScenario', () => {
+    it('should accept the bundled map, generated maps and a minimal scenario', () => {
+      expect(validateScenario(tourSetup)).toEqual([])
+      expect(validateScenario(generateScenario({ seed: 9 }))).toEqual([])
+      expect(validateScenario(smallScenario())).toEqual([])
+    })
+
+    it('should report roads ending at unknown nodes', () => {
+      const scenario = smallScenario()
+      scenario.edges.push({ id: 'E3', a: 'K3', b: 'K9', lengthKm: 1 })
+
+      expect(validateScenario(scenario)).toContain('Straße E3 endet an einem unbekannten Knoten (K9).')
+    })
+
+    it('should report duplicate IDs', () => {
+      const scenario = smallScenario()
+      scenario.nodes.push({ id: 'K2', type: 'mid', x: 50, y: 50 })
+      scenario.edges.push({ id: 'E1', a: 'K2', b: 'K3', lengthKm: 1 })
+
+      const errors = validateScenario(scenario)
+      expect(errors).toContain('Knoten-ID K2 ist doppelt vergeben.')
+      expect(errors).toContain('Straßen-ID E1 ist doppelt vergeben.')
+    })
+
+    it('should require exactly one depot', () => {
+      const withoutDepot = smallScenario()
+      withoutDepot.nodes.shift()
+      expect(validateScenario(withoutDepot)).toContain('Es gibt kein Depot (Knoten mit type "depot").')
+
+      const twoDepots = smallScenario()
+      twoDepots.nodes.push({ id: 'N01', type: 'depot', x: 100, y: 0 })
+      expect(validateScenario(twoDepots)).toContain('Es gibt 2 Depots, erlaubt ist genau eines.')
+    })
+
+    it('should report customers that cannot be reached from the depot', () => {
+      const disconnected = smallScenario()
+      disconnected.nodes.push(
+        { id: 'K4', type: 'junction', x: 300, y: 0 },
+        { id: 'K5', type: 'junction', x: 300, y: 100 },
+        { id: 'A2', type: 'address', x: 300, y: 100 }
+      )
+      disconnected.edges.push({ id: 'E3', a: 'K4', b: 'K5', lengthKm: 1 })
+      const [error] = validateScenario(disconnected)
+      expect(error).toMatch(/nicht zusammenhängend/)
+      expect(error).toMatch(/K4, K5, A2\.$/)
+
+      // A construction zone on the only road cuts the customer off as well
+      const blocked = smallScenario()
+      blocked.edges[1].blocked = true
+      expect(validateScenario(blocked)[0]).toMatch(/nicht zusammenhängend.*K3, A1/)
+    })
+
+    it('should need a way back to the depot on one-way streets', () => {
+      const scenario = smallScenario()
+      scenario.edges[1].oneway = true
+
+      expect(validateScenario(scenario)).toEqual(['Einbahnstraßen ohne Rückweg: Von hier führt keine Straße zurück zum Depot: K3, A1.'])
+      scenario.edges.push({ id: 'E3', a: 'K3', b: 'K1', lengthKm: 2, oneway: true })
+      expect(validateScenario(scenario)).toEqual([])
+    })
+
+    it('should check turn restrictions', () => {
+      const scenario = smallScenario()
+      scenario.nodes[2].turnRestrictions = [{ from: 'E1', to: 'E2' }]
+      expect(validateScenario(scenario)).toEqual([])
+
+      scenario.nodes[2].turnRestrictions.push({ from: 'E1', to: 'E9' })
+      scenario.nodes[3].turnRestrictions = [{ from: 'E2', to: 'E2' }]
+      expect(validateScenario(scenario)).toEqual([
+        'Knoten K2: Ein Abbiegeverbot braucht from und to, zwei Straßen an diesem Knoten.',
+        'Knoten K3: Abbiegeverbote gibt es nur an Knoten ohne Kunden und Depot.'
+      ])
+    })
+
+    it('should report customers next to the road network', () => {
+      const scenario = smallScenario()
+      scenario.nodes[4].y = 50
+
+      expect(validateScenario(scenario)).toContain('Adresse A1 liegt auf keinem Straßenknoten.')
+    })
+
+    it('should check time windows, demand, lengths and the baseline', () => {
+      const scenario = smallScenario()
+      scenario.nodes[4].timeWindow = { start: '09:00', end: '08:00' }
+      scenario.nodes[4].demand = { boxes: -1, volumeM3: 0.1 }
+      scenario.edges[0].lengthKm = 0
+      scenario.edges[1].oneway = 'yes'
+      scenario.baseline = { deliveryRate: 85, totalDistance: 27, totalCost: 291.6 }
+
+      const errors = validateScenario(scenario)
+      expect(errors).toContain('Adresse A1: Zeitfenster endet nicht nach dem Beginn (09:00–08:00).')
+      expect(errors).toContain('Adresse A1: Liefermenge braucht boxes (ganze Zahl) und volumeM3 (Zahl ≥ 0).')
+      expect(errors).toContain('Straße E1: lengthKm muss größer als 0 sein.')
+      expect(errors).toContain('Straße E2: oneway muss true oder false sein.')
+      expect(errors).toContain('baseline.co2Emissions muss eine Zahl ≥ 0 sein.')
+      expect(errors).toContain('baseline.deliveryRate ist ein Anteil zwischen 0 und 1 (0.85 = 85 %).')
+    })
+
+    it('should reject other formats and newer versions', () => {
+      expect(validateScenario({ ...smallScenario(), format: 'other' })[0]).toMatch(/Unbekanntes Dateiformat/)
+      expect(validateScenario({ ...smallScenario(), version: 2 })[0]).toMatch(/Version 2/)
+      expect(validateScenario([])).toEqual(['Die Datei enthält kein Szenario-Objekt.'])
+    })
+  })
+
+  describe('parseScenarioFile', () => {
+    it('should read back what serializeScenario wrote', () => {
+      const text = serializeScenario(tourSetup, baselineMetrics.level3)
+      const { tourData, baseline, errors } = parseScenarioFile(text)
+
+      expect(JSON.parse(text).format).toBe(SCENARIO_FILE_FORMAT)
+      expect(errors).toEqual([])
+      expect(tourData).toEqual({ canvas: tourSetup.canvas, nodes: tourSetup.nodes, edges: tourSetup.edges })
+      expect(baseline).toEqual(baselineMetrics.level3)
+    })
+
+    it('should read files without a baseline', () => {
+      expect(parseScenarioFile(JSON.stringify(smallScenario())).baseline).toBe(null)
+    })
+
+    it('should return errors instead of a map for broken files', () => {
+      const broken = parseScenarioFile('{ "nodes": [')
+      expect(broken.tourData).toBe(null)
+      expect(broken.errors[0]).toMatch(/Keine gültige JSON-Datei/)
+
+      const invalid = parseScenarioFile(JSON.stringify({ ...smallScenario(), nodes: [] }))
+      expect(invalid.tourData).toBe(null)
+      expect(invalid.errors).toContain('„nodes“ fehlt oder ist leer.')
+    })
+  })
+})
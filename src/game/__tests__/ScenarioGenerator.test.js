@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import baselineMetrics from '../../data/baselineMetrics.json'
+import { vehicles } from '../../data/vehicles.js'
+import { generateScenario, resolveScenarioParams, SCENARIO_PARAMS } from '../ScenarioGenerator.js'
+import { planFleetRoutes } from '../AutoRoutePlanner.js'
+import { simulateFleet } from '../GameManager.js'
+import { generateTrafficModel } from '../../algorithms/trafficModel.js'
+
+const countType = (scenario, type) => scenario.nodes.filter(n => n.type === type).length
+
+// Road nodes reachable from the depot over open roads
+function reachableFromDepot(scenario) {
+  const open = scenario.edges.filter(e => !e.blocked)
+  const seen = new Set(['N00'])
+  const queue = ['N00']
+  while (queue.length > 0) {
+    const id = queue.shift()
+    open.forEach(e => {
+      const next = e.a === id ? e.b : e.b === id ? e.a : null
+      if (next && !seen.has(next)) {
+        seen.add(next)
+        queue.push(next)
+      }
+    })
+  }
+  return seen
+}
+
+describe('ScenarioGenerator', () => {
+  it('should generate the same map for the same seed', () => {
+    expect(generateScenario({ seed: 7 })).toEqual(generateScenario({ seed: 7 }))
+    expect(generateScenario({ seed: 7 })).not.toEqual(generateScenario({ seed: 8 }))
+  })
+
+  it('should respect the parameters', () => {
+    const scenario = generateScenario({ seed: 3, addressCount: 10, midCount: 80, blockedCount: 6, width: 1200, height: 800 })
+
+    expect(countType(scenario, 'depot')).toBe(1)
+    expect(countType(scenario, 'address')).toBe(10)
+    expect(countType(scenario, 'mid')).toBe(80)
+    expect(scenario.edges.filter(e => e.blocked)).toHaveLength(6)
+    expect(scenario.canvas).toMatchObject({ width: 1200, height: 800 })
+    scenario.nodes.forEach(n => {
+      expect(n.x).toBeGreaterThanOrEqual(0)
+      expect(n.x).toBeLessThanOrEqual(1200)
+      expect(n.y).toBeGreaterThanOrEqual(0)
+      expect(n.y).toBeLessThanOrEqual(800)
+    })
+  })
+
+  it('should fall back to defaults and clamp parameters to their range', () => {
+    const defaults = Object.fromEntries(SCENARIO_PARAMS.map(p => [p.id, p.default]))
+    expect(resolveScenarioParams({})).toEqual(defaults)
+    expect(resolveScenarioParams({ seed: '', addressCount: 999, width: 10 })).toMatchObject({ seed: 42, addressCount: 40, width: 480 })
+  })
+
+  it('should give every customer a time window and a demand on a road node', () => {
+    const scenario = generateScenario({ seed: 11 })
+    const roadNodes = scenario.nodes.filter(n => n.type === 'junction' || n.type === 'mid')
+
+    scenario.nodes.filter(n => n.type === 'address').forEach(address => {
+      expect(address.timeWindow.start < address.timeWindow.end).toBe(true)
+      expect(address.demand.boxes).toBeGreaterThanOrEqual(8)
+      expect(address.demand.boxes).toBeLessThanOrEqual(26)
+      expect(roadNodes.some(n => n.x === address.x && n.y === address.y)).toBe(true)
+    })
+  })
+
+  it('should keep every road node reachable from the depot despite construction zones', () => {
+    for (const seed of [1, 2, 3, 42, 4711]) {
+      const scenario = generateScenario({ seed, blockedCount: 12 })
+      const reachable = reachableFromDepot(scenario)
+
+      scenario.nodes.filter(n => n.type !== 'address').forEach(n => expect(reachable.has(n.id)).toBe(true))
+      scenario.edges.filter(e => e.blocked).forEach(e => {
+        expect(e.lengthKm).toBeGreaterThanOrEqual(0.2)
+        expect([e.a, e.b]).not.toContain('N00')
+      })
+    }
+  })
+
+  it('should not create duplicate or zero-length roads', () => {
+    const scenario = generateScenario({ seed: 59, midCount: 150, width: 600, height: 1000 })
+    const keys = scenario.edges.map(e => [e.a, e.b].sort().join('|'))
+
+    expect(new Set(keys).size).toBe(keys.length)
+    scenario.edges.forEach(e => expect(e.lengthKm).toBeGreaterThan(0))
+  })
+
+  it('should plan and simulate a tour on a generated map', () => {
+    const scenario = generateScenario({ seed: 5, addressCount: 12 })
+    const trafficModel = generateTrafficModel(scenario.edges, 5)
+    const { routes, error } = planFleetRoutes(scenario, [vehicles[0]], { randomSamples: 0, trafficModel })
+
+    expect(error).toBeFalsy()
+    expect(routes[0].sequence).toHaveLength(12)
+
+    const report = simulateFleet(routes, scenario, baselineMetrics.level3, trafficModel)
+    const arrivals = report.vehicles[0].events.filter(e => e.type === 'arrive')
+    expect(arrivals).toHaveLength(12)
+    expect(arrivals.every(e => e.status !== 'missing')).toBe(true)
+  })
+})
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { vehicles } from '../../data/vehicles.js'
+import { parseSessionSeed, readSessionSeed, createSessionSeed, sessionUrl, MAX_SESSION_SEED } from '../SessionSeed.js'
+import { planFleetRoutes } from '../AutoRoutePlanner.js'
+import { generateTrafficModel } from '../../algorithms/trafficModel.js'
+
+describe('SessionSeed', () => {
+  describe('readSessionSeed', () => {
+    it('should read the seed from the query string', () => {
+      expect(readSessionSeed('?seed=4711')).toBe(4711)
+      expect(readSessionSeed('?level=3&seed=12')).toBe(12)
+    })
+
+    it('should ignore missing and invalid seeds', () => {
+      expect(readSessionSeed('')).toBe(null)
+      expect(readSessionSeed('?seed=')).toBe(null)
+      expect(readSessionSeed('?seed=abc')).toBe(null)
+      expect(readSessionSeed('?seed=1.5')).toBe(null)
+      expect(readSessionSeed('?seed=0')).toBe(null)
+      expect(parseSessionSeed(MAX_SESSION_SEED + 1)).toBe(null)
+    })
+  })
+
+  it('should create seeds in range', () => {
+    expect(createSessionSeed(() => 0)).toBe(1)
+    expect(createSessionSeed(() => 0.9999999)).toBe(MAX_SESSION_SEED)
+  })
+
+  it('should put the seed into the link and keep other parameters', () => {
+    expect(sessionUrl('https://example.org/game/?level=3&seed=1', 4711)).toBe('https://example.org/game/?level=3&seed=4711')
+  })
+
+  describe('reproducible sessions', () => {
+    it('should generate the same traffic for the same seed', () => {
+      expect(generateTrafficModel(tourSetup.edges, 4711)).toEqual(generateTrafficModel(tourSetup.edges, 4711))
+      expect(generateTrafficModel(tourSetup.edges, 4711)).not.toEqual(generateTrafficModel(tourSetup.edges, 4712))
+    })
+
+    it('should plan the same routes for the same seed', () => {
+      const trafficModel = generateTrafficModel(tourSetup.edges, 4711)
+      const plan = () => planFleetRoutes(tourSetup, [vehicles[0], vehicles[2]], { randomSamples: 20, trafficModel, seed: 4711 })
+      const first = plan()
+      const second = plan()
+
+      expect(second.routes.map(r => r.sequence)).toEqual(first.routes.map(r => r.sequence))
+      expect(second.routes.map(r => r.edges.map(e => e.id))).toEqual(first.routes.map(r => r.edges.map(e => e.id)))
+    })
+
+    it('should plan the same routes on a slower machine with the time budget of the app', () => {
+      // The app's default of 5 s; each look at the clock takes 1 ms here and a second on the slow machine
+      const plan = (msPerLook) => {
+        let now = 0
+        let candidatesDone = 0
+        const onProgress = (progress) => { if (progress.phase === 'optimize') candidatesDone = progress.candidatesDone }
+        const clock = vi.spyOn(Date, 'now').mockImplementation(() => (now += msPerLook))
+        try {
+          return { ...planFleetRoutes(tourSetup, [vehicles[0]], { timeBudgetMs: 5000, seed: 4711, onProgress }), candidatesDone }
+        } finally {
+          clock.mockRestore()
+        }
+      }
+      const fast = plan(1)
+      const slow = plan(1000)
+
+      expect(slow.candidatesDone).toBe(fast.candidatesDone)
+      expect(slow.routes.map(r => r.sequence)).toEqual(fast.routes.map(r => r.sequence))
+    }, 30000)
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest'
+import { clockToMinutes, minutesToClock, getCustomerWindow, formatTimeWindow, scheduleSequence } from '../TimeWindows.js'
+
+describe('TimeWindows', () => {
+  const nodesById = {
+    'D': { id: 'D', type: 'depot' },
+    'A': { id: 'A', type: 'address', timeWindow: { start: '07:00', end: '07:30' } },
+    'B': { id: 'B', type: 'address', timeWindow: { start: '08:00', end: '09:00' } },
+    'C': { id: 'C', type: 'address' }
+  }
+  // Every leg takes 10 minutes
+  const travelTime = () => 10
+
+  it('should convert clock times to minutes after 7:00', () => {
+    expect(clockToMinutes('07:00')).toBe(0)
+    expect(clockToMinutes('08:30')).toBe(90)
+    expect(minutesToClock(90)).toBe('8:30')
+  })
+
+  it('should fall back to the whole morning without own window', () => {
+    expect(getCustomerWindow(nodesById['C'])).toEqual({ start: 0, end: 180 })
+    expect(formatTimeWindow(getCustomerWindow(nodesById['B']))).toBe('8-9')
+    expect(formatTimeWindow({ start: 30, end: 120 })).toBe('7:30-9')
+  })
+
+  it('should wait when arriving before the window opens', () => {
+    const { stops, totalWaitMin, totalLateMin } = scheduleSequence(['A', 'B'], 'D', nodesById, { travelTime, serviceMin: 5 })
+
+    expect(stops[0].arrivalMin).toBe(10)
+    // A served until 15, B reached at 25, window opens at 60
+    expect(stops[1].arrivalMin).toBe(25)
+    expect(stops[1].waitMin).toBe(35)
+    expect(totalWaitMin).toBe(35)
+    expect(totalLateMin).toBe(0)
+  })
+
+  it('should count minutes after the window closed as late', () => {
+    const { stops, lateStops, endMin } = scheduleSequence(['B', 'A'], 'D', nodesById, { travelTime, serviceMin: 5 })
+
+    // B: arrive 10, wait until 60, leave 65 → A at 75, closed at 30
+    expect(stops[1].lateMin).toBe(45)
+    expect(lateStops).toBe(1)
+    expect(endMin).toBe(90)
+  })
+})
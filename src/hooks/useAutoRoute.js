@@ -1,6 +1,6 @@
 import { useState } from 'react'
 import { clarkeWrightSavings } from '../algorithms/clarkeWright.js'
-import { findDetour } from '../algorithms/pathfinding.js'
+import { getRoadNetwork } from '../algorithms/roadNetwork.js'
 
 /**
  * Custom hook for automatic route generation
@@ -40,17 +40,16 @@ export function useAutoRoute(tourSetup, depotId) {
     setAutoRouteError(null)
     
     try {
+      const network = getRoadNetwork(tourSetup)
+
       // Get all address nodes
       const allAddresses = tourSetup.nodes
         .filter(n => n.type === 'address')
         .map(n => n.id)
       
-      // Import network distance calculator
-      const { calculateNetworkDistance } = await import('../algorithms/networkDistance.js')
-      
       // Run Clarke-Wright optimization
       const optimizedSequence = await clarkeWrightSavings(allAddresses, depotId, (a, b) => {
-        return calculateNetworkDistance(a, b, tourSetup, nodesById)
+        return network.distance(a, b)
       })
       
       
@@ -66,8 +65,9 @@ export function useAutoRoute(tourSetup, depotId) {
       for (const depotNode of depotCluster) {
         for (const targetNode of firstCluster) {
           firstEdge = tourSetup.edges.find(ed =>
-            (ed.a === depotNode && ed.b === targetNode) ||
-            (ed.b === depotNode && ed.a === targetNode)
+            ((ed.a === depotNode && ed.b === targetNode) ||
+            (ed.b === depotNode && ed.a === targetNode)) &&
+            network.canDrive(ed, depotNode)
           )
           if (firstEdge) break
         }
@@ -78,7 +78,7 @@ export function useAutoRoute(tourSetup, depotId) {
         edgesForRoute.push(firstEdge)
         currentPos = optimizedSequence[0]
       } else {
-        const path = findDetour(depotCluster[0], firstCluster[0], new Set())
+        const path = network.findDetour(depotCluster[0], firstCluster[0], new Set())
         if (path && path.length > 0) {
           edgesForRoute.push(...path)
           currentPos = optimizedSequence[0]
@@ -101,8 +101,9 @@ export function useAutoRoute(tourSetup, depotId) {
         for (const fromNode of fromCluster) {
           for (const toNode of toCluster) {
             directEdge = tourSetup.edges.find(ed =>
-              (ed.a === fromNode && ed.b === toNode) ||
-              (ed.b === fromNode && ed.a === toNode)
+              ((ed.a === fromNode && ed.b === toNode) ||
+              (ed.b === fromNode && ed.a === toNode)) &&
+              network.canDrive(ed, fromNode)
             )
             if (directEdge) break
           }
@@ -115,7 +116,7 @@ export function useAutoRoute(tourSetup, depotId) {
         } else {
           const fromJunction = fromCluster.find(id => nodesById[id]?.type === 'junction') || fromCluster[0]
           const toJunction = toCluster.find(id => nodesById[id]?.type === 'junction') || toCluster[0]
-          const path = findDetour(fromJunction, toJunction, new Set())
+          const path = network.findDetour(fromJunction, toJunction, new Set())
           if (path && path.length > 0) {
             edgesForRoute.push(...path)
             currentPos = to
@@ -131,8 +132,9 @@ export function useAutoRoute(tourSetup, depotId) {
       for (const fromNode of lastCluster) {
         for (const depotNode of depotReturnCluster) {
           returnEdge = tourSetup.edges.find(ed =>
-            (ed.a === fromNode && ed.b === depotNode) ||
-            (ed.b === fromNode && ed.a === depotNode)
+            ((ed.a === fromNode && ed.b === depotNode) ||
+            (ed.b === fromNode && ed.a === depotNode)) &&
+            network.canDrive(ed, fromNode)
           )
           if (returnEdge) break
         }
@@ -142,7 +144,7 @@ export function useAutoRoute(tourSetup, depotId) {
       if (returnEdge) {
         edgesForRoute.push(returnEdge)
       } else {
-        const path = findDetour(lastCluster[0], depotReturnCluster[0], new Set())
+        const path = network.findDetour(lastCluster[0], depotReturnCluster[0], new Set())
         if (path && path.length > 0) {
           edgesForRoute.push(...path)
         }
@@ -1,5 +1,5 @@
 import { useState, useCallback } from 'react'
-import { calculateNetworkDistance } from '../algorithms/networkDistance.js'
+import { getRoadNetwork } from '../algorithms/roadNetwork.js'
 import { getEdgeLength } from '../utils/edgeHelpers.js'
 
 /**
@@ -93,20 +93,21 @@ export function useRouteAdjustment(tourSetup, vehicle, nodesById, getCluster) {
     }
     
     const depotId = depot.id
+    const { distance } = getRoadNetwork(tourSetup)
     
     // Calculate total distance
     let totalKm = 0
     
     // Depot to first stop
-    totalKm += calculateNetworkDistance(depotId, sequence[0])
+    totalKm += distance(depotId, sequence[0])
     
     // Between stops
     for (let i = 0; i < sequence.length - 1; i++) {
-      totalKm += calculateNetworkDistance(sequence[i], sequence[i + 1])
+      totalKm += distance(sequence[i], sequence[i + 1])
     }
     
     // Last stop back to depot
-    totalKm += calculateNetworkDistance(sequence[sequence.length - 1], depotId)
+    totalKm += distance(sequence[sequence.length - 1], depotId)
     
     // Check vehicle range
     if (vehicle.rangeKm && totalKm > vehicle.rangeKm) {
@@ -52,6 +52,27 @@ export function pickEdgeAt(x, y, tourData) {
   return pool[0].edge
 }
 
+// Customers lie on top of road nodes, so at the same spot they are picked first
+const NODE_PICK_ORDER = ['address', 'depot', 'junction', 'mid']
+
+/**
+ * Find the node at mouse coordinates (any type).
+ * Returns the closest node within the radius, null if there is none.
+ */
+export function pickNodeAt(x, y, tourData, { types = NODE_PICK_ORDER, radius = 14 } = {}) {
+  let best = null
+  tourData.nodes.forEach(node => {
+    const rank = types.indexOf(node.type)
+    if (rank === -1) return
+    const dist = euclideanDistance(x, y, node.x, node.y)
+    if (dist > radius) return
+    if (!best || dist < best.dist - 0.5 || (Math.abs(dist - best.dist) <= 0.5 && rank < best.rank)) {
+      best = { node, dist, rank }
+    }
+  })
+  return best ? best.node : null
+}
+
 /**
  * Find stop at mouse coordinates
  * Returns the addressId if a stop number circle is clicked
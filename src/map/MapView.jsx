@@ -7,6 +7,7 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react'
 import { getTrafficIntensity, getTrafficCategory, calculateTravelTime } from '../algorithms/trafficModel.js'
 import { euclideanDistance, pointToSegmentDistance, minutesToHoursAndMinutes } from '../utils/mathHelpers.js'
+import { getCustomerWindow, formatTimeWindow } from '../game/TimeWindows.js'
 
 const MapView = React.memo(function MapView({ 
   tourData, 
@@ -21,7 +22,12 @@ const MapView = React.memo(function MapView({
   deliveryTimes = [],
   trafficModel = null,
   currentTime = 0,
-  actualDeliveryTimes = null // For report view: actual arrival times
+  actualDeliveryTimes = null, // For report view: actual arrival times
+  vehicleRoutes = null, // Several vehicles: [{ edgeIds, color }] drawn in their own color
+  vehicleMarkers = null, // Simulation playback: [{ x, y, color, label, stopped }] current vehicle positions
+  highlightEdgeId = null, // Report timeline: road of the selected event
+  accidentEdgeIds = [], // Simulation playback: roads slowed down by an accident
+  onEditPointer = null // Map editor ('edit' mode): (phase 'down' | 'move' | 'up', x, y) in map coordinates
 }) {
   const canvasRef = useRef(null)
   const [hoveredEdge, setHoveredEdge] = React.useState(null)
@@ -181,13 +187,29 @@ const MapView = React.memo(function MapView({
     })
     
     // PASS 2: Draw centerlines for selected edges (must be ABOVE all roads)
+    // With a fleet, every vehicle's tour gets its own color
+    const routeColorByEdge = new Map()
+    if (vehicleRoutes) {
+      vehicleRoutes.forEach(route => {
+        route.edgeIds.forEach(edgeId => routeColorByEdge.set(edgeId, route.color))
+      })
+    }
+    
     uniqueEdgesMap.forEach(e => {
       const a = nodesById[e.a], b = nodesById[e.b]
       if (!a || !b) return
       
       const isSelected = selectedSet.has(e.id)
       
-      if (isSelected) {
+      if (isSelected && routeColorByEdge.has(e.id)) {
+        ctx.beginPath()
+        ctx.moveTo(a.x, a.y)
+        ctx.lineTo(b.x, b.y)
+        ctx.strokeStyle = routeColorByEdge.get(e.id)
+        ctx.lineWidth = 6
+        ctx.setLineDash([])
+        ctx.stroke()
+      } else if (isSelected) {
         ctx.beginPath()
         ctx.moveTo(a.x, a.y)
         ctx.lineTo(b.x, b.y)
@@ -198,8 +220,8 @@ const MapView = React.memo(function MapView({
       }
     })
     
-    // PASS 3: Draw construction zone markings (only in view, auto, adjust modes)
-    if (mode === 'view' || mode === 'auto' || mode === 'adjust') {
+    // PASS 3: Draw construction zone markings (only in view, auto, adjust, edit modes)
+    if (mode === 'view' || mode === 'auto' || mode === 'adjust' || mode === 'edit') {
       uniqueEdgesMap.forEach(e => {
         if (!e.blocked) return
         const a = nodesById[e.a], b = nodesById[e.b]
@@ -216,6 +238,21 @@ const MapView = React.memo(function MapView({
       })
     }
     
+    // PASS 3a: Accidents of the simulation playback, dashed in orange
+    accidentEdgeIds.forEach(edgeId => {
+      const e = tourData.edges.find(edge => edge.id === edgeId)
+      const a = e && nodesById[e.a], b = e && nodesById[e.b]
+      if (!a || !b) return
+      ctx.beginPath()
+      ctx.moveTo(a.x, a.y)
+      ctx.lineTo(b.x, b.y)
+      ctx.strokeStyle = '#f97316'
+      ctx.lineWidth = 4
+      ctx.setLineDash([6, 6])
+      ctx.stroke()
+      ctx.setLineDash([])
+    })
+    
     // PASS 3b: Draw detour routes in yellow
     detours.forEach(detour => {
       detour.detourEdges.forEach(edge => {
@@ -244,6 +281,51 @@ const MapView = React.memo(function MapView({
     })
 
     
+    // PASS 3c: One-way streets get arrows in driving direction (a → b), about every 80 px
+    // (all edges: two one-way streets between the same nodes show both directions)
+    tourData.edges.forEach(e => {
+      if (!e.oneway) return
+      const a = nodesById[e.a], b = nodesById[e.b]
+      if (!a || !b) return
+      const length = Math.hypot(b.x - a.x, b.y - a.y)
+      if (length < 12) return
+      const angle = Math.atan2(b.y - a.y, b.x - a.x)
+      const count = Math.max(1, Math.floor(length / 80))
+      for (let i = 1; i <= count; i++) {
+        const t = i / (count + 1)
+        ctx.save()
+        ctx.translate(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y))
+        ctx.rotate(angle)
+        ctx.beginPath()
+        ctx.moveTo(-4, -4)
+        ctx.lineTo(3, 0)
+        ctx.lineTo(-4, 4)
+        ctx.strokeStyle = '#334155'
+        ctx.lineWidth = 2
+        ctx.setLineDash([])
+        ctx.stroke()
+        ctx.restore()
+      }
+    })
+
+    // PASS 3d: Forbidden turns: a small no-entry sign next to the node
+    tourData.nodes.forEach(n => {
+      if (!n.turnRestrictions?.length) return
+      const x = n.x + 9
+      const y = n.y - 9
+      ctx.beginPath()
+      ctx.arc(x, y, 5, 0, Math.PI * 2)
+      ctx.fillStyle = '#ffffff'
+      ctx.fill()
+      ctx.strokeStyle = '#dc2626'
+      ctx.lineWidth = 2
+      ctx.stroke()
+      ctx.beginPath()
+      ctx.moveTo(x - 3.5, y + 3.5)
+      ctx.lineTo(x + 3.5, y - 3.5)
+      ctx.stroke()
+    })
+
     // PASS 4: Draw junctions and markers
     tourData.nodes.forEach(n => {
       if (n.type === 'depot') {
@@ -304,7 +386,7 @@ const MapView = React.memo(function MapView({
           if (actualInfo) {
             // Create deliveryInfo from actualDeliveryTimes
             const arrivalMin = actualInfo.arrivalMin
-            const timeWindow = arrivalMin <= 60 ? '7-8' : arrivalMin <= 120 ? '8-9' : '9-10'
+            const timeWindow = actualInfo.timeWindow || formatTimeWindow(getCustomerWindow(n))
             const stopNumber = actualDeliveryTimes.filter(d => d.arrivalMin <= arrivalMin).length
             deliveryInfo = { nodeId: n.id, stopNumber, arrivalMin, timeWindow }
           }
@@ -326,7 +408,8 @@ const MapView = React.memo(function MapView({
         // Circle: Orange if selected for swap, GREEN if in route, else blue
         ctx.beginPath()
         ctx.arc(n.x, n.y, 12, 0, Math.PI * 2)
-        ctx.fillStyle = isSelectedForSwap ? '#f59e0b' : (isInRoute ? '#10b981' : '#3b82f6')
+        const routeColor = deliveryInfo?.color || '#10b981'
+        ctx.fillStyle = isSelectedForSwap ? '#f59e0b' : (isInRoute ? routeColor : '#3b82f6')
         ctx.fill()
         
         // White border around circle
@@ -350,11 +433,14 @@ const MapView = React.memo(function MapView({
           
           // Show time window and optionally actual arrival time in report mode
           let timeText = `${deliveryInfo.timeWindow} Uhr`
+          // Missed the customer's window (planned or actually)
+          let isLate = deliveryInfo.lateMin > 0
           
           // In report mode, also show actual arrival time
           if (mode === 'view') {
             const actualTime = actualDeliveryTimes?.find(d => d.nodeId === n.id)
             if (actualTime) {
+              isLate = actualTime.lateMin > 0
               const actualHours = 7 + Math.floor(actualTime.arrivalMin / 60)
               const actualMins = actualTime.arrivalMin % 60
               const actualTimeStr = `${actualHours}:${actualMins.toString().padStart(2, '0')}`
@@ -375,8 +461,8 @@ const MapView = React.memo(function MapView({
           ctx.lineWidth = 1.5
           ctx.strokeRect(boxX, boxY, boxWidth, boxHeight)
           
-          // Black text
-          ctx.fillStyle = '#000000'
+          // Black text, red when late
+          ctx.fillStyle = isLate ? '#dc2626' : '#000000'
           ctx.fillText(timeText, n.x, boxY + 4)
         }
         
@@ -389,6 +475,33 @@ const MapView = React.memo(function MapView({
       }
     })
     
+    // PASS 4b: Draw the vehicles of the simulation playback on top of the stops
+    if (vehicleMarkers) {
+      vehicleMarkers.forEach(marker => {
+        // Standing vehicles get a halo (customer, reload, construction)
+        if (marker.stopped) {
+          ctx.beginPath()
+          ctx.arc(marker.x, marker.y, 18, 0, Math.PI * 2)
+          ctx.fillStyle = 'rgba(251, 191, 36, 0.35)'
+          ctx.fill()
+        }
+        ctx.beginPath()
+        ctx.arc(marker.x, marker.y, 11, 0, Math.PI * 2)
+        ctx.fillStyle = marker.color
+        ctx.fill()
+        ctx.strokeStyle = '#ffffff'
+        ctx.lineWidth = 3
+        ctx.stroke()
+        if (marker.label) {
+          ctx.fillStyle = '#ffffff'
+          ctx.font = 'bold 11px sans-serif'
+          ctx.textAlign = 'center'
+          ctx.textBaseline = 'middle'
+          ctx.fillText(marker.label, marker.x, marker.y + 1)
+        }
+      })
+    }
+    
     // PASS 5: Zeichne Hover-Highlights (nach Knoten, vor Text)
     if (mode === 'manual' && hoveredEdge) {
       const e = tourData.edges.find(edge => edge.id === hoveredEdge)
@@ -409,6 +522,35 @@ const MapView = React.memo(function MapView({
       }
     }
     
+    // PASS 5b: Road of the selected timeline event
+    if (highlightEdgeId) {
+      const e = tourData.edges.find(edge => edge.id === highlightEdgeId)
+      const a = e && nodesById[e.a], b = e && nodesById[e.b]
+      if (a && b) {
+        ctx.beginPath()
+        ctx.moveTo(a.x, a.y)
+        ctx.lineTo(b.x, b.y)
+        ctx.strokeStyle = 'rgba(236, 72, 153, 0.55)'
+        ctx.lineWidth = 24
+        ctx.lineCap = 'round'
+        ctx.stroke()
+      }
+    }
+    
+    // PASS 5c: Map editor marks the selected nodes of any type
+    if (mode === 'edit') {
+      selectedNodes.forEach(nodeId => {
+        const n = nodesById[nodeId]
+        if (!n) return
+        ctx.beginPath()
+        ctx.arc(n.x, n.y, 18, 0, Math.PI * 2)
+        ctx.strokeStyle = '#fbbf24'
+        ctx.lineWidth = 3
+        ctx.setLineDash([])
+        ctx.stroke()
+      })
+    }
+    
     // PASS 6: Draw distance and travel time on edges (at the very end)
     // Show info only for hovered or selected edges
     if (mode === 'manual' || mode === 'auto' || mode === 'adjust') {
@@ -482,12 +624,27 @@ const MapView = React.memo(function MapView({
     }
     
 
-  }, [tourData, selectedEdgeIds, visitedAddresses, currentNode, hoveredEdge, mode, detours, selectedNodes, hoveredNode, deliveryTimes, trafficModel, currentTime, actualDeliveryTimes])
+  }, [tourData, selectedEdgeIds, visitedAddresses, currentNode, hoveredEdge, mode, detours, selectedNodes, hoveredNode, deliveryTimes, trafficModel, currentTime, actualDeliveryTimes, vehicleRoutes, vehicleMarkers, highlightEdgeId, accidentEdgeIds])
 
-  function handleMouseMove(ev) {
+  // Mouse position in map coordinates
+  function mapPosition(ev) {
     const rect = canvasRef.current.getBoundingClientRect()
-    const x = ev.clientX - rect.left
-    const y = ev.clientY - rect.top
+    return { x: ev.clientX - rect.left, y: ev.clientY - rect.top }
+  }
+
+  // The editor does its own picking, the map only reports where the mouse is
+  function handleEditPointer(phase, ev) {
+    if (mode !== 'edit' || !onEditPointer) return
+    const { x, y } = mapPosition(ev)
+    onEditPointer(phase, x, y)
+  }
+
+  function handleMouseMove(ev) {
+    if (mode === 'edit') {
+      handleEditPointer('move', ev)
+      return
+    }
+    const { x, y } = mapPosition(ev)
     
     // In adjust mode, check for both node and edge hover
     if (mode === 'adjust' && onNodeClick) {
@@ -601,11 +758,19 @@ const MapView = React.memo(function MapView({
       className="map-canvas"
       onClick={handleClick}
       onMouseMove={handleMouseMove}
-      onMouseLeave={() => {
+      onMouseDown={(ev) => handleEditPointer('down', ev)}
+      onMouseUp={(ev) => handleEditPointer('up', ev)}
+      onMouseLeave={(ev) => {
         setHoveredEdge(null)
         setHoveredNode(null)
+        handleEditPointer('up', ev)
+      }}
+      style={{
+        // Shown at its own size, so mouse positions match map coordinates on generated maps too
+        width: `${tourData.canvas.width}px`,
+        height: `${tourData.canvas.height}px`,
+        cursor: mode === 'manual' || mode === 'edit' ? 'crosshair' : (mode === 'auto' || mode === 'adjust' ? 'pointer' : 'default')
       }}
-      style={{ cursor: mode === 'manual' ? 'crosshair' : (mode === 'auto' || mode === 'adjust' ? 'pointer' : 'default') }}
     />
   )
 })
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { pickNodeAt, pickEdgeAt } from '../MapInteraction.js'
+
+describe('MapInteraction', () => {
+  describe('pickNodeAt', () => {
+    const a01 = tourSetup.nodes.find(n => n.id === 'A01')
+
+    it('should prefer the customer over the road node below it', () => {
+      expect(pickNodeAt(a01.x + 3, a01.y, tourSetup).id).toBe('A01')
+      expect(pickNodeAt(a01.x + 3, a01.y, tourSetup, { types: ['junction', 'mid'] }).type).toBe('junction')
+    })
+
+    it('should find nothing away from the nodes', () => {
+      expect(pickNodeAt(a01.x + 40, a01.y + 40, tourSetup)).toBe(null)
+    })
+  })
+
+  it('should pick the road under the mouse', () => {
+    const edge = tourSetup.edges[0]
+    const a = tourSetup.nodes.find(n => n.id === edge.a)
+    const b = tourSetup.nodes.find(n => n.id === edge.b)
+
+    expect(pickEdgeAt((a.x + b.x) / 2, (a.y + b.y) / 2, tourSetup).id).toBe(edge.id)
+  })
+})
@@ -5,7 +5,8 @@ import {
   buildCoincidentNodesMap,
   getCoincidentNodes,
   isDeliveryAddress,
-  getDeliveryAddresses
+  getDeliveryAddresses,
+  nextId
 } from '../nodeHelpers.js'
 
 describe('nodeHelpers', () => {
@@ -124,4 +125,12 @@ describe('nodeHelpers', () => {
       expect(addresses).toHaveLength(0)
     })
   })
+
+  describe('nextId', () => {
+    it('should continue the numbering of existing IDs', () => {
+      expect(nextId('E', ['E001', 'E009', 'X'])).toBe('E010')
+      expect(nextId('A', ['A01', 'K30', 'A18'])).toBe('A19')
+      expect(nextId('J', [])).toBe('J01')
+    })
+  })
 })
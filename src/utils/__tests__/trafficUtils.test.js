@@ -80,6 +80,17 @@ describe('trafficUtils', () => {
     })
   })
 
+  describe('seeded helpers', () => {
+    it('should draw from the given random function', () => {
+      const draw = (random) => [randomTrafficVariation(0.9, 1.15, random), randomDelayFactor(0.8, 1.2, random), hasTrafficLight(0.5, random)]
+
+      expect(draw(createSeededRandom(4711))).toEqual(draw(createSeededRandom(4711)))
+      expect(randomDelayFactor(0.8, 1.2, () => 0.5)).toBeCloseTo(1, 9)
+      expect(hasTrafficLight(0.2, () => 0.1)).toBe(true)
+      expect(hasTrafficLight(0.2, () => 0.3)).toBe(false)
+    })
+  })
+
   describe('createSeededRandom', () => {
     it('should return a function', () => {
       const random = createSeededRandom(12345)
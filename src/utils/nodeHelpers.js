@@ -15,6 +15,20 @@ export function findDepotNode(nodes) {
   return nodes.find(n => n.type === 'depot') || null
 }
 
+// Next free ID with a prefix: A18 → A19, E001 → E002 (keeps the number width)
+export function nextId(prefix, ids) {
+  const pattern = new RegExp(`^${prefix}(\\d+)$`)
+  let max = 0
+  let width = 2
+  ids.forEach(id => {
+    const match = pattern.exec(id)
+    if (!match) return
+    max = Math.max(max, Number(match[1]))
+    width = Math.max(width, match[1].length)
+  })
+  return `${prefix}${String(max + 1).padStart(width, '0')}`
+}
+
 // Some nodes sit at the same x,y position (e.g. depot + address).
 // This builds a map showing which nodes are coincident.
 export function buildCoincidentNodesMap(nodes) {
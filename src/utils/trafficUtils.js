@@ -1,24 +1,28 @@
 /**
  * trafficUtils.js
  * Random number generation for traffic simulation.
+ *
+ * Every helper takes its random numbers from randomFn, so a seeded
+ * session (see SessionSeed.js) can pass its own stream.
  */
 
-export function randomTrafficVariation(min = 0.9, max = 1.15) {
-  return min + Math.random() * (max - min)
+export function randomTrafficVariation(min = 0.9, max = 1.15, randomFn = Math.random) {
+  return min + randomFn() * (max - min)
 }
 
-export function randomDelayFactor(min = 0.8, max = 1.2) {
-  return min + Math.random() * (max - min)
+export function randomDelayFactor(min = 0.8, max = 1.2, randomFn = Math.random) {
+  return min + randomFn() * (max - min)
 }
 
 /**
  * Check if junction has traffic light (probability-based)
  * 
  * @param {number} probability - Probability of traffic light (0-1, default 0.2)
+ * @param {Function} randomFn - Random function to use (default: Math.random)
  * @returns {boolean} True if junction has traffic light
  */
-export function hasTrafficLight(probability = 0.2) {
-  return Math.random() < probability
+export function hasTrafficLight(probability = 0.2, randomFn = Math.random) {
+  return randomFn() < probability
 }
 
 /**
@@ -40,10 +44,11 @@ export function createSeededRandom(seed) {
  * Generate random intensity variation for simulation mode
  * Adds ±10% randomness to traffic intensity
  * 
+ * @param {Function} randomFn - Random function to use (default: Math.random)
  * @returns {number} Variation factor (0.9 - 1.1)
  */
-export function randomIntensityVariation() {
-  return 0.9 + Math.random() * 0.2
+export function randomIntensityVariation(randomFn = Math.random) {
+  return 0.9 + randomFn() * 0.2
 }
 
 /**
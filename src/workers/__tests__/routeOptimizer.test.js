@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import tourSetup from '../../data/tourSetup.json'
+import { vehicles } from '../../data/vehicles.js'
+import { runRouteOptimization, runOptimalityBenchmark } from '../routeOptimizer.worker.js'
+import { startRouteOptimization, startOptimalityBenchmark, startAlgorithmComparison, startMonteCarlo } from '../routeOptimizerClient.js'
+import { generateTrafficModel } from '../../algorithms/trafficModel.js'
+import { getRoadNetwork } from '../../algorithms/roadNetwork.js'
+import baselineMetrics from '../../data/baselineMetrics.json'
+
+describe('route optimizer worker', () => {
+  describe('runRouteOptimization', () => {
+    it('should report progress and finish with the planned routes', () => {
+      const messages = []
+      runRouteOptimization({ tourData: tourSetup, fleet: [vehicles[0]], options: { randomSamples: 0 } }, m => messages.push(m))
+      const progress = messages.filter(m => m.type === 'progress')
+      const done = messages.at(-1)
+
+      expect(progress[0].phase).toBe('assign')
+      expect(progress.some(m => m.phase === 'optimize' && m.candidatesDone === m.candidatesTotal)).toBe(true)
+      expect(done.type).toBe('done')
+      expect(done.error).toBe(null)
+      expect(done.routes[0].sequence).toHaveLength(18)
+    })
+
+    it('should send every new best route with its edges', () => {
+      const messages = []
+      runRouteOptimization({ tourData: tourSetup, fleet: [vehicles[0]], options: { randomSamples: 20 } }, m => messages.push(m))
+      const improvements = messages.filter(m => m.type === 'improvement')
+
+      expect(improvements.length).toBeGreaterThan(0)
+      improvements.forEach(m => expect(m.edges.length).toBeGreaterThan(0))
+      expect(improvements.at(-1).distanceKm).toBeCloseTo(messages.at(-1).routes[0].distanceKm, 6)
+    })
+
+    it('should report a failure instead of throwing', () => {
+      const messages = []
+      runRouteOptimization({ tourData: { nodes: [], edges: [] }, fleet: [vehicles[0]] }, m => messages.push(m))
+
+      expect(messages.at(-1).type).toBe('failed')
+    })
+  })
+
+  describe('startRouteOptimization', () => {
+    it('should plan on the current thread without Web Workers', async () => {
+      const progress = []
+      const { result } = startRouteOptimization(tourSetup, [vehicles[0], vehicles[2]], { randomSamples: 0 }, {
+        onProgress: p => progress.push(p)
+      })
+      const { routes, error, cancelled } = await result
+
+      expect(cancelled).toBe(false)
+      expect(error).toBe(null)
+      expect(routes).toHaveLength(2)
+      expect(progress.length).toBeGreaterThan(0)
+      expect(progress.every(p => p.vehicleCount === 2)).toBe(true)
+    })
+  })
+
+  describe('startOptimalityBenchmark', () => {
+    it('should prove the optimum and measure the heuristic against it', async () => {
+      const { result } = startOptimalityBenchmark(tourSetup, { randomSamples: 0 })
+      const { benchmark, error, cancelled } = await result
+
+      expect(cancelled).toBe(false)
+      expect(error).toBe(null)
+      expect(benchmark.addressCount).toBe(18)
+      expect(benchmark.optimum.sequence).toHaveLength(18)
+      expect(benchmark.heuristic.distance).toBeGreaterThanOrEqual(benchmark.optimum.distance - 1e-9)
+    })
+
+    it('should answer without a benchmark for maps it cannot solve', () => {
+      const messages = []
+      runOptimalityBenchmark({ tourData: { nodes: [], edges: [] } }, m => messages.push(m))
+
+      expect(messages).toEqual([{ type: 'done', benchmark: null }])
+    })
+  })
+
+  describe('startAlgorithmComparison', () => {
+    it('should report every algorithm as soon as it is done', async () => {
+      const reported = []
+      const { result } = startAlgorithmComparison(tourSetup, ['nearest-neighbor', 'clarke-wright'], {
+        vehicle: vehicles[0],
+        baseline: baselineMetrics.level3
+      }, { onResult: row => reported.push(row.algorithmId) })
+      const { rows, error } = await result
+
+      expect(error).toBe(null)
+      expect(reported).toEqual(['nearest-neighbor', 'clarke-wright'])
+      expect(rows).toHaveLength(2)
+    })
+  })
+
+  describe('startMonteCarlo', () => {
+    it('should summarize the repeated simulation', async () => {
+      const plan = { edges: getRoadNetwork(tourSetup).path('N00', 'A04'), vehicle: vehicles[0], isAutoRoute: false, plannedDeliveryTimes: null, stopOrder: null }
+      const trafficModel = generateTrafficModel(tourSetup.edges, 42)
+      const { result } = startMonteCarlo(plan, tourSetup, baselineMetrics.level3, trafficModel, { runs: 5, seed: 3 })
+      const { summary, error } = await result
+
+      expect(error).toBe(null)
+      expect(summary.runs).toBe(5)
+      expect(summary.samples).toHaveLength(5)
+    })
+  })
+})
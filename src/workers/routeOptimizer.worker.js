@@ -0,0 +1,149 @@
+import { planFleetRoutes, buildRouteEdges } from '../game/AutoRoutePlanner.js'
+import { joinTrips } from '../game/LoadPlanner.js'
+import { benchmarkOptimality } from '../game/OptimalityBenchmark.js'
+import { compareAlgorithms } from '../game/AlgorithmComparison.js'
+import { simulateMonteCarlo } from '../game/MonteCarlo.js'
+
+/**
+ * routeOptimizer.worker.js
+ *
+ * Runs the automatic planning pipeline (Clarke-Wright, Nearest Neighbor,
+ * random samples, Lin-Kernighan-Helsgaun) off the main thread, so the map
+ * stays responsive while thousands of candidates are optimized.
+ *
+ * Messages to the main thread:
+ * - { type: 'progress', phase, vehicleIndex, vehicleCount, candidatesDone, candidatesTotal, bestDistance, iteration }
+ * - { type: 'improvement', vehicleIndex, edges, distanceKm, lateMin, iteration } - new best tour of a vehicle
+ * - { type: 'done', routes, error }
+ * - { type: 'failed', message }
+ *
+ * A request with task: 'benchmark' instead computes the proven optimum
+ * for the report (see OptimalityBenchmark.js) and answers with
+ * { type: 'done', benchmark } or { type: 'failed', message }.
+ *
+ * task: 'compare' runs several algorithms one after the other (see
+ * AlgorithmComparison.js): { type: 'result', row } per algorithm, then
+ * { type: 'done', rows } or { type: 'failed', message }.
+ *
+ * task: 'monteCarlo' repeats the simulation with stochastic traffic (see
+ * MonteCarlo.js): { type: 'progress', runsDone, runsTotal } now and then,
+ * then { type: 'done', summary } or { type: 'failed', message }.
+ *
+ * iteration counts the optimized candidates over all vehicles, so the
+ * improvements of a whole run can be drawn on one axis.
+ *
+ * Cancelling is done from outside by terminating the worker.
+ */
+
+// At most one progress message per interval (new phases and vehicles always go through)
+const PROGRESS_INTERVAL_MS = 100
+
+/**
+ * Plans the routes and reports through post(message). Also used directly
+ * on the main thread where Web Workers are not available (tests).
+ *
+ * @param {Object} request - { tourData, fleet, options } as for planFleetRoutes
+ * @param {Function} post - Receives every message
+ */
+export function runRouteOptimization({ tourData, fleet, options = {} }, post) {
+  const depotId = tourData.nodes.find(n => n.type === 'depot')?.id
+  let lastStep = null
+  let lastPostAt = 0
+  let iteration = 0
+
+  const onProgress = (progress) => {
+    if (progress.phase === 'optimize' && progress.candidatesDone > 0) iteration++
+    const now = Date.now()
+    const step = `${progress.vehicleIndex}:${progress.phase}`
+    const finished = progress.candidatesDone === progress.candidatesTotal
+    if (step === lastStep && !finished && now - lastPostAt < PROGRESS_INTERVAL_MS) return
+    lastStep = step
+    lastPostAt = now
+    post({ type: 'progress', ...progress, iteration })
+  }
+
+  // Map the new best tour onto roads so it can be drawn right away
+  const onImprovement = ({ vehicleIndex, trips, lateMin }) => {
+    const { edges } = buildRouteEdges(joinTrips(trips, depotId), tourData)
+    const distanceKm = edges.reduce((sum, edge) => sum + (edge.lengthKm || 0), 0)
+    post({ type: 'improvement', vehicleIndex, edges, distanceKm, lateMin, iteration })
+  }
+
+  try {
+    const { routes, error } = planFleetRoutes(tourData, fleet, { ...options, onProgress, onImprovement })
+    post({ type: 'done', routes, error })
+  } catch (err) {
+    post({ type: 'failed', message: err.message })
+  }
+}
+
+/**
+ * Computes the optimality benchmark and reports through post(message).
+ *
+ * @param {Object} request - { tourData, options } as for benchmarkOptimality
+ * @param {Function} post - Receives the final message
+ */
+export function runOptimalityBenchmark({ tourData, options = {} }, post) {
+  try {
+    post({ type: 'done', benchmark: benchmarkOptimality(tourData, options) })
+  } catch (err) {
+    post({ type: 'failed', message: err.message })
+  }
+}
+
+/**
+ * Compares algorithms and reports every finished one through post(message).
+ *
+ * @param {Object} request - { tourData, algorithmIds, options } as for compareAlgorithms
+ * @param {Function} post - Receives every message
+ */
+export function runAlgorithmComparison({ tourData, algorithmIds, options = {} }, post) {
+  try {
+    const rows = compareAlgorithms(tourData, algorithmIds, {
+      ...options,
+      onResult: (row) => post({ type: 'result', row })
+    })
+    post({ type: 'done', rows })
+  } catch (err) {
+    post({ type: 'failed', message: err.message })
+  }
+}
+
+/**
+ * Repeats the simulation of a plan and reports through post(message).
+ *
+ * @param {Object} request - { plan, tourData, baseline, trafficModel, options } as for simulateMonteCarlo
+ * @param {Function} post - Receives every message
+ */
+export function runMonteCarlo({ plan, tourData, baseline, trafficModel, options = {} }, post) {
+  try {
+    const runsTotal = options.runs ?? 100
+    let lastProgressAt = 0
+    const summary = simulateMonteCarlo(plan, tourData, baseline, trafficModel, {
+      ...options,
+      onProgress: (runsDone) => {
+        const now = Date.now()
+        if (now - lastProgressAt < PROGRESS_INTERVAL_MS) return
+        lastProgressAt = now
+        post({ type: 'progress', runsDone, runsTotal })
+      }
+    })
+    post({ type: 'done', summary })
+  } catch (err) {
+    post({ type: 'failed', message: err.message })
+  }
+}
+
+const TASKS = {
+  plan: runRouteOptimization,
+  benchmark: runOptimalityBenchmark,
+  compare: runAlgorithmComparison,
+  monteCarlo: runMonteCarlo
+}
+
+if (typeof self !== 'undefined' && typeof window === 'undefined') {
+  self.onmessage = (event) => {
+    const run = TASKS[event.data.task || 'plan']
+    run(event.data, (message) => self.postMessage(message))
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * routeOptimizerClient.js
+ *
+ * Main thread side of the route optimizer worker. Every call gets its own
+ * worker, so cancelling simply terminates it - no half-finished state is
+ * left behind.
+ */
+
+/**
+ * Starts planning the fleet routes in a Web Worker.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Object[]} fleet - Vehicles taking part in the tour
+ * @param {Object} options - Same as planFleetRoutes (without callbacks)
+ * @param {Object} handlers - { onProgress, onImprovement } called with the worker's messages
+ * @returns {Object} { result, cancel } - result resolves to { routes, error, cancelled }
+ */
+export function startRouteOptimization(tourData, fleet, options = {}, handlers = {}) {
+  const { onProgress = () => {}, onImprovement = () => {} } = handlers
+  // Returns true for intermediate messages, false for the final one
+  const dispatch = (message) => {
+    if (message.type === 'progress') onProgress(message)
+    else if (message.type === 'improvement') onImprovement(message)
+    else return false
+    return true
+  }
+
+  return runInWorker('runRouteOptimization', { tourData, fleet, options }, dispatch, {
+    toResult: (message) => message.type === 'failed'
+      ? { routes: [], error: message.message, cancelled: false }
+      : { routes: message.routes, error: message.error, cancelled: false },
+    onError: (message) => ({ routes: [], error: message || 'Fehler bei der Routenberechnung', cancelled: false }),
+    cancelled: { routes: [], error: null, cancelled: true }
+  })
+}
+
+/**
+ * Computes the proven optimum for the report in a Web Worker.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} options - Same as benchmarkOptimality
+ * @returns {Object} { result, cancel } - result resolves to { benchmark, error, cancelled }
+ */
+export function startOptimalityBenchmark(tourData, options = {}) {
+  return runInWorker('runOptimalityBenchmark', { task: 'benchmark', tourData, options }, () => false, {
+    toResult: (message) => message.type === 'failed'
+      ? { benchmark: null, error: message.message, cancelled: false }
+      : { benchmark: message.benchmark, error: null, cancelled: false },
+    onError: (message) => ({ benchmark: null, error: message || 'Fehler bei der Berechnung des Optimums', cancelled: false }),
+    cancelled: { benchmark: null, error: null, cancelled: true }
+  })
+}
+
+/**
+ * Runs the chosen algorithms on the same map in a Web Worker.
+ *
+ * @param {Object} tourData - Complete tour data
+ * @param {string[]} algorithmIds - IDs from the algorithm registry
+ * @param {Object} options - Same as compareAlgorithms (without callbacks)
+ * @param {Object} handlers - { onResult(row) } called for every finished algorithm
+ * @returns {Object} { result, cancel } - result resolves to { rows, error, cancelled }
+ */
+export function startAlgorithmComparison(tourData, algorithmIds, options = {}, handlers = {}) {
+  const { onResult = () => {} } = handlers
+  const dispatch = (message) => {
+    if (message.type !== 'result') return false
+    onResult(message.row)
+    return true
+  }
+
+  return runInWorker('runAlgorithmComparison', { task: 'compare', tourData, algorithmIds, options }, dispatch, {
+    toResult: (message) => message.type === 'failed'
+      ? { rows: [], error: message.message, cancelled: false }
+      : { rows: message.rows, error: null, cancelled: false },
+    onError: (message) => ({ rows: [], error: message || 'Fehler beim Algorithmenvergleich', cancelled: false }),
+    cancelled: { rows: [], error: null, cancelled: true }
+  })
+}
+
+/**
+ * Repeats the simulation with stochastic traffic in a Web Worker.
+ *
+ * @param {Object} plan - Simulated routes, see simulateMonteCarlo
+ * @param {Object} tourData - Complete tour data
+ * @param {Object} baseline - Reference metrics
+ * @param {Object} trafficModel - Traffic model
+ * @param {Object} options - { runs, seed }
+ * @param {Object} handlers - { onProgress({ runsDone, runsTotal }) }
+ * @returns {Object} { result, cancel } - result resolves to { summary, error, cancelled }
+ */
+export function startMonteCarlo(plan, tourData, baseline, trafficModel, options = {}, handlers = {}) {
+  const { onProgress = () => {} } = handlers
+  const dispatch = (message) => {
+    if (message.type !== 'progress') return false
+    onProgress(message)
+    return true
+  }
+
+  return runInWorker('runMonteCarlo', { task: 'monteCarlo', plan, tourData, baseline, trafficModel, options }, dispatch, {
+    toResult: (message) => message.type === 'failed'
+      ? { summary: null, error: message.message, cancelled: false }
+      : { summary: message.summary, error: null, cancelled: false },
+    onError: (message) => ({ summary: null, error: message || 'Fehler bei der Monte-Carlo-Simulation', cancelled: false }),
+    cancelled: { summary: null, error: null, cancelled: true }
+  })
+}
+
+// Sends the request to a new worker; dispatch(message) returns false for the final message.
+// runName is the worker's export that handles the request when there is no worker.
+function runInWorker(runName, request, dispatch, { toResult, onError, cancelled }) {
+  // No workers available (e.g. test environment): load the worker code only now
+  // and compute on the current thread
+  if (typeof Worker === 'undefined') {
+    const result = import('./routeOptimizer.worker.js').then(worker => {
+      let settled = null
+      worker[runName](request, (message) => {
+        if (!dispatch(message)) settled = message
+      })
+      return toResult(settled)
+    })
+    return { result, cancel: () => {} }
+  }
+
+  const worker = new Worker(new URL('./routeOptimizer.worker.js', import.meta.url), { type: 'module' })
+  let finish
+
+  const result = new Promise(resolve => {
+    finish = (value) => {
+      worker.terminate()
+      resolve(value)
+    }
+    worker.onmessage = (event) => {
+      if (!dispatch(event.data)) finish(toResult(event.data))
+    }
+    worker.onerror = (event) => finish(onError(event.message))
+  })
+
+  return {
+    result,
+    cancel: () => finish(cancelled)
+  }
+}